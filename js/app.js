@@ -31,8 +31,15 @@ import {
     CommunicationLayer,
     BLECommunication,
     MockCommunication,
+    ReplayCommunication,
+    SerialCommunication,
+    WebSocketCommunication,
     commLayer,
+    setCommLayer,
+    selectTransport,
     sendBleMessage,
+    sendCommand,
+    commandTracker,
     connectBLE,
     onDisconnected,
     setupCommunicationHandlers
@@ -45,8 +52,8 @@ import {
     applySingleParam,
     applySingleAutotuneParam,
     applyFullConfig,
-    pitchHistory,
-    speedHistory,
+    telemetryStore,
+    derivedChannels,
     currentEncoderLeft,
     currentEncoderRight
 } from './modules/telemetry.js';
@@ -148,6 +155,48 @@ import {
     updateCalibrationProgress
 } from './modules/calibration.js';
 
+// 19. Session Recorder - nagrywanie i odtwarzanie sesji (.jsonl)
+import { initSessionControls } from './modules/session-controls.js';
+
+// 20. Capabilities - panele zależne od firmware (handshake hello)
+import { initCapabilityUI, isFirmwareFeatureSupported } from './modules/capability-ui.js';
+
+// 21. Link Quality - panel jakości łącza
+import { initLinkQualityPanel } from './modules/link-quality-ui.js';
+
+// 22. Robot Manager - wiele robotów jednocześnie
+import { initRobotManagerUI } from './modules/robot-manager-ui.js';
+
+// 23. Firmware Update - aktualizacja firmware przez łącze (OTA)
+import { initFirmwareUpdateUI } from './modules/firmware-update-ui.js';
+
+// 24. Config Backup - kopia zapasowa, porównanie i przywracanie konfiguracji robota
+import { initConfigBackupUI } from './modules/config-backup-ui.js';
+
+// 25. Session Library - automatyczny zapis sesji (IndexedDB) i przeglądarka sesji
+import { initSessionLibraryUI } from './modules/session-library-ui.js';
+
+// 26. Derived Channels - kanały telemetrii liczone z wyrażeń użytkownika
+import { initDerivedChannelsUI } from './modules/derived-channels-ui.js';
+
+// 27. Alarms - reguły alarmów na telemetrii i oś czasu alarmów
+import { initAlarmsUI } from './modules/alarms-ui.js';
+
+// 28. Spectrum - widmo FFT i spektrogram w analizatorze
+import { initSpectrumUI } from './modules/spectrum-ui.js';
+
+// 29. Scope trigger - przechwycenia wyzwalane warunkiem w analizatorze
+import { initScopeTriggerUI } from './modules/scope-trigger-ui.js';
+
+// 30. Measurements - pomiary w zakresie kursorów A/B
+import { initMeasurementsUI } from './modules/measurements-ui.js';
+
+// 31. Recording overlay - porównanie nagrań w analizatorze
+import { initRecordingOverlayUI } from './modules/recording-overlay-ui.js';
+
+// 32. Chart layout - panele wykresu analizatora
+import { initChartLayoutUI } from './modules/chart-layout-ui.js';
+
 // --- Inicjalizacja modułów ---
 
 // Hook PID Education + Diagnostics do updateTelemetryUI
@@ -167,6 +216,48 @@ document.addEventListener('DOMContentLoaded', () => {
     // Fuzzy Logic Editor (wyłącznie w module — brak odpowiednika w main.js)
     initFuzzyEditor();
 
+    // Nagrywanie / odtwarzanie sesji (pasek logów)
+    initSessionControls();
+
+    // Ukrywanie paneli nieobsługiwanych przez firmware (po handshake hello)
+    initCapabilityUI();
+
+    // Panel jakości łącza (próbkowanie co 1 s)
+    initLinkQualityPanel();
+
+    // Lista połączonych robotów i akcje dla wszystkich
+    initRobotManagerUI();
+
+    // Aktualizacja firmware (OTA) z wznawianiem po utracie łącza
+    initFirmwareUpdateUI();
+
+    // Kopia zapasowa konfiguracji robota (eksport / porównanie / przywracanie)
+    initConfigBackupUI();
+
+    // Biblioteka sesji - zapis każdego połączenia i przeglądarka zapisanych sesji
+    initSessionLibraryUI();
+
+    // Kanały pochodne (definicje per robot) - lista analizatora i warunki sekwencji
+    initDerivedChannelsUI();
+
+    // Alarmy telemetrii (log / baner / dźwięk / wibracja / STOP)
+    initAlarmsUI();
+
+    // Widmo FFT i spektrogram wybranego kanału analizatora
+    initSpectrumUI();
+
+    // Wyzwalacz oscyloskopowy - przechwycenia zamrażane na wykresie
+    initScopeTriggerUI();
+
+    // Pomiary w zakresie kursorów A/B (przypinane, eksport do CSV)
+    initMeasurementsUI();
+
+    // Nakładanie zapisanych nagrań na wykres analizatora
+    initRecordingOverlayUI();
+
+    // Układ paneli wykresu analizatora (zapisywany w localStorage)
+    initChartLayoutUI();
+
     // UI Modes - MUSI być ostatni (ukrywa elementy po ich załadowaniu)
     initUIModes();
 
@@ -180,10 +271,10 @@ export {
     // State
     AppStore, appStore, AppState, parameterMapping,
     // Communication
-    CommunicationLayer, BLECommunication, MockCommunication,
-    commLayer, sendBleMessage, connectBLE,
+    CommunicationLayer, BLECommunication, SerialCommunication, WebSocketCommunication, MockCommunication, ReplayCommunication,
+    commLayer, setCommLayer, selectTransport, sendBleMessage, sendCommand, commandTracker, connectBLE,
     // Telemetry
-    normalizeTelemetryData, updateTelemetryUI,
+    normalizeTelemetryData, updateTelemetryUI, telemetryStore, derivedChannels,
     applySingleParam, applySingleAutotuneParam, applyFullConfig,
     // Visualization
     init3DVisualization, animate3D,
@@ -206,5 +297,33 @@ export {
     // Parameter Controls
     setupNumericInputs, setupParameterListeners, setupManualTuneButtons, sendFullConfigToRobot,
     // Calibration
-    setupCalibrationModal, showCalibrationModal, hideCalibrationModal, updateCalibrationProgress
+    setupCalibrationModal, showCalibrationModal, hideCalibrationModal, updateCalibrationProgress,
+    // Session Recorder
+    initSessionControls,
+    // Capabilities
+    initCapabilityUI, isFirmwareFeatureSupported,
+    // Link Quality
+    initLinkQualityPanel,
+    // Robot Manager
+    initRobotManagerUI,
+    // Firmware Update
+    initFirmwareUpdateUI,
+    // Config Backup
+    initConfigBackupUI,
+    // Session Library
+    initSessionLibraryUI,
+    // Derived Channels
+    initDerivedChannelsUI,
+    // Alarms
+    initAlarmsUI,
+    // Spectrum
+    initSpectrumUI,
+    // Scope trigger
+    initScopeTriggerUI,
+    // Measurements
+    initMeasurementsUI,
+    // Recording overlay
+    initRecordingOverlayUI,
+    // Chart layout
+    initChartLayoutUI
 };
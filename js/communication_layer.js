@@ -232,6 +232,7 @@ class BLECommunication extends CommunicationLayer {
     
     /**
      * Handle chunked message assembly
+     * Wersja bez CRC i chunk_resend - aplikacja używa js/modules/chunk-assembler.mjs
      * @param {Object} chunk - Chunk data
      */
     handleChunk(chunk) {
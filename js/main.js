@@ -65,8 +65,6 @@ let isAnimation3DEnabled = true, isMovement3DEnabled = false, lastEncoderAvg = 0
 window.telemetryData = {};
 let isCalibrationModalShown = false;
 
-let pitchHistory = [], speedHistory = [];
-const HISTORY_LENGTH = 600;
 let lastTelemetryUpdateTime = 0;
 const TELEMETRY_UPDATE_INTERVAL = 1000;
 
@@ -0,0 +1,201 @@
+// ========================================================================
+// ALARM RULES - Reguły alarmów na telemetrii (ES6 Module)
+// ========================================================================
+// Reguła to warunek w składni kanałów pochodnych (derived-channels.mjs)
+// z opcjonalnym czasem trwania, np. `|pitch| > 25 for 200 ms`,
+// `loop_time > 3000`, `calib_gyro < 2 for 1 s`. |x| to skrót abs(x).
+// AlarmMonitor dostaje każdą ramkę telemetrii: alarm wyzwala się, gdy
+// warunek jest prawdziwy bez przerwy przez `for`, i nie powtarza się,
+// dopóki warunek nie zgaśnie (plus `cooldownMs`). Zdarzenie alarmu niesie
+// ramkę z chwili wyzwolenia i historię telemetrii sprzed alarmu.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+import { compileExpression, ExpressionError } from './derived-channels.mjs';
+
+export const ALARM_ACTIONS = ['log', 'banner', 'sound', 'rumble', 'stop'];
+export const ALARM_SNAPSHOT_MS = 3000;
+export const ALARM_DEFAULT_COOLDOWN_MS = 2000;
+export const ALARM_TIMELINE_LIMIT = 100;
+// Kanały zawsze dołączane do migawki (oprócz tych z warunku)
+export const ALARM_SNAPSHOT_CHANNELS = ['pitch', 'roll', 'speed', 'output'];
+
+// Gotowe reguły do wstawienia w edytorze (loop_time jest w µs)
+export const ALARM_RULE_TEMPLATES = [
+    { name: 'Upadek', text: '|pitch| > 25 for 200 ms', actions: ['log', 'banner', 'sound', 'stop'] },
+    { name: 'Petla > 3 ms', text: 'loop_time > 3000', actions: ['log'] },
+    { name: 'Kalibracja zyroskopu', text: 'calib_gyro < 2 for 1 s', actions: ['log', 'banner'] },
+    { name: 'Zablokowane kolo', text: '|output| > 60 && |deriv(encoder_left)| < 5 for 500 ms', actions: ['log', 'banner', 'rumble', 'stop'] }
+];
+
+const DURATION_PATTERN = /\s+for\s+(\d+(?:\.\d+)?)\s*(ms|s)\s*$/i;
+
+// |x| -> abs(x); "||" zostaje operatorem logicznym
+function expandAbs(text) {
+    let out = '';
+    let open = false;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '|' && text[i + 1] === '|') {
+            out += '||';
+            i++;
+        } else if (text[i] === '|') {
+            out += open ? ')' : 'abs(';
+            open = !open;
+        } else {
+            out += text[i];
+        }
+    }
+    if (open) throw new ExpressionError('Niezamkniete |...|');
+    return out;
+}
+
+/**
+ * Rozbiera tekst reguły na warunek i czas trwania.
+ * @param {string} text - np. "|pitch| > 25 for 200 ms"
+ * @returns {{condition: string, forMs: number, compiled: Object}} rzuca ExpressionError
+ */
+export function parseRuleText(text) {
+    let source = String(text ?? '').trim();
+    let forMs = 0;
+    const duration = DURATION_PATTERN.exec(source);
+    if (duration) {
+        forMs = parseFloat(duration[1]) * (duration[2].toLowerCase() === 's' ? 1000 : 1);
+        source = source.slice(0, duration.index);
+    }
+    const condition = expandAbs(source).trim();
+    return { condition, forMs, compiled: compileExpression(condition) };
+}
+
+/**
+ * Porządkuje zapisane reguły: {id, name, text, actions, enabled, cooldownMs}.
+ * Tekst nie jest tu kompilowany - błędne reguły zgłasza AlarmMonitor.
+ */
+export function normalizeRules(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const out = [];
+    for (const item of list) {
+        if (!item || typeof item.text !== 'string' || !item.text.trim()) continue;
+        let id = typeof item.id === 'string' && item.id ? item.id : `r${out.length + 1}`;
+        while (seen.has(id)) id += '_';
+        seen.add(id);
+        const cooldown = Number(item.cooldownMs);
+        out.push({
+            id,
+            name: typeof item.name === 'string' && item.name.trim() ? item.name.trim() : item.text.trim(),
+            text: item.text.trim(),
+            actions: Array.isArray(item.actions) ? ALARM_ACTIONS.filter(a => item.actions.includes(a)) : ['log'],
+            enabled: item.enabled !== false,
+            cooldownMs: Number.isFinite(cooldown) && cooldown >= 0 ? cooldown : ALARM_DEFAULT_COOLDOWN_MS
+        });
+    }
+    return out;
+}
+
+export class AlarmMonitor {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]} [options.rules]
+     * @param {(name: string) => any} [options.resolve] - nazwy spoza telemetrii (param.*)
+     * @param {(names: string[], t0: number, t1: number) => Object[]} [options.history] - ramki sprzed alarmu (telemetryStore.frames)
+     * @param {number} [options.snapshotMs]
+     */
+    constructor({ rules = [], resolve = () => undefined, history = null, snapshotMs = ALARM_SNAPSHOT_MS } = {}) {
+        this.resolve = resolve;
+        this.history = history;
+        this.snapshotMs = snapshotMs;
+        this.nextEventId = 1;
+        this.setRules(rules);
+    }
+
+    /** @returns {{id: string, message: string}[]} reguły, których nie da się skompilować */
+    setRules(rules) {
+        this.rules = normalizeRules(rules);
+        this.compiled = [];
+        this.errors = [];
+        for (const rule of this.rules) {
+            try {
+                const parsed = parseRuleText(rule.text);
+                this.compiled.push({
+                    rule,
+                    forMs: parsed.forMs,
+                    references: parsed.compiled.references,
+                    evaluate: parsed.compiled.createEvaluator(),
+                    since: null,
+                    active: false,
+                    clearedAt: -Infinity
+                });
+            } catch (error) {
+                this.errors.push({ id: rule.id, message: error.message });
+            }
+        }
+        this.last = {};
+        return this.errors;
+    }
+
+    /** Zeruje stan reguł (np. nowe połączenie). */
+    reset() {
+        this.setRules(this.rules);
+    }
+
+    /** Reguły aktualnie w stanie alarmu. */
+    activeRules() {
+        return this.compiled.filter(c => c.active).map(c => c.rule);
+    }
+
+    /**
+     * Sprawdza reguły dla ramki.
+     * @param {Object} frame - ramka telemetrii (razem z kanałami pochodnymi)
+     * @param {number} time - czas w ms
+     * @returns {{fired: Object[], cleared: Object[]}} nowe alarmy i reguły, które zgasły
+     */
+    process(frame, time) {
+        const fired = [];
+        const cleared = [];
+        if (!frame) return { fired, cleared };
+        for (const key of Object.keys(frame)) {
+            if (typeof frame[key] === 'number') this.last[key] = frame[key];
+        }
+        const lookup = (name) => (Object.prototype.hasOwnProperty.call(this.last, name) ? this.last[name] : this.resolve(name));
+        for (const state of this.compiled) {
+            // Stan avg/deriv liczony także dla wyłączonych reguł - włączenie nie startuje od zera
+            let value;
+            try { value = state.evaluate(lookup, time); } catch (e) { value = NaN; }
+            const holds = state.rule.enabled && Number.isFinite(value) && value !== 0;
+            if (!holds) {
+                state.since = null;
+                if (state.active) {
+                    state.active = false;
+                    state.clearedAt = time;
+                    cleared.push(state.rule);
+                }
+                continue;
+            }
+            if (state.since === null) state.since = time;
+            if (state.active || time - state.since < state.forMs || time - state.clearedAt < state.rule.cooldownMs) continue;
+            state.active = true;
+            fired.push(this.createEvent(state, time, lookup));
+        }
+        return { fired, cleared };
+    }
+
+    createEvent(state, time, lookup) {
+        const channels = [...new Set([...state.references.filter(name => !name.includes('.')), ...ALARM_SNAPSHOT_CHANNELS])];
+        const values = {};
+        for (const name of channels) {
+            const value = lookup(name);
+            if (typeof value === 'number') values[name] = value;
+        }
+        return {
+            id: this.nextEventId++,
+            ruleId: state.rule.id,
+            name: state.rule.name,
+            text: state.rule.text,
+            actions: [...state.rule.actions],
+            time,
+            since: state.since,
+            values,
+            before: this.history ? this.history(Object.keys(values), time - this.snapshotMs, time) : []
+        };
+    }
+}
@@ -0,0 +1,379 @@
+// ========================================================================
+// ALARMS UI - Edytor reguł alarmów i oś czasu alarmów (ES6 Module)
+// ========================================================================
+// Reguły (alarm-rules.mjs) są sprawdzane dla każdej ramki z telemetryStore
+// podczas połączenia, razem z kanałami pochodnymi. Akcje reguły: wpis
+// w logu, baner na dole ekranu, dźwięk, wibracja gamepada i command_stop.
+// Każdy alarm trafia na oś czasu z migawką telemetrii z kilku sekund
+// przed wyzwoleniem (podgląd jako małe wykresy kanałów).
+// Reguły są zapamiętywane w localStorage.
+// ========================================================================
+
+import { AppState, appStore } from './state.js';
+import { sendBleMessage } from './communication.js';
+import { telemetryStore, derivedChannels } from './telemetry.js';
+import {
+    AlarmMonitor, parseRuleText, ALARM_RULE_TEMPLATES, ALARM_TIMELINE_LIMIT, ALARM_DEFAULT_COOLDOWN_MS
+} from './alarm-rules.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+const STORAGE_KEY = 'alarm_rules_v1';
+const ACTION_LABELS = { log: 'log', banner: 'baner', sound: 'dzwiek', rumble: 'wibracja', stop: 'STOP' };
+const BANNER_HOLD_MS = 3000;
+const SNAPSHOT_WIDTH = 320;
+const SNAPSHOT_HEIGHT = 44;
+
+let rules = [];
+let timeline = [];
+let monitor = null;
+// Reguła wczytana do edytora (null = nowa)
+let editingId = null;
+let audioContext = null;
+let bannerTimer = null;
+// Alarmy z akcją "baner", które jeszcze trwają
+const bannerAlarms = new Map();
+
+function loadRules() {
+    try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []; } catch (e) { return []; }
+}
+
+function saveRules() {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(rules)); } catch (e) { /* ignore storage errors */ }
+}
+
+function applyRules() {
+    // Zmiana reguł zeruje ich stan - trwające alarmy gasną
+    monitor.setRules(rules);
+    rules = monitor.rules;
+    bannerAlarms.clear();
+    showBanner();
+    renderRules();
+}
+
+function formatValues(values) {
+    return Object.entries(values).map(([name, value]) => `${name}=${Number(value.toFixed(2))}`).join(', ');
+}
+
+function formatTime(time) {
+    const date = new Date(time);
+    return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+// ---- Akcje ----
+
+function showBanner() {
+    const banner = document.getElementById('alarm-banner');
+    if (!banner) return;
+    clearTimeout(bannerTimer);
+    bannerTimer = null;
+    if (bannerAlarms.size === 0) {
+        banner.className = '';
+        return;
+    }
+    banner.textContent = `ALARM: ${[...bannerAlarms.values()].join(' | ')}`;
+    banner.className = 'active';
+}
+
+function hideBannerLater() {
+    if (bannerTimer) return;
+    bannerTimer = setTimeout(() => { bannerTimer = null; if (bannerAlarms.size === 0) showBanner(); }, BANNER_HOLD_MS);
+}
+
+function playAlarmSound() {
+    try {
+        const AudioCtor = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtor) return;
+        if (!audioContext) audioContext = new AudioCtor();
+        // Dwa krótkie piski
+        [0, 0.25].forEach(offset => {
+            const osc = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            osc.type = 'square';
+            osc.frequency.value = 880;
+            gain.gain.value = 0.15;
+            osc.connect(gain).connect(audioContext.destination);
+            osc.start(audioContext.currentTime + offset);
+            osc.stop(audioContext.currentTime + offset + 0.15);
+        });
+    } catch (e) { /* brak audio - bez dźwięku */ }
+}
+
+function rumbleGamepads() {
+    if (!navigator.getGamepads) return;
+    for (const gamepad of navigator.getGamepads()) {
+        const actuator = gamepad && gamepad.vibrationActuator;
+        if (actuator && typeof actuator.playEffect === 'function') {
+            actuator.playEffect('dual-rumble', { duration: 400, strongMagnitude: 1.0, weakMagnitude: 0.6 }).catch(() => {});
+        }
+    }
+}
+
+function stopRobot(event) {
+    if (!AppState.isConnected) return;
+    addLogMessage(`[Alarm] ${event.name}: wysylam STOP.`, 'error');
+    if (AppState.isSequenceRunning && typeof window.stopSequenceExecution === 'function') window.stopSequenceExecution();
+    sendBleMessage({ type: 'command_stop' });
+}
+
+function runActions(event) {
+    const actions = new Set(event.actions);
+    if (actions.has('log')) addLogMessage(`[Alarm] ${event.name} (${event.text}): ${formatValues(event.values)}`, 'error');
+    if (actions.has('banner')) {
+        bannerAlarms.set(event.ruleId, event.name);
+        showBanner();
+    }
+    if (actions.has('sound')) playAlarmSound();
+    if (actions.has('rumble')) rumbleGamepads();
+    if (actions.has('stop')) stopRobot(event);
+}
+
+function handleFrame(frame, time) {
+    // Tylko żywa telemetria - nie historia wczytana z biblioteki sesji
+    if (!AppState.isConnected) return;
+    const { fired, cleared } = monitor.process(frame, time);
+    for (const event of fired) {
+        timeline.unshift(event);
+        if (timeline.length > ALARM_TIMELINE_LIMIT) timeline.length = ALARM_TIMELINE_LIMIT;
+        runActions(event);
+    }
+    let bannerChanged = false;
+    for (const rule of cleared) bannerChanged = bannerAlarms.delete(rule.id) || bannerChanged;
+    // Baner zostaje chwilę po zgaśnięciu ostatniego alarmu
+    if (bannerChanged) {
+        if (bannerAlarms.size === 0) hideBannerLater();
+        else showBanner();
+    }
+    if (fired.length > 0) renderTimeline();
+}
+
+// ---- Edytor reguł ----
+
+function selectedActions() {
+    return [...document.querySelectorAll('#alarmActionChecks input[type=checkbox]')].filter(cb => cb.checked).map(cb => cb.value);
+}
+
+function fillEditor(rule) {
+    document.getElementById('alarmRuleName').value = rule.name || '';
+    document.getElementById('alarmRuleText').value = rule.text || '';
+    document.querySelectorAll('#alarmActionChecks input[type=checkbox]').forEach(cb => { cb.checked = rule.actions.includes(cb.value); });
+    editingId = rule.id || null;
+}
+
+function showRuleError(message) {
+    const el = document.getElementById('alarmRuleError');
+    if (el) el.textContent = message || '';
+}
+
+function saveRule() {
+    const text = document.getElementById('alarmRuleText').value.trim();
+    const name = document.getElementById('alarmRuleName').value.trim() || text;
+    const actions = selectedActions();
+    try {
+        parseRuleText(text);
+    } catch (error) {
+        showRuleError(error.message);
+        return;
+    }
+    if (actions.length === 0) {
+        showRuleError('Wybierz przynajmniej jedna akcje.');
+        return;
+    }
+    const existing = rules.find(r => r.id === editingId);
+    if (existing) {
+        Object.assign(existing, { name, text, actions });
+    } else {
+        rules.push({ id: `r${Date.now().toString(36)}`, name, text, actions, enabled: true, cooldownMs: ALARM_DEFAULT_COOLDOWN_MS });
+    }
+    applyRules();
+    saveRules();
+    showRuleError('');
+    addLogMessage(`[UI] Regula alarmu "${name}" ${existing ? 'zmieniona' : 'dodana'}.`, 'info');
+    editingId = null;
+    document.getElementById('alarmRuleName').value = '';
+    document.getElementById('alarmRuleText').value = '';
+}
+
+function renderRules() {
+    const listEl = document.getElementById('alarmRuleList');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    if (rules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'historical-metric';
+        empty.textContent = 'Brak regul - wybierz szablon lub wpisz wlasna.';
+        listEl.appendChild(empty);
+        return;
+    }
+    const errorById = new Map(monitor.errors.map(e => [e.id, e.message]));
+    for (const rule of rules) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display:flex; gap:8px; align-items:center; padding: 2px 0; flex-wrap: wrap;';
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = rule.enabled;
+        enabled.title = 'Regula aktywna';
+        enabled.addEventListener('change', () => { rule.enabled = enabled.checked; applyRules(); saveRules(); });
+        const name = document.createElement('strong');
+        name.textContent = rule.name;
+        const text = document.createElement('code');
+        text.textContent = rule.text;
+        text.style.flex = '1';
+        const actions = document.createElement('span');
+        actions.className = 'historical-metric';
+        actions.textContent = rule.actions.map(a => ACTION_LABELS[a]).join(', ');
+        if (rule.actions.includes('stop')) actions.style.color = '#ff6347';
+        row.append(enabled, name, text, actions);
+        if (errorById.has(rule.id)) {
+            const error = document.createElement('span');
+            error.textContent = errorById.get(rule.id);
+            error.style.color = '#ff6347';
+            row.appendChild(error);
+        }
+        const edit = document.createElement('button');
+        edit.className = 'btn-small';
+        edit.textContent = '✏️';
+        edit.title = 'Edytuj';
+        edit.addEventListener('click', () => fillEditor(rule));
+        const remove = document.createElement('button');
+        remove.className = 'btn-small';
+        remove.textContent = '🗑️';
+        remove.title = 'Usun regule';
+        remove.addEventListener('click', () => {
+            rules = rules.filter(r => r !== rule);
+            applyRules();
+            saveRules();
+        });
+        row.append(edit, remove);
+        listEl.appendChild(row);
+    }
+}
+
+// ---- Oś czasu i migawki ----
+
+function renderTimeline() {
+    const body = document.getElementById('alarmTimelineBody');
+    if (!body) return;
+    body.innerHTML = '';
+    if (timeline.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = 4;
+        cell.textContent = 'Brak alarmow.';
+        cell.style.color = '#aaa';
+        return;
+    }
+    for (const event of timeline) {
+        const row = body.insertRow();
+        row.insertCell().textContent = formatTime(event.time);
+        const nameCell = row.insertCell();
+        nameCell.textContent = event.name;
+        nameCell.title = event.text;
+        row.insertCell().textContent = formatValues(event.values);
+        const button = document.createElement('button');
+        button.className = 'btn-small';
+        button.textContent = '📈';
+        button.title = 'Telemetria przed alarmem';
+        button.disabled = event.before.length === 0;
+        button.addEventListener('click', () => renderSnapshot(event));
+        row.insertCell().appendChild(button);
+    }
+}
+
+function drawSparkline(canvas, frames, name, event) {
+    const ctx = canvas.getContext('2d');
+    const values = frames.map(f => f[name]);
+    const finite = values.filter(Number.isFinite);
+    ctx.fillStyle = '#20232a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (finite.length === 0) return;
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    const t0 = frames[0].time;
+    const span = Math.max(1, event.time - t0);
+    const x = (t) => ((t - t0) / span) * (canvas.width - 2) + 1;
+    const y = (v) => canvas.height - 3 - ((v - min) / (max - min || 1)) * (canvas.height - 6);
+    // Początek spełniania warunku (przed upływem "for")
+    ctx.fillStyle = 'rgba(255, 99, 71, 0.25)';
+    ctx.fillRect(x(event.since), 0, canvas.width - x(event.since), canvas.height);
+    ctx.strokeStyle = availableTelemetry[name]?.color || '#61dafb';
+    ctx.beginPath();
+    let drawing = false;
+    frames.forEach((frame, i) => {
+        if (!Number.isFinite(values[i])) { drawing = false; return; }
+        if (drawing) ctx.lineTo(x(frame.time), y(values[i]));
+        else ctx.moveTo(x(frame.time), y(values[i]));
+        drawing = true;
+    });
+    ctx.stroke();
+}
+
+function renderSnapshot(event) {
+    const container = document.getElementById('alarmSnapshot');
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = 'block';
+    const title = document.createElement('div');
+    title.className = 'historical-metric';
+    const seconds = ((event.time - event.before[0].time) / 1000).toFixed(1);
+    title.textContent = `${event.name} o ${formatTime(event.time)} - ${seconds} s przed alarmem (czerwone tlo: warunek spelniony)`;
+    container.appendChild(title);
+    for (const name of Object.keys(event.values)) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display:flex; gap:8px; align-items:center; margin-top: 4px;';
+        const label = document.createElement('span');
+        label.style.cssText = 'width: 120px; font-size: 0.85em;';
+        const finite = event.before.map(f => f[name]).filter(Number.isFinite);
+        label.textContent = finite.length > 0
+            ? `${name}: ${Number(event.values[name].toFixed(2))} (${Number(Math.min(...finite).toFixed(2))}..${Number(Math.max(...finite).toFixed(2))})`
+            : `${name}: ${Number(event.values[name].toFixed(2))}`;
+        const canvas = document.createElement('canvas');
+        canvas.width = SNAPSHOT_WIDTH;
+        canvas.height = SNAPSHOT_HEIGHT;
+        row.append(label, canvas);
+        container.appendChild(row);
+        drawSparkline(canvas, event.before, name, event);
+    }
+}
+
+export function initAlarmsUI() {
+    if (!document.getElementById('alarms-card')) return;
+    monitor = new AlarmMonitor({
+        resolve: (name) => derivedChannels.resolve(name),
+        history: (names, t0, t1) => telemetryStore.frames(names.filter(name => telemetryStore.has(name)), t0, t1)
+    });
+    rules = loadRules();
+    applyRules();
+
+    const templateSelect = document.getElementById('alarmTemplateSelect');
+    ALARM_RULE_TEMPLATES.forEach((template, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = template.name;
+        templateSelect.appendChild(option);
+    });
+    templateSelect.addEventListener('change', () => {
+        const template = ALARM_RULE_TEMPLATES[parseInt(templateSelect.value, 10)];
+        if (template) fillEditor({ ...template, id: null });
+        templateSelect.value = '';
+    });
+    document.getElementById('alarmRuleSaveBtn').addEventListener('click', saveRule);
+    document.getElementById('alarmTimelineClearBtn').addEventListener('click', () => {
+        timeline = [];
+        renderTimeline();
+        document.getElementById('alarmSnapshot').style.display = 'none';
+    });
+    document.getElementById('alarm-banner')?.addEventListener('click', () => {
+        bannerAlarms.clear();
+        showBanner();
+    });
+
+    telemetryStore.subscribe(handleFrame);
+    // Nowe połączenie - reguły liczą czas i avg/deriv od zera
+    appStore.subscribe('connection.isConnected', (isConnected) => {
+        if (isConnected) monitor.reset();
+        else { bannerAlarms.clear(); showBanner(); }
+    });
+    renderTimeline();
+}
+
+window.initAlarmsUI = initAlarmsUI;
@@ -8,7 +8,7 @@
 // Cross-module calls via window.*:
 //   sendBleMessage, addLogMessage, commLayer, appStore, AppState,
 //   relocateAutotuneChart, setSignButtons, RB, tuningHistory, refreshRecentList,
-//   initSystemIdentification, initFusionPIDProfiles
+//   initSystemIdentification, initFusionPIDProfiles, telemetryStore
 // ========================================================================
 
 // ========================================================================
@@ -230,10 +230,29 @@ function getPIDParamKeys(loop) {
     return { kp: `kp_${suffix}`, ki: `ki_${suffix}`, kd: `kd_${suffix}` };
 }
 
+// Utrata połączenia w trakcie strojenia: bieżący test jest przerywany,
+// a kolejne czekają (linkLossGate), aż użytkownik po ponownym połączeniu
+// wybierze wznowienie lub przerwanie strojenia.
+let linkLossGate = null;
+let interruptRunningTest = null;
+
 async function runTelemetryBasedTest(kp, ki, kd) {
+    while (true) {
+        if (linkLossGate && !(await linkLossGate.promise)) throw new Error('test_aborted');
+        try {
+            return await runTelemetryTestOnce(kp, ki, kd);
+        } catch (err) {
+            // Test przerwany utratą łącza - powtarzamy go po wznowieniu
+            if (err && err.reason === 'link_lost') continue;
+            throw err;
+        }
+    }
+}
+
+function runTelemetryTestOnce(kp, ki, kd) {
     return new Promise((resolve, reject) => {
         const testStartTime = Date.now();
-        const telemetrySamples = [];
+        let sampleCount = 0;
         let resolved = false;
 
         const trialInput = document.getElementById('tuningTrialDurationInput');
@@ -251,27 +270,41 @@ async function runTelemetryBasedTest(kp, ki, kd) {
             if (!resolved) { cleanup(); resolved = true; reject(new Error('test_timeout')); }
         }, timeoutMs);
 
-        function cleanup() { window.removeEventListener('ble_message', telemetryHandler); clearTimeout(timeoutHandle); }
+        let unsubscribe = () => { };
+        function cleanup() { unsubscribe(); clearTimeout(timeoutHandle); interruptRunningTest = null; }
+
+        interruptRunningTest = () => {
+            if (resolved) return;
+            resolved = true; cleanup();
+            const err = new Error('link_lost'); err.reason = 'link_lost';
+            reject(err);
+        };
+
+        // Próbki testu to okno historii telemetryStore od końca ustalania się parametrów
+        function collectSamples() {
+            const t0 = testStartTime + settlingTimeMs;
+            return window.telemetryStore.frames(['pitch', 'roll', 'speed', 'loop_time'], t0).map(f => ({
+                timestamp: f.time - t0, pitch: f.pitch || 0, roll: f.roll || 0, speed: f.speed || 0, loopTime: f.loop_time || 0
+            }));
+        }
 
-        function telemetryHandler(evt) {
-            const d = evt.detail || evt;
-            if (d.type !== 'telemetry') return;
-            const elapsedTime = Date.now() - testStartTime;
+        function telemetryHandler(frame, time) {
+            const elapsedTime = time - testStartTime;
             if (elapsedTime < settlingTimeMs) return;
-            const sample = { timestamp: elapsedTime - settlingTimeMs, pitch: Number(d.pitch) || 0, roll: Number(d.roll) || 0, speed: Number(d.speed || d.sp) || 0, loopTime: Number(d.loop_time || d.lt) || 0 };
-            telemetrySamples.push(sample);
-            if (telemetrySamples.length % 12 === 0 && typeof updateCurrentTelemetryPlot === 'function') { try { updateCurrentTelemetryPlot(telemetrySamples); } catch (_) { } }
+            sampleCount++;
+            if (sampleCount % 12 === 0 && typeof updateCurrentTelemetryPlot === 'function') { try { updateCurrentTelemetryPlot(collectSamples()); } catch (_) { } }
             if (elapsedTime >= totalDurationMs) finishTest();
         }
 
         function finishTest() {
             if (resolved) return; resolved = true; cleanup();
+            const telemetrySamples = collectSamples();
             if (telemetrySamples.length < 5) { resolve({ fitness: Infinity, itae: 0, overshoot: 0, steady_state_error: 0, raw: { samples: telemetrySamples.length, reason: 'insufficient_data' } }); return; }
             const metrics = calculateFitnessFromTelemetry(telemetrySamples);
             resolve(metrics);
         }
 
-        window.addEventListener('ble_message', telemetryHandler);
+        unsubscribe = window.telemetryStore.subscribe(telemetryHandler);
         const loop = document.getElementById('tuning-loop-selector')?.value || 'balance';
         const paramKeys = getPIDParamKeys(loop);
         sendBleCommand('set_param', { key: paramKeys.kp, value: kp });
@@ -1098,8 +1131,14 @@ async function requestFullConfigAndSync(timeoutMs = 20000) {
             }
         };
         window.addEventListener('ble_message', onSync);
-        // Send a request for full configuration
-        sendBleCommand('request_full_config', {});
+        // Send a request for full configuration (ACK-tracked, no retries - each request restarts the sync)
+        window.sendCommand({ type: 'request_full_config' }, { timeout: 5000, retries: 0 }).catch((err) => {
+            if (!resolved) {
+                resolved = true;
+                window.removeEventListener('ble_message', onSync);
+                reject(err);
+            }
+        });
         setTimeout(() => {
             if (!resolved) {
                 window.removeEventListener('ble_message', onSync);
@@ -1253,6 +1292,40 @@ function handleCancel(showPrompt = true) {
     addLogMessage('[UI] Strojenie przerwane (handleCancel).', 'warn');
 }
 
+/**
+ * Wywoływane przy utracie połączenia (communication.js).
+ * @returns {boolean} true, gdy strojenie zostało wstrzymane do decyzji użytkownika
+ */
+function suspendTuningOnLinkLoss() {
+    if (!AppState.isTuningActive || !currentTuningSession) return false;
+    if (!linkLossGate) {
+        let release;
+        const promise = new Promise(resolve => { release = resolve; });
+        linkLossGate = { promise, release };
+    }
+    if (interruptRunningTest) interruptRunningTest();
+    document.getElementById('tuning-status-text').textContent = 'Wstrzymany (brak polaczenia)';
+    addLogMessage('[UI] Utracono polaczenie - strojenie wstrzymane do ponownego polaczenia.', 'warn');
+    return true;
+}
+
+function resumeTuningAfterReconnect() {
+    if (!linkLossGate) return;
+    const gate = linkLossGate;
+    linkLossGate = null;
+    document.getElementById('tuning-status-text').textContent = 'W trakcie';
+    addLogMessage('[UI] Strojenie wznowione - przerwany test zostanie powtorzony.', 'info');
+    gate.release(true);
+}
+
+// Bezpieczne przerwanie: sesja przywraca bazowe PID (stop()), oczekujący test kończy się błędem
+function abortTuningAfterLinkLoss() {
+    const gate = linkLossGate;
+    linkLossGate = null;
+    handleCancel(false);
+    if (gate) gate.release(false);
+}
+
 function resumeTuning() {
     if (currentTuningSession && typeof currentTuningSession.resume === 'function') {
         currentTuningSession.resume();
@@ -1379,6 +1452,9 @@ window.updateCurrentTelemetryPlot = updateCurrentTelemetryPlot;
 window.sendBleCommand = sendBleCommand;
 window.activateMethodTab = activateMethodTab;
 window.handleCancel = handleCancel;
+window.suspendTuningOnLinkLoss = suspendTuningOnLinkLoss;
+window.resumeTuningAfterReconnect = resumeTuningAfterReconnect;
+window.abortTuningAfterLinkLoss = abortTuningAfterLinkLoss;
 window.initAutotune = initAutotune;
 window.startTuning = startTuning;
 window.pauseTuning = pauseTuning;
@@ -1453,6 +1529,9 @@ export {
     handleCancel,
     resumeTuning,
     stopTuning,
+    suspendTuningOnLinkLoss,
+    resumeTuningAfterReconnect,
+    abortTuningAfterLinkLoss,
     // Init
     initAutoTuningUI,
     initAutotune
@@ -18,7 +18,8 @@ const tuningHistory = window.tuningHistory;
 /**
  * The main switch dispatcher for every incoming BLE JSON message.
  * Dispatches by data.type: telemetry, status_update,
- * sync_begin, set_param, set_tuning_config_param, ack, sync_complete, log,
+ * sync_begin, set_param, set_tuning_config_param, ack, sync_complete, imu_mapping,
+ * model_mapping, log,
  * tuner_live_status, tuner_live_chart_data, tuning_result, tuning_iteration_result,
  * min_pwm_autotune_result, test_result / metrics_result, tuner_session_end.
  */
@@ -121,6 +122,8 @@ function processCompleteMessage(data) {
             } else if (data.command === 'calibrate_mpu') {
                 const level = data.success ? 'success' : 'error';
                 addLogMessage(`[ROBOT] Kalibracja IMU: ${data.message || (data.success ? 'Zapisane do EEPROM' : 'Blad')}`, level);
+            } else if (data.id !== undefined && data.success) {
+                // Potwierdzenie komendy z sendCommand - status widoczny w panelu "Komendy"
             } else {
                 // Ogólna obsługa dla innych poleceń
                 const level = data.success ? 'info' : 'warn';
@@ -130,6 +133,13 @@ function processCompleteMessage(data) {
             break;
         case 'full_config':
             break;
+        case 'imu_mapping':
+            // Odpowiedź na get_imu_mapping - kontrolki modalu mapowania czujnika
+            if (typeof window.updateIMUMappingUIFromData === 'function') window.updateIMUMappingUIFromData(data);
+            break;
+        case 'model_mapping':
+            if (typeof window.setModelMapping === 'function') window.setModelMapping(data);
+            break;
         case 'sync_complete':
             // Zastosuj wszystkie zebrane parametry i stany
             AppState.isApplyingConfig = true;
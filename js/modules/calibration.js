@@ -25,7 +25,6 @@ export function refreshCalibrationFromTelemetry() {
 }
 
 export function setupCalibrationModal() {
-    const sendBleMessage = window.sendBleMessage;
     const addLogMessage = window.addLogMessage;
 
     const upd = document.getElementById('calib-update-btn');
@@ -42,7 +41,7 @@ export function setupCalibrationModal() {
         if (!AppState.isConnected) { addLogMessage('[UI] Musisz się połączyć z robotem, aby zapisać kalibrację.', 'warn'); return; }
         if (!confirm('Czy na pewno chcesz zapisać bieżącą kalibrację IMU do EEPROM robota?')) return;
         addLogMessage('[UI] Wysłano żądanie zapisania kalibracji IMU do EEPROM...', 'info');
-        sendBleMessage({ type: 'calibrate_mpu' });
+        window.sendCommand({ type: 'calibrate_mpu' }, { timeout: 5000 }).catch(() => { /* zalogowane w sendCommand */ });
     });
 }
 
@@ -0,0 +1,135 @@
+// ========================================================================
+// CAPABILITIES - Handshake hello/capabilities i wersjonowanie protokołu
+// ========================================================================
+// Po połączeniu UI wysyła {type:'hello', protocol, client}. Firmware
+// odpowiada:
+//   {type:'capabilities', protocol: 2, firmware: '1.4.0',
+//    messages: ['set_param', ...], params: ['kp_b', ...], features: [...],
+//    project, firmware_sha256, ota_max_size}   (trzy ostatnie - opcjonalne, dla OTA)
+// Firmware odsyłający ACK z `id` (sendCommand) zgłasza 'command_ack' w `features`,
+// a obsługujący prośby o brakujące części (chunk-assembler.mjs) - 'chunk_resend'.
+// Firmware sprzed handshake nie odpowiada - po HELLO_TIMEOUT_MS UI
+// przyjmuje tryb zgodności (protokół 1, wszystkie panele dostępne).
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+// Wersja protokołu, którą mówi ten klient
+export const PROTOCOL_VERSION = 2;
+// Najstarszy protokół firmware, z którym UI potrafi pracować
+export const MIN_FIRMWARE_PROTOCOL = 1;
+// Protokół zakładany dla firmware bez obsługi `hello`
+export const LEGACY_PROTOCOL_VERSION = 1;
+export const HELLO_TIMEOUT_MS = 2000;
+// Flaga w `features`: firmware odsyła ACK z `id` dla każdej komendy
+export const COMMAND_ACK_FEATURE = 'command_ack';
+// Flaga w `features`: firmware odsyła części wiadomości wskazane w chunk_resend
+export const CHUNK_RESEND_FEATURE = 'chunk_resend';
+
+/**
+ * Funkcje UI zależne od firmware. Funkcja jest dostępna, gdy firmware
+ * zgłasza ją w `features` albo obsługuje wszystkie wymagane komendy i parametry.
+ */
+export const CAPABILITY_FEATURES = {
+    fuzzy: {
+        label: 'Fuzzy Logic Controller',
+        messages: ['set_control_mode', 'set_fuzzy_rule', 'set_fuzzy_set', 'set_fuzzy_gain', 'set_fuzzy_integral']
+    },
+    model_mapping: {
+        label: 'Mapowanie modelu 3D',
+        messages: ['get_model_mapping', 'set_model_mapping']
+    },
+    prediction: {
+        label: 'Predykcja kata',
+        params: ['prediction_mode', 'prediction_time_ms']
+    },
+    ota: {
+        label: 'Aktualizacja firmware (OTA)',
+        messages: ['ota_begin', 'ota_block', 'ota_end']
+    }
+};
+
+export function buildHelloMessage(client = 'robobala-web') {
+    return { type: 'hello', protocol: PROTOCOL_VERSION, client };
+}
+
+const toSet = (list) => (Array.isArray(list) ? new Set(list.map(String)) : null);
+
+/**
+ * Normalizuje wiadomość `capabilities`. Brak listy = nieznane (nie ograniczamy UI).
+ * @returns {{protocol: number, firmware: string|null, legacy: boolean,
+ *   messages: Set<string>|null, params: Set<string>|null, features: Set<string>|null,
+ *   project: string|null, firmwareSha256: string|null, otaMaxSize: number|null}}
+ */
+export function parseCapabilities(msg) {
+    const protocol = (msg && msg.protocol !== undefined) ? Number(msg.protocol) : NaN;
+    return {
+        protocol: Number.isFinite(protocol) ? Math.floor(protocol) : LEGACY_PROTOCOL_VERSION,
+        firmware: (msg && (msg.firmware || msg.version)) ? String(msg.firmware || msg.version) : null,
+        legacy: false,
+        messages: toSet(msg && msg.messages),
+        params: toSet(msg && msg.params),
+        features: toSet(msg && msg.features),
+        project: (msg && msg.project) ? String(msg.project) : null,
+        firmwareSha256: (msg && msg.firmware_sha256) ? String(msg.firmware_sha256) : null,
+        otaMaxSize: (msg && Number(msg.ota_max_size) > 0) ? Number(msg.ota_max_size) : null
+    };
+}
+
+/** Możliwości firmware, które nie odpowiedziało na `hello`. */
+export function legacyCapabilities() {
+    return {
+        protocol: LEGACY_PROTOCOL_VERSION, firmware: null, legacy: true, messages: null, params: null, features: null,
+        project: null, firmwareSha256: null, otaMaxSize: null
+    };
+}
+
+export function isMessageSupported(caps, type) {
+    return !caps || !caps.messages || caps.messages.has(type);
+}
+
+export function isParamSupported(caps, key) {
+    return !caps || !caps.params || caps.params.has(key);
+}
+
+export function isFeatureSupported(caps, feature) {
+    const spec = CAPABILITY_FEATURES[feature];
+    if (!caps || !spec) return true;
+    if (caps.features && caps.features.has(feature)) return true;
+    return (spec.messages || []).every(type => isMessageSupported(caps, type))
+        && (spec.params || []).every(key => isParamSupported(caps, key));
+}
+
+/**
+ * Czy robot potwierdza komendy (ACK z `id`). Tylko jawna deklaracja w handshake -
+ * firmware bez niej (albo przed odpowiedzią na hello) nie odsyła ACK i sendCommand
+ * kończyłby się timeoutem.
+ */
+export function supportsCommandAck(caps) {
+    return !!(caps && !caps.legacy && caps.features && caps.features.has(COMMAND_ACK_FEATURE));
+}
+
+/**
+ * Czy wysyłać chunk_resend. Firmware bez deklaracji (w `features` albo
+ * na liście `messages`) prośby ignoruje - zostaje samo czekanie na części.
+ */
+export function supportsChunkResend(caps) {
+    if (!caps || caps.legacy) return false;
+    return !!((caps.features && caps.features.has(CHUNK_RESEND_FEATURE)) || (caps.messages && caps.messages.has('chunk_resend')));
+}
+
+/**
+ * Ocena zgodności wersji protokołu.
+ * @returns {{level: 'ok'|'legacy'|'newer'|'incompatible', message: string}}
+ */
+export function checkProtocolCompatibility(caps) {
+    if (!caps || caps.legacy) {
+        return { level: 'legacy', message: 'Firmware nie obsluguje handshake (hello) - tryb zgodnosci, funkcje wykrywane z danych.' };
+    }
+    if (caps.protocol < MIN_FIRMWARE_PROTOCOL) {
+        return { level: 'incompatible', message: `Niezgodny firmware: protokol ${caps.protocol}, wymagany co najmniej ${MIN_FIRMWARE_PROTOCOL}. Zaktualizuj firmware robota.` };
+    }
+    if (caps.protocol > PROTOCOL_VERSION) {
+        return { level: 'newer', message: `Firmware uzywa nowszego protokolu (${caps.protocol}) niz UI (${PROTOCOL_VERSION}). Czesc funkcji moze nie dzialac - zaktualizuj aplikacje.` };
+    }
+    return { level: 'ok', message: `Protokol ${caps.protocol} zgodny.` };
+}
@@ -0,0 +1,79 @@
+// ========================================================================
+// CAPABILITY UI - Panele zależne od możliwości firmware (ES6 Module)
+// ========================================================================
+// Reaguje na `connection.capabilities` (ustawiane po handshake hello
+// w communication.js):
+//   - elementy z data-requires="<funkcja>" są ukrywane, gdy firmware
+//     danej funkcji nie obsługuje (CAPABILITY_FEATURES w capabilities.mjs),
+//   - pola parametrów, których klucza firmware nie zgłosił, są wyłączane,
+//   - wiersz "Firmware:" pokazuje wersję i zgodność protokołu.
+// Bez połączenia (capabilities = null) wszystko jest widoczne.
+// ========================================================================
+
+import { appStore, parameterMapping } from './state.js';
+import { isFeatureSupported, isParamSupported, checkProtocolCompatibility } from './capabilities.mjs';
+
+const COMPAT_COLORS = { ok: '#a2f279', legacy: '#f7b731', newer: '#f7b731', incompatible: '#ff6347' };
+
+export function getCapabilities() {
+    return appStore.getState('connection.capabilities') || null;
+}
+
+/**
+ * Czy podłączony firmware obsługuje funkcję (np. 'fuzzy', 'model_mapping').
+ * Bez handshake zwraca true - nie blokujemy starszych robotów.
+ */
+export function isFirmwareFeatureSupported(feature) {
+    return isFeatureSupported(getCapabilities(), feature);
+}
+
+export function applyCapabilities(caps) {
+    document.querySelectorAll('[data-requires]').forEach(el => {
+        const supported = isFeatureSupported(caps, el.dataset.requires);
+        el.classList.toggle('capability-hidden', !supported);
+    });
+
+    for (const [inputId, key] of Object.entries(parameterMapping)) {
+        const el = document.getElementById(inputId);
+        if (!el) continue;
+        const supported = isParamSupported(caps, key);
+        // Zdejmujemy tylko blokadę nałożoną tutaj (inne moduły też wyłączają pola)
+        if (!supported) {
+            el.disabled = true;
+            el.dataset.capabilityDisabled = '1';
+            el.title = `Parametr ${key} nieobslugiwany przez firmware`;
+        } else if (el.dataset.capabilityDisabled) {
+            el.disabled = false;
+            delete el.dataset.capabilityDisabled;
+            el.removeAttribute('title');
+        }
+        el.closest('.setting-container')?.classList.toggle('capability-unsupported', !supported);
+    }
+
+    renderFirmwareInfo(caps);
+}
+
+function renderFirmwareInfo(caps) {
+    const infoEl = document.getElementById('firmwareInfo');
+    if (!infoEl) return;
+    if (!caps) {
+        infoEl.textContent = '---';
+        infoEl.style.color = '';
+        infoEl.title = '';
+        return;
+    }
+    const compat = checkProtocolCompatibility(caps);
+    infoEl.textContent = caps.legacy
+        ? 'starszy (bez hello)'
+        : `${caps.firmware || '?'} (protokol ${caps.protocol})${compat.level === 'incompatible' ? ' - NIEZGODNY' : ''}`;
+    infoEl.style.color = COMPAT_COLORS[compat.level];
+    infoEl.title = compat.message;
+}
+
+export function initCapabilityUI() {
+    appStore.subscribe('connection.capabilities', (caps) => applyCapabilities(caps || null));
+    applyCapabilities(getCapabilities());
+}
+
+// Backward compatibility - expose on window
+window.isFirmwareFeatureSupported = isFirmwareFeatureSupported;
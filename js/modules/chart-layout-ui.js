@@ -0,0 +1,135 @@
+// ========================================================================
+// CHART LAYOUT UI - Edytor paneli analizatora sygnałów (ES6 Module)
+// ========================================================================
+// Panel pod listą kanałów: panele wykresu (tytuł, wysokość, autoskala
+// albo stały zakres, skala log) i przypisanie kanałów do paneli.
+// Każda zmiana od razu przebudowuje wykres (setSignalChartLayout
+// w signal-analyzer.js), który zapamiętuje układ w localStorage.
+// ========================================================================
+
+import {
+    defaultChartLayout, paneIndexOf, assignChannelToPane, addChartPane, removeChartPane,
+    updateChartPane, paneFixedRange, CHART_PANE_LIMIT, CHART_PANE_WEIGHTS
+} from './chart-layout.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+function currentLayout() {
+    return typeof window.getSignalChartLayout === 'function' ? window.getSignalChartLayout() : defaultChartLayout();
+}
+
+function applyLayout(layout) {
+    if (typeof window.setSignalChartLayout === 'function') window.setSignalChartLayout(layout);
+    render();
+}
+
+function input(type, value, style, onChange) {
+    const element = document.createElement('input');
+    element.type = type;
+    if (type === 'checkbox') element.checked = value; else element.value = value ?? '';
+    element.style.cssText = style;
+    element.addEventListener('change', () => onChange(element));
+    return element;
+}
+
+function renderPanes(layout) {
+    const body = document.getElementById('chartLayoutPanesBody');
+    if (!body) return;
+    body.innerHTML = '';
+    layout.panes.forEach((pane, index) => {
+        const row = body.insertRow();
+        const update = (fields) => applyLayout(updateChartPane(currentLayout(), index, fields));
+        row.insertCell().textContent = `${index + 1}.`;
+        row.insertCell().appendChild(input('text', pane.title, 'width: 130px;', el => update({ title: el.value })));
+
+        const weight = document.createElement('select');
+        for (const value of CHART_PANE_WEIGHTS) {
+            const option = document.createElement('option');
+            option.value = String(value);
+            option.textContent = `${value}x`;
+            weight.appendChild(option);
+        }
+        weight.value = String(pane.weight);
+        weight.title = 'Wzgledna wysokosc panelu';
+        weight.addEventListener('change', () => update({ weight: Number(weight.value) }));
+        row.insertCell().appendChild(weight);
+
+        const rangeCell = row.insertCell();
+        rangeCell.style.whiteSpace = 'nowrap';
+        const fixed = document.createElement('select');
+        fixed.innerHTML = '<option value="auto">Autoskala</option><option value="fixed">Staly zakres</option>';
+        fixed.value = pane.fixed ? 'fixed' : 'auto';
+        fixed.addEventListener('change', () => update({ fixed: fixed.value === 'fixed' }));
+        rangeCell.appendChild(fixed);
+        if (pane.fixed) {
+            const limit = (el) => (el.value.trim() === '' ? null : Number(el.value));
+            rangeCell.append(
+                ' ', input('number', pane.min, 'width: 70px;', el => update({ min: limit(el) })),
+                ' .. ', input('number', pane.max, 'width: 70px;', el => update({ max: limit(el) }))
+            );
+            if (!paneFixedRange(pane)) {
+                const warning = document.createElement('span');
+                warning.textContent = ' ⚠️';
+                warning.title = pane.log ? 'Zakres log wymaga 0 < min < max - panel na autoskali' : 'Zakres wymaga min < max - panel na autoskali';
+                rangeCell.appendChild(warning);
+            }
+        }
+
+        const logLabel = document.createElement('label');
+        logLabel.append(input('checkbox', pane.log, '', el => update({ log: el.checked })), ' log');
+        logLabel.title = 'Skala logarytmiczna (wartosci <= 0 pomijane)';
+        row.insertCell().appendChild(logLabel);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-small';
+        remove.textContent = '🗑️';
+        remove.title = 'Usun panel (kanaly wracaja do panelu 1)';
+        remove.disabled = layout.panes.length <= 1;
+        remove.addEventListener('click', () => applyLayout(removeChartPane(currentLayout(), index)));
+        row.insertCell().appendChild(remove);
+    });
+    const addButton = document.getElementById('chartLayoutAddPaneBtn');
+    if (addButton) addButton.disabled = layout.panes.length >= CHART_PANE_LIMIT;
+}
+
+function renderChannels(layout) {
+    const container = document.getElementById('chartLayoutChannels');
+    if (!container) return;
+    container.innerHTML = '';
+    for (const [name, def] of Object.entries(availableTelemetry)) {
+        const label = document.createElement('label');
+        label.style.cssText = 'white-space: nowrap;';
+        label.style.color = def.color || '#fff';
+        const select = document.createElement('select');
+        layout.panes.forEach((pane, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${index + 1}. ${pane.title}`;
+            select.appendChild(option);
+        });
+        select.value = String(paneIndexOf(layout, name));
+        select.addEventListener('change', () => applyLayout(assignChannelToPane(currentLayout(), name, Number(select.value))));
+        label.append(`${def.label} `, select);
+        container.appendChild(label);
+    }
+}
+
+function render() {
+    const layout = currentLayout();
+    renderPanes(layout);
+    renderChannels(layout);
+}
+
+export function initChartLayoutUI() {
+    const panel = document.getElementById('chartLayoutPanel');
+    if (!panel) return;
+    // Lista kanałów może się zmienić (kanały pochodne, import MCAP) - odświeżamy przy otwarciu
+    panel.addEventListener('toggle', () => { if (panel.open) render(); });
+    document.getElementById('chartLayoutAddPaneBtn')?.addEventListener('click', () => applyLayout(addChartPane(currentLayout())));
+    document.getElementById('chartLayoutResetBtn')?.addEventListener('click', () => {
+        applyLayout(defaultChartLayout());
+        addLogMessage('[UI] Przywrocono domyslny uklad paneli wykresu.', 'info');
+    });
+}
+
+window.initChartLayoutUI = initChartLayoutUI;
@@ -0,0 +1,105 @@
+// ========================================================================
+// CHART LAYOUT - Układ paneli analizatora sygnałów (ES6 Module)
+// ========================================================================
+// Wykres analizatora to kilka paneli ułożonych jeden pod drugim ze
+// wspólną osią czasu. Panel: tytuł, względna wysokość (weight), skala
+// automatyczna albo stała (min/max), opcjonalnie logarytmiczna, oraz
+// przypisane kanały. Kanał bez przypisania trafia do pierwszego panelu,
+// kanał przypisany do kilku paneli - do pierwszego z nich.
+// Moduł bez DOM (testy w Node); zapis w localStorage robi signal-analyzer.js.
+// ========================================================================
+
+export const CHART_PANE_LIMIT = 4;
+export const CHART_PANE_WEIGHTS = [1, 2, 3];
+
+/** Układ domyślny - odpowiednik dawnych osi: kąty po lewej, prędkość i wyjście po prawej. */
+export function defaultChartLayout() {
+    return {
+        panes: [
+            { title: 'Katy', weight: 1, fixed: false, min: null, max: null, log: false, channels: ['pitch', 'roll'] },
+            { title: 'Predkosc / wyjscie', weight: 1, fixed: false, min: null, max: null, log: false, channels: ['speed', 'target_speed', 'output'] }
+        ]
+    };
+}
+
+function normalizePane(pane, index, taken) {
+    const limit = (value) => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+    const channels = [];
+    for (const channel of Array.isArray(pane.channels) ? pane.channels : []) {
+        const name = String(channel).trim();
+        if (!name || taken.has(name)) continue;
+        taken.add(name);
+        channels.push(name);
+    }
+    return {
+        title: String(pane.title ?? '').trim().slice(0, 40) || `Panel ${index + 1}`,
+        weight: CHART_PANE_WEIGHTS.includes(Number(pane.weight)) ? Number(pane.weight) : 1,
+        fixed: !!pane.fixed,
+        min: limit(pane.min),
+        max: limit(pane.max),
+        log: !!pane.log,
+        channels
+    };
+}
+
+/**
+ * Porządkuje układ (np. z localStorage); niepoprawny -> domyślny.
+ * @returns {{panes: {title: string, weight: number, fixed: boolean, min: number|null, max: number|null, log: boolean, channels: string[]}[]}}
+ */
+export function normalizeChartLayout(layout) {
+    const panes = layout && Array.isArray(layout.panes) ? layout.panes.filter(p => p && typeof p === 'object') : [];
+    if (panes.length === 0) return defaultChartLayout();
+    const taken = new Set();
+    return { panes: panes.slice(0, CHART_PANE_LIMIT).map((pane, i) => normalizePane(pane, i, taken)) };
+}
+
+/** Indeks panelu kanału (nieprzypisany -> 0). */
+export function paneIndexOf(layout, channel) {
+    const index = layout.panes.findIndex(pane => pane.channels.includes(channel));
+    return index < 0 ? 0 : index;
+}
+
+/** Nowy układ z kanałem przeniesionym do panelu `index`. */
+export function assignChannelToPane(layout, channel, index) {
+    const target = Math.max(0, Math.min(layout.panes.length - 1, index));
+    return normalizeChartLayout({
+        panes: layout.panes.map((pane, i) => ({
+            ...pane,
+            channels: i === target ? [...pane.channels.filter(c => c !== channel), channel] : pane.channels.filter(c => c !== channel)
+        }))
+    });
+}
+
+/** Nowy układ z pustym panelem na dole (do limitu). */
+export function addChartPane(layout) {
+    if (layout.panes.length >= CHART_PANE_LIMIT) return layout;
+    return normalizeChartLayout({ panes: [...layout.panes, { title: `Panel ${layout.panes.length + 1}`, channels: [] }] });
+}
+
+/** Nowy układ bez panelu `index`; jego kanały wracają do pierwszego panelu. */
+export function removeChartPane(layout, index) {
+    if (layout.panes.length <= 1 || index < 0 || index >= layout.panes.length) return layout;
+    return normalizeChartLayout({ panes: layout.panes.filter((pane, i) => i !== index) });
+}
+
+/** Nowy układ ze zmienionymi polami panelu (title, weight, fixed, min, max, log). */
+export function updateChartPane(layout, index, fields) {
+    return normalizeChartLayout({ panes: layout.panes.map((pane, i) => (i === index ? { ...pane, ...fields } : pane)) });
+}
+
+/**
+ * Stały zakres osi panelu albo null (autoskala). Zakres musi być poprawny:
+ * min < max, a na skali log min > 0 - inaczej panel zostaje na autoskali.
+ * @returns {{min: number, max: number}|null}
+ */
+export function paneFixedRange(pane) {
+    if (!pane.fixed || pane.min === null || pane.max === null || pane.min >= pane.max) return null;
+    if (pane.log && pane.min <= 0) return null;
+    return { min: pane.min, max: pane.max };
+}
+
+/** Wartość do narysowania w panelu: na skali log wartości <= 0 pomijane (null). */
+export function paneValue(pane, value) {
+    if (value === null || Number.isNaN(value)) return null;
+    return pane.log && value <= 0 ? null : value;
+}
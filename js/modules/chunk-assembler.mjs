@@ -0,0 +1,179 @@
+// ========================================================================
+// CHUNK ASSEMBLER - Składanie wiadomości dzielonych na części (ES6 Module)
+// ========================================================================
+// Duże wiadomości (full_config, wyniki strojenia) firmware wysyła jako
+//   {type:'chunk'|'chunk_stream', id, i, total, data, crc}
+// gdzie `crc` to CRC-16/CCITT-FALSE bajtów UTF-8 pola `data` (opcjonalne -
+// starszy firmware go nie wysyła i części są przyjmowane bez sprawdzania).
+// Gdy części przestają przychodzić, a kompletu brak, klient prosi
+// o konkretne brakujące lub uszkodzone indeksy:
+//   {type:'chunk_resend', id, indices: [2, 5]}
+// Po `maxResends` nieudanych prośbach wiadomość jest porzucana i liczona
+// jako nieudana (metryki + onFailure).
+// Prośby wysyłamy tylko do firmware, które zgłosiło 'chunk_resend'
+// w handshake (resendEnabled). Starsze firmware na nie nie odpowiada -
+// czekamy wtedy raz, co najmniej tyle co dawny limit (stallTimeoutMs).
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const CHUNK_RESEND_AFTER_MS = 1000;
+export const CHUNK_MAX_RESENDS = 2;
+// Cisza przed porzuceniem wiadomości bez chunk_resend (dawny limit składania)
+export const CHUNK_STALL_TIMEOUT_MS = 5000;
+const FAILURE_HISTORY_LIMIT = 20;
+
+const utf8 = new TextEncoder();
+
+/** CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) bajtów UTF-8 tekstu. */
+export function chunkChecksum(text) {
+    let crc = 0xFFFF;
+    for (const byte of utf8.encode(text)) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+export class ChunkAssembler {
+    /**
+     * @param {Object} options
+     * @param {(text: string, id: *) => void} options.onMessage - złożona treść (JSON jako tekst)
+     * @param {(id: *, indices: number[]) => void} [options.requestResend] - wysłanie chunk_resend
+     * @param {(failure: Object) => void} [options.onFailure] - wiadomość porzucona
+     * @param {number} [options.resendAfterMs] - cisza, po której prosimy o brakujące części
+     * @param {number} [options.maxResends]
+     * @param {boolean} [options.resendEnabled] - false: bez chunk_resend, jedno czekanie stallTimeoutMs
+     * @param {number} [options.stallTimeoutMs] - cisza, po której wiadomość bez chunk_resend jest porzucana
+     * @param {Object} [options.timers] - wstrzykiwane setTimeout/clearTimeout (testy)
+     */
+    constructor({
+        onMessage,
+        requestResend = () => {},
+        onFailure = () => {},
+        resendAfterMs = CHUNK_RESEND_AFTER_MS,
+        maxResends = CHUNK_MAX_RESENDS,
+        resendEnabled = true,
+        stallTimeoutMs = CHUNK_STALL_TIMEOUT_MS,
+        timers = null
+    } = {}) {
+        this.onMessage = onMessage;
+        this.requestResend = requestResend;
+        this.onFailure = onFailure;
+        this.resendAfterMs = resendAfterMs;
+        this.maxResends = maxResends;
+        this.resendEnabled = resendEnabled;
+        this.stallTimeoutMs = stallTimeoutMs;
+        this.timers = timers || { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) };
+        this.entries = new Map();
+        this.resetMetrics();
+    }
+
+    resetMetrics() {
+        this.metrics = { assembled: 0, recovered: 0, failed: 0, corrupt: 0, resendRequests: 0 };
+        this.failures = [];
+    }
+
+    getMetrics() {
+        return { ...this.metrics, pending: this.entries.size };
+    }
+
+    /** Przyjmuje jedną część; przy komplecie wywołuje onMessage. */
+    add({ id, i, total, data, crc }) {
+        let entry = this.entries.get(id);
+        if (!entry) {
+            entry = { total: 0, parts: new Map(), maxIndex: -1, resends: 0, corrupt: new Set(), timer: null };
+            this.entries.set(id, entry);
+        }
+        if (total) entry.total = total;
+        const index = Number(i);
+        entry.maxIndex = Math.max(entry.maxIndex, index);
+
+        const text = data || '';
+        if (crc !== undefined && crc !== null && Number(crc) !== chunkChecksum(text)) {
+            // Uszkodzona część = brakująca; prosimy o nią przy najbliższej okazji
+            this.metrics.corrupt++;
+            entry.corrupt.add(index);
+            entry.parts.delete(index);
+        } else {
+            entry.corrupt.delete(index);
+            entry.parts.set(index, text);
+        }
+
+        if (entry.total > 0 && entry.parts.size === entry.total) {
+            this.complete(id, entry);
+            return;
+        }
+        this.armTimer(id, entry);
+    }
+
+    /**
+     * Indeksy brakujące w wiadomości. Bez znanego `total` - tylko luki
+     * poniżej najwyższego odebranego indeksu.
+     */
+    getMissing(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return [];
+        const upper = entry.total > 0 ? entry.total - 1 : entry.maxIndex;
+        const missing = [];
+        for (let idx = 0; idx <= upper; idx++) if (!entry.parts.has(idx)) missing.push(idx);
+        return missing;
+    }
+
+    /** Włącza prośby chunk_resend (firmware zgłosiło je w capabilities). */
+    setResendEnabled(enabled) {
+        this.resendEnabled = !!enabled;
+    }
+
+    armTimer(id, entry) {
+        this.timers.clearTimeout(entry.timer);
+        const delay = this.resendEnabled ? this.resendAfterMs : Math.max(this.stallTimeoutMs, this.resendAfterMs);
+        entry.timer = this.timers.setTimeout(() => this.handleStall(id), delay);
+    }
+
+    handleStall(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+        entry.timer = null;
+        const missing = this.getMissing(id);
+        if (!this.resendEnabled || entry.resends >= this.maxResends) {
+            this.fail(id, entry, missing);
+            return;
+        }
+        entry.resends++;
+        this.metrics.resendRequests++;
+        // Bez znanego `total` nie wiemy, ile części jest za ostatnią odebraną - prosimy o następną
+        this.requestResend(id, missing.length > 0 ? missing : [entry.maxIndex + 1]);
+        this.armTimer(id, entry);
+    }
+
+    complete(id, entry) {
+        this.timers.clearTimeout(entry.timer);
+        this.entries.delete(id);
+        let combined = '';
+        for (let idx = 0; idx < entry.total; idx++) combined += entry.parts.get(idx);
+        this.metrics.assembled++;
+        if (entry.resends > 0) this.metrics.recovered++;
+        this.onMessage(combined, id);
+    }
+
+    fail(id, entry, missing) {
+        this.timers.clearTimeout(entry.timer);
+        this.entries.delete(id);
+        this.metrics.failed++;
+        const failure = {
+            id, total: entry.total || null, received: entry.parts.size,
+            missing, corrupt: [...entry.corrupt], resends: entry.resends
+        };
+        this.failures.unshift(failure);
+        if (this.failures.length > FAILURE_HISTORY_LIMIT) this.failures.length = FAILURE_HISTORY_LIMIT;
+        this.onFailure(failure);
+    }
+
+    /** Porzuca niezłożone wiadomości bez liczenia ich jako nieudane (np. rozłączenie). */
+    clear() {
+        for (const entry of this.entries.values()) this.timers.clearTimeout(entry.timer);
+        this.entries.clear();
+    }
+}
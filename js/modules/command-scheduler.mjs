@@ -0,0 +1,135 @@
+// ========================================================================
+// COMMAND SCHEDULER - Kolejka wiadomości wychodzących (ES6 Module)
+// ========================================================================
+// Zastępuje prostą kolejkę FIFO transportu:
+//   - klasy priorytetu: zatrzymanie awaryjne → ruch → konfiguracja
+//     (wszystko, czego nie wymieniono, jest konfiguracją i zachowuje
+//     kolejność FIFO, np. set_param przed save_tunings),
+//   - scalanie: w kolejce zostaje tylko najnowszy set_param danego klucza
+//     (na końcu kolejki - nie wyprzedza save_tunings zleconego w międzyczasie)
+//     i najnowszy pakiet joysticka / heartbeat (na miejscu poprzedniego),
+//   - zatrzymanie usuwa z kolejki oczekujące komendy ruchu (joystick,
+//     jazda, obrót, silniki); balance_toggle i heartbeat zostają,
+//   - statystyki przeciążenia (głębokość, scalone, czas oczekiwania).
+// Komendy śledzone przez sendCommand (z polem `id`) nie są scalane -
+// każda czeka na własny ACK.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const PRIORITY = { EMERGENCY: 0, MOTION: 1, CONFIG: 2 };
+export const PRIORITY_NAMES = ['emergency', 'motion', 'config'];
+
+const EMERGENCY_TYPES = new Set(['command_stop', 'cancel_test', 'manual_tune_stop_all']);
+const MOTION_TYPES = new Set(['joystick', 'heartbeat', 'execute_move', 'execute_rotate', 'manual_tune_motor', 'balance_toggle']);
+// Ruch porzucany przez zatrzymanie - wyłączenie balansu musi dotrzeć mimo stopu
+const PURGED_ON_STOP_TYPES = new Set(['joystick', 'execute_move', 'execute_rotate', 'manual_tune_motor']);
+// Scalane na miejscu poprzedniej wiadomości; pozostałe klucze trafiają na koniec kolejki
+const IN_PLACE_KEYS = new Set(['joystick', 'heartbeat']);
+
+export function classifyMessage(message) {
+    if (EMERGENCY_TYPES.has(message.type)) return PRIORITY.EMERGENCY;
+    if (MOTION_TYPES.has(message.type)) return PRIORITY.MOTION;
+    return PRIORITY.CONFIG;
+}
+
+/**
+ * Klucz scalania - wiadomości z tym samym kluczem zastępują się w kolejce.
+ * @returns {string|null} null = nie scalać
+ */
+export function coalesceKey(message) {
+    if (message.id !== undefined) return null;
+    if (message.type === 'joystick' || message.type === 'heartbeat') return message.type;
+    if (message.type === 'set_param' && message.key !== undefined) return `set_param:${message.key}`;
+    return null;
+}
+
+export class OutgoingScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {() => number} [options.now] - zegar w ms (testy)
+     */
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.queues = PRIORITY_NAMES.map(() => []);
+        this.byKey = new Map();
+        this.stats = { enqueued: 0, sent: 0, coalesced: 0, superseded: 0, maxDepth: 0, lastWaitMs: 0, maxWaitMs: 0 };
+    }
+
+    get size() {
+        return this.queues.reduce((sum, queue) => sum + queue.length, 0);
+    }
+
+    /**
+     * Dodaje wiadomość do kolejki.
+     * @returns {'queued'|'coalesced'}
+     */
+    enqueue(message) {
+        this.stats.enqueued++;
+        const priority = classifyMessage(message);
+        const key = coalesceKey(message);
+        let coalesced = false;
+        if (key !== null && this.byKey.has(key)) {
+            const previous = this.byKey.get(key);
+            this.stats.coalesced++;
+            if (IN_PLACE_KEYS.has(key)) {
+                previous.message = message;
+                return 'coalesced';
+            }
+            // set_param: stara wartość znika, nowa idzie za komendami zleconymi w międzyczasie
+            const queue = this.queues[priority];
+            queue.splice(queue.indexOf(previous), 1);
+            this.byKey.delete(key);
+            coalesced = true;
+        }
+        if (priority === PRIORITY.EMERGENCY) {
+            // Ruch zlecony przed zatrzymaniem nie może zostać wysłany po nim
+            const motion = this.queues[PRIORITY.MOTION];
+            const kept = [];
+            for (const item of motion) {
+                if (!PURGED_ON_STOP_TYPES.has(item.message.type)) {
+                    kept.push(item);
+                    continue;
+                }
+                if (item.key !== null) this.byKey.delete(item.key);
+                this.stats.superseded++;
+            }
+            this.queues[PRIORITY.MOTION] = kept;
+        }
+        const item = { message, key, enqueuedAt: this.now() };
+        this.queues[priority].push(item);
+        if (key !== null) this.byKey.set(key, item);
+        this.stats.maxDepth = Math.max(this.stats.maxDepth, this.size);
+        return coalesced ? 'coalesced' : 'queued';
+    }
+
+    /** Następna wiadomość do wysłania (najwyższy priorytet, FIFO w klasie) lub null. */
+    dequeue() {
+        const queue = this.queues.find(q => q.length > 0);
+        if (!queue) return null;
+        const item = queue.shift();
+        if (item.key !== null && this.byKey.get(item.key) === item) this.byKey.delete(item.key);
+        const waitMs = this.now() - item.enqueuedAt;
+        this.stats.sent++;
+        this.stats.lastWaitMs = waitMs;
+        this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+        return item.message;
+    }
+
+    /** Porzuca oczekujące wiadomości (np. po rozłączeniu); statystyki zostają. */
+    clear() {
+        this.queues = PRIORITY_NAMES.map(() => []);
+        this.byKey.clear();
+    }
+
+    getStats() {
+        const depth = {};
+        PRIORITY_NAMES.forEach((name, i) => { depth[name] = this.queues[i].length; });
+        const oldest = this.queues.flat().reduce((min, item) => Math.min(min, item.enqueuedAt), Infinity);
+        return {
+            ...this.stats,
+            depth,
+            size: this.size,
+            oldestWaitMs: oldest === Infinity ? 0 : this.now() - oldest
+        };
+    }
+}
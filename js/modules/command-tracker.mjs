@@ -0,0 +1,158 @@
+// ========================================================================
+// COMMAND TRACKER - Korelacja komend z potwierdzeniami ACK (ES6 Module)
+// ========================================================================
+// Każda komenda wysłana przez sendCommand() dostaje pole `id`. Robot
+// odsyła {type:'ack', command, success, message, id}; tracker dopasowuje
+// ACK do komendy i rozwiązuje/odrzuca Promise. Brak ACK w `timeout` →
+// ponowienie (ten sam id), po wyczerpaniu `retries` → odrzucenie.
+//
+// Starszy firmware nie odsyła `id` - wtedy ACK dopasowywany jest do
+// najstarszej oczekującej komendy tego samego typu.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const DEFAULT_COMMAND_TIMEOUT_MS = 3000;
+export const DEFAULT_COMMAND_RETRIES = 1;
+const HISTORY_LIMIT = 20;
+
+/**
+ * Błąd komendy: code = 'timeout' | 'nack' | 'disconnected' | 'cancelled'.
+ */
+export class CommandError extends Error {
+    constructor(code, command, message) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+        this.command = command;
+    }
+}
+
+export class CommandTracker {
+    /**
+     * @param {Object} options
+     * @param {(message: Object) => void} options.send - faktyczne wysłanie (sendBleMessage)
+     * @param {Object} [options.timers] - wstrzykiwane setTimeout/clearTimeout (testy)
+     * @param {(command: string, ms: number) => void} [options.onRoundTrip] - czas od wysłania do ACK
+     */
+    constructor({ send, timers = null, now = () => Date.now(), onRoundTrip = null } = {}) {
+        this.send = send;
+        this.onRoundTrip = onRoundTrip;
+        this.timers = timers || { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) };
+        this.now = now;
+        this.nextId = 1;
+        this.pending = new Map();
+        // Komendy zakończone błędem/bez potwierdzenia - dla panelu w UI
+        this.failures = [];
+        this.listeners = new Set();
+    }
+
+    /**
+     * Wysyła komendę i czeka na ACK.
+     * @returns {Promise<Object>} wiadomość ACK
+     */
+    sendCommand(message, { timeout = DEFAULT_COMMAND_TIMEOUT_MS, retries = DEFAULT_COMMAND_RETRIES } = {}) {
+        const id = this.nextId++;
+        const tagged = { ...message, id };
+        return new Promise((resolve, reject) => {
+            const entry = {
+                id, message: tagged, command: message.type,
+                attempts: 0, retries, timeout, timer: null,
+                sentAt: this.now(), resolve, reject
+            };
+            this.pending.set(id, entry);
+            this.transmit(entry);
+            this.emitChange();
+        });
+    }
+
+    transmit(entry) {
+        entry.attempts++;
+        entry.lastSentAt = this.now();
+        this.send(entry.message);
+        entry.timer = this.timers.setTimeout(() => this.handleTimeout(entry.id), entry.timeout);
+    }
+
+    handleTimeout(id) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+        if (entry.attempts <= entry.retries) {
+            this.transmit(entry);
+            this.emitChange();
+            return;
+        }
+        this.fail(entry, new CommandError('timeout', entry.command,
+            `Brak potwierdzenia ${entry.command} (proby: ${entry.attempts})`));
+    }
+
+    /**
+     * Obsługa przychodzącego ACK.
+     * @returns {boolean} true, gdy ACK dotyczył śledzonej komendy
+     */
+    handleAck(ack) {
+        if (!ack) return false;
+        let entry = null;
+        if (ack.id !== undefined && ack.id !== null) {
+            entry = this.pending.get(Number(ack.id)) || null;
+            // Ten sam numer mógł nadać inny nadawca (np. inna karta przez most)
+            if (entry && ack.command && entry.command !== ack.command) entry = null;
+        } else {
+            for (const candidate of this.pending.values()) {
+                if (candidate.command === ack.command) { entry = candidate; break; }
+            }
+        }
+        if (!entry) return false;
+
+        this.timers.clearTimeout(entry.timer);
+        this.pending.delete(entry.id);
+        // Liczone od ostatniej transmisji - przy ponowieniu ACK może dotyczyć wcześniejszej
+        if (this.onRoundTrip) this.onRoundTrip(entry.command, this.now() - entry.lastSentAt);
+        if (ack.success === false) {
+            this.recordFailure(entry, 'nack', ack.message || 'Odrzucone przez robota');
+            entry.reject(new CommandError('nack', entry.command, ack.message || `${entry.command} odrzucone przez robota`));
+        } else {
+            entry.resolve(ack);
+        }
+        this.emitChange();
+        return true;
+    }
+
+    /** Odrzuca wszystkie oczekujące komendy (np. po rozłączeniu). */
+    rejectAll(code = 'disconnected', reason = 'Polaczenie przerwane') {
+        for (const entry of [...this.pending.values()]) {
+            this.fail(entry, new CommandError(code, entry.command, `${entry.command}: ${reason}`));
+        }
+    }
+
+    fail(entry, error) {
+        this.timers.clearTimeout(entry.timer);
+        this.pending.delete(entry.id);
+        this.recordFailure(entry, error.code, error.message);
+        entry.reject(error);
+        this.emitChange();
+    }
+
+    recordFailure(entry, code, reason) {
+        this.failures.unshift({ id: entry.id, command: entry.command, code, reason, attempts: entry.attempts, time: this.now() });
+        if (this.failures.length > HISTORY_LIMIT) this.failures.length = HISTORY_LIMIT;
+    }
+
+    clearFailures() {
+        this.failures = [];
+        this.emitChange();
+    }
+
+    getPending() {
+        return [...this.pending.values()].map(({ id, command, attempts, sentAt }) => ({ id, command, attempts, sentAt }));
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emitChange() {
+        for (const listener of this.listeners) {
+            try { listener(this); } catch (e) { console.error('CommandTracker listener error:', e); }
+        }
+    }
+}
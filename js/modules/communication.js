@@ -6,12 +6,31 @@
 // ========================================================================
 
 import { appStore, AppState } from './state.js';
+import { RobotSimulator, SIM_LOOP_HZ } from './robot-simulator.mjs';
+import { otaSimulatorExtension } from './firmware-update.mjs';
+import { mappingSimulatorExtension } from './config-backup.mjs';
+import { sessionRecorder, SessionPlayer } from './session-recorder.mjs';
+import { CommandTracker, CommandError } from './command-tracker.mjs';
+import { ReconnectController, DEFAULT_RECONNECT_ATTEMPTS, diffParams } from './reconnect.mjs';
+import {
+    buildHelloMessage, parseCapabilities, legacyCapabilities, checkProtocolCompatibility,
+    isFeatureSupported, supportsCommandAck, supportsChunkResend, CAPABILITY_FEATURES, HELLO_TIMEOUT_MS
+} from './capabilities.mjs';
+import { isTelemetryFrame, decodeTelemetryFrame, encodeTelemetryFrame, TelemetrySequenceTracker } from './telemetry-codec.mjs';
+import { LinkQualityMonitor } from './link-quality.mjs';
+import { OutgoingScheduler } from './command-scheduler.mjs';
+import { RobotConnectionManager } from './robot-manager.mjs';
+import { ChunkAssembler } from './chunk-assembler.mjs';
+import { LinkWatchdog, normalizeWatchdogConfig } from './link-watchdog.mjs';
 
 // BLE Service UUIDs
 export const SERVICE_UUID = "4fafc201-1fb5-459e-8fcc-c5c9c331914b";
 export const RX_UUID = "beb5483e-36e1-4688-b7f5-ea07361b26a9";
 export const TX_UUID = "beb5483e-36e1-4688-b7f5-ea07361b26a8";
 
+// Lokalny most WebSocket (tools/robot-bridge.mjs)
+export const DEFAULT_WS_URL = 'ws://localhost:8765';
+
 /**
  * Abstract base class for communication
  */
@@ -19,12 +38,45 @@ export class CommunicationLayer {
     constructor() {
         this.messageHandlers = new Map();
         this.isConnected = false;
+        this.buffer = '';
+        // Składanie wiadomości chunk z CRC części i prośbą o brakujące indeksy
+        // (chunk_resend dopiero po zgłoszeniu go przez firmware w capabilities)
+        this.chunkAssembler = new ChunkAssembler({
+            onMessage: (text) => this.handleAssembledMessage(text),
+            requestResend: (id, indices) => this.requestChunkResend(id, indices),
+            onFailure: (failure) => this.handleChunkFailure(failure),
+            resendEnabled: false
+        });
+        // Numery ramek telemetrii (`seq`) - wykrywanie zgubionych ramek
+        this.telemetrySeq = new TelemetrySequenceTracker();
+        // true, gdy rozłączenie zlecił użytkownik (a nie utrata łącza)
+        this.disconnectRequested = false;
+        // Obserwatorzy wszystkich wiadomości (RobotConnectionManager) - w odróżnieniu
+        // od handlerów UI nie są przenoszeni przez setCommLayer()
+        this.observers = [];
+        // Nagrywanie sesji dotyczy tylko transportu obsługującego UI
+        this.recordsSession = true;
     }
 
     async connect() { throw new Error('connect() must be implemented by subclass'); }
     async disconnect() { throw new Error('disconnect() must be implemented by subclass'); }
     async send(message) { throw new Error('send() must be implemented by subclass'); }
 
+    /**
+     * Ponowne połączenie z ostatnio używanym urządzeniem, bez okna wyboru.
+     * @returns {Promise<boolean>} false, gdy transport tego nie obsługuje
+     */
+    async reconnect() { return false; }
+
+    /**
+     * Powiadamia o rozłączeniu; reason = 'user' (disconnect()) lub 'link_lost'.
+     */
+    notifyDisconnected() {
+        const reason = this.disconnectRequested ? 'user' : 'link_lost';
+        this.disconnectRequested = false;
+        this.notifyHandlers('disconnected', { reason });
+    }
+
     onMessage(type, handler) {
         if (!this.messageHandlers.has(type)) {
             this.messageHandlers.set(type, []);
@@ -32,6 +84,15 @@ export class CommunicationLayer {
         this.messageHandlers.get(type).push(handler);
     }
 
+    /**
+     * Rejestruje obserwatora (type, data) wywoływanego przed handlerami.
+     * @returns {() => void} funkcja wyrejestrowania
+     */
+    observe(observer) {
+        this.observers.push(observer);
+        return () => { this.observers = this.observers.filter(o => o !== observer); };
+    }
+
     offMessage(type, handler) {
         if (this.messageHandlers.has(type)) {
             const handlers = this.messageHandlers.get(type);
@@ -41,6 +102,15 @@ export class CommunicationLayer {
     }
 
     notifyHandlers(type, data) {
+        if (type !== 'disconnected' && this.recordsSession) sessionRecorder.record('in', data);
+        if (type === 'capabilities') this.chunkAssembler.setResendEnabled(supportsChunkResend(parseCapabilities(data)));
+        else if (type === 'disconnected') this.chunkAssembler.setResendEnabled(false);
+        if (type === 'telemetry' && typeof data.seq === 'number') this.telemetrySeq.push(data.seq);
+        for (const observer of this.observers) {
+            try { observer(type, data); } catch (error) {
+                console.error('Error in message observer:', error);
+            }
+        }
         if (this.messageHandlers.has(type)) {
             for (const handler of this.messageHandlers.get(type)) {
                 try { handler(data); } catch (error) {
@@ -58,6 +128,70 @@ export class CommunicationLayer {
     }
 
     getConnectionStatus() { return this.isConnected; }
+
+    /**
+     * Wspólne ramkowanie strumienia: JSON rozdzielany znakiem nowej linii
+     * oraz wiadomości dzielone na części `chunk`/`chunk_stream`.
+     * Używane przez transporty strumieniowe (BLE, Serial).
+     */
+    handleIncomingText(text) {
+        this.buffer += text;
+
+        let newlineIndex;
+        while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.substring(0, newlineIndex).trim();
+            this.buffer = this.buffer.substring(newlineIndex + 1);
+
+            if (line) {
+                try {
+                    const data = JSON.parse(line);
+                    if ((data.type === 'chunk' || data.type === 'chunk_stream') && data.id !== undefined) {
+                        this.handleChunk({ id: data.id, i: data.i, total: data.total, data: data.data, crc: data.crc });
+                    } else {
+                        this.notifyHandlers(data.type, data);
+                    }
+                } catch (error) {
+                    console.error('JSON parse error:', error, 'Data:', line);
+                }
+            }
+        }
+    }
+
+    /**
+     * Kompaktowa ramka binarna telemetrii (telemetry-codec.mjs) - trafia
+     * do handlerów jako zwykła wiadomość `telemetry`.
+     */
+    handleBinaryTelemetry(data) {
+        const frame = decodeTelemetryFrame(data);
+        if (frame) this.notifyHandlers('telemetry', frame);
+    }
+
+    handleChunk(chunk) {
+        this.chunkAssembler.add(chunk);
+    }
+
+    handleAssembledMessage(combined) {
+        try {
+            const fullMessage = JSON.parse(combined);
+            this.notifyHandlers(fullMessage.type, fullMessage);
+        } catch (error) {
+            console.error('Error assembling chunks:', error, 'Data:', combined);
+        }
+    }
+
+    requestChunkResend(id, indices) {
+        if (!this.isConnected) return;
+        Promise.resolve(this.send({ type: 'chunk_resend', id, indices }))
+            .catch(error => console.error('chunk_resend error:', error));
+    }
+
+    handleChunkFailure({ id, total, received, missing, corrupt, resends }) {
+        console.error(`Chunk assembly failed for ID: ${id}`);
+        if (typeof window !== 'undefined' && typeof window.addLogMessage === 'function') {
+            window.addLogMessage(`[UI] Blad: nie zlozono wiadomosci ${id} (czesci ${received}/${total || '?'}, ` +
+                `brak: ${missing.join(',') || '-'}, zle CRC: ${corrupt.join(',') || '-'}, prosby: ${resends}).`, 'error');
+        }
+    }
 }
 
 /**
@@ -72,11 +206,17 @@ export class BLECommunication extends CommunicationLayer {
         this.device = null;
         this.rxCharacteristic = null;
         this.txCharacteristic = null;
-        this.buffer = '';
-        this.messageQueue = [];
+        this.decoder = new TextDecoder('utf-8');
+        // Priorytety i scalanie wiadomości (command-scheduler.mjs)
+        this.scheduler = new OutgoingScheduler();
         this.isSending = false;
         this.sendInterval = 5;
-        this.chunks = new Map();
+        // Ostatnie urządzenie - do automatycznego ponownego łączenia
+        this.lastDevice = null;
+        this.lastDeviceId = loadLastBleDeviceId();
+        // Stałe referencje, aby ponowne połączenie nie dublowało listenerów
+        this.onGattDisconnected = () => this.handleDisconnection();
+        this.onNotification = (event) => this.handleNotification(event);
     }
 
     async connect(targetDeviceName = null) {
@@ -88,34 +228,69 @@ export class BLECommunication extends CommunicationLayer {
                 filters.push({ namePrefix: 'RoboBala', services: [this.serviceUuid] });
             }
 
-            this.device = await navigator.bluetooth.requestDevice({
+            const device = await navigator.bluetooth.requestDevice({
                 filters: filters,
                 optionalServices: [this.serviceUuid]
             });
+            return await this.connectToDevice(device);
+        } catch (error) {
+            console.error('BLE connection error:', error);
+            this.isConnected = false;
+            return false;
+        }
+    }
 
-            this.device.addEventListener('gattserverdisconnected', () => {
-                this.handleDisconnection();
-            });
+    /**
+     * Łączy się z wcześniej wybranym urządzeniem. Urządzenie jest szukane
+     * przez navigator.bluetooth.getDevices() (działa także po zmianie obiektu
+     * urządzenia), a w razie braku tego API - używany jest ostatni obiekt.
+     */
+    async reconnect() {
+        let device = null;
+        if (this.lastDeviceId && typeof navigator.bluetooth?.getDevices === 'function') {
+            try {
+                const devices = await navigator.bluetooth.getDevices();
+                device = devices.find(d => d.id === this.lastDeviceId) || null;
+            } catch (e) { /* getDevices niedostępne - fallback do ostatniego obiektu */ }
+        }
+        if (!device) device = this.lastDevice;
+        if (!device) return false;
+        return this.connectToDevice(device);
+    }
+
+    async connectToDevice(device) {
+        try {
+            this.device = device;
+            device.removeEventListener('gattserverdisconnected', this.onGattDisconnected);
+            device.addEventListener('gattserverdisconnected', this.onGattDisconnected);
 
-            const server = await this.device.gatt.connect();
+            // gatt.connect() potrafi wisieć, gdy robot jest poza zasięgiem
+            const server = await withTimeout(device.gatt.connect(), BLE_CONNECT_TIMEOUT_MS, 'GATT connect timeout');
             const service = await server.getPrimaryService(this.serviceUuid);
             this.rxCharacteristic = await service.getCharacteristic(this.rxUuid);
             this.txCharacteristic = await service.getCharacteristic(this.txUuid);
 
             await this.txCharacteristic.startNotifications();
-            this.txCharacteristic.addEventListener('characteristicvaluechanged',
-                (event) => this.handleNotification(event));
+            this.txCharacteristic.removeEventListener('characteristicvaluechanged', this.onNotification);
+            this.txCharacteristic.addEventListener('characteristicvaluechanged', this.onNotification);
 
+            this.lastDevice = device;
+            this.lastDeviceId = device.id || null;
+            saveLastBleDeviceId(this.lastDeviceId);
             this.isConnected = true;
             return true;
         } catch (error) {
             console.error('BLE connection error:', error);
+            device.removeEventListener('gattserverdisconnected', this.onGattDisconnected);
+            try { if (device.gatt.connected) device.gatt.disconnect(); } catch (e) { }
+            this.device = null;
             this.isConnected = false;
             return false;
         }
     }
 
     async disconnect() {
+        this.disconnectRequested = true;
         if (this.device && this.device.gatt.connected) {
             await this.device.gatt.disconnect();
         }
@@ -123,166 +298,591 @@ export class BLECommunication extends CommunicationLayer {
     }
 
     handleDisconnection() {
+        // gattserverdisconnected przychodzi także po disconnect() - powiadamiamy raz
+        const wasConnected = this.isConnected;
         this.isConnected = false;
         this.device = null;
         this.rxCharacteristic = null;
         this.txCharacteristic = null;
-        this.messageQueue = [];
+        this.scheduler.clear();
         this.buffer = '';
-        this.chunks.clear();
-        this.notifyHandlers('disconnected', {});
+        this.decoder = new TextDecoder('utf-8');
+        this.chunkAssembler.clear();
+        if (wasConnected) this.notifyDisconnected();
+        else this.disconnectRequested = false;
     }
 
     handleNotification(event) {
         const value = event.target.value;
-        const decoder = new TextDecoder('utf-8');
-        this.buffer += decoder.decode(value);
+        // Telemetria może przychodzić binarnie (jedna ramka = jedna notyfikacja), reszta to JSON
+        if (isTelemetryFrame(value)) {
+            this.handleBinaryTelemetry(value);
+            return;
+        }
+        this.handleIncomingText(this.decoder.decode(value, { stream: true }));
+    }
 
-        let newlineIndex;
-        while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
-            const line = this.buffer.substring(0, newlineIndex).trim();
-            this.buffer = this.buffer.substring(newlineIndex + 1);
+    async send(message) {
+        this.scheduler.enqueue(message);
+        this.processQueue();
+    }
 
-            if (line) {
-                try {
-                    const data = JSON.parse(line);
-                    if ((data.type === 'chunk' || data.type === 'chunk_stream') && data.id !== undefined) {
-                        this.handleChunk({ id: data.id, i: data.i, total: data.total, data: data.data });
-                    } else {
-                        this.notifyHandlers(data.type, data);
-                    }
-                } catch (error) {
-                    console.error('JSON parse error:', error, 'Data:', line);
-                }
-            }
+    async sendImmediate(message) {
+        // Równoległy zapis GATT kończy się błędem "operation in progress" - joystick
+        // idzie przez kolejkę z priorytetem ruchu, scalany do najnowszego pakietu
+        if (!this.rxCharacteristic || !this.isConnected) return;
+        this.send(message);
+    }
+
+    async processQueue() {
+        if (this.isSending || this.scheduler.size === 0 || !this.rxCharacteristic) return;
+        this.isSending = true;
+        const message = this.scheduler.dequeue();
+        try {
+            const encoder = new TextEncoder();
+            const data = JSON.stringify(message) + '\n';
+            await this.rxCharacteristic.writeValueWithoutResponse(encoder.encode(data));
+        } catch (error) {
+            console.error('BLE send error:', error);
         }
+        setTimeout(() => {
+            this.isSending = false;
+            this.processQueue();
+        }, this.sendInterval);
     }
 
-    handleChunk(chunk) {
-        const { id, i, total, data } = chunk;
-        let entry = this.chunks.get(id);
-        if (!entry) {
-            entry = {
-                total: total || 0,
-                parts: new Map(),
-                timer: setTimeout(() => {
-                    if (this.chunks.has(id)) {
-                        this.chunks.delete(id);
-                        console.error(`Chunk assembly timeout for ID: ${id}`);
-                    }
-                }, 5000)
-            };
-            this.chunks.set(id, entry);
+    getDeviceName() {
+        return this.device ? this.device.name : null;
+    }
+}
+
+/**
+ * Web Serial (USB) implementation of CommunicationLayer.
+ * Ten sam protokół co BLE (JSON + '\n', ramki chunk/chunk_stream),
+ * ale po kablu - stabilniej i z większą przepustowością telemetrii.
+ */
+export class SerialCommunication extends CommunicationLayer {
+    constructor(baudRate = 115200) {
+        super();
+        this.baudRate = baudRate;
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+        this.readPromise = null;
+        this.encoder = new TextEncoder();
+        this.scheduler = new OutgoingScheduler();
+        this.isSending = false;
+        // Identyfikator USB ostatniego portu - do ponownego łączenia po odłączeniu kabla
+        this.lastPortInfo = null;
+        this.onPortDisconnect = (event) => {
+            if (event.target === this.port && this.isConnected) this.handleDisconnection();
+        };
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    async connect() {
+        try {
+            if (!SerialCommunication.isSupported()) throw new Error('Web Serial API niedostepne w tej przegladarce');
+            return await this.openPort(await navigator.serial.requestPort());
+        } catch (error) {
+            console.error('Serial connection error:', error);
+            this.isConnected = false;
+            return false;
         }
+    }
 
-        entry.parts.set(i, data || '');
-        if (total) entry.total = total;
+    /**
+     * Otwiera ponownie port z tym samym VID:PID spośród portów, do których
+     * strona ma już uprawnienia (navigator.serial.getPorts()).
+     */
+    async reconnect() {
+        if (!SerialCommunication.isSupported() || !this.lastPortInfo) return false;
+        const ports = await navigator.serial.getPorts();
+        const { usbVendorId, usbProductId } = this.lastPortInfo;
+        const port = ports.find((p) => {
+            const info = p.getInfo ? p.getInfo() : {};
+            return info.usbVendorId === usbVendorId && info.usbProductId === usbProductId;
+        });
+        if (!port) return false;
+        return this.openPort(port);
+    }
 
-        if (entry.parts.size === entry.total && entry.total > 0) {
-            clearTimeout(entry.timer);
-            let combined = '';
-            for (let idx = 0; idx < entry.total; idx++) {
-                combined += entry.parts.get(idx) || '';
-            }
-            this.chunks.delete(id);
+    async openPort(port) {
+        try {
+            this.port = port;
+            await this.port.open({ baudRate: this.baudRate });
+            this.writer = this.port.writable.getWriter();
+            this.lastPortInfo = this.port.getInfo ? this.port.getInfo() : {};
+            navigator.serial.addEventListener('disconnect', this.onPortDisconnect);
+            this.isConnected = true;
+            this.readPromise = this.readLoop();
+            return true;
+        } catch (error) {
+            console.error('Serial connection error:', error);
+            await this.closePort();
+            this.port = null;
+            this.isConnected = false;
+            return false;
+        }
+    }
+
+    async readLoop() {
+        const decoder = new TextDecoder('utf-8');
+        while (this.port && this.port.readable && this.isConnected) {
+            this.reader = this.port.readable.getReader();
             try {
-                const fullMessage = JSON.parse(combined);
-                this.notifyHandlers(fullMessage.type, fullMessage);
+                while (true) {
+                    const { value, done } = await this.reader.read();
+                    if (done) break;
+                    if (value) this.handleIncomingText(decoder.decode(value, { stream: true }));
+                }
             } catch (error) {
-                console.error('Error assembling chunks:', error, 'Data:', combined);
+                // Błąd odczytu (np. odłączony kabel) - kończymy pętlę
+                if (this.isConnected) console.error('Serial read error:', error);
+                break;
+            } finally {
+                try { this.reader.releaseLock(); } catch (e) { }
+                this.reader = null;
             }
         }
+        if (this.isConnected) this.handleDisconnection();
+    }
+
+    async disconnect() {
+        this.disconnectRequested = true;
+        this.isConnected = false;
+        if (this.reader) {
+            try { await this.reader.cancel(); } catch (e) { }
+        }
+        // Port można zamknąć dopiero po zwolnieniu readera przez pętlę odczytu
+        if (this.readPromise) await this.readPromise;
+        this.handleDisconnection();
+    }
+
+    async closePort() {
+        if (this.writer) {
+            try { this.writer.releaseLock(); } catch (e) { }
+            this.writer = null;
+        }
+        if (this.port) {
+            try { await this.port.close(); } catch (e) { }
+        }
+    }
+
+    handleDisconnection() {
+        const wasPort = this.port;
+        this.isConnected = false;
+        this.scheduler.clear();
+        this.buffer = '';
+        this.chunkAssembler.clear();
+        if (typeof navigator !== 'undefined' && navigator.serial) {
+            navigator.serial.removeEventListener('disconnect', this.onPortDisconnect);
+        }
+        this.closePort().finally(() => { if (this.port === wasPort) this.port = null; });
+        this.notifyDisconnected();
     }
 
     async send(message) {
-        this.messageQueue.push(message);
+        this.scheduler.enqueue(message);
         this.processQueue();
     }
 
     async sendImmediate(message) {
-        if (!this.rxCharacteristic || !this.isConnected) return;
+        if (!this.writer || !this.isConnected) return;
         try {
-            const encoder = new TextEncoder();
-            const data = JSON.stringify(message) + '\n';
-            await this.rxCharacteristic.writeValueWithoutResponse(encoder.encode(data));
+            await this.writer.write(this.encoder.encode(JSON.stringify(message) + '\n'));
         } catch (error) {
             // Silently ignore errors for immediate sends (joystick)
         }
     }
 
     async processQueue() {
-        if (this.isSending || this.messageQueue.length === 0 || !this.rxCharacteristic) return;
+        if (this.isSending || this.scheduler.size === 0 || !this.writer) return;
         this.isSending = true;
-        const message = this.messageQueue.shift();
-        try {
-            const encoder = new TextEncoder();
-            const data = JSON.stringify(message) + '\n';
-            await this.rxCharacteristic.writeValueWithoutResponse(encoder.encode(data));
-        } catch (error) {
-            console.error('BLE send error:', error);
+        // USB nie wymaga odstępów między zapisami - wysyłamy całą kolejkę
+        while (this.scheduler.size > 0 && this.writer) {
+            const message = this.scheduler.dequeue();
+            try {
+                await this.writer.write(this.encoder.encode(JSON.stringify(message) + '\n'));
+            } catch (error) {
+                console.error('Serial send error:', error);
+            }
         }
-        setTimeout(() => {
-            this.isSending = false;
-            this.processQueue();
-        }, this.sendInterval);
+        this.isSending = false;
     }
 
     getDeviceName() {
-        return this.device ? this.device.name : null;
+        if (!this.port) return null;
+        const info = this.port.getInfo ? this.port.getInfo() : {};
+        if (info.usbVendorId !== undefined) {
+            return `RoboBala USB (${info.usbVendorId.toString(16).padStart(4, '0')}:${(info.usbProductId || 0).toString(16).padStart(4, '0')})`;
+        }
+        return 'RoboBala USB';
+    }
+}
+
+/**
+ * WebSocket implementation of CommunicationLayer - połączenie przez lokalny
+ * most (tools/robot-bridge.mjs), który współdzieli jednego robota
+ * między wiele kart i narzędzi.
+ */
+export class WebSocketCommunication extends CommunicationLayer {
+    constructor(url = DEFAULT_WS_URL) {
+        super();
+        this.url = url;
+        this.socket = null;
+    }
+
+    connect() {
+        return new Promise((resolve) => {
+            let opened = false;
+            try {
+                this.socket = new WebSocket(this.url);
+            } catch (error) {
+                console.error('WebSocket connection error:', error);
+                resolve(false);
+                return;
+            }
+            this.socket.onopen = () => {
+                opened = true;
+                this.isConnected = true;
+                resolve(true);
+            };
+            this.socket.onmessage = (event) => {
+                if (typeof event.data !== 'string') return;
+                this.handleIncomingText(event.data.endsWith('\n') ? event.data : event.data + '\n');
+            };
+            this.socket.onclose = () => {
+                if (!opened) { resolve(false); return; }
+                if (this.isConnected) this.handleDisconnection();
+            };
+            this.socket.onerror = (error) => {
+                if (!opened) console.error('WebSocket connection error:', error);
+            };
+        });
+    }
+
+    async disconnect() {
+        this.disconnectRequested = true;
+        if (this.socket) this.socket.close();
+        this.handleDisconnection();
+    }
+
+    // Most mógł zostać zrestartowany - po prostu otwieramy nowe gniazdo
+    async reconnect() {
+        return this.connect();
+    }
+
+    handleDisconnection() {
+        this.isConnected = false;
+        this.socket = null;
+        this.buffer = '';
+        this.chunkAssembler.clear();
+        this.notifyDisconnected();
+    }
+
+    async send(message) {
+        // Kolejkowanie i serializację komend robi most
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message) + '\n');
+        }
+    }
+
+    async sendImmediate(message) {
+        return this.send(message);
+    }
+
+    getDeviceName() {
+        try { return `RoboBala WS (${new URL(this.url).host})`; } catch (e) { return 'RoboBala WS'; }
     }
 }
 
 /**
- * Mock communication for testing
+ * Mock communication - wirtualny RoboBala (robot-simulator.mjs).
+ * Symulator liczy fizykę w krokach pętli firmware, a telemetria
+ * jest wysyłana co `telemetryInterval` ms, tak jak przez BLE.
+ * Włączany parametrem URL `?sim` (`?sim=bin` - telemetria w ramkach binarnych).
  */
 export class MockCommunication extends CommunicationLayer {
-    constructor() {
+    constructor({ binaryTelemetry = false, ...options } = {}) {
         super();
         this.mockDelay = 50;
+        this.telemetryInterval = options.telemetryInterval || 20;
+        this.binaryTelemetry = binaryTelemetry;
+        this.frameSeq = 0;
+        this.simulator = new RobotSimulator({ extensions: [otaSimulatorExtension, mappingSimulatorExtension], ...options, ...loadSimulatorEeprom() });
+        this.simTimer = null;
+        this.lastTick = 0;
+        this.unavailableUntil = 0;
     }
 
     async connect() {
         await new Promise(resolve => setTimeout(resolve, this.mockDelay));
+        // Robot "w trakcie restartu" (dropLink) - nie odpowiada
+        if (performance.now() < this.unavailableUntil) return false;
         this.isConnected = true;
+        this.startSimulation();
         return true;
     }
 
+    /**
+     * Zerwanie łącza bez udziału użytkownika (jak restart robota lub wyjście
+     * poza zasięg): przez `downMs` ponowne łączenie się nie udaje.
+     * Z konsoli: commLayer.dropLink(3000) - test wznawiania (np. OTA).
+     */
+    dropLink(downMs = SIM_REBOOT_MS) {
+        if (!this.isConnected) return;
+        this.stopSimulation();
+        this.isConnected = false;
+        this.unavailableUntil = performance.now() + downMs;
+        this.notifyDisconnected();
+    }
+
     async disconnect() {
         await new Promise(resolve => setTimeout(resolve, this.mockDelay));
+        this.stopSimulation();
         this.isConnected = false;
-        this.notifyHandlers('disconnected', {});
+        this.disconnectRequested = true;
+        this.notifyDisconnected();
+    }
+
+    async reconnect() {
+        return this.connect();
+    }
+
+    startSimulation() {
+        this.stopSimulation();
+        this.lastTick = performance.now();
+        this.simTimer = setInterval(() => this.tick(), this.telemetryInterval);
+    }
+
+    stopSimulation() {
+        if (this.simTimer) clearInterval(this.simTimer);
+        this.simTimer = null;
+    }
+
+    tick() {
+        const now = performance.now();
+        // Limit kroku chroni przed "nadrabianiem" sekund po uśpieniu karty
+        const elapsed = Math.min((now - this.lastTick) / 1000, 0.1);
+        this.lastTick = now;
+        const steps = Math.max(1, Math.round(elapsed * SIM_LOOP_HZ));
+        for (let i = 0; i < steps; i++) this.simulator.step(1 / SIM_LOOP_HZ);
+        for (const event of this.simulator.drainEvents()) this.deliver(event);
+        const telemetry = this.simulator.buildTelemetry();
+        if (this.binaryTelemetry) {
+            if (this.isConnected) this.handleBinaryTelemetry(encodeTelemetryFrame(telemetry, this.frameSeq++));
+        } else {
+            this.deliver(telemetry);
+        }
+    }
+
+    deliver(message) {
+        if (!this.isConnected) return;
+        this.notifyHandlers(message.type, message);
     }
 
     async send(message) {
         if (!this.isConnected) throw new Error('Not connected');
         await new Promise(resolve => setTimeout(resolve, this.mockDelay));
-        console.log('Mock send:', message);
-
-        if (message.type === 'request_full_config') {
+        const replies = this.simulator.handleCommand(message);
+        if (message.type === 'save_tunings') saveSimulatorEeprom(this.simulator.eeprom);
+        for (const reply of replies) this.deliver(reply);
+        // Po wgraniu firmware (OTA) robot się restartuje i znika na chwilę
+        if (this.simulator.rebootRequested) {
             setTimeout(() => {
-                this.notifyHandlers('sync_begin', {});
-                this.notifyHandlers('set_param', { key: 'kp_b', value: 95.0 });
-                this.notifyHandlers('sync_end', {});
-            }, 100);
+                this.simulator.reboot();
+                this.dropLink(SIM_REBOOT_MS);
+            }, this.mockDelay);
         }
     }
 
+    async sendImmediate(message) {
+        if (!this.isConnected) return;
+        this.simulator.handleCommand(message);
+    }
+
     getDeviceName() { return 'MockRoboBala'; }
 }
 
-// Create singleton communication layer
-export const commLayer = new BLECommunication(SERVICE_UUID, RX_UUID, TX_UUID);
+/**
+ * Replay communication - odtwarza nagraną sesję (.jsonl z session-recorder.mjs).
+ * Wiadomości przychodzące trafiają do UI tak jak na żywo; komendy wysyłane
+ * przez UI podczas odtwarzania są ignorowane.
+ */
+export class ReplayCommunication extends CommunicationLayer {
+    constructor(session, { speed = 1, onProgress = null } = {}) {
+        super();
+        this.session = session;
+        this.player = new SessionPlayer(session.entries, {
+            deliver: (message) => {
+                if (this.isConnected) this.notifyHandlers(message.type, message);
+            },
+            onProgress,
+            onEnd: () => {
+                if (typeof window.addLogMessage === 'function') {
+                    window.addLogMessage('[UI] Odtwarzanie sesji zakonczone.', 'info');
+                }
+            }
+        });
+        this.player.speed = speed;
+        this.autoPlay = true;
+    }
+
+    async connect() {
+        this.isConnected = true;
+        if (this.autoPlay) this.player.play();
+        return true;
+    }
+
+    async disconnect() {
+        this.player.pause();
+        this.isConnected = false;
+        this.disconnectRequested = true;
+        this.notifyDisconnected();
+    }
+
+    async send(message) { /* odtwarzanie - komendy UI nie trafiają do robota */ }
+
+    async sendImmediate(message) { }
+
+    getDeviceName() {
+        return (this.session.header && this.session.header.device) || 'Replay';
+    }
+}
+
+// Identyfikator ostatniego urządzenia BLE (dla getDevices() po przeładowaniu strony)
+const LAST_BLE_DEVICE_KEY = 'roboBala_lastBleDevice';
+const BLE_CONNECT_TIMEOUT_MS = 10000;
+
+function loadLastBleDeviceId() {
+    try { return localStorage.getItem(LAST_BLE_DEVICE_KEY); } catch (e) { return null; }
+}
+
+function saveLastBleDeviceId(id) {
+    try {
+        if (id) localStorage.setItem(LAST_BLE_DEVICE_KEY, id);
+    } catch (e) { /* ignore storage errors */ }
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// "EEPROM" symulatora - parametry zapisane przez save_tunings przetrwają przeładowanie strony
+const SIM_EEPROM_KEY = 'roboBala_simEeprom';
+
+function loadSimulatorEeprom() {
+    try {
+        const raw = localStorage.getItem(SIM_EEPROM_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch (e) { return {}; }
+}
+
+function saveSimulatorEeprom(eeprom) {
+    try { localStorage.setItem(SIM_EEPROM_KEY, JSON.stringify(eeprom)); } catch (e) { /* ignore storage errors */ }
+}
+
+// Czas "restartu" symulowanego robota po aktualizacji firmware
+const SIM_REBOOT_MS = 1500;
+
+function isSimulatorRequested() {
+    return new URLSearchParams(window.location.search).has('sim');
+}
+
+function isBinarySimulatorRequested() {
+    return new URLSearchParams(window.location.search).get('sim') === 'bin';
+}
+
+// Adres mostu WebSocket: ?ws=ws://host:port, domyślnie lokalny most
+function getWebSocketUrl() {
+    return new URLSearchParams(window.location.search).get('ws') || DEFAULT_WS_URL;
+}
+
+// Dostępne transporty (wybór obok przycisku łączenia)
+const TRANSPORT_STORAGE_KEY = 'roboBala_transport';
+export const TRANSPORTS = {
+    ble: { label: 'Bluetooth', create: () => new BLECommunication(SERVICE_UUID, RX_UUID, TX_UUID), isSupported: () => typeof navigator !== 'undefined' && 'bluetooth' in navigator },
+    serial: { label: 'USB (Serial)', create: () => new SerialCommunication(), isSupported: () => SerialCommunication.isSupported() },
+    ws: { label: 'WebSocket', create: () => new WebSocketCommunication(getWebSocketUrl()), isSupported: () => typeof WebSocket !== 'undefined' },
+    sim: { label: 'Symulator', create: () => new MockCommunication({ binaryTelemetry: isBinarySimulatorRequested() }), isSupported: () => true }
+};
+
+function getInitialTransportKind() {
+    if (isSimulatorRequested()) return 'sim';
+    if (new URLSearchParams(window.location.search).has('ws')) return 'ws';
+    let saved = null;
+    try { saved = localStorage.getItem(TRANSPORT_STORAGE_KEY); } catch (e) { }
+    return (saved && TRANSPORTS[saved] && TRANSPORTS[saved].isSupported()) ? saved : 'ble';
+}
+
+let activeTransportKind = getInitialTransportKind();
+
+// Create singleton communication layer (?sim → wirtualny robot zamiast BLE)
+export let commLayer = TRANSPORTS[activeTransportKind].create();
+
+/**
+ * Podmienia aktywny transport (np. na ReplayCommunication), przenosząc
+ * zarejestrowane handlery wiadomości. Zwraca poprzedni transport.
+ */
+export function setCommLayer(nextLayer) {
+    const previous = commLayer;
+    nextLayer.messageHandlers = previous.messageHandlers;
+    previous.messageHandlers = new Map();
+    previous.recordsSession = false;
+    nextLayer.recordsSession = true;
+    commLayer = nextLayer;
+    window.commLayer = nextLayer;
+    return previous;
+}
+
+export function getTransportKind() {
+    return activeTransportKind;
+}
+
+/**
+ * Przełącza transport (ble / serial / sim). Niedozwolone przy aktywnym połączeniu.
+ * @returns {boolean} true, gdy transport jest ustawiony na `kind`
+ */
+export function selectTransport(kind) {
+    if (!TRANSPORTS[kind]) return false;
+    if (kind === activeTransportKind && !(commLayer instanceof ReplayCommunication)) return true;
+    if (commLayer.getConnectionStatus()) {
+        if (typeof window.addLogMessage === 'function') {
+            window.addLogMessage('[UI] Rozlacz robota przed zmiana rodzaju polaczenia.', 'warn');
+        }
+        return false;
+    }
+    setCommLayer(TRANSPORTS[kind].create());
+    activeTransportKind = kind;
+    try { localStorage.setItem(TRANSPORT_STORAGE_KEY, kind); } catch (e) { }
+    return true;
+}
 
 // Legacy BLE variables for backward compatibility
 let bleDevice, rxCharacteristic, txCharacteristic;
-let bleBuffer = '', bleMessageQueue = [], isSendingBleMessage = false;
-const bleChunks = new Map();
+let bleBuffer = '', isSendingBleMessage = false;
+const bleScheduler = new OutgoingScheduler();
 const BLE_SEND_INTERVAL = 20;
 
 /**
  * Send a BLE message using the communication layer (or legacy fallback)
  */
 export function sendBleMessage(message) {
+    sessionRecorder.record('out', message);
+    for (const observer of outgoingObservers) {
+        try { observer(message); } catch (error) {
+            console.error('Error in outgoing message observer:', error);
+        }
+    }
+    if (message.type === 'set_param' && message.key !== undefined) lastSentParams[message.key] = message.value;
+    robotManager.recordOutgoing(message);
+    if (message.type === 'joystick') joystickEngaged = message.x !== 0 || message.y !== 0;
     try {
         if (['run_metrics_test', 'cancel_test', 'request_full_config', 'set_param', 'execute_move', 'execute_rotate', 'command_stop'].includes(message.type)) {
             if (typeof window.addLogMessage === 'function') {
@@ -298,11 +898,138 @@ export function sendBleMessage(message) {
             commLayer.send(message);
         }
     } else {
-        bleMessageQueue.push(message);
+        bleScheduler.enqueue(message);
         processBleQueue();
     }
 }
 
+// Obserwatorzy wiadomości wychodzących (np. zmiany parametrów w bibliotece sesji)
+const outgoingObservers = new Set();
+
+/**
+ * @param {(message: Object) => void} observer - wywoływany dla każdej wysyłanej wiadomości
+ * @returns {() => void} wyrejestrowanie
+ */
+export function observeOutgoing(observer) {
+    outgoingObservers.add(observer);
+    return () => { outgoingObservers.delete(observer); };
+}
+
+// Ostatnie wartości set_param wysłane przez UI - porównywane z robotem po ponownym połączeniu
+let lastSentParams = {};
+
+// Wszystkie połączone roboty; aktywny to ten, którego transportem jest commLayer
+export const robotManager = new RobotConnectionManager({
+    send: (robot, message) => (robot.transport === commLayer ? sendBleMessage(message) : robot.transport.send(message)),
+    onActivate: (robot, previous) => activateRobot(robot, previous)
+});
+
+// Jakość łącza (panel "Łącze") - próbkowana przez link-quality-ui.js
+export const linkMonitor = new LinkQualityMonitor();
+
+// Śledzenie komend oczekujących na ACK (sendCommand)
+export const commandTracker = new CommandTracker({
+    send: (message) => sendBleMessage(message),
+    onRoundTrip: (command, ms) => linkMonitor.recordRoundTrip(ms)
+});
+
+/**
+ * Liczniki aktywnego transportu dla LinkQualityMonitor.sample().
+ * queueDepth obejmuje kolejkę transportu i kolejkę sprzed połączenia.
+ */
+export function getLinkCounters() {
+    const seqStats = commLayer.telemetrySeq.getStats();
+    return {
+        dropped: seqStats.dropped,
+        reordered: seqStats.reordered,
+        chunkTimeouts: commLayer.chunkAssembler.getMetrics().failed,
+        queueDepth: bleScheduler.size + (commLayer.scheduler ? commLayer.scheduler.size : 0)
+    };
+}
+
+/** Metryki składania wiadomości chunk aktywnego transportu. */
+export function getChunkStats() {
+    return commLayer.chunkAssembler.getMetrics();
+}
+
+/** Statystyki kolejki wychodzącej aktywnego transportu (null, gdy transport nie kolejkuje). */
+export function getOutgoingQueueStats() {
+    return commLayer.scheduler ? commLayer.scheduler.getStats() : null;
+}
+
+/**
+ * Wysyła komendę i czeka na potwierdzenie `ack` od robota.
+ * Nieudane i niepotwierdzone komendy są logowane i widoczne w panelu "Komendy".
+ * @param {Object} message - wiadomość jak dla sendBleMessage
+ * @param {{timeout?: number, retries?: number}} [options]
+ * @returns {Promise<Object>} wiadomość ACK
+ */
+export function sendCommand(message, options = {}) {
+    if (!commLayer.getConnectionStatus()) {
+        return Promise.reject(new CommandError('disconnected', message.type, `${message.type}: brak polaczenia z robotem`));
+    }
+    return commandTracker.sendCommand(message, options).catch((error) => {
+        if (typeof window.addLogMessage === 'function') {
+            window.addLogMessage(`[UI] Komenda ${message.type} nieudana: ${error.message}`, error.code === 'nack' ? 'error' : 'warn');
+        }
+        throw error;
+    });
+}
+
+/**
+ * Czy aktywny robot potwierdza komendy (handshake zgłosił 'command_ack').
+ * Bez tego sendCommand kończy się timeoutem - wołający wysyła wtedy sendBleMessage.
+ */
+export function robotAcksCommands() {
+    return supportsCommandAck(appStore.getState('connection.capabilities'));
+}
+
+function renderCommandStatus() {
+    const statusEl = document.getElementById('commandStatus');
+    if (!statusEl) return;
+    const pending = commandTracker.getPending();
+    const failures = commandTracker.failures;
+    if (failures.length > 0) {
+        statusEl.textContent = `⚠ ${failures.length} nieudane`;
+        statusEl.style.color = '#ff6347';
+    } else if (pending.length > 0) {
+        statusEl.textContent = `⏳ ${pending.length} oczekuje`;
+        statusEl.style.color = '#f7b731';
+    } else {
+        statusEl.textContent = 'OK';
+        statusEl.style.color = '#a2f279';
+    }
+    const listEl = document.getElementById('commandFailuresList');
+    if (!listEl) return;
+    const rows = [
+        ...pending.map(p => `<li style="color:#f7b731;">⏳ ${p.command} (#${p.id}, proba ${p.attempts})</li>`),
+        ...failures.map(f => `<li style="color:#ff6347;">${new Date(f.time).toLocaleTimeString()} ${f.command}: ${f.code === 'nack' ? 'odrzucona' : f.code === 'timeout' ? 'brak potwierdzenia' : 'przerwana'} - ${f.reason}</li>`)
+    ];
+    listEl.innerHTML = rows.join('');
+    const box = document.getElementById('commandFailuresBox');
+    if (box) box.style.display = rows.length > 0 ? 'block' : 'none';
+}
+
+// Licznik zgubionych ramek telemetrii (wymaga `seq` - ramki binarne lub JSON z seq)
+const TELEMETRY_STATS_INTERVAL_MS = 1000;
+let lastTelemetryStatsRender = 0;
+
+function renderTelemetryFrameStats() {
+    const statsEl = document.getElementById('telemetryFrameStats');
+    if (!statsEl) return;
+    lastTelemetryStatsRender = Date.now();
+    const stats = commLayer.telemetrySeq.getStats();
+    if (stats.received === 0) {
+        statsEl.textContent = '---';
+        statsEl.style.color = '';
+        return;
+    }
+    const lossPercent = stats.lossRate * 100;
+    statsEl.textContent = `${stats.dropped} utraconych (${lossPercent.toFixed(1)}%)`;
+    statsEl.style.color = lossPercent < 1 ? '#a2f279' : lossPercent < 5 ? '#f7b731' : '#ff6347';
+    statsEl.title = `Odebrane: ${stats.received}, utracone: ${stats.dropped}, duplikaty: ${stats.duplicates}, poza kolejnoscia: ${stats.reordered}`;
+}
+
 async function _sendRawBleMessage(message) {
     if (!rxCharacteristic) return;
     try {
@@ -316,9 +1043,9 @@ async function _sendRawBleMessage(message) {
 }
 
 async function processBleQueue() {
-    if (isSendingBleMessage || bleMessageQueue.length === 0 || !rxCharacteristic) return;
+    if (isSendingBleMessage || bleScheduler.size === 0 || !rxCharacteristic) return;
     isSendingBleMessage = true;
-    const message = bleMessageQueue.shift();
+    const message = bleScheduler.dequeue();
     await _sendRawBleMessage(message);
     setTimeout(() => {
         isSendingBleMessage = false;
@@ -333,10 +1060,26 @@ export async function connectBLE() {
     const targetDevice = getTargetDeviceFromURL();
     const addLog = window.addLogMessage || console.log;
 
+    // Ręczne łączenie przerywa automatyczne ponawianie
+    if (reconnectController.isActive()) {
+        reconnectController.cancel();
+        abandonInterruptedRuns();
+    }
+
+    // Transport wybrany obok przycisku (odtwarzanie sesji ustawia własny)
+    const transportSelect = document.getElementById('transportSelect');
+    if (transportSelect && !(commLayer instanceof ReplayCommunication)) {
+        if (!selectTransport(transportSelect.value)) return;
+    }
+
     if (targetDevice) {
         addLog(`[UI] Laczenie z konkretnym robotem: ${targetDevice}...`, 'info');
-    } else {
+    } else if (commLayer instanceof SerialCommunication) {
+        addLog('[UI] Prosze o wybranie portu szeregowego (USB)...', 'info');
+    } else if (commLayer instanceof BLECommunication) {
         addLog('[UI] Prosze o wybranie urzadzenia Bluetooth...', 'info');
+    } else if (commLayer instanceof WebSocketCommunication) {
+        addLog(`[UI] Laczenie z mostem ${commLayer.url}...`, 'info');
     }
 
     try {
@@ -345,69 +1088,474 @@ export async function connectBLE() {
 
         if (targetDevice) clearDeviceFromURL();
 
-        bleDevice = commLayer.device;
-        rxCharacteristic = commLayer.rxCharacteristic;
-        txCharacteristic = commLayer.txCharacteristic;
+        // Nowe połączenie - punktem odniesienia jest konfiguracja zgłoszona przez robota
+        lastSentParams = {};
+        linkMonitor.reset();
+        beginRobotSession();
+    } catch (error) {
+        addLog(`[UI] Blad polaczenia (${TRANSPORTS[activeTransportKind].label}): ${error}`, 'error');
+        if (commLayer instanceof WebSocketCommunication) {
+            addLog('[UI] Uruchom most: node tools/robot-bridge.mjs --sim (lub --serial <port>).', 'info');
+        }
+        onDisconnected();
+    }
+}
+
+/**
+ * Wspólna część po nawiązaniu połączenia (ręcznego lub automatycznego):
+ * odblokowanie UI i synchronizacja konfiguracji przez request_full_config.
+ */
+function beginRobotSession() {
+    const addLog = window.addLogMessage || console.log;
+    const deviceName = commLayer.getDeviceName();
+    addLog(`[UI] Laczenie z ${deviceName}...`, 'info');
+
+    const connectBtn = document.getElementById('connectBleBtn');
+    if (connectBtn) connectBtn.disabled = true;
+    const connText = document.getElementById('connectionText');
+    if (connText) connText.textContent = 'Laczenie...';
+
+    // Przed showConnectedUI - nazwa w UI to unikalna nazwa z robotManager
+    const robot = robotManager.addRobot(commLayer, { active: true });
+    robotManager.markConnected(robot);
+
+    showConnectedUI();
+    AppState.isSynced = false;
+    addLog('[UI] Polaczono! Rozpoczynam synchronizacje...', 'success');
+    document.getElementById('connectBleBtn').textContent = 'Synchronizowanie...';
+
+    robot.params = {};
+    robot.tuningParams = {};
+    robot.states = {};
+    AppState.tempParams = {};
+    AppState.tempTuningParams = {};
+    AppState.tempStates = {};
+
+    commLayer.telemetrySeq.reset();
+    commLayer.chunkAssembler.resetMetrics();
+    linkMonitor.restart();
+    renderTelemetryFrameStats();
+
+    startCapabilityHandshake();
+    // Bez ponowień - każde żądanie uruchamia w robocie pełną synchronizację od nowa
+    sendCommand({ type: 'request_full_config' }, { timeout: 5000, retries: 0 }).catch(() => { /* zalogowane w sendCommand */ });
+
+    clearTimeout(AppState.syncTimeout);
+    AppState.syncTimeout = setTimeout(() => {
+        if (!AppState.isSynced && AppState.isConnected) {
+            addLog('[UI] BLAD: Timeout synchronizacji. Robot nie odpowiedzial na czas (20s).', 'error');
+            document.getElementById('connectionText').textContent = 'Blad synchronizacji';
+            document.getElementById('connectBleBtn').textContent = 'SPROBUJ PONOWNIE ZSYNCHRONIZOWAC';
+            document.getElementById('connectBleBtn').style.backgroundColor = '#ff6347';
+            document.getElementById('connectBleBtn').disabled = false;
+        }
+    }, 20000);
+}
+
+/**
+ * Stan "połączony" w UI dla aktywnego transportu (bez synchronizacji).
+ */
+function showConnectedUI() {
+    bleDevice = commLayer.device;
+    rxCharacteristic = commLayer.rxCharacteristic;
+    txCharacteristic = commLayer.txCharacteristic;
+
+    AppState.isConnected = true;
+    // Roboty o tej samej nazwie BLE rozróżnia dopiero robotManager ("Nazwa #2") - od tej nazwy
+    // zależy podział na sesje w bibliotece i definicje kanałów pochodnych
+    appStore.setState('connection.deviceName', robotManager.findByTransport(commLayer)?.name || commLayer.getDeviceName());
+    // Odtwarzana sesja może stać w pauzie - brak telemetrii to nie awaria łącza
+    if (commLayer instanceof ReplayCommunication) linkWatchdog.stop();
+    else linkWatchdog.start();
+
+    document.getElementById('connectionStatus').className = 'status-indicator status-ok';
+    document.getElementById('connectionText').textContent = 'Polaczony';
+    document.body.classList.remove('ui-locked');
+
+    const qrBtn = document.getElementById('showQrBtn');
+    if (qrBtn) {
+        qrBtn.disabled = false;
+        qrBtn.style.background = '#61dafb';
+        qrBtn.style.opacity = '1';
+        qrBtn.title = 'Pokaż kod QR do połączenia z tym robotem';
+    }
+}
+
+// ========================================================================
+// HEARTBEAT I FAILSAFE ŁĄCZA (link-watchdog.mjs)
+// ========================================================================
+// Heartbeat idzie tylko podczas ruchu zleconego z UI. Gdy telemetria milknie,
+// #link-lost-banner odlicza czas do uznania łącza za utracone, a trwający
+// ruch jest zatrzymywany (command_stop), zanim timeout upłynie.
+
+const LINK_WATCHDOG_STORAGE_KEY = 'roboBala_linkWatchdog';
+// Ostatni joystick wysłany z UI był wychylony
+let joystickEngaged = false;
+let lastWatchdogState = 'idle';
+
+function loadLinkWatchdogConfig() {
+    try { return normalizeWatchdogConfig(JSON.parse(localStorage.getItem(LINK_WATCHDOG_STORAGE_KEY)) || {}); } catch (e) { return normalizeWatchdogConfig(); }
+}
 
-        const deviceName = commLayer.getDeviceName();
-        addLog(`[UI] Laczenie z ${deviceName}...`, 'info');
+export const linkWatchdog = new LinkWatchdog({
+    send: (message) => commLayer.send(message),
+    isMotionActive: () => joystickEngaged || AppState.isSequenceRunning || AppState.isTuningActive,
+    onStatus: (status) => renderLinkWatchdog(status),
+    onFailsafe: (status) => triggerLinkFailsafe(status),
+    ...loadLinkWatchdogConfig()
+});
 
-        const connectBtn = document.getElementById('connectBleBtn');
-        if (connectBtn) connectBtn.disabled = true;
+/**
+ * Zmienia odstęp heartbeat / timeout łącza i zapamiętuje je w localStorage.
+ * @returns {{intervalMs: number, timeoutMs: number}} wartości po walidacji
+ */
+export function configureLinkWatchdog(config) {
+    const applied = linkWatchdog.configure(config);
+    try { localStorage.setItem(LINK_WATCHDOG_STORAGE_KEY, JSON.stringify(applied)); } catch (e) { }
+    return applied;
+}
+
+function renderLinkWatchdog(status) {
+    const addLog = window.addLogMessage || console.log;
+    if (status.state !== lastWatchdogState) {
+        if (status.state === 'stale') addLog(`[UI] Brak telemetrii od ${status.silentMs} ms.`, 'warn');
+        else if (status.state === 'lost') addLog(`[UI] Lacze utracone - brak telemetrii od ${status.silentMs} ms.`, 'error');
+        else if (status.state === 'ok' && lastWatchdogState !== 'idle') addLog('[UI] Telemetria wznowiona.', 'success');
+        lastWatchdogState = status.state;
+    }
+    const banner = document.getElementById('link-lost-banner');
+    if (!banner) return;
+    const seconds = (ms) => (ms / 1000).toFixed(1);
+    const stopNote = status.failsafeSent ? ' - wyslano STOP' : '';
+    if (status.state === 'stale') {
+        banner.className = 'link-stale';
+        banner.textContent = `BRAK TELEMETRII ${seconds(status.silentMs)} s - utrata lacza za ${seconds(status.remainingMs)} s${stopNote}`;
+    } else if (status.state === 'lost') {
+        banner.className = 'link-lost';
+        banner.textContent = `LACZE UTRACONE - brak telemetrii od ${seconds(status.silentMs)} s${stopNote}`;
+    } else {
+        banner.className = '';
+        banner.textContent = '';
+    }
+}
+
+function triggerLinkFailsafe(status) {
+    const addLog = window.addLogMessage || console.log;
+    addLog(`[UI] Failsafe: brak telemetrii od ${status.silentMs} ms podczas ruchu - wysylam STOP.`, 'error');
+    joystickEngaged = false;
+    if (AppState.isSequenceRunning && typeof window.stopSequenceExecution === 'function') window.stopSequenceExecution();
+    if (AppState.isTuningActive && typeof window.handleCancel === 'function') window.handleCancel(false);
+    sendBleMessage({ type: 'command_stop' });
+}
+
+// ========================================================================
+// AUTOMATYCZNE PONOWNE ŁĄCZENIE
+// ========================================================================
+// Po utracie łącza (nie po rozłączeniu przez użytkownika) ponawiamy
+// połączenie z tym samym urządzeniem. Strojenie i sekwencja są wstrzymywane,
+// a po ponownej synchronizacji użytkownik decyduje: wznowić czy przerwać.
+
+// Runy przerwane utratą połączenia
+const interruptedRuns = { tuning: false, sequence: false };
+// Parametry zgłoszone przez robota podczas synchronizacji po ponownym połączeniu
+let pendingResync = null;
+
+export const reconnectController = new ReconnectController({
+    attemptReconnect: () => commLayer.reconnect(),
+    onAttempt: (attempt, delayMs) => {
         const connText = document.getElementById('connectionText');
-        if (connText) connText.textContent = 'Laczenie...';
-
-        AppState.isConnected = true;
-        AppState.isSynced = false;
-        appStore.setState('connection.deviceName', deviceName);
-
-        document.getElementById('connectionStatus').className = 'status-indicator status-ok';
-        document.getElementById('connectionText').textContent = 'Polaczony';
-        addLog('[UI] Polaczono! Rozpoczynam synchronizacje...', 'success');
-        document.body.classList.remove('ui-locked');
-        document.getElementById('connectBleBtn').textContent = 'Synchronizowanie...';
-
-        const qrBtn = document.getElementById('showQrBtn');
-        if (qrBtn) {
-            qrBtn.disabled = false;
-            qrBtn.style.background = '#61dafb';
-            qrBtn.style.opacity = '1';
-            qrBtn.title = 'Pokaż kod QR do połączenia z tym robotem';
-        }
-
-        AppState.isSynced = false;
-        AppState.tempParams = {};
-        AppState.tempTuningParams = {};
-        AppState.tempStates = {};
-
-        sendBleMessage({ type: 'request_full_config' });
-
-        clearTimeout(AppState.syncTimeout);
-        AppState.syncTimeout = setTimeout(() => {
-            if (!AppState.isSynced && AppState.isConnected) {
-                addLog('[UI] BLAD: Timeout synchronizacji. Robot nie odpowiedzial na czas (20s).', 'error');
-                document.getElementById('connectionText').textContent = 'Blad synchronizacji';
-                document.getElementById('connectBleBtn').textContent = 'SPROBUJ PONOWNIE ZSYNCHRONIZOWAC';
-                document.getElementById('connectBleBtn').style.backgroundColor = '#ff6347';
-                document.getElementById('connectBleBtn').disabled = false;
+        if (connText) connText.textContent = `Ponowne laczenie (proba ${attempt}/${DEFAULT_RECONNECT_ATTEMPTS})...`;
+        document.getElementById('connectionStatus').className = 'status-indicator status-warn';
+        if (typeof window.addLogMessage === 'function') {
+            window.addLogMessage(`[UI] Ponowne laczenie za ${(delayMs / 1000).toFixed(1)} s (proba ${attempt}/${DEFAULT_RECONNECT_ATTEMPTS}).`, 'info');
+        }
+    },
+    onSuccess: (attempt) => {
+        if (typeof window.addLogMessage === 'function') {
+            window.addLogMessage(`[UI] Polaczenie przywrocone (proba ${attempt}). Ponowna synchronizacja...`, 'success');
+        }
+        pendingResync = { robotParams: {} };
+        beginRobotSession();
+    },
+    onGiveUp: (attempts) => {
+        if (typeof window.addLogMessage === 'function') {
+            window.addLogMessage(`[UI] Nie udalo sie ponownie polaczyc (${attempts} prob). Polacz recznie.`, 'error');
+        }
+        abandonInterruptedRuns();
+        document.getElementById('connectionStatus').className = 'status-indicator status-disconnected';
+        document.getElementById('connectionText').textContent = 'Rozlaczony';
+    }
+});
+
+function suspendInterruptedRuns() {
+    if (AppState.isTuningActive && typeof window.suspendTuningOnLinkLoss === 'function') {
+        interruptedRuns.tuning = window.suspendTuningOnLinkLoss() || interruptedRuns.tuning;
+    }
+    if (typeof window.interruptSequence === 'function') {
+        interruptedRuns.sequence = window.interruptSequence() || interruptedRuns.sequence;
+    }
+    // Nagrania SysID nie da się wznowić - zachowujemy to, co zebrano do utraty łącza
+    if (window.SysIdState && window.SysIdState.isRecording && typeof window.stopSysIdRecording === 'function') {
+        if (typeof window.addLogMessage === 'function') {
+            window.addLogMessage('[UI] Utracono polaczenie podczas nagrywania SysID - nagranie zatrzymane, zebrane probki zachowane.', 'warn');
+        }
+        window.stopSysIdRecording();
+    }
+}
+
+// Bezpieczne przerwanie runów, gdy nie będzie ich wznowienia
+function abandonInterruptedRuns() {
+    if (interruptedRuns.tuning && typeof window.abortTuningAfterLinkLoss === 'function') window.abortTuningAfterLinkLoss();
+    if (interruptedRuns.sequence && typeof window.abortInterruptedSequence === 'function') window.abortInterruptedSequence();
+    interruptedRuns.tuning = false;
+    interruptedRuns.sequence = false;
+}
+
+/**
+ * Po synchronizacji, która nastąpiła po ponownym połączeniu: porównanie
+ * parametrów robota z ostatnio wysłanymi i decyzja o przerwanych runach.
+ */
+function finishResync(robotParams) {
+    const addLog = window.addLogMessage || console.log;
+    const mismatches = diffParams(lastSentParams, robotParams);
+    if (mismatches.length === 0) {
+        addLog('[UI] Parametry robota zgodne z ostatnio wyslanymi z UI.', 'success');
+    } else {
+        const list = mismatches.map(m => `${m.key}: robot=${m.robot}, UI=${m.sent}`);
+        addLog(`[UI] Po ponownym polaczeniu ${mismatches.length} parametr(ow) robota rozni sie od wyslanych z UI: ${list.join('; ')}`, 'warn');
+        if (confirm(`Po ponownym polaczeniu parametry robota roznia sie od ostatnio wyslanych z UI:\n\n${list.join('\n')}\n\nWyslac ponownie wartosci z UI?`)) {
+            AppState.isApplyingConfig = true;
+            for (const m of mismatches) {
+                sendBleMessage({ type: 'set_param', key: m.key, value: m.sent });
+                if (typeof window.applySingleParam === 'function') window.applySingleParam(m.key, m.sent);
             }
-        }, 20000);
+            AppState.isApplyingConfig = false;
+            addLog(`[UI] Wyslano ponownie ${mismatches.length} parametr(ow).`, 'success');
+        } else {
+            // UI pokazuje teraz wartości robota (zastosowane przy sync_complete)
+            for (const m of mismatches) lastSentParams[m.key] = m.robot;
+            addLog('[UI] Pozostawiono parametry zgloszone przez robota.', 'info');
+        }
+    }
+
+    if (interruptedRuns.tuning) {
+        interruptedRuns.tuning = false;
+        if (confirm('Strojenie zostalo przerwane przez utrate polaczenia.\n\nOK - wznow (przerwany test zostanie powtorzony)\nAnuluj - bezpiecznie przerwij strojenie')) {
+            window.resumeTuningAfterReconnect();
+        } else {
+            window.abortTuningAfterLinkLoss();
+        }
+    }
+    if (interruptedRuns.sequence) {
+        interruptedRuns.sequence = false;
+        if (confirm('Sekwencja ruchow zostala przerwana przez utrate polaczenia.\n\nOK - wznow od przerwanego kroku\nAnuluj - zatrzymaj robota i przerwij sekwencje')) {
+            window.resumeInterruptedSequence();
+        } else {
+            window.abortInterruptedSequence();
+        }
+    }
+}
+
+// ========================================================================
+// WIELE ROBOTÓW (robot-manager.mjs)
+// ========================================================================
+// Pierwszy robot łączy się przez connectBLE() i zostaje aktywny. Kolejne
+// dodaje addRobotConnection() - ich wiadomości trafiają tylko do magazynu
+// w robotManager. Zmiana aktywnego robota przełącza commLayer (handlery UI)
+// i odtwarza w UI konfigurację z magazynu, bez ponownej synchronizacji.
+// Roboty w tle nie są automatycznie łączone ponownie po utracie łącza.
+
+/**
+ * Łączy kolejnego robota (transport wybrany obok przycisku łączenia).
+ * Bez aktywnego połączenia działa jak connectBLE().
+ */
+export async function addRobotConnection(kind = null) {
+    const addLog = window.addLogMessage || console.log;
+    if (!AppState.isConnected) return connectBLE();
+    const transportKind = kind || document.getElementById('transportSelect')?.value || activeTransportKind;
+    if (!TRANSPORTS[transportKind] || !TRANSPORTS[transportKind].isSupported()) {
+        addLog('[UI] Wybrany rodzaj polaczenia jest niedostepny.', 'error');
+        return null;
+    }
+    const transport = TRANSPORTS[transportKind].create();
+    transport.recordsSession = false;
+    try {
+        if (!(await transport.connect())) throw new Error('Failed to connect to device');
     } catch (error) {
-        addLog(`[UI] Blad polaczenia BLE: ${error}`, 'error');
+        addLog(`[UI] Nie udalo sie dodac robota (${TRANSPORTS[transportKind].label}): ${error}`, 'error');
+        return null;
+    }
+    const robot = robotManager.addRobot(transport);
+    transport.observe((type, data) => {
+        if (type === 'disconnected' && data.reason === 'link_lost' && robotManager.activeId !== robot.id) {
+            addLog(`[UI] Utracono polaczenie z robotem ${robot.name} (w tle).`, 'warn');
+        }
+    });
+    // Magazyn robota wypełnia się z odpowiedzi (capabilities, set_param...)
+    transport.send(buildHelloMessage());
+    transport.send({ type: 'request_full_config' });
+    addLog(`[UI] Dodano robota ${robot.name} (${robotManager.getRobots().length} polaczonych).`, 'success');
+    return robot;
+}
+
+/**
+ * Przełącza UI na innego robota. Odmawia w trakcie strojenia i sekwencji.
+ * @returns {boolean}
+ */
+export function switchActiveRobot(id) {
+    const addLog = window.addLogMessage || console.log;
+    if (id === robotManager.activeId) return true;
+    if (AppState.isTuningActive || AppState.isSequenceRunning) {
+        addLog('[UI] Zakoncz strojenie / sekwencje przed zmiana aktywnego robota.', 'warn');
+        return false;
+    }
+    if (commLayer instanceof ReplayCommunication) {
+        addLog('[UI] Zatrzymaj odtwarzanie sesji przed zmiana aktywnego robota.', 'warn');
+        return false;
+    }
+    return !!robotManager.setActive(id);
+}
+
+function activateRobot(robot, previous) {
+    const addLog = window.addLogMessage || console.log;
+    if (reconnectController.isActive()) {
+        reconnectController.cancel();
+        abandonInterruptedRuns();
+    }
+    // ACK dla komend poprzedniego robota nie trafią już do handlerów UI
+    commandTracker.rejectAll('cancelled', 'zmiana aktywnego robota');
+    clearTimeout(helloTimer);
+    helloTimer = null;
+    pendingResync = null;
+    clearTimeout(AppState.syncTimeout);
+
+    setCommLayer(robot.transport);
+    lastSentParams = { ...robot.lastSentParams };
+    linkMonitor.reset();
+    renderTelemetryFrameStats();
+    // Jeden strumień telemetrii na robota: historia poprzedniego zostaje w jego sesji
+    // w bibliotece, a analizator, pomiary i alarmy zaczynają od próbek nowego robota
+    if (previous && window.telemetryStore) {
+        window.telemetryStore.clear();
+        window.telemetryData = {};
+        if (typeof window.renderSignalChart === 'function') window.renderSignalChart();
+    }
+    addLog(`[UI] Aktywny robot: ${robot.name}${previous ? ` (poprzednio ${previous.name})` : ''}.`, 'info');
+
+    if (!robot.transport.getConnectionStatus()) {
         onDisconnected();
+        return;
+    }
+    if (Object.keys(robot.params).length === 0) {
+        beginRobotSession();
+        return;
+    }
+    showConnectedUI();
+    document.getElementById('connectBleBtn').disabled = true;
+    appStore.setState('connection.capabilities', robot.capabilities ? parseCapabilities(robot.capabilities) : legacyCapabilities());
+    applyRobotStore(robot);
+}
+
+/**
+ * Odtwarza konfigurację z magazynu robota tą samą ścieżką co synchronizacja
+ * (set_param w trakcie sync → sync_complete w processCompleteMessage).
+ */
+function applyRobotStore(robot) {
+    if (typeof window.processCompleteMessage !== 'function') return;
+    AppState.isSynced = false;
+    AppState.tempParams = {};
+    AppState.tempTuningParams = {};
+    AppState.tempStates = {};
+    for (const [key, value] of Object.entries({ ...robot.params, ...robot.states })) {
+        window.processCompleteMessage({ type: 'set_param', key, value });
+    }
+    for (const [key, value] of Object.entries(robot.tuningParams)) {
+        window.processCompleteMessage({ type: 'set_tuning_config_param', key, value });
     }
+    window.processCompleteMessage({ type: 'sync_complete' });
+    if (robot.telemetry) window.processCompleteMessage({ ...robot.telemetry });
+}
+
+/** Rozłącza robota i usuwa go z listy. */
+export async function removeRobotConnection(id) {
+    const robot = robotManager.getRobot(id);
+    if (!robot) return;
+    if (robot.transport.getConnectionStatus()) {
+        try { await robot.transport.disconnect(); } catch (e) { /* transport i tak jest porzucany */ }
+    }
+    robotManager.removeRobot(id);
+}
+
+/**
+ * Wysyła wiadomość do wszystkich połączonych robotów i loguje wynik.
+ */
+export async function broadcastToRobots(message, label = message.type) {
+    const addLog = window.addLogMessage || console.log;
+    const summary = await robotManager.broadcast(message);
+    addLog(`[UI] ${label}: wyslano do ${summary.sent.length} robotow.`, summary.sent.length > 0 ? 'info' : 'warn');
+    for (const failure of summary.failed) {
+        addLog(`[UI] ${label}: blad wysylania do ${failure.name}: ${failure.error}`, 'error');
+    }
+    return summary;
+}
+
+export function emergencyStopAllRobots() {
+    return broadcastToRobots({ type: 'command_stop' }, 'STOP wszystkich robotow');
+}
+
+// ========================================================================
+// HANDSHAKE hello / capabilities
+// ========================================================================
+// `hello` idzie zwykłym sendBleMessage (nie sendCommand): starszy firmware
+// go ignoruje i nie chcemy wtedy ponowień ani wpisów w panelu "Komendy".
+
+let helloTimer = null;
+
+function startCapabilityHandshake() {
+    clearTimeout(helloTimer);
+    appStore.setState('connection.capabilities', null);
+    sendBleMessage(buildHelloMessage());
+    helloTimer = setTimeout(() => {
+        helloTimer = null;
+        applyFirmwareCapabilities(legacyCapabilities());
+    }, HELLO_TIMEOUT_MS);
+}
+
+function applyFirmwareCapabilities(caps) {
+    const addLog = window.addLogMessage || console.log;
+    appStore.setState('connection.capabilities', caps);
+    const compat = checkProtocolCompatibility(caps);
+    const levels = { ok: 'info', legacy: 'info', newer: 'warn', incompatible: 'error' };
+    addLog(caps.firmware ? `[UI] Firmware ${caps.firmware}: ${compat.message}` : `[UI] ${compat.message}`, levels[compat.level]);
+    if (compat.level === 'incompatible') alert(compat.message);
+    const missing = Object.entries(CAPABILITY_FEATURES)
+        .filter(([feature]) => !isFeatureSupported(caps, feature))
+        .map(([, spec]) => spec.label);
+    if (missing.length > 0) addLog(`[UI] Niedostepne w tym firmware (ukryte): ${missing.join(', ')}.`, 'info');
 }
 
 /**
  * Handle BLE disconnection
+ * @param {{reason?: 'user'|'link_lost'}} [info] - powód z warstwy transportu
  */
-export function onDisconnected() {
+export function onDisconnected(info = {}) {
+    const linkLost = info.reason === 'link_lost' && AppState.isConnected;
+    // Przed rejectAll - odrzucone komendy sekwencji nie mogą jej przerwać
+    if (linkLost) suspendInterruptedRuns();
+    pendingResync = null;
+    clearTimeout(helloTimer);
+    helloTimer = null;
+    appStore.setState('connection.capabilities', null);
+    linkWatchdog.stop();
+    joystickEngaged = false;
+
+    commandTracker.rejectAll('disconnected', 'polaczenie przerwane');
     AppState.isConnected = false;
     AppState.isSynced = false;
     appStore.setState('ui.isLocked', true);
     document.body.classList.add('ui-locked');
 
-    if (AppState.isTuningActive) {
+    if (AppState.isTuningActive && !interruptedRuns.tuning) {
         if (typeof window.handleCancel === 'function') window.handleCancel();
     }
 
@@ -433,16 +1581,61 @@ export function onDisconnected() {
         const el = document.getElementById(id);
         if (el) el.checked = false;
     });
+
+    if (linkLost) {
+        if (typeof window.addLogMessage === 'function') {
+            window.addLogMessage('[UI] Utracono polaczenie z robotem. Proba ponownego polaczenia...', 'warn');
+        }
+        reconnectController.start();
+    } else if (info.reason === 'user') {
+        reconnectController.cancel();
+        abandonInterruptedRuns();
+    }
 }
 
 /**
  * Setup communication layer message handlers
  */
 export function setupCommunicationHandlers() {
-    commLayer.onMessage('disconnected', () => {
-        onDisconnected();
+    setupTransportSelect();
+
+    commLayer.onMessage('disconnected', (data) => {
+        onDisconnected(data);
     });
 
+    commLayer.onMessage('telemetry', () => {
+        linkMonitor.recordTelemetry();
+        linkWatchdog.recordTelemetry();
+        if (Date.now() - lastTelemetryStatsRender >= TELEMETRY_STATS_INTERVAL_MS) renderTelemetryFrameStats();
+    });
+
+    // Handlery typów działają przed '*' (processCompleteMessage) - zbieramy
+    // parametry robota, zanim sync_complete wyczyści AppState.tempParams
+    commLayer.onMessage('set_param', (data) => {
+        if (pendingResync && !AppState.isSynced) pendingResync.robotParams[data.key] = data.value;
+    });
+    commLayer.onMessage('sync_complete', () => {
+        if (!pendingResync) return;
+        const { robotParams } = pendingResync;
+        pendingResync = null;
+        // Po zastosowaniu konfiguracji przez processCompleteMessage
+        setTimeout(() => finishResync(robotParams), 0);
+    });
+
+    commLayer.onMessage('ack', (data) => {
+        commandTracker.handleAck(data);
+    });
+
+    commLayer.onMessage('capabilities', (data) => {
+        clearTimeout(helloTimer);
+        helloTimer = null;
+        applyFirmwareCapabilities(parseCapabilities(data));
+    });
+
+    commandTracker.onChange(renderCommandStatus);
+    document.getElementById('clearCommandFailuresBtn')?.addEventListener('click', () => commandTracker.clearFailures());
+    renderCommandStatus();
+
     commLayer.onMessage('*', (type, data) => {
         if (type !== 'disconnected') {
             if (typeof window.processCompleteMessage === 'function') {
@@ -471,6 +1664,24 @@ export function setupCommunicationHandlers() {
     });
 }
 
+function setupTransportSelect() {
+    const select = document.getElementById('transportSelect');
+    if (!select) return;
+    select.innerHTML = '';
+    for (const [kind, transport] of Object.entries(TRANSPORTS)) {
+        const option = document.createElement('option');
+        option.value = kind;
+        option.textContent = transport.label;
+        if (!transport.isSupported()) {
+            option.disabled = true;
+            option.title = 'Niedostepne w tej przegladarce';
+        }
+        select.appendChild(option);
+    }
+    select.value = activeTransportKind;
+    appStore.subscribe('connection.isConnected', (value) => { select.disabled = !!value; });
+}
+
 // URL helpers for QR auto-connect
 function getTargetDeviceFromURL() {
     const urlParams = new URLSearchParams(window.location.search);
@@ -485,7 +1696,16 @@ function clearDeviceFromURL() {
 
 // Backward compatibility - expose on window
 window.commLayer = commLayer;
+window.setCommLayer = setCommLayer;
+window.selectTransport = selectTransport;
 window.sendBleMessage = sendBleMessage;
+window.sendCommand = sendCommand;
+window.robotAcksCommands = robotAcksCommands;
+window.commandTracker = commandTracker;
+window.reconnectController = reconnectController;
+window.robotManager = robotManager;
+window.emergencyStopAllRobots = emergencyStopAllRobots;
+window.linkWatchdog = linkWatchdog;
 window.connectBLE = connectBLE;
 window.onDisconnected = onDisconnected;
 window.setupCommunicationHandlers = setupCommunicationHandlers;
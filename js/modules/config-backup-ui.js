@@ -0,0 +1,302 @@
+// ========================================================================
+// CONFIG BACKUP UI - Kopia zapasowa konfiguracji robota (ES6 Module)
+// ========================================================================
+// Eksport: świeża synchronizacja (request_full_config) + get_*_mapping,
+// zapis jako plik JSON (config-backup.mjs). Import: wczytanie pliku,
+// ponowne pobranie konfiguracji z robota i tabela różnic klucz po kluczu;
+// do robota trafiają tylko zaznaczone wartości, a na koniec (opcjonalnie)
+// save_tunings, żeby przywrócona konfiguracja przetrwała restart.
+// ========================================================================
+
+import { appStore, AppState } from './state.js';
+import { commLayer, sendBleMessage, sendCommand } from './communication.js';
+import { isMessageSupported, isFeatureSupported } from './capabilities.mjs';
+import { getFuzzyConfig, applyFuzzyConfig } from './fuzzy-editor.js';
+import {
+    ConfigCapture, CONFIG_CAPTURE_TIMEOUT_MS, MAPPING_SECTIONS,
+    createConfigBackup, parseConfigBackup, diffConfigBackup, buildRestoreMessages, backupFileName
+} from './config-backup.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+const SECTION_LABELS = {
+    params: 'Parametry',
+    tuning_config: 'Strojenie',
+    imu_mapping: 'Mapowanie IMU',
+    model_mapping: 'Mapowanie modelu 3D',
+    fuzzy: 'Fuzzy (edytor UI)'
+};
+const STATUS_LABELS = {
+    same: ['bez zmian', '#aaa'],
+    changed: ['rozni sie', '#f7b731'],
+    unknown: ['robot nie zglosil', '#61dafb'],
+    not_on_robot: ['brak w firmware', '#ff6347'],
+    not_in_backup: ['brak w kopii', '#aaa']
+};
+
+let busy = false;
+// Wczytana kopia i stan robota, z którym ją porównano
+let loaded = null;
+
+function getCapabilities() {
+    return appStore.getState('connection.capabilities') || null;
+}
+
+/**
+ * Pobiera aktualną konfigurację z robota (sync + mapowania).
+ * Brak odpowiedzi z mapowaniem po CONFIG_CAPTURE_TIMEOUT_MS = sekcja null.
+ */
+function captureRobotConfig() {
+    const caps = getCapabilities();
+    const mappings = MAPPING_SECTIONS.filter(section => isMessageSupported(caps, `get_${section}`));
+    const capture = new ConfigCapture({ mappings });
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        const done = () => {
+            clearTimeout(timer);
+            unobserve();
+            const missing = mappings.filter(section => !capture.mappings[section]);
+            if (missing.length > 0) addLogMessage(`[UI] Kopia konfiguracji: robot nie odpowiedzial na ${missing.map(s => `get_${s}`).join(', ')}.`, 'warn');
+            resolve(capture.getSnapshot());
+        };
+        const unobserve = commLayer.observe((type, data) => {
+            if (type === 'disconnected') {
+                clearTimeout(timer);
+                unobserve();
+                reject(new Error('Utracono polaczenie z robotem.'));
+            } else if (capture.handle(type, data)) {
+                done();
+            }
+        });
+        timer = setTimeout(() => {
+            if (capture.synced) {
+                done();
+            } else {
+                unobserve();
+                reject(new Error('Robot nie przeslal konfiguracji (brak sync_complete).'));
+            }
+        }, CONFIG_CAPTURE_TIMEOUT_MS);
+        sendBleMessage({ type: 'request_full_config' });
+        for (const section of mappings) sendBleMessage({ type: `get_${section}` });
+    });
+}
+
+// Stan robota w kształcie kopii; Fuzzy tylko z edytora (firmware go nie raportuje)
+async function captureLiveConfig() {
+    const snapshot = await captureRobotConfig();
+    const fuzzy = isFeatureSupported(getCapabilities(), 'fuzzy') ? getFuzzyConfig() : null;
+    const caps = getCapabilities();
+    return createConfigBackup({
+        snapshot,
+        fuzzy,
+        device: {
+            name: appStore.getState('connection.deviceName'),
+            firmware: caps && caps.firmware,
+            project: caps && caps.project
+        }
+    });
+}
+
+async function runExclusive(task) {
+    if (busy) return;
+    if (!AppState.isConnected) {
+        addLogMessage('[UI] Polacz sie z robotem, aby wykonac kopie lub przywrocic konfiguracje.', 'warn');
+        return;
+    }
+    busy = true;
+    renderButtons();
+    try {
+        await task();
+    } catch (error) {
+        addLogMessage(`[UI] Kopia konfiguracji: ${error.message}`, 'error');
+    } finally {
+        busy = false;
+        renderButtons();
+    }
+}
+
+function exportConfigBackup() {
+    return runExclusive(async () => {
+        addLogMessage('[UI] Pobieram pelna konfiguracje z robota...', 'info');
+        const backup = await captureLiveConfig();
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url; a.download = backupFileName(backup); a.click(); URL.revokeObjectURL(url);
+        const count = Object.keys(backup.params).length + Object.keys(backup.tuning_config).length;
+        addLogMessage(`[UI] Zapisano kopie konfiguracji ${a.download} (${count} parametrow).`, 'success');
+    });
+}
+
+function importConfigBackup() {
+    if (busy) return;
+    const input = document.createElement('input');
+    input.type = 'file'; input.accept = '.json,application/json';
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let backup;
+            try {
+                backup = parseConfigBackup(String(reader.result));
+            } catch (error) {
+                addLogMessage(`[UI] ${file.name}: ${error.message}`, 'error');
+                return;
+            }
+            loaded = { backup, live: null, entries: [], fileName: file.name };
+            renderBackupInfo();
+            compareWithRobot();
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
+
+function compareWithRobot() {
+    if (!loaded) return Promise.resolve();
+    return runExclusive(async () => {
+        addLogMessage(`[UI] Porownuje ${loaded.fileName} z konfiguracja robota...`, 'info');
+        loaded.live = await captureLiveConfig();
+        loaded.entries = diffConfigBackup(loaded.backup, loaded.live);
+        const changed = loaded.entries.filter(e => e.status === 'changed').length;
+        addLogMessage(`[UI] Kopia vs robot: ${changed} wartosci rozni sie.`, changed > 0 ? 'warn' : 'success');
+        renderDiff();
+    });
+}
+
+function formatValue(value) {
+    if (value === undefined) return '---';
+    if (value && typeof value === 'object') {
+        if ('source' in value) return `src=${value.source} ${value.sign < 0 ? '-' : '+'}`;
+        if ('center' in value) return `c=${value.center} w=${value.width}`;
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+function renderBackupInfo() {
+    const infoEl = document.getElementById('configBackupInfo');
+    if (!infoEl) return;
+    if (!loaded) {
+        infoEl.textContent = 'Nie wczytano kopii.';
+        return;
+    }
+    const { backup, fileName } = loaded;
+    const date = backup.created_at ? new Date(backup.created_at).toLocaleString() : '?';
+    infoEl.textContent = `${fileName}: ${backup.device.name || '?'}, firmware ${backup.device.firmware || '?'}, ${date}`;
+}
+
+function renderDiff() {
+    const body = document.getElementById('configBackupDiffBody');
+    const summaryEl = document.getElementById('configBackupSummary');
+    if (!body || !loaded) return;
+    const showSame = document.getElementById('configBackupShowSame')?.checked;
+    const rows = loaded.entries.filter(e => showSame || e.status !== 'same');
+    body.innerHTML = '';
+    for (const entry of rows) {
+        const [label, color] = STATUS_LABELS[entry.status];
+        const tr = document.createElement('tr');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.entry = entry.id;
+        checkbox.disabled = !entry.restorable;
+        checkbox.checked = entry.status === 'changed';
+        tr.appendChild(document.createElement('td')).appendChild(checkbox);
+        // Klucze i wartości pochodzą z pliku - tylko textContent
+        for (const text of [SECTION_LABELS[entry.section], entry.key, formatValue(entry.backup), formatValue(entry.robot), label]) {
+            tr.appendChild(document.createElement('td')).textContent = text;
+        }
+        tr.lastChild.style.color = color;
+        body.appendChild(tr);
+    }
+    if (summaryEl) {
+        const counts = {};
+        for (const entry of loaded.entries) counts[entry.status] = (counts[entry.status] || 0) + 1;
+        summaryEl.textContent = Object.entries(counts).map(([status, n]) => `${STATUS_LABELS[status][0]}: ${n}`).join(', ') || 'Brak danych.';
+    }
+    const diffEl = document.getElementById('configBackupDiff');
+    if (diffEl) diffEl.style.display = 'block';
+    renderButtons();
+}
+
+function renderButtons() {
+    const exportBtn = document.getElementById('configBackupExportBtn');
+    if (exportBtn) exportBtn.disabled = busy;
+    const importBtn = document.getElementById('configBackupImportBtn');
+    if (importBtn) importBtn.disabled = busy;
+    const restoreBtn = document.getElementById('configBackupRestoreBtn');
+    if (restoreBtn) restoreBtn.disabled = busy || !loaded || !loaded.live;
+}
+
+// Kopia robocza edytora Fuzzy po przywróceniu wybranych kluczy
+function mergeFuzzy(ids) {
+    const { backup, live } = loaded;
+    const fuzzy = getFuzzyConfig();
+    const has = (key) => ids.includes(`fuzzy.${key}`);
+    backup.fuzzy.rules.forEach((row, r) => row.forEach((value, c) => { if (has(`rule_${r * row.length + c}`)) fuzzy.rules[r][c] = value; }));
+    for (const setType of ['error', 'rate']) {
+        backup.fuzzy[`${setType}_sets`].forEach((set, i) => { if (has(`${setType}_set_${i}`)) fuzzy[`${setType}_sets`][i] = { ...set }; });
+    }
+    for (const key of ['gain', 'integral_ki', 'integral_limit']) {
+        if (has(key)) fuzzy[key] = backup.fuzzy[key];
+    }
+    return live.fuzzy ? fuzzy : backup.fuzzy;
+}
+
+function restoreSelected() {
+    if (!loaded || !loaded.live) return;
+    if (AppState.isTuningActive || AppState.isSequenceRunning) {
+        addLogMessage('[UI] Zatrzymaj strojenie i sekwencje przed przywracaniem konfiguracji.', 'warn');
+        return;
+    }
+    const ids = [...document.querySelectorAll('#configBackupDiffBody input[data-entry]:checked')].map(el => el.dataset.entry);
+    const messages = buildRestoreMessages(loaded.backup, ids, loaded.live);
+    if (messages.length === 0) {
+        addLogMessage('[UI] Nie zaznaczono wartosci do przywrocenia.', 'warn');
+        return;
+    }
+    if (!confirm(`Wyslac do robota ${ids.length} wartosci z kopii ${loaded.fileName} (${messages.length} komend)?`)) return;
+
+    return runExclusive(async () => {
+        AppState.isApplyingConfig = true;
+        for (const message of messages) {
+            sendBleMessage(message);
+            if (message.type === 'set_param') window.applySingleParam(message.key, message.value);
+            else if (message.type === 'set_tuning_config_param') window.applySingleAutotuneParam(message.key, message.value);
+            else if (message.type === 'set_imu_mapping') window.updateIMUMappingUIFromData(message.mapping);
+            else if (message.type === 'set_model_mapping') window.setModelMapping(message.mapping);
+        }
+        if (ids.some(id => id.startsWith('fuzzy.'))) applyFuzzyConfig(mergeFuzzy(ids));
+        AppState.isApplyingConfig = false;
+        addLogMessage(`[UI] Przywrocono ${ids.length} wartosci z kopii konfiguracji.`, 'success');
+
+        if (confirm('Zapisac przywrocona konfiguracje w pamieci EEPROM robota?')) {
+            // Wynik zapisu loguje obsługa ACK save_tunings (ble-processor.js)
+            await sendCommand({ type: 'save_tunings' });
+        }
+        // Ponowne porównanie potwierdza, co robot faktycznie przyjął
+        loaded.live = await captureLiveConfig();
+        loaded.entries = diffConfigBackup(loaded.backup, loaded.live);
+        const stillChanged = loaded.entries.filter(e => ids.includes(e.id) && e.status === 'changed');
+        if (stillChanged.length > 0) {
+            addLogMessage(`[UI] Robot nie przyjal ${stillChanged.length} wartosci: ${stillChanged.map(e => e.key).join(', ')}`, 'warn');
+        }
+        renderDiff();
+    });
+}
+
+export function initConfigBackupUI() {
+    if (!document.getElementById('configBackupExportBtn')) return;
+    document.getElementById('configBackupExportBtn').addEventListener('click', exportConfigBackup);
+    document.getElementById('configBackupImportBtn')?.addEventListener('click', importConfigBackup);
+    document.getElementById('configBackupRestoreBtn')?.addEventListener('click', restoreSelected);
+    document.getElementById('configBackupShowSame')?.addEventListener('change', renderDiff);
+    appStore.subscribe('connection.isConnected', (connected) => {
+        // Porównanie dotyczyło poprzedniego połączenia
+        if (!connected && loaded) loaded.live = null;
+        renderButtons();
+    });
+    renderBackupInfo();
+    renderButtons();
+}
@@ -0,0 +1,364 @@
+// ========================================================================
+// CONFIG BACKUP - Kopia zapasowa konfiguracji robota (ES6 Module)
+// ========================================================================
+// Kopia to wersjonowany JSON z pełnym zestawem parametrów zgłoszonych
+// przez robota między sync_begin a sync_complete (request_full_config),
+// mapowaniem IMU i modelu 3D (get_imu_mapping / get_model_mapping),
+// konfiguracją Fuzzy (firmware jej nie raportuje - brana z edytora UI),
+// nazwą urządzenia i datą:
+//   {format:'robobala-config', version:1, created_at, device:{name, firmware, project},
+//    params, states, tuning_config, imu_mapping, model_mapping, fuzzy}
+// Przy przywracaniu kopia jest porównywana klucz po kluczu z robotem
+// (diffConfigBackup), a do robota trafiają tylko wybrane wartości
+// (buildRestoreMessages). Stany przełączników (states) są tylko zapisywane.
+// Strona robota dla symulatora: mappingSimulatorExtension (options.extensions).
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const CONFIG_BACKUP_FORMAT = 'robobala-config';
+export const CONFIG_BACKUP_VERSION = 1;
+// Czas na sync_complete i odpowiedzi z mapowaniami
+export const CONFIG_CAPTURE_TIMEOUT_MS = 5000;
+export const MAPPING_SECTIONS = ['imu_mapping', 'model_mapping'];
+
+// Klucze set_param będące przełącznikami trybu (jak w robot-manager.mjs)
+const STATE_KEYS = ['balancing', 'holding_pos', 'speed_mode'];
+const AXES = ['pitch', 'yaw', 'roll'];
+const FUZZY_SET_COUNT = 5;
+const VALUE_TOLERANCE = 1e-4;
+
+/**
+ * Zbiera odpowiedź robota na request_full_config (+ get_*_mapping).
+ * handle() dostaje każdą przychodzącą wiadomość (obserwator transportu).
+ */
+export class ConfigCapture {
+    /**
+     * @param {{mappings?: string[]}} [options] - sekcje mapowań, na które czekamy
+     */
+    constructor({ mappings = MAPPING_SECTIONS } = {}) {
+        this.expectedMappings = mappings.filter(m => MAPPING_SECTIONS.includes(m));
+        this.inSync = false;
+        this.synced = false;
+        this.params = {};
+        this.states = {};
+        this.tuningConfig = {};
+        this.mappings = {};
+    }
+
+    /** @returns {boolean} true, gdy zebrano już wszystko */
+    handle(type, data) {
+        switch (type) {
+            case 'sync_begin':
+                this.inSync = true;
+                this.params = {};
+                this.states = {};
+                this.tuningConfig = {};
+                break;
+            case 'set_param':
+                if (!this.inSync || data.key === undefined) break;
+                if (STATE_KEYS.includes(data.key)) this.states[data.key] = data.value;
+                else this.params[data.key] = data.value;
+                break;
+            case 'set_tuning_config_param':
+                if (this.inSync && data.key !== undefined) this.tuningConfig[data.key] = data.value;
+                break;
+            case 'sync_complete':
+                if (this.inSync) {
+                    this.inSync = false;
+                    this.synced = true;
+                }
+                break;
+            case 'imu_mapping':
+            case 'model_mapping': {
+                const mapping = normalizeMapping(data.mapping || data);
+                if (mapping) this.mappings[type] = mapping;
+                break;
+            }
+        }
+        return this.isComplete();
+    }
+
+    isComplete() {
+        return this.synced && this.expectedMappings.every(m => this.mappings[m]);
+    }
+
+    /** Stan robota w kształcie kopii (brak mapowania = null). */
+    getSnapshot() {
+        return {
+            params: { ...this.params },
+            states: { ...this.states },
+            tuning_config: { ...this.tuningConfig },
+            imu_mapping: this.mappings.imu_mapping || null,
+            model_mapping: this.mappings.model_mapping || null
+        };
+    }
+}
+
+/** {pitch:{source,sign}, yaw, roll} albo null, gdy niepoprawne. */
+export function normalizeMapping(data) {
+    if (!data || typeof data !== 'object') return null;
+    const mapping = {};
+    for (const axis of AXES) {
+        const entry = data[axis];
+        const source = Number(entry && entry.source);
+        const sign = Number(entry && entry.sign);
+        if (!Number.isInteger(source) || source < 0 || source > 2 || (sign !== 1 && sign !== -1)) return null;
+        mapping[axis] = { source, sign };
+    }
+    return mapping;
+}
+
+function normalizeFuzzy(data) {
+    if (!data || typeof data !== 'object') return null;
+    const rules = data.rules;
+    const validRules = Array.isArray(rules) && rules.length === FUZZY_SET_COUNT && rules.every(row =>
+        Array.isArray(row) && row.length === FUZZY_SET_COUNT && row.every(v => Number.isInteger(v) && v >= 0 && v < FUZZY_SET_COUNT));
+    const normalizeSets = (sets) => (Array.isArray(sets) && sets.length === FUZZY_SET_COUNT &&
+        sets.every(s => s && Number.isFinite(Number(s.center)) && Number.isFinite(Number(s.width))))
+        ? sets.map(s => ({ center: Number(s.center), width: Number(s.width) }))
+        : null;
+    const errorSets = normalizeSets(data.error_sets);
+    const rateSets = normalizeSets(data.rate_sets);
+    const numbers = ['gain', 'integral_ki', 'integral_limit'].map(k => Number(data[k]));
+    if (!validRules || !errorSets || !rateSets || !numbers.every(Number.isFinite)) return null;
+    return {
+        rules: rules.map(row => [...row]),
+        error_sets: errorSets,
+        rate_sets: rateSets,
+        gain: numbers[0],
+        integral_ki: numbers[1],
+        integral_limit: numbers[2]
+    };
+}
+
+/**
+ * Tworzy kopię z migawki robota (ConfigCapture.getSnapshot()).
+ * @param {Object} options
+ * @param {Object} options.snapshot
+ * @param {Object|null} [options.fuzzy] - konfiguracja z edytora Fuzzy
+ * @param {{name?: string, firmware?: string, project?: string}} [options.device]
+ * @param {Date} [options.createdAt]
+ */
+export function createConfigBackup({ snapshot, fuzzy = null, device = {}, createdAt = new Date() }) {
+    return {
+        format: CONFIG_BACKUP_FORMAT,
+        version: CONFIG_BACKUP_VERSION,
+        created_at: createdAt.toISOString(),
+        device: { name: device.name || null, firmware: device.firmware || null, project: device.project || null },
+        params: { ...snapshot.params },
+        states: { ...snapshot.states },
+        tuning_config: { ...snapshot.tuning_config },
+        imu_mapping: snapshot.imu_mapping || null,
+        model_mapping: snapshot.model_mapping || null,
+        fuzzy: normalizeFuzzy(fuzzy)
+    };
+}
+
+function checkValues(section, values) {
+    if (values === undefined || values === null) return {};
+    if (typeof values !== 'object' || Array.isArray(values)) throw new Error(`Sekcja ${section} nie jest obiektem.`);
+    for (const [key, value] of Object.entries(values)) {
+        const valid = typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'string';
+        if (!valid) throw new Error(`Nieprawidlowa wartosc ${section}.${key}.`);
+    }
+    return { ...values };
+}
+
+/**
+ * Wczytuje i sprawdza plik kopii.
+ * @param {string|Object} input - tekst JSON albo obiekt
+ * @returns {Object} kopia w aktualnym kształcie
+ * @throws {Error} komunikat dla użytkownika
+ */
+export function parseConfigBackup(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try { data = JSON.parse(input); } catch (e) { throw new Error('Plik nie jest poprawnym JSON.'); }
+    }
+    if (!data || data.format !== CONFIG_BACKUP_FORMAT) throw new Error('To nie jest kopia konfiguracji RoboBala.');
+    const version = Number(data.version);
+    if (!Number.isInteger(version) || version < 1) throw new Error('Brak wersji kopii konfiguracji.');
+    if (version > CONFIG_BACKUP_VERSION) {
+        throw new Error(`Kopia w wersji ${version} jest nowsza niz obslugiwana (${CONFIG_BACKUP_VERSION}) - zaktualizuj aplikacje.`);
+    }
+    const backup = {
+        format: CONFIG_BACKUP_FORMAT,
+        version,
+        created_at: data.created_at || null,
+        device: { name: null, firmware: null, project: null, ...(data.device || {}) },
+        params: checkValues('params', data.params),
+        states: checkValues('states', data.states),
+        tuning_config: checkValues('tuning_config', data.tuning_config),
+        imu_mapping: null,
+        model_mapping: null,
+        fuzzy: null
+    };
+    for (const section of MAPPING_SECTIONS) {
+        if (data[section] === undefined || data[section] === null) continue;
+        backup[section] = normalizeMapping(data[section]);
+        if (!backup[section]) throw new Error(`Nieprawidlowe ${section} (oczekiwane pitch/yaw/roll ze source 0-2 i sign +-1).`);
+    }
+    if (data.fuzzy !== undefined && data.fuzzy !== null) {
+        backup.fuzzy = normalizeFuzzy(data.fuzzy);
+        if (!backup.fuzzy) throw new Error('Nieprawidlowa konfiguracja fuzzy (reguly 5x5, zbiory, gain, integral).');
+    }
+    if (Object.keys(backup.params).length === 0 && Object.keys(backup.tuning_config).length === 0) {
+        throw new Error('Kopia nie zawiera parametrow.');
+    }
+    return backup;
+}
+
+// Fuzzy jako płaska lista kluczy, odpowiadających pojedynczym komendom set_fuzzy_*
+function flattenFuzzy(fuzzy) {
+    if (!fuzzy) return null;
+    const flat = {};
+    fuzzy.rules.flat().forEach((value, i) => { flat[`rule_${i}`] = value; });
+    fuzzy.error_sets.forEach((set, i) => { flat[`error_set_${i}`] = set; });
+    fuzzy.rate_sets.forEach((set, i) => { flat[`rate_set_${i}`] = set; });
+    flat.gain = fuzzy.gain;
+    flat.integral_ki = fuzzy.integral_ki;
+    flat.integral_limit = fuzzy.integral_limit;
+    return flat;
+}
+
+function sectionValues(config, section) {
+    if (!config) return null;
+    return section === 'fuzzy' ? flattenFuzzy(config.fuzzy) : config[section] || null;
+}
+
+export function valuesEqual(a, b) {
+    if (a && typeof a === 'object' && b && typeof b === 'object') {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(k => valuesEqual(a[k], b[k]));
+    }
+    const x = Number(a), y = Number(b);
+    if (Number.isFinite(x) && Number.isFinite(y) && typeof a !== 'string' && typeof b !== 'string') {
+        return Math.abs(x - y) <= VALUE_TOLERANCE * Math.max(1, Math.abs(x));
+    }
+    return String(a) === String(b);
+}
+
+/**
+ * Porównanie kopii z robotem, klucz po kluczu.
+ * status: 'same' | 'changed' | 'unknown' (robot nie zgłosił sekcji) |
+ *         'not_on_robot' (firmware nie zna klucza) | 'not_in_backup'
+ * @param {Object} backup
+ * @param {Object} live - stan robota w kształcie kopii
+ * @returns {{id: string, section: string, key: string, backup: any, robot: any, status: string, restorable: boolean}[]}
+ */
+export function diffConfigBackup(backup, live) {
+    const entries = [];
+    for (const section of ['params', 'tuning_config', ...MAPPING_SECTIONS, 'fuzzy']) {
+        const saved = sectionValues(backup, section);
+        const current = sectionValues(live, section);
+        const keys = new Set([...Object.keys(saved || {}), ...Object.keys(current || {})]);
+        for (const key of keys) {
+            const inBackup = !!saved && key in saved;
+            const onRobot = !!current && key in current;
+            let status;
+            if (!inBackup) status = 'not_in_backup';
+            else if (!current) status = 'unknown';
+            else if (!onRobot) status = 'not_on_robot';
+            else status = valuesEqual(saved[key], current[key]) ? 'same' : 'changed';
+            entries.push({
+                id: `${section}.${key}`,
+                section,
+                key,
+                backup: inBackup ? saved[key] : undefined,
+                robot: onRobot ? current[key] : undefined,
+                status,
+                restorable: status === 'changed' || status === 'unknown'
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Komendy przywracające wybrane wartości z kopii.
+ * Mapowania są wysyłane w całości: wybrane osie z kopii, pozostałe z robota.
+ * @param {Object} backup
+ * @param {Iterable<string>} ids - identyfikatory z diffConfigBackup
+ * @param {Object|null} [live] - stan robota (uzupełnia niewybrane pola)
+ * @returns {Object[]} wiadomości do wysłania w tej kolejności
+ */
+export function buildRestoreMessages(backup, ids, live = null) {
+    const selected = new Set(ids);
+    const has = (section, key) => selected.has(`${section}.${key}`);
+    const messages = [];
+
+    for (const [key, value] of Object.entries(backup.params)) {
+        if (has('params', key)) messages.push({ type: 'set_param', key, value });
+    }
+    for (const [key, value] of Object.entries(backup.tuning_config)) {
+        if (has('tuning_config', key)) messages.push({ type: 'set_tuning_config_param', key, value });
+    }
+    for (const section of MAPPING_SECTIONS) {
+        const saved = backup[section];
+        if (!saved || !AXES.some(axis => has(section, axis))) continue;
+        const base = (live && live[section]) || saved;
+        const mapping = {};
+        for (const axis of AXES) mapping[axis] = { ...(has(section, axis) ? saved[axis] : base[axis]) };
+        messages.push({ type: `set_${section}`, mapping });
+    }
+
+    const fuzzy = backup.fuzzy;
+    if (fuzzy) {
+        fuzzy.rules.flat().forEach((outputSet, i) => {
+            if (has('fuzzy', `rule_${i}`)) messages.push({ type: 'set_fuzzy_rule', rule_index: i, output_set: outputSet });
+        });
+        for (const setType of ['error', 'rate']) {
+            fuzzy[`${setType}_sets`].forEach((set, i) => {
+                if (has('fuzzy', `${setType}_set_${i}`)) {
+                    messages.push({ type: 'set_fuzzy_set', set_type: setType, index: i, center: set.center, width: set.width });
+                }
+            });
+        }
+        if (has('fuzzy', 'gain')) messages.push({ type: 'set_fuzzy_gain', gain: fuzzy.gain });
+        if (has('fuzzy', 'integral_ki') || has('fuzzy', 'integral_limit')) {
+            // Ki i limit idą jedną komendą - niewybrana wartość zostaje jak na robocie
+            const current = (live && live.fuzzy) || fuzzy;
+            messages.push({
+                type: 'set_fuzzy_integral',
+                ki: has('fuzzy', 'integral_ki') ? fuzzy.integral_ki : current.integral_ki,
+                limit: has('fuzzy', 'integral_limit') ? fuzzy.integral_limit : current.integral_limit
+            });
+        }
+    }
+    return messages;
+}
+
+/** Nazwa pliku kopii: robobala-config-<urządzenie>-<data>.json */
+export function backupFileName(backup) {
+    const device = String(backup.device.name || 'robot').replace(/[^A-Za-z0-9_-]+/g, '_');
+    const stamp = String(backup.created_at || '').replace(/[:]/g, '-').replace(/\.\d+Z$/, '');
+    return `robobala-config-${device}-${stamp}.json`;
+}
+
+// ------------------------------------------------------------------------
+// Strona robota w symulatorze (robot-simulator.mjs, options.extensions)
+// ------------------------------------------------------------------------
+
+const identityMapping = () => ({ pitch: { source: 0, sign: 1 }, yaw: { source: 1, sign: 1 }, roll: { source: 2, sign: 1 } });
+
+/** Mapowanie osi IMU i modelu 3D (firmware trzyma je w EEPROM, symulator ich nie stosuje). */
+export const mappingSimulatorExtension = {
+    messages: ['get_imu_mapping', 'set_imu_mapping', 'get_model_mapping', 'set_model_mapping'],
+    install(sim) {
+        sim.mappings = { imu_mapping: identityMapping(), model_mapping: identityMapping() };
+    },
+    handle(sim, msg, replies) {
+        const section = msg.type.slice(4);
+        if (msg.type.startsWith('get_')) {
+            replies.push({ type: section, ...normalizeMapping(sim.mappings[section]) });
+            return;
+        }
+        const mapping = normalizeMapping(msg.mapping);
+        if (!mapping) {
+            replies.push({ type: 'ack', command: msg.type, success: false, message: 'Nieprawidlowe mapowanie' });
+            return;
+        }
+        sim.mappings[section] = mapping;
+        replies.push({ type: 'ack', command: msg.type, success: true, message: 'Zapisano do EEPROM' });
+    }
+};
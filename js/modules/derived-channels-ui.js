@@ -0,0 +1,192 @@
+// ========================================================================
+// DERIVED CHANNELS UI - Edytor kanałów pochodnych (ES6 Module)
+// ========================================================================
+// Panel w analizatorze sygnałów: definicje `nazwa = wyrażenie`
+// (derived-channels.mjs). Zapisane kanały trafiają do derivedChannels
+// w telemetry.js (liczone dla każdej ramki), do listy kanałów
+// analizatora (availableTelemetry) i tym samym do eksportu CSV.
+// Definicje są trzymane w localStorage osobno dla każdego robota
+// (nazwa urządzenia) i przeładowywane przy połączeniu z innym robotem.
+// `param.<klucz>` w wyrażeniu to parametr zgłoszony przez aktywnego robota.
+// ========================================================================
+
+import { appStore } from './state.js';
+import { robotManager } from './communication.js';
+import { derivedChannels } from './telemetry.js';
+import { compileExpression, normalizeDefinitions, DERIVED_CHANNEL_NAME_PATTERN, DERIVED_CHANNELS_MAX } from './derived-channels.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+const STORAGE_PREFIX = 'derived_channels:';
+// Definicje używane bez połączonego robota
+const NO_ROBOT_KEY = '_bez_robota';
+const COLORS = ['#e056fd', '#7bed9f', '#70a1ff', '#ffa502', '#eccc68', '#ff6b81', '#1abc9c', '#a4b0be'];
+
+let robotName = null;
+let definitions = [];
+// Wszystkie nazwy kanałów pochodnych z tej sesji strony - ich stare wartości
+// zostają w window.telemetryData, więc nie są "polami telemetrii"
+const everDerived = new Set();
+
+function storageKey(name) {
+    return STORAGE_PREFIX + (name || NO_ROBOT_KEY);
+}
+
+function loadDefinitions(name) {
+    try { return normalizeDefinitions(JSON.parse(localStorage.getItem(storageKey(name)))); } catch (e) { return []; }
+}
+
+function saveDefinitions() {
+    try { localStorage.setItem(storageKey(robotName), JSON.stringify(definitions)); } catch (e) { /* ignore storage errors */ }
+}
+
+// param.kp_b -> wartość z magazynu aktywnego robota (set_param / set_tuning_config_param)
+function resolveName(name) {
+    if (!name.startsWith('param.')) return undefined;
+    const robot = robotManager.getActive();
+    if (!robot) return undefined;
+    const key = name.slice('param.'.length);
+    return key in robot.params ? robot.params[key] : robot.tuningParams[key];
+}
+
+function reservedNames() {
+    const fields = [...Object.keys(availableTelemetry), ...Object.keys(window.telemetryData || {})];
+    return fields.filter(name => !everDerived.has(name) && !availableTelemetry[name]?.derived);
+}
+
+function applyDefinitions() {
+    derivedChannels.reserved = new Set(reservedNames());
+    const errors = derivedChannels.setDefinitions(definitions);
+    derivedChannels.channels.forEach(channel => everDerived.add(channel.name));
+
+    for (const key of Object.keys(availableTelemetry)) {
+        if (availableTelemetry[key].derived) delete availableTelemetry[key];
+    }
+    derivedChannels.channels.forEach((channel, i) => {
+        availableTelemetry[channel.name] = { label: `ƒ ${channel.name}`, color: channel.color || COLORS[i % COLORS.length], derived: true };
+    });
+    if (typeof window.setupSignalChartControls === 'function') window.setupSignalChartControls();
+    renderList(errors);
+    return errors;
+}
+
+function renderList(errors = derivedChannels.errors) {
+    const robotEl = document.getElementById('derivedChannelsRobot');
+    if (robotEl) robotEl.textContent = `(${definitions.length}) - ${robotName || 'bez robota'}`;
+    const listEl = document.getElementById('derivedChannelList');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    if (definitions.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'historical-metric';
+        empty.textContent = 'Brak kanalow pochodnych.';
+        listEl.appendChild(empty);
+        return;
+    }
+    const errorByName = new Map(errors.map(e => [e.name, e.message]));
+    for (const definition of definitions) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display:flex; gap:8px; align-items:center; padding: 2px 0;';
+        const name = document.createElement('strong');
+        name.textContent = definition.name;
+        name.style.color = availableTelemetry[definition.name]?.color || '#aaa';
+        const expression = document.createElement('code');
+        expression.textContent = definition.expression;
+        expression.style.flex = '1';
+        row.append(name, expression);
+        if (errorByName.has(definition.name)) {
+            const error = document.createElement('span');
+            error.textContent = errorByName.get(definition.name);
+            error.style.color = '#ff6347';
+            row.appendChild(error);
+        }
+        const edit = document.createElement('button');
+        edit.className = 'btn-small';
+        edit.textContent = '✏️';
+        edit.title = 'Edytuj';
+        edit.addEventListener('click', () => {
+            document.getElementById('derivedChannelName').value = definition.name;
+            document.getElementById('derivedChannelExpr').value = definition.expression;
+        });
+        const remove = document.createElement('button');
+        remove.className = 'btn-small';
+        remove.textContent = '🗑️';
+        remove.title = 'Usun kanal';
+        remove.addEventListener('click', () => removeDefinition(definition.name));
+        row.append(edit, remove);
+        listEl.appendChild(row);
+    }
+}
+
+function showError(message) {
+    const el = document.getElementById('derivedChannelError');
+    if (el) el.textContent = message || '';
+}
+
+function saveChannel() {
+    const nameInput = document.getElementById('derivedChannelName');
+    const exprInput = document.getElementById('derivedChannelExpr');
+    const name = nameInput.value.trim();
+    const expression = exprInput.value.trim();
+    if (!DERIVED_CHANNEL_NAME_PATTERN.test(name)) {
+        showError('Nazwa: litery, cyfry i _, bez cyfry na poczatku.');
+        return;
+    }
+    if (reservedNames().includes(name)) {
+        showError(`'${name}' to pole telemetrii - wybierz inna nazwe.`);
+        return;
+    }
+    try {
+        compileExpression(expression);
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    const index = definitions.findIndex(d => d.name === name);
+    if (index === -1 && definitions.length >= DERIVED_CHANNELS_MAX) {
+        showError(`Limit ${DERIVED_CHANNELS_MAX} kanalow pochodnych.`);
+        return;
+    }
+    if (index === -1) definitions.push({ name, expression });
+    else definitions[index] = { ...definitions[index], expression };
+
+    const errors = applyDefinitions();
+    const error = errors.find(e => e.name === name);
+    showError(error ? error.message : '');
+    saveDefinitions();
+    nameInput.value = '';
+    exprInput.value = '';
+    addLogMessage(`[UI] Kanal pochodny ${name} = ${expression} ${index === -1 ? 'dodany' : 'zmieniony'}.`, 'info');
+}
+
+function removeDefinition(name) {
+    definitions = definitions.filter(d => d.name !== name);
+    applyDefinitions();
+    saveDefinitions();
+    showError('');
+    addLogMessage(`[UI] Usunieto kanal pochodny ${name}.`, 'info');
+}
+
+function switchRobot(name) {
+    name = name || null;
+    if (name === robotName) return;
+    robotName = name;
+    definitions = loadDefinitions(robotName);
+    applyDefinitions();
+    if (definitions.length > 0) addLogMessage(`[UI] Wczytano ${definitions.length} kanalow pochodnych dla ${robotName || 'trybu bez robota'}.`, 'info');
+}
+
+export function initDerivedChannelsUI() {
+    derivedChannels.resolve = resolveName;
+    document.getElementById('derivedChannelSaveBtn')?.addEventListener('click', saveChannel);
+    document.getElementById('derivedChannelExpr')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveChannel();
+    });
+    // Rozłączenie zostawia kanały ostatniego robota (analiza zapisanej sesji)
+    appStore.subscribe('connection.deviceName', (name) => { if (name) switchRobot(name); });
+    robotName = appStore.getState('connection.deviceName') || null;
+    definitions = loadDefinitions(robotName);
+    applyDefinitions();
+}
+
+window.initDerivedChannelsUI = initDerivedChannelsUI;
@@ -0,0 +1,402 @@
+// ========================================================================
+// DERIVED CHANNELS - Kanały telemetrii liczone z wyrażeń (ES6 Module)
+// ========================================================================
+// Użytkownik definiuje kanał jako wyrażenie na polach telemetrii, np.
+// `encoder_left - encoder_right`, `pitch - pitch_offset`,
+// `param.kp_b * -pitch`, `avg(speed, 25)`, `deriv(pitch)`.
+// Wyrażenia są parsowane do drzewa (bez eval) i liczone dla każdej
+// ramki przed zapisem do telemetryStore - kanał pochodny jest dalej
+// zwykłym kanałem (analizator, CSV, sesje). Ten sam parser obsługuje
+// warunki `wait_condition` w sekwencjach.
+// Funkcje ze stanem (avg, deriv, integ) pamiętają poprzednie próbki
+// osobno dla każdego wywołania w wyrażeniu.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const DERIVED_CHANNEL_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+export const DERIVED_CHANNELS_MAX = 16;
+const MAX_AVG_WINDOW = 5000;
+
+export class ExpressionError extends Error {
+    constructor(message, position = null) {
+        super(position === null ? message : `${message} (znak ${position + 1})`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Funkcje bez stanu: [min. liczba argumentów, maks. liczba argumentów, implementacja]
+const PURE_FUNCTIONS = {
+    abs: [1, 1, Math.abs],
+    sqrt: [1, 1, Math.sqrt],
+    sign: [1, 1, Math.sign],
+    round: [1, 1, Math.round],
+    floor: [1, 1, Math.floor],
+    ceil: [1, 1, Math.ceil],
+    exp: [1, 1, Math.exp],
+    log: [1, 1, Math.log],
+    sin: [1, 1, Math.sin],
+    cos: [1, 1, Math.cos],
+    tan: [1, 1, Math.tan],
+    atan2: [2, 2, Math.atan2],
+    hypot: [1, 8, Math.hypot],
+    min: [1, 8, Math.min],
+    max: [1, 8, Math.max],
+    clamp: [3, 3, (x, lo, hi) => Math.min(hi, Math.max(lo, x))]
+};
+
+// Funkcje ze stanem - fabryka zwraca (wartość, czas ms) => wynik
+const STATEFUL_FUNCTIONS = {
+    // Średnia krocząca z n ostatnich próbek (n - stała)
+    avg: {
+        args: 2,
+        create(n) {
+            const samples = new Float64Array(n);
+            let count = 0, next = 0, sum = 0;
+            return (value) => {
+                if (!Number.isFinite(value)) return count > 0 ? sum / count : NaN;
+                if (count === n) sum -= samples[next];
+                else count++;
+                samples[next] = value;
+                next = (next + 1) % n;
+                sum += value;
+                return sum / count;
+            };
+        }
+    },
+    // Pochodna na sekundę między kolejnymi próbkami
+    deriv: {
+        args: 1,
+        create() {
+            let lastValue = NaN, lastTime = NaN, lastResult = NaN;
+            return (value, time) => {
+                if (!Number.isFinite(value)) return NaN;
+                if (Number.isNaN(lastTime)) {
+                    lastValue = value;
+                    lastTime = time;
+                    return NaN;
+                }
+                const dt = (time - lastTime) / 1000;
+                // Kilka ramek w tej samej milisekundzie - poprzedni wynik
+                if (dt <= 0) return lastResult;
+                lastResult = (value - lastValue) / dt;
+                lastValue = value;
+                lastTime = time;
+                return lastResult;
+            };
+        }
+    },
+    // Całka (metoda trapezów) w jednostkach * s
+    integ: {
+        args: 1,
+        create() {
+            let lastValue = NaN, lastTime = NaN, total = 0;
+            return (value, time) => {
+                if (!Number.isFinite(value)) return total;
+                const dt = (time - lastTime) / 1000;
+                if (dt > 0 && Number.isFinite(lastValue)) total += (value + lastValue) / 2 * dt;
+                lastValue = value;
+                lastTime = time;
+                return total;
+            };
+        }
+    }
+};
+
+const OPERATORS = ['||', '&&', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '^', '!', '(', ')', ','];
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), pos: i });
+            i += number[0].length;
+            continue;
+        }
+        // Nazwy z kropką: param.kp_b
+        const ident = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*/.exec(source.slice(i));
+        if (ident) {
+            tokens.push({ type: 'ident', value: ident[0], pos: i });
+            i += ident[0].length;
+            continue;
+        }
+        const op = OPERATORS.find(o => source.startsWith(o, i));
+        if (!op) throw new ExpressionError(`Nieoczekiwany znak '${ch}'`, i);
+        tokens.push({ type: 'op', value: op, pos: i });
+        i += op.length;
+    }
+    tokens.push({ type: 'end', pos: source.length });
+    return tokens;
+}
+
+// Parser zstępujący: || < && < porównania < + - < * / % < unarne < ^
+function parse(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+    let statefulCount = 0;
+    const peek = () => tokens[index];
+    const accept = (value) => {
+        if (peek().type === 'op' && peek().value === value) { index++; return true; }
+        return false;
+    };
+    const expect = (value) => {
+        if (!accept(value)) throw new ExpressionError(`Oczekiwano '${value}'`, peek().pos);
+    };
+
+    const binary = (next, ops) => () => {
+        let left = next();
+        while (peek().type === 'op' && ops.includes(peek().value)) {
+            const op = tokens[index++].value;
+            left = { type: 'binary', op, left, right: next() };
+        }
+        return left;
+    };
+
+    let parseOr = null;
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === 'op' && token.value === '(') {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (token.type !== 'ident') throw new ExpressionError('Oczekiwano liczby, nazwy lub nawiasu', token.pos);
+        if (!accept('(')) {
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) return { type: 'number', value: CONSTANTS[token.value] };
+            return { type: 'ref', name: token.value };
+        }
+        const args = [];
+        if (!accept(')')) {
+            do { args.push(parseOr()); } while (accept(','));
+            expect(')');
+        }
+        const name = token.value;
+        if (Object.prototype.hasOwnProperty.call(PURE_FUNCTIONS, name)) {
+            const [minArgs, maxArgs, fn] = PURE_FUNCTIONS[name];
+            if (args.length < minArgs || args.length > maxArgs) throw new ExpressionError(`Zla liczba argumentow ${name}()`, token.pos);
+            return { type: 'call', fn, args };
+        }
+        if (Object.prototype.hasOwnProperty.call(STATEFUL_FUNCTIONS, name)) {
+            const spec = STATEFUL_FUNCTIONS[name];
+            if (args.length !== spec.args) throw new ExpressionError(`Zla liczba argumentow ${name}()`, token.pos);
+            let param;
+            if (name === 'avg') {
+                param = args[1].type === 'number' ? args[1].value : NaN;
+                if (!Number.isInteger(param) || param < 1 || param > MAX_AVG_WINDOW) {
+                    throw new ExpressionError(`avg(): liczba probek musi byc stala 1..${MAX_AVG_WINDOW}`, token.pos);
+                }
+            }
+            return { type: 'stateful', name, param, slot: statefulCount++, arg: args[0] };
+        }
+        throw new ExpressionError(`Nieznana funkcja ${name}()`, token.pos);
+    };
+    const parseUnary = () => {
+        if (accept('-')) return { type: 'unary', op: '-', arg: parseUnary() };
+        if (accept('+')) return parseUnary();
+        if (accept('!')) return { type: 'unary', op: '!', arg: parseUnary() };
+        const base = parsePrimary();
+        // Potęga prawostronna: 2^3^2 = 2^(3^2)
+        if (accept('^')) return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        return base;
+    };
+    const parseMul = binary(parseUnary, ['*', '/', '%']);
+    const parseAdd = binary(parseMul, ['+', '-']);
+    const parseCompare = binary(parseAdd, ['==', '!=', '<=', '>=', '<', '>']);
+    const parseAnd = binary(parseCompare, ['&&']);
+    parseOr = binary(parseAnd, ['||']);
+
+    if (peek().type === 'end') throw new ExpressionError('Puste wyrazenie');
+    const ast = parseOr();
+    if (peek().type !== 'end') throw new ExpressionError('Nadmiarowy tekst po wyrazeniu', peek().pos);
+    return { ast, statefulCount };
+}
+
+function collectReferences(node, out) {
+    if (!node) return out;
+    if (node.type === 'ref') out.add(node.name);
+    for (const child of [node.left, node.right, node.arg, ...(node.args || [])]) collectReferences(child, out);
+    return out;
+}
+
+function evaluateNode(node, lookup, time, state) {
+    switch (node.type) {
+        case 'number': return node.value;
+        case 'ref': {
+            const value = lookup(node.name);
+            return typeof value === 'number' ? value : (typeof value === 'boolean' ? Number(value) : NaN);
+        }
+        case 'unary': {
+            const value = evaluateNode(node.arg, lookup, time, state);
+            return node.op === '-' ? -value : Number(!truthy(value));
+        }
+        case 'call': return node.fn(...node.args.map(arg => evaluateNode(arg, lookup, time, state)));
+        case 'stateful': {
+            if (!state[node.slot]) state[node.slot] = STATEFUL_FUNCTIONS[node.name].create(node.param);
+            return state[node.slot](evaluateNode(node.arg, lookup, time, state), time);
+        }
+        case 'binary': {
+            const a = evaluateNode(node.left, lookup, time, state);
+            // Logiczne: krótkie wartościowanie, NaN = fałsz
+            if (node.op === '&&') return Number(truthy(a) && truthy(evaluateNode(node.right, lookup, time, state)));
+            if (node.op === '||') return Number(truthy(a) || truthy(evaluateNode(node.right, lookup, time, state)));
+            const b = evaluateNode(node.right, lookup, time, state);
+            switch (node.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return a / b;
+                case '%': return a % b;
+                case '^': return Math.pow(a, b);
+                case '==': return Number(a === b);
+                case '!=': return Number(a !== b);
+                case '<': return Number(a < b);
+                case '<=': return Number(a <= b);
+                case '>': return Number(a > b);
+                case '>=': return Number(a >= b);
+            }
+        }
+    }
+    return NaN;
+}
+
+function truthy(value) {
+    return Number.isFinite(value) && value !== 0;
+}
+
+/**
+ * Kompiluje wyrażenie. Rzuca ExpressionError z pozycją błędu.
+ * @param {string} source
+ * @returns {{source: string, references: string[], stateful: boolean, createEvaluator: Function}}
+ *   createEvaluator() zwraca (lookup, time) => number; każdy evaluator ma własny stan avg/deriv/integ
+ */
+export function compileExpression(source) {
+    const text = String(source ?? '').trim();
+    const { ast, statefulCount } = parse(text);
+    return {
+        source: text,
+        references: [...collectReferences(ast, new Set())],
+        stateful: statefulCount > 0,
+        createEvaluator() {
+            const state = new Array(statefulCount);
+            return (lookup, time = 0) => evaluateNode(ast, lookup, time, state);
+        }
+    };
+}
+
+/**
+ * Warunek sekwencji (`wait_condition`) - prawda, gdy wynik jest skończony i różny od zera.
+ * @returns {(lookup: Function, time?: number) => boolean}
+ */
+export function compileCondition(source) {
+    const evaluate = compileExpression(source).createEvaluator();
+    return (lookup, time) => truthy(evaluate(lookup, time));
+}
+
+/**
+ * Porządkuje zapisane definicje: {name, expression, color?}, bez duplikatów nazw.
+ */
+export function normalizeDefinitions(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const out = [];
+    for (const item of list) {
+        if (!item || typeof item.name !== 'string' || typeof item.expression !== 'string') continue;
+        const name = item.name.trim();
+        if (!DERIVED_CHANNEL_NAME_PATTERN.test(name) || seen.has(name)) continue;
+        seen.add(name);
+        const definition = { name, expression: item.expression.trim() };
+        if (typeof item.color === 'string' && /^#[0-9a-f]{6}$/i.test(item.color)) definition.color = item.color;
+        out.push(definition);
+        if (out.length >= DERIVED_CHANNELS_MAX) break;
+    }
+    return out;
+}
+
+/**
+ * Zestaw kanałów pochodnych liczonych ramka po ramce.
+ * Pola niewystępujące w ramce są brane z ostatniej ramki, która je miała
+ * (skrócone ramki JSON nie niosą wszystkich pól). Kanał może używać
+ * kanałów zdefiniowanych przed nim.
+ */
+export class DerivedChannelSet {
+    /**
+     * @param {Object[]} [definitions] - [{name, expression, color?}]
+     * @param {Object} [options]
+     * @param {(name: string) => any} [options.resolve] - nazwy spoza telemetrii (np. param.kp_b)
+     * @param {string[]} [options.reserved] - nazwy zajęte przez pola telemetrii
+     */
+    constructor(definitions = [], { resolve = () => undefined, reserved = [] } = {}) {
+        this.resolve = resolve;
+        this.reserved = new Set(reserved);
+        this.setDefinitions(definitions);
+    }
+
+    /**
+     * Kompiluje definicje; błędne trafiają do `errors` i są pomijane.
+     * @returns {{name: string, message: string}[]} błędy
+     */
+    setDefinitions(definitions) {
+        this.definitions = normalizeDefinitions(definitions);
+        this.channels = [];
+        this.errors = [];
+        const all = new Set(this.definitions.map(definition => definition.name).filter(name => !this.reserved.has(name)));
+        const known = new Set();
+        for (const definition of this.definitions) {
+            try {
+                if (this.reserved.has(definition.name)) throw new ExpressionError(`Nazwa '${definition.name}' jest polem telemetrii`);
+                const compiled = compileExpression(definition.expression);
+                // Tylko kanały zdefiniowane wcześniej - bez cykli
+                const later = compiled.references.find(ref => all.has(ref) && !known.has(ref));
+                if (later) throw new ExpressionError(`Kanal '${later}' musi byc zdefiniowany wczesniej`);
+                this.channels.push({ ...definition, compiled, evaluate: compiled.createEvaluator() });
+                known.add(definition.name);
+            } catch (error) {
+                this.errors.push({ name: definition.name, message: error.message });
+            }
+        }
+        this.last = {};
+        return this.errors;
+    }
+
+    get names() {
+        return this.channels.map(channel => channel.name);
+    }
+
+    /** Zeruje stan avg/deriv/integ (np. nowa sesja). */
+    reset() {
+        for (const channel of this.channels) channel.evaluate = channel.compiled.createEvaluator();
+        this.last = {};
+    }
+
+    /**
+     * Liczy kanały dla ramki.
+     * @param {Object} frame - znormalizowana ramka telemetrii
+     * @param {number} [time] - czas w ms (deriv/integ)
+     * @returns {Object} nowa ramka z dopisanymi kanałami (wejście bez zmian)
+     */
+    apply(frame, time = Date.now()) {
+        if (!frame || this.channels.length === 0) return frame;
+        for (const key of Object.keys(frame)) {
+            if (typeof frame[key] === 'number') this.last[key] = frame[key];
+        }
+        const out = { ...frame };
+        const lookup = (name) => {
+            if (Object.prototype.hasOwnProperty.call(out, name)) return out[name];
+            if (Object.prototype.hasOwnProperty.call(this.last, name)) return this.last[name];
+            return this.resolve(name);
+        };
+        for (const channel of this.channels) {
+            let value;
+            try { value = channel.evaluate(lookup, time); } catch (e) { value = NaN; }
+            out[channel.name] = Number.isFinite(value) ? value : NaN;
+        }
+        return out;
+    }
+}
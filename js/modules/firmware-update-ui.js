@@ -0,0 +1,211 @@
+// ========================================================================
+// FIRMWARE UPDATE UI - Karta "Aktualizacja firmware (OTA)" (ES6 Module)
+// ========================================================================
+// Wybór obrazu .bin, sprawdzenie go względem capabilities robota i upload
+// blokami (FirmwareUploader) z postępem i potwierdzeniami bloków.
+// Utrata łącza wstrzymuje upload - po automatycznym ponownym połączeniu
+// i handshake jest wznawiany. Po restarcie robota (ponowne połączenie
+// i synchronizacja jak po utracie łącza) sprawdzana jest zgłoszona wersja.
+// ========================================================================
+
+import { appStore, AppState } from './state.js';
+import { sendCommand } from './communication.js';
+import { parseFirmwareImage, checkFirmwareImage, compareVersions, FirmwareUploader } from './firmware-update.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+const STATE_LABELS = {
+    idle: 'Gotowy',
+    uploading: 'Wysylanie',
+    paused: 'Wstrzymane - czekam na polaczenie',
+    verifying: 'Weryfikacja SHA-256 na robocie',
+    rebooting: 'Restart robota - czekam na ponowne polaczenie',
+    done: 'Zakonczone',
+    failed: 'Blad',
+    aborted: 'Przerwane'
+};
+const BUSY_STATES = ['uploading', 'paused', 'verifying', 'rebooting'];
+// Stany, w których robot stoi na kołach - restart by go przewrócił
+const BALANCING_STATES = ['BALANSUJE', 'TRZYMA_POZYCJE', 'RUCH_AUTONOMICZNY', 'OBROT_AUTONOMICZNY'];
+
+let selected = null;
+let uploader = null;
+
+const kb = (bytes) => (bytes / 1024).toFixed(1);
+
+function isBusy() {
+    return !!uploader && BUSY_STATES.includes(uploader.state);
+}
+
+// Wstrzymany przez timeout przy działającym łączu - wznowienie ręczne przyciskiem
+function canResumeManually() {
+    return !!uploader && uploader.state === 'paused' && AppState.isConnected;
+}
+
+function getConnectedCapabilities() {
+    return AppState.isConnected ? appStore.getState('connection.capabilities') || null : null;
+}
+
+function renderChecks() {
+    const listEl = document.getElementById('otaChecks');
+    const caps = getConnectedCapabilities();
+    const robotEl = document.getElementById('otaRobotFirmware');
+    if (robotEl) robotEl.textContent = caps ? `${caps.firmware || '?'}${caps.project ? ` (${caps.project})` : ''}` : '---';
+    const startBtn = document.getElementById('otaStartBtn');
+    if (!selected) {
+        if (listEl) listEl.innerHTML = '';
+        if (startBtn) startBtn.disabled = true;
+        return;
+    }
+    const { errors, warnings } = checkFirmwareImage(selected.image, caps);
+    if (listEl) {
+        listEl.innerHTML = '';
+        const add = (text, color) => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            li.style.color = color;
+            listEl.appendChild(li);
+        };
+        errors.forEach(text => add(text, '#ff6347'));
+        warnings.forEach(text => add(text, '#f7b731'));
+        if (errors.length === 0 && warnings.length === 0) add('Obraz zgodny z robotem.', '#a2f279');
+    }
+    if (startBtn) startBtn.disabled = errors.length > 0 || (isBusy() && !canResumeManually());
+}
+
+function renderProgress(progress) {
+    const fill = document.getElementById('otaProgressFill');
+    if (fill) {
+        fill.style.width = `${(progress.fraction * 100).toFixed(1)}%`;
+        fill.style.backgroundColor = progress.state === 'failed' || progress.state === 'aborted' ? '#ff6347'
+            : progress.state === 'paused' ? '#f7b731' : '';
+    }
+    const textEl = document.getElementById('otaProgressText');
+    if (textEl) {
+        const parts = [
+            `${STATE_LABELS[progress.state] || progress.state}`,
+            `blok ${progress.block}/${progress.totalBlocks} (${kb(progress.offset)}/${kb(progress.size)} KB)`,
+            `potwierdzone bloki: ${progress.blocksAcked}`
+        ];
+        if (progress.lastAckMs !== null) parts.push(`ostatni ACK: ${progress.lastAckMs} ms`);
+        if (progress.bytesPerSec > 0) parts.push(`${kb(progress.bytesPerSec)} KB/s`);
+        if (progress.resumes > 0) parts.push(`wznowienia: ${progress.resumes}`);
+        if (progress.error) parts.push(progress.error);
+        textEl.textContent = parts.join(', ');
+    }
+    const abortBtn = document.getElementById('otaAbortBtn');
+    if (abortBtn) abortBtn.disabled = !isBusy() || progress.state === 'rebooting';
+    const pickBtn = document.getElementById('otaPickBtn');
+    if (pickBtn) pickBtn.disabled = isBusy();
+    const startBtn = document.getElementById('otaStartBtn');
+    if (startBtn) {
+        startBtn.textContent = progress.state === 'paused' ? 'Wznow' : 'Wgraj firmware';
+        if (isBusy()) startBtn.disabled = !canResumeManually();
+    }
+}
+
+function pickFirmwareFile() {
+    if (isBusy()) return;
+    const input = document.createElement('input');
+    input.type = 'file'; input.accept = '.bin';
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const bytes = new Uint8Array(reader.result);
+            selected = { bytes, image: parseFirmwareImage(bytes, file.name), fileName: file.name };
+            uploader = null;
+            const { image } = selected;
+            document.getElementById('otaImageInfo').textContent =
+                `${file.name}: ${image.project || '?'} ${image.version || '?'}, ${kb(image.size)} KB`;
+            document.getElementById('otaImageHash').textContent = `SHA-256: ${image.sha256}`;
+            document.getElementById('otaProgressText').textContent = '---';
+            document.getElementById('otaProgressFill').style.width = '0%';
+            renderChecks();
+        };
+        reader.readAsArrayBuffer(file);
+    };
+    input.click();
+}
+
+async function startFirmwareUpload() {
+    if (canResumeManually()) {
+        addLogMessage('[UI] OTA: wznawiam wysylanie firmware...', 'info');
+        handleRunEnd(await uploader.resume());
+        return;
+    }
+    if (!selected || isBusy()) return;
+    const { errors, warnings } = checkFirmwareImage(selected.image, getConnectedCapabilities());
+    if (errors.length > 0) {
+        addLogMessage(`[UI] OTA: ${errors.join(' ')}`, 'error');
+        return;
+    }
+    if (AppState.isTuningActive || AppState.isSequenceRunning || BALANCING_STATES.includes(AppState.lastKnownRobotState)) {
+        addLogMessage('[UI] OTA: wylacz balansowanie, strojenie i sekwencje przed aktualizacja firmware.', 'warn');
+        return;
+    }
+    const warningText = warnings.length > 0 ? `${warnings.join('\n')}\n\n` : '';
+    if (!confirm(`${warningText}Wgrac ${selected.fileName} (${selected.image.version || '?'})?\nPo weryfikacji robot sie zrestartuje. Nie wylaczaj zasilania robota.`)) return;
+
+    uploader = new FirmwareUploader({
+        bytes: selected.bytes,
+        image: selected.image,
+        sendCommand: (message, options) => sendCommand(message, options),
+        onProgress: renderProgress
+    });
+    addLogMessage(`[UI] OTA: wysylanie ${selected.fileName} (${uploader.totalBlocks} blokow)...`, 'info');
+    handleRunEnd(await uploader.start());
+}
+
+function handleRunEnd(state) {
+    if (!uploader) return;
+    const percent = (uploader.getProgress().fraction * 100).toFixed(0);
+    if (state === 'rebooting') {
+        addLogMessage('[UI] OTA: obraz zweryfikowany przez robota. Czekam na restart i ponowne polaczenie...', 'success');
+    } else if (state === 'paused') {
+        addLogMessage(`[UI] OTA: wysylanie wstrzymane na ${percent}% (${uploader.error}) - zostanie wznowione po ponownym polaczeniu.`, 'warn');
+    } else if (state === 'failed') {
+        addLogMessage(`[UI] OTA: aktualizacja nieudana: ${uploader.error}`, 'error');
+    }
+    renderChecks();
+}
+
+async function abortFirmwareUpload() {
+    if (!isBusy() || !confirm('Przerwac aktualizacje firmware? Robot zostanie przy obecnej wersji.')) return;
+    await uploader.abort();
+    addLogMessage('[UI] OTA: aktualizacja przerwana.', 'warn');
+    renderChecks();
+}
+
+/** Nowy handshake: wznowienie wstrzymanego uploadu lub weryfikacja wersji po restarcie. */
+function handleCapabilities(caps) {
+    renderChecks();
+    if (!uploader || !caps || !AppState.isConnected) return;
+    if (uploader.state === 'paused') {
+        addLogMessage(`[UI] OTA: wznawiam wysylanie firmware (${(uploader.getProgress().fraction * 100).toFixed(0)}%)...`, 'info');
+        uploader.resume().then(handleRunEnd);
+    } else if (uploader.state === 'rebooting') {
+        const { image } = selected;
+        const installed = (caps.firmwareSha256 && caps.firmwareSha256.toLowerCase() === image.sha256) ||
+            compareVersions(caps.firmware, image.version) === 0;
+        if (installed) {
+            uploader.finish(true);
+            addLogMessage(`[UI] OTA: firmware zaktualizowany - robot zglasza wersje ${caps.firmware}.`, 'success');
+        } else {
+            uploader.finish(false, `robot zglasza wersje ${caps.firmware || '?'} zamiast ${image.version || '?'}`);
+            addLogMessage(`[UI] OTA: po restarcie robot zglasza wersje ${caps.firmware || '?'} zamiast ${image.version || '?'} (mogl wrocic do poprzedniego obrazu).`, 'error');
+        }
+        renderChecks();
+    }
+}
+
+export function initFirmwareUpdateUI() {
+    if (!document.getElementById('firmware-card')) return;
+    document.getElementById('otaPickBtn')?.addEventListener('click', pickFirmwareFile);
+    document.getElementById('otaStartBtn')?.addEventListener('click', startFirmwareUpload);
+    document.getElementById('otaAbortBtn')?.addEventListener('click', abortFirmwareUpload);
+    appStore.subscribe('connection.capabilities', handleCapabilities);
+    appStore.subscribe('connection.isConnected', () => renderChecks());
+    renderChecks();
+}
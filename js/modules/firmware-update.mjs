@@ -0,0 +1,386 @@
+// ========================================================================
+// FIRMWARE UPDATE - Aktualizacja firmware przez łącze (OTA) (ES6 Module)
+// ========================================================================
+// Obraz .bin jest wysyłany blokami przez zwykły kanał komend (BLE RX,
+// Serial, WS), każdy blok czeka na ACK (sendCommand):
+//   {type:'ota_begin', size, sha256, version, block_size}
+//       → ack {next_offset}  (robot pamięta, ile ma z obrazu o tym sha256)
+//   {type:'ota_block', offset, data: base64, crc}
+//       → ack {next_offset}  (crc = chunkChecksum(data), jak w chunk)
+//   {type:'ota_end', sha256}  → ack po sprawdzeniu hasha; robot się restartuje
+//   {type:'ota_abort'}
+// Po rozłączeniu upload jest wstrzymywany; resume() ponawia ota_begin
+// i kontynuuje od next_offset zgłoszonego przez robota.
+// Strona robota dla symulatora: otaSimulatorExtension (options.extensions).
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+import { chunkChecksum } from './chunk-assembler.mjs';
+import { CommandError } from './command-tracker.mjs';
+import { CAPABILITY_FEATURES } from './capabilities.mjs';
+
+export const OTA_BLOCK_SIZE = 128;
+export const OTA_BLOCK_TIMEOUT_MS = 2000;
+export const OTA_BLOCK_RETRIES = 3;
+export const OTA_VERIFY_TIMEOUT_MS = 15000;
+// Kolejne NACK bloków (albo ACK z next_offset bez postępu) - przerwanie uploadu
+const MAX_NACKS_WITHOUT_PROGRESS = 3;
+
+// ESP32: nagłówek obrazu (0xE9) + esp_app_desc_t za pierwszym segmentem
+const ESP_IMAGE_MAGIC = 0xE9;
+const ESP_APP_DESC_OFFSET = 32;
+const ESP_APP_DESC_MAGIC = 0xABCD5432;
+
+// --- SHA-256 (bez WebCrypto - ten sam kod liczy hash w symulatorze, synchronicznie) ---
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/** SHA-256 bajtów jako tekst hex. */
+export function sha256Hex(bytes) {
+    const length = bytes.length;
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+    const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let block = 0; block < padded.length; block += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(block + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const t1 = hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            hh = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+    return [...h].map(x => x.toString(16).padStart(8, '0')).join('');
+}
+
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+export function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// --- Obraz i wersje ---
+
+function readCString(bytes, offset, length) {
+    let text = '';
+    for (let i = offset; i < offset + length && i < bytes.length && bytes[i] !== 0; i++) text += String.fromCharCode(bytes[i]);
+    return text;
+}
+
+/**
+ * Metadane obrazu firmware. Wersja i nazwa projektu z esp_app_desc_t
+ * (obraz ESP32), a gdy go brak - wersja z nazwy pliku (np. robobala-1.5.0.bin).
+ * @returns {{size: number, sha256: string, version: string|null, project: string|null, format: 'esp32'|'raw'}}
+ */
+export function parseFirmwareImage(bytes, fileName = '') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let version = null;
+    let project = null;
+    let format = 'raw';
+    if (bytes.length >= ESP_APP_DESC_OFFSET + 80 && bytes[0] === ESP_IMAGE_MAGIC &&
+        view.getUint32(ESP_APP_DESC_OFFSET, true) === ESP_APP_DESC_MAGIC) {
+        format = 'esp32';
+        version = readCString(bytes, ESP_APP_DESC_OFFSET + 16, 32) || null;
+        project = readCString(bytes, ESP_APP_DESC_OFFSET + 48, 32) || null;
+    }
+    if (!version) {
+        const match = String(fileName).match(/\d+\.\d+(\.\d+)?/);
+        if (match) version = match[0];
+    }
+    return { size: bytes.length, sha256: sha256Hex(bytes), version, project, format };
+}
+
+/** Porównanie wersji "1.4.0" / "v1.5" / "sim-1.0" (liczby po kolei); null, gdy brak liczb. */
+export function compareVersions(a, b) {
+    const parts = (v) => {
+        const match = String(v || '').match(/\d+(\.\d+)*/);
+        return match ? match[0].split('.').map(Number) : null;
+    };
+    const pa = parts(a);
+    const pb = parts(b);
+    if (!pa || !pb) return null;
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return Math.sign(diff);
+    }
+    return 0;
+}
+
+/**
+ * Sprawdza obraz względem capabilities robota (parseCapabilities).
+ * errors blokują wysyłanie, warnings wymagają potwierdzenia.
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function checkFirmwareImage(image, caps) {
+    const errors = [];
+    const warnings = [];
+    if (!caps) {
+        errors.push('Brak polaczenia z robotem.');
+        return { errors, warnings };
+    }
+    // Inaczej niż isFeatureSupported(): nieznane możliwości nie wystarczą, by flashować
+    const otaSupported = !caps.legacy && ((caps.features && caps.features.has('ota')) ||
+        (caps.messages && CAPABILITY_FEATURES.ota.messages.every(type => caps.messages.has(type))));
+    if (!otaSupported) errors.push('Firmware robota nie obsluguje aktualizacji OTA.');
+    if (caps.otaMaxSize && image.size > caps.otaMaxSize) {
+        errors.push(`Obraz (${image.size} B) jest wiekszy niz partycja OTA robota (${caps.otaMaxSize} B).`);
+    }
+    if (caps.project && image.project && caps.project !== image.project) {
+        errors.push(`Obraz jest dla projektu "${image.project}", robot to "${caps.project}".`);
+    }
+    if (caps.firmwareSha256 && caps.firmwareSha256.toLowerCase() === image.sha256) {
+        errors.push('Ten obraz jest juz zainstalowany (zgodny SHA-256).');
+    }
+    if (image.format !== 'esp32') warnings.push('Nie rozpoznano naglowka obrazu ESP32.');
+    const order = compareVersions(image.version, caps.firmware);
+    if (order === null) warnings.push(`Nie mozna porownac wersji (obraz: ${image.version || '?'}, robot: ${caps.firmware || '?'}).`);
+    else if (order < 0) warnings.push(`Obraz ${image.version} jest starszy niz firmware robota ${caps.firmware}.`);
+    else if (order === 0) warnings.push(`Robot ma juz wersje ${caps.firmware}.`);
+    return { errors, warnings };
+}
+
+// --- Upload ---
+
+/**
+ * Wysyła obraz blokami z potwierdzeniem każdego bloku.
+ * Stany: idle → uploading → verifying → rebooting | paused | failed | aborted.
+ */
+export class FirmwareUploader {
+    /**
+     * @param {Object} options
+     * @param {Uint8Array} options.bytes - obraz
+     * @param {{sha256: string, version: string|null}} options.image - parseFirmwareImage()
+     * @param {(message: Object, options: Object) => Promise<Object>} options.sendCommand - wysłanie z ACK
+     * @param {(progress: Object) => void} [options.onProgress] - po każdym potwierdzonym bloku i zmianie stanu
+     * @param {number} [options.blockSize]
+     * @param {() => number} [options.now] - zegar w ms (testy)
+     */
+    constructor({ bytes, image, sendCommand, onProgress = () => {}, blockSize = OTA_BLOCK_SIZE, now = () => Date.now() }) {
+        this.bytes = bytes;
+        this.image = image;
+        this.sendCommand = sendCommand;
+        this.onProgress = onProgress;
+        this.blockSize = blockSize;
+        this.now = now;
+        this.state = 'idle';
+        this.offset = 0;
+        this.blocksAcked = 0;
+        this.resumes = 0;
+        this.error = null;
+        this.startedAt = null;
+        // Bajty potwierdzone od ostatniego startu/wznowienia (prędkość)
+        this.sessionBytes = 0;
+        this.lastAckMs = null;
+        this.running = null;
+    }
+
+    get totalBlocks() {
+        return Math.ceil(this.bytes.length / this.blockSize);
+    }
+
+    getProgress() {
+        const elapsedS = this.startedAt ? (this.now() - this.startedAt) / 1000 : 0;
+        return {
+            state: this.state,
+            offset: this.offset,
+            size: this.bytes.length,
+            fraction: this.bytes.length ? this.offset / this.bytes.length : 0,
+            block: Math.ceil(this.offset / this.blockSize),
+            totalBlocks: this.totalBlocks,
+            blocksAcked: this.blocksAcked,
+            lastAckMs: this.lastAckMs,
+            bytesPerSec: elapsedS > 0 ? this.sessionBytes / elapsedS : 0,
+            resumes: this.resumes,
+            error: this.error
+        };
+    }
+
+    /** Start lub wznowienie po rozłączeniu; Promise kończy się razem z przebiegiem. */
+    start() {
+        if (this.running) return this.running;
+        if (!['idle', 'paused', 'failed'].includes(this.state)) return Promise.resolve(this.state);
+        if (this.state !== 'idle') this.resumes++;
+        this.running = this.run().finally(() => { this.running = null; });
+        return this.running;
+    }
+
+    resume() {
+        return this.start();
+    }
+
+    /** Przerywa upload; robot porzuca odebraną część obrazu. */
+    async abort() {
+        const wasActive = ['uploading', 'verifying', 'paused'].includes(this.state);
+        this.setState('aborted');
+        if (wasActive) {
+            try { await this.sendCommand({ type: 'ota_abort' }, { timeout: OTA_BLOCK_TIMEOUT_MS, retries: 0 }); } catch (e) { /* robot mógł być już rozłączony */ }
+        }
+    }
+
+    async run() {
+        this.error = null;
+        this.startedAt = this.now();
+        this.sessionBytes = 0;
+        this.setState('uploading');
+        try {
+            await this.begin();
+            let nacks = 0;
+            while (this.offset < this.bytes.length) {
+                if (this.state !== 'uploading') return this.state;
+                const end = Math.min(this.offset + this.blockSize, this.bytes.length);
+                const data = bytesToBase64(this.bytes.subarray(this.offset, end));
+                const sentAt = this.now();
+                let ack;
+                try {
+                    ack = await this.sendCommand(
+                        { type: 'ota_block', offset: this.offset, data, crc: chunkChecksum(data) },
+                        { timeout: OTA_BLOCK_TIMEOUT_MS, retries: OTA_BLOCK_RETRIES }
+                    );
+                } catch (error) {
+                    if (error.code !== 'nack' || ++nacks > MAX_NACKS_WITHOUT_PROGRESS) throw error;
+                    // Robot odrzucił blok (CRC / offset) - ustalamy od nowa, co już ma
+                    await this.begin();
+                    continue;
+                }
+                if (this.state !== 'uploading') return this.state;
+                const next = Number.isFinite(Number(ack.next_offset)) ? Number(ack.next_offset) : end;
+                if (!(next > this.offset && next <= this.bytes.length)) {
+                    // next_offset cofa się, stoi w miejscu albo wychodzi poza obraz - jak NACK
+                    if (++nacks > MAX_NACKS_WITHOUT_PROGRESS) {
+                        throw new CommandError('nack', 'ota_block', `Nieprawidlowy next_offset ${ack.next_offset} (offset ${this.offset})`);
+                    }
+                    await this.begin();
+                    continue;
+                }
+                nacks = 0;
+                this.sessionBytes += next - this.offset;
+                this.offset = next;
+                this.blocksAcked++;
+                this.lastAckMs = this.now() - sentAt;
+                this.onProgress(this.getProgress());
+            }
+            if (this.state !== 'uploading') return this.state;
+            this.setState('verifying');
+            await this.sendCommand({ type: 'ota_end', sha256: this.image.sha256 }, { timeout: OTA_VERIFY_TIMEOUT_MS, retries: 0 });
+            if (this.state === 'verifying') this.setState('rebooting');
+        } catch (error) {
+            if (this.state === 'aborted') return this.state;
+            this.error = error.message;
+            // Utrata łącza - dane zostają, resume() dokończy od miejsca zgłoszonego przez robota
+            this.setState(error.code === 'disconnected' || error.code === 'timeout' ? 'paused' : 'failed');
+        }
+        return this.state;
+    }
+
+    async begin() {
+        const ack = await this.sendCommand({
+            type: 'ota_begin', size: this.bytes.length, sha256: this.image.sha256,
+            version: this.image.version, block_size: this.blockSize
+        }, { timeout: OTA_BLOCK_TIMEOUT_MS, retries: OTA_BLOCK_RETRIES });
+        const next = Number(ack.next_offset);
+        this.offset = Number.isFinite(next) && next >= 0 && next <= this.bytes.length ? next : 0;
+        this.onProgress(this.getProgress());
+    }
+
+    /** Robot po restarcie zgłosił wersję - koniec aktualizacji. */
+    finish(success, error = null) {
+        this.error = error;
+        this.setState(success ? 'done' : 'failed');
+    }
+
+    setState(state) {
+        this.state = state;
+        this.onProgress(this.getProgress());
+    }
+}
+
+// ------------------------------------------------------------------------
+// Strona robota w symulatorze (robot-simulator.mjs, options.extensions)
+// ------------------------------------------------------------------------
+
+export const SIM_PROJECT_NAME = 'robobala';
+export const SIM_OTA_MAX_SIZE = 0x180000;
+
+const simNack = (command, message) => ({ type: 'ack', command, success: false, message });
+
+/** Ten sam obraz (sha256 i rozmiar) po rozłączeniu - kontynuacja od odebranych bajtów. */
+function simBeginOta(sim, msg) {
+    const size = Number(msg.size);
+    if (!(size > 0) || size > SIM_OTA_MAX_SIZE) return simNack('ota_begin', 'Nieprawidlowy rozmiar obrazu');
+    if (!sim.ota || sim.ota.sha256 !== msg.sha256 || sim.ota.size !== size) {
+        sim.ota = { size, sha256: String(msg.sha256), version: msg.version || null, bytes: new Uint8Array(size), received: 0 };
+    }
+    return { type: 'ack', command: 'ota_begin', success: true, next_offset: sim.ota.received };
+}
+
+function simReceiveOtaBlock(sim, msg) {
+    const ota = sim.ota;
+    if (!ota) return simNack('ota_block', 'Brak ota_begin');
+    const text = String(msg.data || '');
+    if (msg.crc !== undefined && Number(msg.crc) !== chunkChecksum(text)) return simNack('ota_block', 'Blad CRC bloku');
+    const data = base64ToBytes(text);
+    const offset = Number(msg.offset);
+    // Powtórzony blok (zgubiony ACK) - potwierdzamy bez zapisu
+    if (offset + data.length <= ota.received) return { type: 'ack', command: 'ota_block', success: true, next_offset: ota.received };
+    if (offset !== ota.received || offset + data.length > ota.size) return simNack('ota_block', 'Nieoczekiwany offset bloku');
+    ota.bytes.set(data, offset);
+    ota.received += data.length;
+    return { type: 'ack', command: 'ota_block', success: true, next_offset: ota.received };
+}
+
+function simFinishOta(sim, msg) {
+    const ota = sim.ota;
+    if (!ota || ota.received !== ota.size) return simNack('ota_end', 'Obraz niekompletny');
+    const sha256 = sha256Hex(ota.bytes);
+    sim.ota = null;
+    if (sha256 !== ota.sha256 || (msg.sha256 && msg.sha256 !== sha256)) return simNack('ota_end', 'Niezgodny SHA-256 obrazu');
+    sim.firmware = { version: ota.version || sim.firmware.version, sha256 };
+    sim.rebootRequested = true;
+    return { type: 'ack', command: 'ota_end', success: true, message: 'Obraz zweryfikowany - restart' };
+}
+
+/** Obsługa OTA w symulatorze; poprawny ota_end ustawia sim.rebootRequested. */
+export const otaSimulatorExtension = {
+    messages: ['ota_begin', 'ota_block', 'ota_end', 'ota_abort'],
+    install(sim) { sim.ota = null; },
+    capabilities(sim) {
+        return { project: SIM_PROJECT_NAME, firmware_sha256: sim.firmware.sha256, ota_max_size: SIM_OTA_MAX_SIZE };
+    },
+    handle(sim, msg, replies) {
+        if (msg.type === 'ota_begin') replies.push(simBeginOta(sim, msg));
+        else if (msg.type === 'ota_block') replies.push(simReceiveOtaBlock(sim, msg));
+        else if (msg.type === 'ota_end') replies.push(simFinishOta(sim, msg));
+        else sim.ota = null;
+    },
+    reboot(sim) { sim.ota = null; }
+};
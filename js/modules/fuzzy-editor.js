@@ -921,6 +921,53 @@ function getControlMode() {
     return currentControlMode;
 }
 
+/**
+ * Konfiguracja Fuzzy w kształcie kopii zapasowej (config-backup.mjs).
+ * Firmware jej nie raportuje - to kopia robocza edytora.
+ */
+function getFuzzyConfig() {
+    return {
+        rules: getRules(),
+        error_sets: errorSetsParams.map(s => ({ ...s })),
+        rate_sets: rateSetsParams.map(s => ({ ...s })),
+        gain: fuzzyGain,
+        integral_ki: fuzzyKi,
+        integral_limit: fuzzyIntegralLimit
+    };
+}
+
+/**
+ * Ustawia kopię roboczą edytora (bez wysyłania - komendy wysyła przywracanie kopii).
+ */
+function applyFuzzyConfig(config) {
+    if (!config) return;
+    setRules(config.rules);
+    if (Array.isArray(config.error_sets)) errorSetsParams = config.error_sets.map(s => ({ ...s }));
+    if (Array.isArray(config.rate_sets)) rateSetsParams = config.rate_sets.map(s => ({ ...s }));
+    if (Number.isFinite(config.gain)) fuzzyGain = config.gain;
+    if (Number.isFinite(config.integral_ki)) fuzzyKi = config.integral_ki;
+    if (Number.isFinite(config.integral_limit)) fuzzyIntegralLimit = config.integral_limit;
+
+    FUZZY_SETS.forEach((_, i) => {
+        const ec = document.getElementById(`err-center-${i}`);
+        const ew = document.getElementById(`err-width-${i}`);
+        const rc = document.getElementById(`rate-center-${i}`);
+        const rw = document.getElementById(`rate-width-${i}`);
+        if (ec) ec.value = errorSetsParams[i].center;
+        if (ew) ew.value = errorSetsParams[i].width;
+        if (rc) rc.value = rateSetsParams[i].center;
+        if (rw) rw.value = rateSetsParams[i].width;
+    });
+    const gainInput = document.getElementById('fuzzy-gain-input');
+    const kiInput = document.getElementById('fuzzy-ki-input');
+    const ilimitInput = document.getElementById('fuzzy-ilimit-input');
+    if (gainInput) gainInput.value = fuzzyGain;
+    if (kiInput) kiInput.value = fuzzyKi;
+    if (ilimitInput) ilimitInput.value = fuzzyIntegralLimit;
+    drawFuzzySets('fuzzy-angle-canvas', lastAngle, -20, 20, errorSetsParams);
+    drawFuzzySets('fuzzy-rate-canvas', lastRate, -200, 200, rateSetsParams);
+}
+
 // ========================================================================
 // Eksporty
 // ========================================================================
@@ -931,6 +978,8 @@ window.FuzzyEditor = {
     setRules,
     getControlMode,
     setControlMode,
+    getFuzzyConfig,
+    applyFuzzyConfig,
     sendAllFuzzyRules,
     updateFuzzyVisuals
 };
@@ -941,6 +990,8 @@ export {
     setRules,
     getControlMode,
     setControlMode,
+    getFuzzyConfig,
+    applyFuzzyConfig,
     sendAllFuzzyRules,
     updateFuzzyVisuals,
     FUZZY_SETS,
@@ -4,11 +4,15 @@
  *
  * Extracted from main.js.
  * All cross-module calls go through window.* for backward compatibility.
- * No imports — standalone module.
+ * Imports only the DOM-free expression parser (wait_condition).
  */
 
+import { compileCondition, ExpressionError } from './derived-channels.mjs';
+
 // ─── Cross-module helpers (resolved via window.*) ──────────────────────────────
 function sendBleMessage(msg) { if (typeof window.sendBleMessage === 'function') window.sendBleMessage(msg); }
+function sendCommand(msg, options) { return typeof window.sendCommand === 'function' ? window.sendCommand(msg, options) : Promise.reject(new Error('sendCommand niedostepne')); }
+function robotAcksCommands() { return typeof window.robotAcksCommands === 'function' && window.robotAcksCommands(); }
 function addLogMessage(msg, level) { if (typeof window.addLogMessage === 'function') window.addLogMessage(msg, level); }
 function updateAccordionHeight(content) { if (typeof window.updateAccordionHeight === 'function') window.updateAccordionHeight(content); }
 function resetPathVisualization() { if (typeof window.resetPathVisualization === 'function') window.resetPathVisualization(); }
@@ -39,6 +43,8 @@ const availableActions = {
 
 // ─── Sequence control variables ────────────────────────────────────────────────
 let currentSequenceStep = 0;
+// Krok, na którym sekwencję przerwała utrata połączenia (null = brak)
+let interruptedSequenceStep = null;
 const MAX_SEQUENCE_STEPS = 15;
 
 // ─── Joystick functions ────────────────────────────────────────────────────────
@@ -100,37 +106,32 @@ function addSequenceStep() {
     });
     stepDiv.querySelector('.remove-step-btn').addEventListener('click', () => { stepDiv.remove(); updateAccordionHeight(list.closest('.accordion-content')); });
 }
-function runSequence() { if (AppState.isSequenceRunning) return; if (AppState.lastKnownRobotState !== 'TRZYMA_POZYCJE' && AppState.lastKnownRobotState !== 'BALANSUJE') { addLogMessage(`[UI] Nie mozna rozpoczac sekwencji. Robot w stanie '${AppState.lastKnownRobotState}'.`, 'error'); return; } const steps = document.querySelectorAll('.sequence-step'); if (steps.length === 0) return; resetPathVisualization(); AppState.isSequenceRunning = true; currentSequenceStep = 0; updateSequenceUI(); addLogMessage(`[UI] Rozpoczeto sekwencje z ${steps.length} krokow.`, 'info'); executeNextSequenceStep(); }
+function runSequence() { if (AppState.isSequenceRunning) return; if (AppState.lastKnownRobotState !== 'TRZYMA_POZYCJE' && AppState.lastKnownRobotState !== 'BALANSUJE') { addLogMessage(`[UI] Nie mozna rozpoczac sekwencji. Robot w stanie '${AppState.lastKnownRobotState}'.`, 'error'); return; } const steps = document.querySelectorAll('.sequence-step'); if (steps.length === 0) return; resetPathVisualization(); AppState.isSequenceRunning = true; currentSequenceStep = 0; interruptedSequenceStep = null; updateSequenceUI(); addLogMessage(`[UI] Rozpoczeto sekwencje z ${steps.length} krokow.`, 'info'); executeNextSequenceStep(); }
 function stopSequenceExecution() { if (!AppState.isSequenceRunning) return; AppState.isSequenceRunning = false; sendBleMessage({ type: 'command_stop' }); updateSequenceUI(); addLogMessage('[UI] Sekwencja zatrzymana.', 'warn'); }
+function abortSequenceOnCommandFailure(command) { if (!AppState.isSequenceRunning) return; AppState.isSequenceRunning = false; sendBleMessage({ type: 'command_stop' }); updateSequenceUI(); addLogMessage(`[UI] Sekwencja przerwana - robot nie potwierdzil kroku ${currentSequenceStep + 1} (${command.type}).`, 'error'); }
+function interruptSequence() { if (!AppState.isSequenceRunning) return false; AppState.isSequenceRunning = false; interruptedSequenceStep = currentSequenceStep; updateSequenceUI(); addLogMessage(`[UI] Sekwencja wstrzymana na kroku ${currentSequenceStep + 1} - utracono polaczenie.`, 'warn'); return true; }
+function resumeInterruptedSequence() { if (interruptedSequenceStep === null) return; if (AppState.lastKnownRobotState !== 'TRZYMA_POZYCJE' && AppState.lastKnownRobotState !== 'BALANSUJE') { addLogMessage(`[UI] Nie mozna wznowic sekwencji. Robot w stanie '${AppState.lastKnownRobotState}'.`, 'error'); abortInterruptedSequence(); return; } AppState.isSequenceRunning = true; currentSequenceStep = interruptedSequenceStep; interruptedSequenceStep = null; addLogMessage(`[UI] Wznawiam sekwencje od kroku ${currentSequenceStep + 1}.`, 'info'); executeNextSequenceStep(); }
+function abortInterruptedSequence() { if (interruptedSequenceStep === null) return; interruptedSequenceStep = null; sendBleMessage({ type: 'command_stop' }); updateSequenceUI(); addLogMessage('[UI] Przerwana sekwencja anulowana.', 'warn'); }
 function clearSequence() { if (AppState.isSequenceRunning) stopSequenceExecution(); const list = document.getElementById('sequence-list'); list.innerHTML = ''; updateAccordionHeight(list.closest('.accordion-content')); resetPathVisualization(); }
 function updateSequenceUI() { document.querySelectorAll('.sequence-step').forEach((step, index) => { step.classList.toggle('executing', AppState.isSequenceRunning && index === currentSequenceStep); }); document.getElementById('run-sequence-btn').disabled = AppState.isSequenceRunning; document.getElementById('add-sequence-step-btn').disabled = AppState.isSequenceRunning; document.getElementById('clear-sequence-btn').disabled = AppState.isSequenceRunning; document.getElementById('stop-sequence-btn').disabled = !AppState.isSequenceRunning; }
 function checkAndExecuteNextSequenceStep(previousState) { const wasWorking = ['RUCH_AUTONOMICZNY', 'OBROT_AUTONOMICZNY'].includes(previousState); const isReady = ['TRZYMA_POZYCJE', 'BALANSUJE'].includes(AppState.lastKnownRobotState); if (AppState.isSequenceRunning && wasWorking && isReady) { addLogMessage(`[UI] Krok ${currentSequenceStep + 1} zakonczony.`, 'info'); currentSequenceStep++; executeNextSequenceStep(); } }
 
-// Pomocnicze: ewaluacja warunku w oparciu o ostatnią telemetrię
+// Pomocnicze: ewaluacja warunku w oparciu o ostatnią telemetrię (razem z kanałami pochodnymi).
+// Pełne wyrażenia jak w kanałach pochodnych, np. "abs(pitch) < 0.5 && turn == 0"; null = błędne wyrażenie
+function telemetryValue(name) { const data = window.telemetryData; if (data && name in data) return data[name]; return window.derivedChannels ? window.derivedChannels.resolve(name) : undefined; }
 function evaluateCondition(expr) {
     if (typeof expr !== 'string') return null;
-    const m = expr.match(/^\s*([a-zA-Z_][\w]*)\s*(==|!=|>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/);
-    if (!m) return null;
-    const [, key, op, rhsStr] = m;
-    const lhs = window.telemetryData ? window.telemetryData[key] : undefined;
-    const rhs = parseFloat(rhsStr);
-    if (typeof lhs !== 'number' || Number.isNaN(lhs)) return null;
-    switch (op) {
-        case '==': return lhs === rhs;
-        case '!=': return lhs !== rhs;
-        case '>': return lhs > rhs;
-        case '<': return lhs < rhs;
-        case '>=': return lhs >= rhs;
-        case '<=': return lhs <= rhs;
-        default: return null;
-    }
+    try { return compileCondition(expr)(telemetryValue, Date.now()); } catch (e) { return null; }
 }
 
 function waitForCondition(expr, timeoutMs = 10000, intervalMs = 100) {
+    // Jedna kompilacja na całe czekanie - avg()/deriv() zbierają historię z kolejnych sprawdzeń
+    let condition;
+    try { condition = compileCondition(expr); } catch (error) { return Promise.reject(error); }
     return new Promise((resolve, reject) => {
         const start = Date.now();
         const timer = setInterval(() => {
-            const ok = evaluateCondition(expr);
+            const ok = condition(telemetryValue, Date.now());
             if (ok === true) { clearInterval(timer); resolve(); }
             else if (Date.now() - start > timeoutMs) { clearInterval(timer); reject(new Error('timeout')); }
         }, intervalMs);
@@ -161,8 +162,9 @@ function executeNextSequenceStep() {
                 addLogMessage('[UI] Warunek spelniony.', 'success');
                 currentSequenceStep++;
                 executeNextSequenceStep();
-            }).catch(() => {
-                addLogMessage('[UI] Timeout czekania na warunek. Przechodze dalej.', 'warn');
+            }).catch((error) => {
+                if (error instanceof ExpressionError) addLogMessage(`[UI] Nieprawidlowy warunek: ${error.message}. Pomijam.`, 'error');
+                else addLogMessage('[UI] Timeout czekania na warunek. Przechodze dalej.', 'warn');
                 currentSequenceStep++;
                 executeNextSequenceStep();
             });
@@ -180,10 +182,15 @@ function executeNextSequenceStep() {
                         val /= 100.0;
                     }
                     addLogMessage(`[UI] Ustaw parametr: ${snakeKey} = ${val}`, 'info');
-                    sendBleMessage({ type: 'set_param', key: snakeKey, value: val });
-                    // natychmiast przejdź dalej
-                    currentSequenceStep++;
-                    executeNextSequenceStep();
+                    const paramCommand = { type: 'set_param', key: snakeKey, value: val };
+                    // Firmware bez ACK - wysyłamy bez śledzenia i od razu idziemy dalej
+                    if (!robotAcksCommands()) { sendBleMessage(paramCommand); currentSequenceStep++; executeNextSequenceStep(); return; }
+                    // przejdź dalej dopiero po potwierdzeniu (ACK)
+                    sendCommand(paramCommand).then(() => {
+                        if (!AppState.isSequenceRunning) return;
+                        currentSequenceStep++;
+                        executeNextSequenceStep();
+                    }).catch(() => abortSequenceOnCommandFailure(paramCommand));
                     return;
                 } else {
                     addLogMessage(`[UI] Nieznany parametr: ${inputId}.`, 'error'); currentSequenceStep++; executeNextSequenceStep(); return;
@@ -192,7 +199,10 @@ function executeNextSequenceStep() {
         }
     }
     addLogMessage(`[UI] Wysylanie kroku ${currentSequenceStep + 1}/${steps.length}: ${JSON.stringify(command)}`, 'info');
-    sendBleMessage(command);
+    // Zakończenie ruchu przychodzi jako status_update; ACK potwierdza tylko przyjęcie komendy.
+    // Bez ponowień - powtórzony execute_move/execute_rotate przejechałby odcinek drugi raz
+    if (robotAcksCommands()) sendCommand(command, { retries: 0 }).catch(() => abortSequenceOnCommandFailure(command));
+    else sendBleMessage(command);
     if (['move_fwd', 'move_bwd', 'rotate_r', 'rotate_l'].includes(type)) { addPlannedPathSegment(type, parseFloat(value)); }
 }
 function showSequenceReport() { document.getElementById('sequence-report-panel').style.display = 'block'; document.getElementById('avgHeadingError').textContent = 'X.X °'; document.getElementById('maxHeadingError').textContent = 'Y.Y °'; document.getElementById('totalDistanceCovered').textContent = 'Z.Z cm'; }
@@ -254,6 +264,9 @@ window.setupSequenceControls = setupSequenceControls;
 window.addSequenceStep = addSequenceStep;
 window.runSequence = runSequence;
 window.stopSequenceExecution = stopSequenceExecution;
+window.interruptSequence = interruptSequence;
+window.resumeInterruptedSequence = resumeInterruptedSequence;
+window.abortInterruptedSequence = abortInterruptedSequence;
 window.clearSequence = clearSequence;
 window.updateSequenceUI = updateSequenceUI;
 window.checkAndExecuteNextSequenceStep = checkAndExecuteNextSequenceStep;
@@ -312,6 +325,9 @@ export {
     addSequenceStep,
     runSequence,
     stopSequenceExecution,
+    interruptSequence,
+    resumeInterruptedSequence,
+    abortInterruptedSequence,
     clearSequence,
     updateSequenceUI,
     checkAndExecuteNextSequenceStep,
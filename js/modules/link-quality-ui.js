@@ -0,0 +1,168 @@
+// ========================================================================
+// LINK QUALITY UI - Panel "Jakość łącza" (ES6 Module)
+// ========================================================================
+// Co LINK_QUALITY_SAMPLE_MS pobiera próbkę z linkMonitor (communication.js)
+// i pokazuje: ramki/s, jitter, zgubione ramki, nieudane chunki, kolejkę
+// wychodzącą i RTT komend, plus wykres ostatnich ~2 minut. Pozwala odróżnić
+// zaszumione wyniki strojenia od problemów z łączem radiowym.
+// Tu też ustawia się odstęp heartbeat i timeout łącza (link-watchdog.mjs).
+// ========================================================================
+
+import { AppState } from './state.js';
+import { linkMonitor, getLinkCounters, getOutgoingQueueStats, getChunkStats, linkWatchdog, configureLinkWatchdog } from './communication.js';
+import { LINK_QUALITY_SAMPLE_MS } from './link-quality.mjs';
+
+let sampleTimer = null;
+
+// Progi ostrzeżeń (kolor ramki kafelka)
+const JITTER_WARN_MS = 10;
+const RTT_WARN_MS = 300;
+const QUEUE_WARN = 10;
+
+function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+}
+
+function setLevel(id, level) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.classList.toggle('warn', level === 'warn');
+    el.classList.toggle('error', level === 'error');
+}
+
+const formatMs = (value) => (value === null ? '---' : `${value.toFixed(1)} ms`);
+
+function renderSample(entry) {
+    if (!entry) {
+        setText('linkFpsVal', '--');
+        setText('linkIntervalVal', '---');
+        setText('linkJitterVal', '-- ms');
+        setText('linkRttVal', '-- ms');
+        setText('linkRttMaxVal', '---');
+        ['linkFpsItem', 'linkJitterItem', 'linkDropItem', 'linkChunkItem', 'linkQueueItem', 'linkRttItem'].forEach(id => setLevel(id, null));
+        return;
+    }
+    setText('linkFpsVal', entry.fps.toFixed(1));
+    setText('linkIntervalVal', formatMs(entry.meanIntervalMs));
+    setText('linkJitterVal', formatMs(entry.jitterMs));
+    setText('linkDroppedVal', String(entry.dropped));
+    setText('linkReorderedVal', String(entry.reordered));
+    setText('linkDroppedTotalVal', String(entry.totals.dropped));
+    setText('linkReorderedTotalVal', String(entry.totals.reordered));
+    setText('linkChunkTimeoutsVal', String(entry.totals.chunkTimeouts));
+    renderChunkStats(getChunkStats());
+    setText('linkQueueVal', String(entry.queueDepth));
+    renderQueueStats(getOutgoingQueueStats());
+    setText('linkRttVal', formatMs(entry.rttMs));
+    setText('linkRttMaxVal', formatMs(entry.rttMaxMs));
+
+    setLevel('linkFpsItem', entry.fps === 0 ? 'error' : null);
+    setLevel('linkJitterItem', entry.jitterMs !== null && entry.jitterMs > JITTER_WARN_MS ? 'warn' : null);
+    setLevel('linkDropItem', entry.dropped > 0 ? 'warn' : null);
+    setLevel('linkChunkItem', entry.chunkTimeouts > 0 ? 'error' : null);
+    setLevel('linkQueueItem', entry.queueDepth > QUEUE_WARN ? 'warn' : null);
+    setLevel('linkRttItem', entry.rttMaxMs !== null && entry.rttMaxMs > RTT_WARN_MS ? 'warn' : null);
+}
+
+function renderChunkStats(stats) {
+    setText('linkChunkStatsVal',
+        `zlozone: ${stats.assembled}, odzyskane: ${stats.recovered}, zle CRC: ${stats.corrupt}, prosby: ${stats.resendRequests}`);
+}
+
+function renderQueueStats(stats) {
+    if (!stats) {
+        setText('linkQueueStatsVal', '---');
+        return;
+    }
+    const { depth } = stats;
+    setText('linkQueueStatsVal',
+        `stop/ruch/konfig: ${depth.emergency}/${depth.motion}/${depth.config}, max: ${stats.maxDepth}, ` +
+        `scalone: ${stats.coalesced}, po stopie: ${stats.superseded}, czekanie: ${stats.lastWaitMs} ms (max ${stats.maxWaitMs})`);
+}
+
+function drawSeries(ctx, history, key, color, area, maxValue) {
+    const points = history.map((entry, i) => [i, entry[key]]).filter(([, v]) => v !== null);
+    if (points.length < 2) return;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach(([i, v], n) => {
+        const x = area.x + (i / (history.length - 1)) * area.w;
+        const y = area.y + area.h - Math.min(v / maxValue, 1) * area.h;
+        if (n === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
+
+function drawHistory(history) {
+    const canvas = document.getElementById('linkQualityChart');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    // Szerokość bufora canvas dopasowana do szerokości w CSS
+    if (canvas.clientWidth && canvas.width !== canvas.clientWidth) canvas.width = canvas.clientWidth;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (history.length < 2) return;
+
+    const padding = 6;
+    const area = { x: padding, y: padding, w: canvas.width - padding * 2, h: canvas.height - padding * 2 };
+    const maxOf = (key, floor) => Math.max(floor, ...history.map(e => e[key] || 0));
+
+    const maxDropped = maxOf('dropped', 1);
+    const barWidth = Math.max(1, area.w / history.length - 1);
+    ctx.fillStyle = 'rgba(255, 99, 71, 0.7)';
+    history.forEach((entry, i) => {
+        if (!entry.dropped) return;
+        const barHeight = (entry.dropped / maxDropped) * area.h * 0.5;
+        const x = area.x + (i / (history.length - 1)) * area.w - barWidth / 2;
+        ctx.fillRect(x, area.y + area.h - barHeight, barWidth, barHeight);
+    });
+
+    drawSeries(ctx, history, 'fps', '#61dafb', area, maxOf('fps', 1) * 1.1);
+    drawSeries(ctx, history, 'jitterMs', '#f7b731', area, maxOf('jitterMs', JITTER_WARN_MS));
+    drawSeries(ctx, history, 'rttMs', '#a2f279', area, maxOf('rttMs', RTT_WARN_MS));
+
+    ctx.fillStyle = '#cfd8dc';
+    ctx.font = '10px sans-serif';
+    ctx.fillText(`${maxOf('fps', 1).toFixed(0)}/s`, area.x + 2, area.y + 10);
+}
+
+function renderWatchdogStats() {
+    const status = linkWatchdog.getStatus();
+    setText('linkWatchdogStatsVal', `heartbeat: ${status.heartbeats}, failsafe STOP: ${status.failsafes}, utraty lacza: ${status.linkLosses}`);
+}
+
+function sampleLinkQuality() {
+    renderWatchdogStats();
+    if (!AppState.isConnected) {
+        renderSample(null);
+        return;
+    }
+    const entry = linkMonitor.sample(getLinkCounters());
+    renderSample(entry);
+    drawHistory(linkMonitor.getHistory());
+}
+
+function setupWatchdogSettings() {
+    const intervalInput = document.getElementById('heartbeatIntervalInput');
+    const timeoutInput = document.getElementById('linkTimeoutInput');
+    if (!intervalInput || !timeoutInput) return;
+    const show = ({ intervalMs, timeoutMs }) => {
+        intervalInput.value = intervalMs;
+        timeoutInput.value = timeoutMs;
+    };
+    const apply = () => show(configureLinkWatchdog({ intervalMs: intervalInput.value, timeoutMs: timeoutInput.value }));
+    intervalInput.addEventListener('change', apply);
+    timeoutInput.addEventListener('change', apply);
+    show(linkWatchdog);
+}
+
+export function initLinkQualityPanel() {
+    if (!document.getElementById('link-quality-card')) return;
+    setupWatchdogSettings();
+    clearInterval(sampleTimer);
+    sampleTimer = setInterval(sampleLinkQuality, LINK_QUALITY_SAMPLE_MS);
+    renderSample(null);
+    renderWatchdogStats();
+}
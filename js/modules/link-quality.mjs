@@ -0,0 +1,109 @@
+// ========================================================================
+// LINK QUALITY - Statystyki jakości łącza z robotem (ES6 Module)
+// ========================================================================
+// LinkQualityMonitor zbiera zdarzenia z warstwy komunikacji (przyjście
+// ramki telemetrii, czas odpowiedzi komendy) i raz na interwał tworzy
+// próbkę: ramki/s, jitter odstępów, zgubione i przestawione ramki,
+// timeouty składania chunków, długość kolejki wychodzącej, RTT komend.
+// Próbki trafiają do krótkiej historii (wykres w panelu "Łącze").
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const LINK_QUALITY_SAMPLE_MS = 1000;
+export const LINK_QUALITY_HISTORY_LENGTH = 120;
+
+export class LinkQualityMonitor {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.historyLength] - liczba zapamiętanych próbek
+     * @param {() => number} [options.now] - zegar w ms (testy)
+     */
+    constructor({ historyLength = LINK_QUALITY_HISTORY_LENGTH, now = () => Date.now() } = {}) {
+        this.historyLength = historyLength;
+        this.now = now;
+        this.reset();
+    }
+
+    reset() {
+        this.history = [];
+        this.restart();
+    }
+
+    /**
+     * Nowy punkt odniesienia liczników (np. po ponownym połączeniu -
+     * liczniki transportu startują od zera), historia zostaje.
+     */
+    restart() {
+        this.intervalStart = this.now();
+        this.lastArrival = null;
+        this.frames = 0;
+        this.gaps = [];
+        this.rtts = [];
+        // Ostatnie wartości liczników narastających - do przyrostów w próbce
+        this.lastCounters = { dropped: 0, reordered: 0, chunkTimeouts: 0 };
+    }
+
+    /** Przyjście ramki telemetrii. */
+    recordTelemetry(time = this.now()) {
+        if (this.lastArrival !== null) this.gaps.push(time - this.lastArrival);
+        this.lastArrival = time;
+        this.frames++;
+    }
+
+    /** Czas od wysłania komendy do ACK. */
+    recordRoundTrip(ms) {
+        if (Number.isFinite(ms) && ms >= 0) this.rtts.push(ms);
+    }
+
+    /**
+     * Zamyka bieżący interwał i zapisuje próbkę w historii.
+     * @param {Object} counters - liczniki narastające z transportu
+     * @param {number} [counters.dropped] - zgubione ramki (TelemetrySequenceTracker)
+     * @param {number} [counters.reordered] - ramki poza kolejnością
+     * @param {number} [counters.chunkTimeouts] - niezłożone wiadomości chunk
+     * @param {number} [counters.queueDepth] - wiadomości czekające na wysłanie (chwilowo)
+     * @returns {Object} próbka
+     */
+    sample({ dropped = 0, reordered = 0, chunkTimeouts = 0, queueDepth = 0 } = {}) {
+        const time = this.now();
+        const seconds = Math.max(time - this.intervalStart, 1) / 1000;
+        const meanGap = mean(this.gaps);
+        const delta = (key, value) => Math.max(0, value - this.lastCounters[key]);
+
+        const entry = {
+            time,
+            fps: this.frames / seconds,
+            meanIntervalMs: meanGap,
+            jitterMs: this.gaps.length > 1 ? Math.sqrt(mean(this.gaps.map(g => (g - meanGap) ** 2))) : null,
+            dropped: delta('dropped', dropped),
+            reordered: delta('reordered', reordered),
+            chunkTimeouts: delta('chunkTimeouts', chunkTimeouts),
+            queueDepth,
+            rttMs: mean(this.rtts),
+            rttMaxMs: this.rtts.length > 0 ? Math.max(...this.rtts) : null,
+            totals: { dropped, reordered, chunkTimeouts }
+        };
+
+        this.lastCounters = { dropped, reordered, chunkTimeouts };
+        this.intervalStart = time;
+        this.frames = 0;
+        this.gaps = [];
+        this.rtts = [];
+        this.history.push(entry);
+        if (this.history.length > this.historyLength) this.history.shift();
+        return entry;
+    }
+
+    getHistory() {
+        return this.history;
+    }
+
+    getLatest() {
+        return this.history.length > 0 ? this.history[this.history.length - 1] : null;
+    }
+}
+
+function mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
@@ -0,0 +1,171 @@
+// ========================================================================
+// LINK WATCHDOG - Heartbeat klienta i failsafe utraty łącza (ES6 Module)
+// ========================================================================
+// Podczas ruchu (joystick, sekwencja, strojenie) UI co `intervalMs` wysyła
+//   {type:'heartbeat', seq, interval_ms, timeout_ms}
+// dzięki czemu firmware może zatrzymać robota, gdy heartbeat zamilknie na
+// dłużej niż `timeout_ms` (symulator robi to samo).
+// W drugą stronę UI pilnuje telemetrii:
+//   'ok'    - telemetria płynie,
+//   'stale' - cisza dłuższa niż połowa timeoutu: odliczanie do utraty łącza,
+//             a gdy trwa ruch - jednorazowo onFailsafe() (STOP),
+//   'lost'  - cisza dłuższa niż timeout.
+// Pojawienie się telemetrii przywraca stan 'ok'.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const DEFAULT_HEARTBEAT_INTERVAL_MS = 250;
+export const DEFAULT_LINK_TIMEOUT_MS = 1500;
+export const MIN_HEARTBEAT_INTERVAL_MS = 50;
+export const WATCHDOG_TICK_MS = 100;
+// Failsafe (STOP) wysyłany po tej części timeoutu - zanim łącze zostanie uznane za utracone
+const FAILSAFE_FRACTION = 0.5;
+
+/**
+ * Sprawdza ustawienia heartbeat; timeout musi obejmować co najmniej dwa odstępy.
+ * @returns {{intervalMs: number, timeoutMs: number}}
+ */
+export function normalizeWatchdogConfig({ intervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS, timeoutMs = DEFAULT_LINK_TIMEOUT_MS } = {}) {
+    const interval = Math.max(MIN_HEARTBEAT_INTERVAL_MS, Math.round(Number(intervalMs) || DEFAULT_HEARTBEAT_INTERVAL_MS));
+    const timeout = Math.max(interval * 2, Math.round(Number(timeoutMs) || DEFAULT_LINK_TIMEOUT_MS));
+    return { intervalMs: interval, timeoutMs: timeout };
+}
+
+export class LinkWatchdog {
+    /**
+     * @param {Object} options
+     * @param {(message: Object) => any} options.send - wysłanie heartbeat
+     * @param {() => boolean} [options.isMotionActive] - czy UI zleca teraz ruch
+     * @param {(status: Object) => void} [options.onStatus] - zmiana stanu oraz każdy tick poza stanem 'ok' (odliczanie)
+     * @param {(status: Object) => void} [options.onFailsafe] - telemetria zamilkła podczas ruchu
+     * @param {number} [options.intervalMs]
+     * @param {number} [options.timeoutMs]
+     * @param {() => number} [options.now] - zegar w ms (testy)
+     * @param {Object} [options.timers] - wstrzykiwane setTimeout/clearTimeout (testy)
+     */
+    constructor({
+        send,
+        isMotionActive = () => false,
+        onStatus = () => {},
+        onFailsafe = () => {},
+        intervalMs,
+        timeoutMs,
+        now = () => Date.now(),
+        timers = null
+    } = {}) {
+        this.send = send;
+        this.isMotionActive = isMotionActive;
+        this.onStatus = onStatus;
+        this.onFailsafe = onFailsafe;
+        this.now = now;
+        this.timers = timers || { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) };
+        Object.assign(this, normalizeWatchdogConfig({ intervalMs, timeoutMs }));
+        this.state = 'idle';
+        this.timer = null;
+        this.seq = 0;
+        this.lastTelemetryAt = 0;
+        this.lastHeartbeatAt = null;
+        this.failsafeSent = false;
+        this.stats = { heartbeats: 0, failsafes: 0, linkLosses: 0 };
+    }
+
+    configure(config) {
+        Object.assign(this, normalizeWatchdogConfig({ intervalMs: this.intervalMs, timeoutMs: this.timeoutMs, ...config }));
+        return { intervalMs: this.intervalMs, timeoutMs: this.timeoutMs };
+    }
+
+    /** Początek pilnowania łącza (po połączeniu). */
+    start() {
+        this.stop();
+        this.lastTelemetryAt = this.now();
+        this.lastHeartbeatAt = null;
+        this.failsafeSent = false;
+        this.setState('ok');
+        this.schedule();
+    }
+
+    stop() {
+        this.timers.clearTimeout(this.timer);
+        this.timer = null;
+        if (this.state !== 'idle') this.setState('idle');
+    }
+
+    isRunning() {
+        return this.state !== 'idle';
+    }
+
+    schedule() {
+        this.timer = this.timers.setTimeout(() => {
+            this.tick();
+            if (this.isRunning()) this.schedule();
+        }, WATCHDOG_TICK_MS);
+    }
+
+    recordTelemetry() {
+        this.lastTelemetryAt = this.now();
+        if (this.state === 'stale' || this.state === 'lost') {
+            this.failsafeSent = false;
+            this.setState('ok');
+        }
+    }
+
+    getStatus() {
+        const silentMs = this.isRunning() ? this.now() - this.lastTelemetryAt : 0;
+        return {
+            state: this.state,
+            silentMs,
+            remainingMs: Math.max(0, this.timeoutMs - silentMs),
+            intervalMs: this.intervalMs,
+            timeoutMs: this.timeoutMs,
+            failsafeSent: this.failsafeSent,
+            ...this.stats
+        };
+    }
+
+    tick() {
+        if (!this.isRunning()) return;
+        const silentMs = this.now() - this.lastTelemetryAt;
+        const motion = this.isMotionActive();
+
+        let next = 'ok';
+        if (silentMs >= this.timeoutMs) next = 'lost';
+        else if (silentMs >= this.timeoutMs * FAILSAFE_FRACTION) next = 'stale';
+        // 'ok' wraca tylko z telemetrią (recordTelemetry)
+        if (next !== 'ok' && next !== this.state) {
+            if (next === 'lost') this.stats.linkLosses++;
+            this.setState(next);
+        } else if (this.state !== 'ok') {
+            this.onStatus(this.getStatus());
+        }
+
+        if (this.state !== 'ok' && motion && !this.failsafeSent) {
+            this.failsafeSent = true;
+            this.stats.failsafes++;
+            this.onFailsafe(this.getStatus());
+        }
+
+        if (motion && (this.lastHeartbeatAt === null || this.now() - this.lastHeartbeatAt >= this.intervalMs)) {
+            this.sendHeartbeat();
+        } else if (!motion) {
+            // Kolejny ruch zaczyna się od natychmiastowego heartbeat
+            this.lastHeartbeatAt = null;
+        }
+    }
+
+    sendHeartbeat() {
+        this.lastHeartbeatAt = this.now();
+        this.stats.heartbeats++;
+        const message = { type: 'heartbeat', seq: this.seq, interval_ms: this.intervalMs, timeout_ms: this.timeoutMs };
+        this.seq = (this.seq + 1) & 0xFFFF;
+        try {
+            Promise.resolve(this.send(message)).catch(error => console.error('heartbeat send error:', error));
+        } catch (error) {
+            console.error('heartbeat send error:', error);
+        }
+    }
+
+    setState(state) {
+        this.state = state;
+        this.onStatus(this.getStatus());
+    }
+}
@@ -0,0 +1,413 @@
+// ========================================================================
+// MCAP - Zapis i odczyt plików MCAP (ES6 Module)
+// ========================================================================
+// Minimalna implementacja formatu MCAP (https://mcap.dev/spec), zgodna
+// z Foxglove Studio i biblioteką `mcap` w Pythonie:
+//   - McapWriter: Header, Schema/Channel w sekcji danych, wiadomości
+//     w chunkach bez kompresji (z CRC) + Message Index, Metadata,
+//     sekcja podsumowania (Schema, Channel, Statistics, Chunk Index,
+//     Metadata Index) z Summary Offset i stopką z CRC.
+//   - readMcap: liniowy odczyt rekordów (także wewnątrz chunków).
+//     Chunki skompresowane (lz4/zstd) są odrzucane czytelnym błędem.
+// Czasy w nanosekundach jako BigInt. Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const MCAP_MAGIC = Uint8Array.from([0x89, 0x4d, 0x43, 0x41, 0x50, 0x30, 0x0d, 0x0a]);
+export const MCAP_OPCODES = {
+    HEADER: 0x01, FOOTER: 0x02, SCHEMA: 0x03, CHANNEL: 0x04, MESSAGE: 0x05, CHUNK: 0x06,
+    MESSAGE_INDEX: 0x07, CHUNK_INDEX: 0x08, ATTACHMENT: 0x09, ATTACHMENT_INDEX: 0x0a,
+    STATISTICS: 0x0b, METADATA: 0x0c, METADATA_INDEX: 0x0d, SUMMARY_OFFSET: 0x0e, DATA_END: 0x0f
+};
+export const MCAP_DEFAULT_CHUNK_SIZE = 512 * 1024;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export class McapError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'McapError';
+    }
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE, jak w zlib). `crc` pozwala liczyć przyrostowo.
+ */
+export function crc32(bytes, crc = 0) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let c = (crc ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (typeof data === 'string') return textEncoder.encode(data);
+    throw new McapError('Dane MCAP musza byc Uint8Array lub tekstem');
+}
+
+// Bufor rosnący z zapisem little-endian
+class ByteWriter {
+    constructor(size = 1024) {
+        this.buffer = new Uint8Array(size);
+        this.view = new DataView(this.buffer.buffer);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.buffer.subarray(0, this.length));
+        this.buffer = next;
+        this.view = new DataView(next.buffer);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.length, value); this.length += 1; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.length, value, true); this.length += 2; }
+    u32(value) { this.ensure(4); this.view.setUint32(this.length, value, true); this.length += 4; }
+    u64(value) { this.ensure(8); this.view.setBigUint64(this.length, BigInt(value), true); this.length += 8; }
+
+    bytes(data) {
+        this.ensure(data.length);
+        this.buffer.set(data, this.length);
+        this.length += data.length;
+    }
+
+    string(value) {
+        const data = textEncoder.encode(String(value));
+        this.u32(data.length);
+        this.bytes(data);
+    }
+
+    // Map<string, string>: długość w bajtach + pary
+    stringMap(map) {
+        const inner = new ByteWriter();
+        for (const [key, value] of Object.entries(map || {})) {
+            inner.string(key);
+            inner.string(value);
+        }
+        this.u32(inner.length);
+        this.bytes(inner.result());
+    }
+
+    // Rekord: opcode, u64 długość treści, treść
+    record(opcode, fill) {
+        const content = new ByteWriter();
+        fill(content);
+        this.u8(opcode);
+        this.u64(content.length);
+        this.bytes(content.result());
+    }
+
+    result() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.data = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    need(count) {
+        if (this.offset + count > this.data.length) throw new McapError('Uszkodzony plik MCAP: rekord krotszy niz jego pola');
+    }
+
+    u8() { this.need(1); return this.view.getUint8(this.offset++); }
+    u16() { this.need(2); const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+    u32() { this.need(4); const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+    u64() { this.need(8); const v = this.view.getBigUint64(this.offset, true); this.offset += 8; return v; }
+
+    bytes(count) {
+        this.need(count);
+        const out = this.data.subarray(this.offset, this.offset + count);
+        this.offset += count;
+        return out;
+    }
+
+    string() {
+        return textDecoder.decode(this.bytes(this.u32()));
+    }
+
+    stringMap() {
+        const end = this.offset + this.u32();
+        const out = {};
+        while (this.offset < end) {
+            const key = this.string();
+            out[key] = this.string();
+        }
+        return out;
+    }
+
+    rest() {
+        return this.bytes(this.data.length - this.offset);
+    }
+}
+
+/**
+ * Zapis pliku MCAP w pamięci.
+ * Kolejność: start() -> registerSchema/registerChannel -> addMessage/addMetadata -> end().
+ */
+export class McapWriter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.profile] - profil MCAP ('' = bez profilu, wiadomości JSON)
+     * @param {string} [options.library] - nazwa biblioteki w nagłówku
+     * @param {number} [options.chunkSize] - rozmiar chunka (bajty przed zamknięciem)
+     */
+    constructor({ profile = '', library = 'robobala', chunkSize = MCAP_DEFAULT_CHUNK_SIZE } = {}) {
+        this.profile = profile;
+        this.library = library;
+        this.chunkSize = chunkSize;
+        this.out = new ByteWriter(64 * 1024);
+        this.schemas = [];
+        this.channels = [];
+        this.chunkIndexes = [];
+        this.metadataIndexes = [];
+        this.messageCounts = new Map();
+        this.messageCount = 0n;
+        this.messageStart = null;
+        this.messageEnd = null;
+        this.chunk = null;
+        this.started = false;
+    }
+
+    start() {
+        this.out.bytes(MCAP_MAGIC);
+        this.out.record(MCAP_OPCODES.HEADER, w => { w.string(this.profile); w.string(this.library); });
+        this.started = true;
+    }
+
+    /**
+     * @param {{name: string, encoding: string, data: Uint8Array|string}} schema
+     * @returns {number} id schematu (od 1; 0 = brak schematu)
+     */
+    registerSchema({ name, encoding, data }) {
+        const schema = { id: this.schemas.length + 1, name, encoding, data: toBytes(data) };
+        this.schemas.push(schema);
+        this.writeSchema(this.out, schema);
+        return schema.id;
+    }
+
+    /**
+     * @param {{topic: string, messageEncoding: string, schemaId?: number, metadata?: Object}} channel
+     * @returns {number} id kanału
+     */
+    registerChannel({ topic, messageEncoding, schemaId = 0, metadata = {} }) {
+        const channel = { id: this.channels.length + 1, topic, messageEncoding, schemaId, metadata };
+        this.channels.push(channel);
+        this.writeChannel(this.out, channel);
+        return channel.id;
+    }
+
+    writeSchema(w, schema) {
+        w.record(MCAP_OPCODES.SCHEMA, c => {
+            c.u16(schema.id); c.string(schema.name); c.string(schema.encoding);
+            c.u32(schema.data.length); c.bytes(schema.data);
+        });
+    }
+
+    writeChannel(w, channel) {
+        w.record(MCAP_OPCODES.CHANNEL, c => {
+            c.u16(channel.id); c.u16(channel.schemaId); c.string(channel.topic); c.string(channel.messageEncoding);
+            c.stringMap(channel.metadata);
+        });
+    }
+
+    /**
+     * @param {{channelId: number, sequence?: number, logTime: bigint, publishTime?: bigint, data: Uint8Array|string}} message
+     */
+    addMessage({ channelId, sequence = 0, logTime, publishTime = logTime, data }) {
+        if (!this.started) throw new McapError('McapWriter: najpierw start()');
+        if (!this.chunk) this.chunk = { records: new ByteWriter(), start: logTime, end: logTime, indexes: new Map() };
+        const chunk = this.chunk;
+        if (!chunk.indexes.has(channelId)) chunk.indexes.set(channelId, []);
+        chunk.indexes.get(channelId).push([logTime, chunk.records.length]);
+        const bytes = toBytes(data);
+        chunk.records.record(MCAP_OPCODES.MESSAGE, c => {
+            c.u16(channelId); c.u32(sequence >>> 0); c.u64(logTime); c.u64(publishTime); c.bytes(bytes);
+        });
+        if (logTime < chunk.start) chunk.start = logTime;
+        if (logTime > chunk.end) chunk.end = logTime;
+        if (this.messageStart === null || logTime < this.messageStart) this.messageStart = logTime;
+        if (this.messageEnd === null || logTime > this.messageEnd) this.messageEnd = logTime;
+        this.messageCount++;
+        this.messageCounts.set(channelId, (this.messageCounts.get(channelId) || 0n) + 1n);
+        if (chunk.records.length >= this.chunkSize) this.flushChunk();
+    }
+
+    addMetadata({ name, metadata = {} }) {
+        if (!this.started) throw new McapError('McapWriter: najpierw start()');
+        this.flushChunk();
+        const offset = this.out.length;
+        this.out.record(MCAP_OPCODES.METADATA, c => { c.string(name); c.stringMap(metadata); });
+        this.metadataIndexes.push({ offset, length: this.out.length - offset, name });
+    }
+
+    flushChunk() {
+        const chunk = this.chunk;
+        if (!chunk) return;
+        this.chunk = null;
+        const records = chunk.records.result();
+        const chunkStart = this.out.length;
+        this.out.record(MCAP_OPCODES.CHUNK, c => {
+            c.u64(chunk.start); c.u64(chunk.end); c.u64(records.length); c.u32(crc32(records));
+            c.string(''); c.u64(records.length); c.bytes(records);
+        });
+        const chunkLength = this.out.length - chunkStart;
+        const indexOffsets = {};
+        for (const [channelId, entries] of [...chunk.indexes].sort((a, b) => a[0] - b[0])) {
+            indexOffsets[channelId] = this.out.length;
+            this.out.record(MCAP_OPCODES.MESSAGE_INDEX, c => {
+                c.u16(channelId);
+                c.u32(entries.length * 16);
+                for (const [time, offset] of entries) { c.u64(time); c.u64(offset); }
+            });
+        }
+        this.chunkIndexes.push({
+            start: chunk.start, end: chunk.end, chunkStart, chunkLength, indexOffsets,
+            indexLength: this.out.length - chunkStart - chunkLength, size: records.length
+        });
+    }
+
+    /** Zamyka plik i zwraca jego bajty. */
+    end() {
+        if (!this.started) this.start();
+        this.flushChunk();
+        // CRC sekcji danych nieliczone (0 - dozwolone przez specyfikację)
+        this.out.record(MCAP_OPCODES.DATA_END, c => c.u32(0));
+
+        const out = this.out;
+        const summaryStart = out.length;
+        const groups = [];
+        const group = (opcode, write) => {
+            const start = out.length;
+            write();
+            if (out.length > start) groups.push({ opcode, start, length: out.length - start });
+        };
+        group(MCAP_OPCODES.SCHEMA, () => this.schemas.forEach(schema => this.writeSchema(out, schema)));
+        group(MCAP_OPCODES.CHANNEL, () => this.channels.forEach(channel => this.writeChannel(out, channel)));
+        group(MCAP_OPCODES.STATISTICS, () => out.record(MCAP_OPCODES.STATISTICS, c => {
+            c.u64(this.messageCount); c.u16(this.schemas.length); c.u32(this.channels.length);
+            c.u32(0); c.u32(this.metadataIndexes.length); c.u32(this.chunkIndexes.length);
+            c.u32(this.messageCounts.size * 10);
+            for (const [channelId, count] of this.messageCounts) { c.u16(channelId); c.u64(count); }
+            c.u64(this.messageStart ?? 0n); c.u64(this.messageEnd ?? 0n);
+        }));
+        group(MCAP_OPCODES.CHUNK_INDEX, () => this.chunkIndexes.forEach(index => out.record(MCAP_OPCODES.CHUNK_INDEX, c => {
+            c.u64(index.start); c.u64(index.end); c.u64(index.chunkStart); c.u64(index.chunkLength);
+            const entries = Object.entries(index.indexOffsets);
+            c.u32(entries.length * 10);
+            for (const [channelId, offset] of entries) { c.u16(Number(channelId)); c.u64(offset); }
+            c.u64(index.indexLength); c.string(''); c.u64(index.size); c.u64(index.size);
+        })));
+        group(MCAP_OPCODES.METADATA_INDEX, () => this.metadataIndexes.forEach(index => out.record(MCAP_OPCODES.METADATA_INDEX, c => {
+            c.u64(index.offset); c.u64(index.length); c.string(index.name);
+        })));
+
+        const summaryOffsetStart = out.length;
+        for (const g of groups) {
+            out.record(MCAP_OPCODES.SUMMARY_OFFSET, c => { c.u8(g.opcode); c.u64(g.start); c.u64(g.length); });
+        }
+        // Stopka: CRC od początku podsumowania do pola summary_offset_start włącznie
+        const footerStart = out.length;
+        out.u8(MCAP_OPCODES.FOOTER);
+        out.u64(20);
+        out.u64(summaryStart);
+        out.u64(summaryOffsetStart);
+        out.u32(crc32(out.buffer.subarray(summaryStart, footerStart + 1 + 8 + 16)));
+        out.bytes(MCAP_MAGIC);
+        return out.result();
+    }
+}
+
+/**
+ * Odczytuje cały plik MCAP.
+ * @param {Uint8Array|ArrayBuffer} input
+ * @returns {{profile: string, library: string, schemas: Map, channels: Map, messages: Object[], metadata: Object[]}}
+ *   messages posortowane po logTime: {channelId, sequence, logTime, publishTime, data}
+ */
+export function readMcap(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    if (bytes.length < MCAP_MAGIC.length || MCAP_MAGIC.some((b, i) => bytes[i] !== b)) {
+        throw new McapError('To nie jest plik MCAP (brak sygnatury)');
+    }
+    const result = { profile: '', library: '', schemas: new Map(), channels: new Map(), messages: [], metadata: [] };
+
+    const readRecords = (data, inChunk) => {
+        const reader = new ByteReader(data);
+        while (reader.offset < data.length) {
+            // Końcowa sygnatura po stopce
+            if (!inChunk && data.length - reader.offset === MCAP_MAGIC.length) return;
+            const opcode = reader.u8();
+            const length = reader.u64();
+            if (length > BigInt(data.length - reader.offset)) throw new McapError('Uszkodzony plik MCAP: rekord wychodzi poza plik');
+            const content = new ByteReader(reader.bytes(Number(length)));
+            switch (opcode) {
+                case MCAP_OPCODES.HEADER:
+                    result.profile = content.string();
+                    result.library = content.string();
+                    break;
+                case MCAP_OPCODES.SCHEMA: {
+                    const id = content.u16();
+                    const name = content.string();
+                    const encoding = content.string();
+                    result.schemas.set(id, { id, name, encoding, data: content.bytes(content.u32()) });
+                    break;
+                }
+                case MCAP_OPCODES.CHANNEL: {
+                    const id = content.u16();
+                    const schemaId = content.u16();
+                    const topic = content.string();
+                    const messageEncoding = content.string();
+                    result.channels.set(id, { id, schemaId, topic, messageEncoding, metadata: content.stringMap() });
+                    break;
+                }
+                case MCAP_OPCODES.MESSAGE:
+                    result.messages.push({
+                        channelId: content.u16(), sequence: content.u32(), logTime: content.u64(), publishTime: content.u64(), data: content.rest()
+                    });
+                    break;
+                case MCAP_OPCODES.CHUNK: {
+                    content.u64(); content.u64();
+                    const size = content.u64();
+                    const crc = content.u32();
+                    const compression = content.string();
+                    const records = content.bytes(Number(content.u64()));
+                    if (compression !== '') throw new McapError(`Kompresja chunkow '${compression}' nie jest obslugiwana - zapisz plik bez kompresji`);
+                    if (BigInt(records.length) !== size) throw new McapError('Uszkodzony chunk MCAP: zly rozmiar');
+                    if (crc !== 0 && crc32(records) !== crc) throw new McapError('Uszkodzony chunk MCAP: zla suma CRC');
+                    readRecords(records, true);
+                    break;
+                }
+                case MCAP_OPCODES.METADATA:
+                    result.metadata.push({ name: content.string(), metadata: content.stringMap() });
+                    break;
+                case MCAP_OPCODES.DATA_END:
+                    // Podsumowanie powtarza schematy i kanały - już znane
+                    return 'end';
+                default:
+                    break;
+            }
+        }
+        return null;
+    };
+
+    readRecords(bytes.subarray(MCAP_MAGIC.length), false);
+    // Stabilne sortowanie: kolejność z pliku przy równych czasach
+    result.messages.sort((a, b) => (a.logTime < b.logTime ? -1 : a.logTime > b.logTime ? 1 : 0));
+    return result;
+}
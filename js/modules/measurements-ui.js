@@ -0,0 +1,140 @@
+// ========================================================================
+// MEASUREMENTS UI - Pomiary w zakresie kursorów A/B (ES6 Module)
+// ========================================================================
+// Panel pod kursorami analizatora: dla każdego widocznego kanału pomiary
+// z signal-measurements.mjs liczone z pełnej historii telemetryStore
+// w przedziale A-B (bez kursorów - widoczne okno wykresu). Pomiary
+// można przypiąć (porównanie kilku zakresów) - bieżące i przypięte
+// trafiają pod dane w eksporcie "CSV (Zakres)".
+// ========================================================================
+
+import { telemetryStore } from './telemetry.js';
+import { measureSignal, measurementRows, formatMeasurement, MEASUREMENT_FIELDS } from './signal-measurements.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+const PINNED_LIMIT = 10;
+const REFRESH_MS = 1000;
+
+let pinned = [];
+let nextPinId = 1;
+let refreshTimer = null;
+
+function channelLabel(name) {
+    return availableTelemetry[name]?.label || name;
+}
+
+// Zestaw pomiarów {label, t0, t1, fromCursors, channels: {kanał: pomiary}} albo null
+function measureRange(label) {
+    const range = typeof window.getCursorTimeRange === 'function' ? window.getCursorTimeRange() : null;
+    const names = typeof window.getVisibleSignalChannels === 'function' ? window.getVisibleSignalChannels() : [];
+    if (!range || names.length === 0) return null;
+    const channels = {};
+    for (const name of names) {
+        if (!telemetryStore.has(name)) continue;
+        const { time, values } = telemetryStore.slice(name, range.t0, range.t1);
+        const result = measureSignal(time, values);
+        if (result) channels[name] = result;
+    }
+    return { label, t0: range.t0, t1: range.t1, fromCursors: range.fromCursors, channels };
+}
+
+function buildTable(set) {
+    const table = document.createElement('table');
+    table.className = 'autotune-results-table';
+    table.style.cssText = 'width: 100%; font-size: 0.85em;';
+    const head = table.createTHead().insertRow();
+    head.insertCell().textContent = 'Pomiar';
+    const names = Object.keys(set.channels);
+    for (const name of names) {
+        const cell = head.insertCell();
+        cell.textContent = channelLabel(name);
+        cell.style.color = availableTelemetry[name]?.color || '#fff';
+    }
+    const body = table.createTBody();
+    for (const field of MEASUREMENT_FIELDS) {
+        const row = body.insertRow();
+        row.insertCell().textContent = field.unit ? `${field.label} [${field.unit}]` : field.label;
+        for (const name of names) row.insertCell().textContent = formatMeasurement(field, set.channels[name][field.key]);
+    }
+    return table;
+}
+
+function rangeText(set) {
+    const source = set.fromCursors ? 'A-B' : 'widoczne okno (ustaw kursory A/B)';
+    const count = Object.values(set.channels)[0]?.count ?? 0;
+    return `${source}: ${new Date(set.t0).toLocaleTimeString()} - ${new Date(set.t1).toLocaleTimeString()}, ${((set.t1 - set.t0) / 1000).toFixed(3)} s, ${count} probek`;
+}
+
+function refresh() {
+    const panel = document.getElementById('measurementsPanel');
+    if (!panel || !panel.open) return;
+    const current = measureRange('A-B');
+    const container = document.getElementById('measurementsCurrent');
+    const info = document.getElementById('measurementsRange');
+    container.innerHTML = '';
+    if (!current || Object.keys(current.channels).length === 0) {
+        info.textContent = 'Brak danych - wlacz kanaly na wykresie.';
+        return;
+    }
+    info.textContent = rangeText(current);
+    container.appendChild(buildTable(current));
+}
+
+function renderPinned() {
+    const container = document.getElementById('measurementsPinned');
+    if (!container) return;
+    container.innerHTML = '';
+    for (const set of pinned) {
+        const header = document.createElement('div');
+        header.className = 'historical-metric';
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-top: 8px;';
+        const title = document.createElement('span');
+        title.textContent = `📌 ${set.label} | ${rangeText(set)}`;
+        const remove = document.createElement('button');
+        remove.className = 'btn-small';
+        remove.textContent = '🗑️';
+        remove.title = 'Odepnij';
+        remove.addEventListener('click', () => {
+            pinned = pinned.filter(p => p !== set);
+            renderPinned();
+        });
+        header.append(title, remove);
+        container.append(header, buildTable(set));
+    }
+}
+
+function pin() {
+    const set = measureRange(`Przypiety ${nextPinId}`);
+    if (!set || Object.keys(set.channels).length === 0) {
+        addLogMessage('[Pomiary] Brak danych do przypiecia.', 'warn');
+        return;
+    }
+    nextPinId++;
+    pinned.push(set);
+    if (pinned.length > PINNED_LIMIT) pinned.shift();
+    renderPinned();
+    addLogMessage(`[Pomiary] Przypieto pomiary: ${set.label}.`, 'info');
+}
+
+// Dla eksportu CSV (Zakres) w signal-analyzer.js
+function csvRows() {
+    const sets = [measureRange('A-B'), ...pinned].filter(set => set && Object.keys(set.channels).length > 0);
+    return sets.length > 0 ? measurementRows(sets, channelLabel) : [];
+}
+
+export function initMeasurementsUI() {
+    const panel = document.getElementById('measurementsPanel');
+    if (!panel) return;
+    panel.addEventListener('toggle', () => {
+        clearInterval(refreshTimer);
+        refreshTimer = panel.open ? setInterval(refresh, REFRESH_MS) : null;
+        refresh();
+    });
+    window.addEventListener('signal_cursor_change', refresh);
+    document.getElementById('measurementsPinBtn')?.addEventListener('click', pin);
+    document.getElementById('measurementsRefreshBtn')?.addEventListener('click', refresh);
+    window.measurementCsvRows = csvRows;
+}
+
+window.initMeasurementsUI = initMeasurementsUI;
@@ -276,7 +276,7 @@ export function setupParameterListeners() {
     document.getElementById('saveBtn')?.addEventListener('click', () => {
         if (AppState.isConnected && confirm("Czy na pewno chcesz trwale zapisać bieżącą konfigurację z panelu do pamięci EEPROM robota?")) {
             addLogMessage('[UI] Wyslano polecenie zapisu konfiguracji do EEPROM...', 'info');
-            sendBleMessage({ type: 'save_tunings' });
+            window.sendCommand({ type: 'save_tunings' }, { timeout: 5000 }).catch(() => { /* zalogowane w sendCommand */ });
             if (typeof FusionPIDProfiles !== 'undefined') {
                 FusionPIDProfiles.saveCurrentToProfile();
                 addLogMessage('[FusionPID] 💾 Profile PID dla Mahony/NDOF zapisane lokalnie', 'success');
@@ -286,7 +286,7 @@ export function setupParameterListeners() {
     document.getElementById('loadBtn')?.addEventListener('click', () => {
         if (confirm("UWAGA! Spowoduje to nadpisanie wszystkich niezapisanych zmian w panelu. Kontynuowac?")) {
             AppState.isSynced = false; AppState.tempParams = {}; AppState.tempStates = {};
-            sendBleMessage({ type: 'request_full_config' });
+            window.sendCommand({ type: 'request_full_config' }, { timeout: 5000, retries: 0 }).catch(() => { /* zalogowane w sendCommand */ });
         }
     });
 
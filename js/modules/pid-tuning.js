@@ -4,6 +4,8 @@
 
 // Uwaga: hookPIDToTelemetry() opakowuje window.updateTelemetryUI — nie trzeba importu ES6.
 
+import { dominantFrequency } from './spectrum.mjs';
+
 // ========================================================================
 // PID EDUCATION - Wizualizacja edukacyjna składowych PID
 // ========================================================================
@@ -388,11 +390,11 @@ function rotateTip() {
 // PID DIAGNOSTICS - Inteligentna analiza i podpowiedzi strojenia
 // ========================================================================
 
+// Historia do analizy pochodzi z window.telemetryStore (kanały pitch i output),
+// `since` odcina próbki sprzed resetu statystyk.
 export const PIDDiagnostics = {
-    errorHistory: [],
-    outputHistory: [],
-    pitchHistory: [],
     maxHistoryLength: 200,
+    since: 0,
     analysis: {
         oscillationDetected: false,
         oscillationFrequency: 0,
@@ -418,9 +420,7 @@ export function initPIDDiagnostics() {
 }
 
 export function resetPIDDiagnostics() {
-    PIDDiagnostics.errorHistory = [];
-    PIDDiagnostics.outputHistory = [];
-    PIDDiagnostics.pitchHistory = [];
+    PIDDiagnostics.since = Date.now();
     PIDDiagnostics.analysis = { oscillationDetected: false, oscillationFrequency: 0, oscillationAmplitude: 0, steadyStateError: 0, responseTime: 0, overshoot: 0, stability: 'unknown' };
     PIDDiagnostics.recommendations = [];
     updateDiagnosticsUI();
@@ -428,14 +428,6 @@ export function resetPIDDiagnostics() {
 
 export function updatePIDDiagnostics(components) {
     if (!components) return;
-    PIDDiagnostics.errorHistory.push(components.error);
-    PIDDiagnostics.outputHistory.push(components.output);
-    PIDDiagnostics.pitchHistory.push(components.input);
-    if (PIDDiagnostics.errorHistory.length > PIDDiagnostics.maxHistoryLength) {
-        PIDDiagnostics.errorHistory.shift();
-        PIDDiagnostics.outputHistory.shift();
-        PIDDiagnostics.pitchHistory.shift();
-    }
     const balanceSwitch = document.getElementById('balanceSwitch');
     PIDDiagnostics.isBalancing = balanceSwitch?.checked || false;
     const now = Date.now();
@@ -447,19 +439,28 @@ export function updatePIDDiagnostics(components) {
     }
 }
 
+// Oscylacja: dominujący pik widma pitch z ostatnich sekund powyżej progów
+const OSCILLATION_WINDOW_MS = 4000;
+const OSCILLATION_MIN_HZ = 1.5;
+const OSCILLATION_MIN_AMPLITUDE = 0.5;
+
+function diagnosticsHistory(channel, count = PIDDiagnostics.maxHistoryLength) {
+    const store = window.telemetryStore;
+    return store ? Array.from(store.latest(channel, count, PIDDiagnostics.since)) : [];
+}
+
 function analyzePIDPerformance() {
-    const errors = PIDDiagnostics.errorHistory;
-    const outputs = PIDDiagnostics.outputHistory;
+    // Setpoint balansu = 0, więc błąd to -pitch
+    const errors = diagnosticsHistory('pitch').map(pitch => -pitch);
     if (errors.length < 20) { PIDDiagnostics.analysis.stability = 'collecting'; return; }
     const recentErrors = errors.slice(-100);
 
-    let zeroCrossings = 0;
-    for (let i = 1; i < recentErrors.length; i++) {
-        if ((recentErrors[i - 1] > 0 && recentErrors[i] < 0) || (recentErrors[i - 1] < 0 && recentErrors[i] > 0)) zeroCrossings++;
-    }
-    const oscillationFreq = zeroCrossings / (recentErrors.length / 50);
-    PIDDiagnostics.analysis.oscillationFrequency = oscillationFreq;
-    PIDDiagnostics.analysis.oscillationDetected = oscillationFreq > 5;
+    // Częstotliwość z widma FFT (czasy z telemetryStore - odstępy ramek BLE są nierówne)
+    const store = window.telemetryStore;
+    const pitch = store ? store.slice('pitch', Math.max(PIDDiagnostics.since, store.endTime - OSCILLATION_WINDOW_MS), store.endTime) : null;
+    const peak = pitch ? dominantFrequency(pitch.time, pitch.values, { minFrequency: 0.5 }) : null;
+    PIDDiagnostics.analysis.oscillationFrequency = peak ? peak.frequency : 0;
+    PIDDiagnostics.analysis.oscillationDetected = !!peak && peak.frequency >= OSCILLATION_MIN_HZ && peak.magnitude >= OSCILLATION_MIN_AMPLITUDE;
 
     const meanError = recentErrors.reduce((a, b) => a + b, 0) / recentErrors.length;
     const variance = recentErrors.reduce((a, b) => a + Math.pow(b - meanError, 2), 0) / recentErrors.length;
@@ -506,14 +507,15 @@ function generateRecommendations(components) {
     const Kd = parseFloat(document.getElementById('balanceKdInput')?.value) || 0;
 
     if (analysis.oscillationDetected && analysis.oscillationAmplitude > 3) {
-        recommendations.push({ type: 'critical', text: `🔴 SILNE OSCYLACJE wykryte (amplituda: ${analysis.oscillationAmplitude.toFixed(1)}°). Zmniejsz Kp o 10-20% (obecnie ${Kp.toFixed(1)}) lub zwiększ Kd (obecnie ${Kd.toFixed(2)}).`, priority: 10 });
+        recommendations.push({ type: 'critical', text: `🔴 SILNE OSCYLACJE wykryte (amplituda: ${analysis.oscillationAmplitude.toFixed(1)}°, ~${analysis.oscillationFrequency.toFixed(1)} Hz). Zmniejsz Kp o 10-20% (obecnie ${Kp.toFixed(1)}) lub zwiększ Kd (obecnie ${Kd.toFixed(2)}).`, priority: 10 });
     } else if (analysis.oscillationDetected && analysis.oscillationAmplitude > 1) {
         recommendations.push({ type: 'warning', text: `🟡 Lekkie oscylacje (amplituda: ${analysis.oscillationAmplitude.toFixed(2)}°). Spróbuj zwiększyć Kd o 10-20% (obecnie ${Kd.toFixed(2)}) aby je stłumić.`, priority: 7 });
     }
     if (analysis.steadyStateError > 2 && Ki < 0.1) {
         recommendations.push({ type: 'warning', text: `🟡 Stały błąd ${analysis.steadyStateError.toFixed(2)}° od pionu. Rozważ zwiększenie Ki (obecnie ${Ki.toFixed(3)}) lub sprawdź offset montażu.`, priority: 6 });
     }
-    const avgOutput = PIDDiagnostics.outputHistory.slice(-50).reduce((a, b) => a + Math.abs(b), 0) / 50;
+    const recentOutputs = diagnosticsHistory('output', 50);
+    const avgOutput = recentOutputs.length > 0 ? recentOutputs.reduce((a, b) => a + Math.abs(b), 0) / recentOutputs.length : 0;
     if (avgOutput > 200) {
         recommendations.push({ type: 'warning', text: `🟡 Wysokie średnie wyjście PID (${avgOutput.toFixed(0)}). Może to oznaczać zbyt agresywne ustawienia lub problem z mechanicznym balansem.`, priority: 5 });
     }
@@ -20,8 +20,7 @@ function saveCurrentAsPreset() {
     }
 }
 async function applySelectedPreset() {
-    const select = document.getElementById('pidPresetSelect'); const selectedValue = select.value; let presetData;
-    if (selectedValue.startsWith(CUSTOM_PRESET_PREFIX)) { presetData = JSON.parse(localStorage.getItem(selectedValue)); } else { presetData = builtInPresetsData[selectedValue]?.params; }
+    const select = document.getElementById('pidPresetSelect'); const presetData = getPresetData(select.value);
     if (presetData) {
         AppState.isApplyingConfig = true;
         for (const [key, value] of Object.entries(presetData)) {
@@ -33,6 +32,30 @@ async function applySelectedPreset() {
         for (const [key, value] of Object.entries(presetData)) { const input = document.getElementById(key); if (input) { input.dispatchEvent(new Event('change', { bubbles: true })); } }
     }
 }
+function getPresetData(selectedValue) {
+    if (selectedValue.startsWith(CUSTOM_PRESET_PREFIX)) { try { return JSON.parse(localStorage.getItem(selectedValue)); } catch (e) { return null; } }
+    return builtInPresetsData[selectedValue]?.params || null;
+}
+
+// Parametry strojenia (GA/PSO/wagi) nie są częścią konfiguracji robota - pomijamy je przy wysyłce
+const isTuningConfigKey = (snakeKey) => snakeKey.startsWith('ga_') || snakeKey.startsWith('pso_') || snakeKey.startsWith('space_') || snakeKey.startsWith('weights_') || snakeKey === 'tuning_trial_duration_ms' || snakeKey === 'zn_amplitude';
+
+/**
+ * Wiadomości dla robota odpowiadające presetowi (wartości w jednostkach robota,
+ * jak po applySelectedPreset + wysłaniu pól). Używane przy wysyłce do wielu robotów.
+ */
+function buildPresetMessages(presetData) {
+    const switchTypes = { balanceSwitch: 'balance_toggle', holdPositionSwitch: 'hold_position_toggle', speedModeSwitch: 'speed_mode_toggle' };
+    const messages = [];
+    for (const [key, value] of Object.entries(presetData || {})) {
+        if (switchTypes[key]) { messages.push({ type: switchTypes[key], enabled: !!value }); continue; }
+        const snakeKey = parameterMapping[key];
+        if (!snakeKey || isTuningConfigKey(snakeKey) || typeof value !== 'number' || isNaN(value)) continue;
+        messages.push({ type: 'set_param', key: snakeKey, value });
+    }
+    return messages;
+}
+
 function populatePresetSelect() { const select = document.getElementById('pidPresetSelect'); select.innerHTML = ''; for (const [index, preset] of Object.entries(builtInPresetsData)) { const option = document.createElement('option'); option.value = index; option.textContent = preset.name; select.appendChild(option); } for (let i = 0; i < localStorage.length; i++) { const key = localStorage.key(i); if (key.startsWith(CUSTOM_PRESET_PREFIX)) { const presetName = key.substring(CUSTOM_PRESET_PREFIX.length); const option = document.createElement('option'); option.value = key; option.textContent = `Wlasny: ${presetName}`; select.appendChild(option); } } }
 function deleteSelectedPreset() { const select = document.getElementById('pidPresetSelect'); const selectedValue = select.value; if (!selectedValue.startsWith(CUSTOM_PRESET_PREFIX)) { addLogMessage('[UI] Nie mozna usunac wbudowanego presetu.', 'warn'); return; } if (confirm(`Czy na pewno chcesz usunac preset '${selectedValue.substring(CUSTOM_PRESET_PREFIX.length)}'?`)) { localStorage.removeItem(selectedValue); addLogMessage(`[UI] Usunieto preset.`, 'info'); populatePresetSelect(); } }
 
@@ -43,7 +66,9 @@ export {
     saveCurrentAsPreset,
     applySelectedPreset,
     populatePresetSelect,
-    deleteSelectedPreset
+    deleteSelectedPreset,
+    getPresetData,
+    buildPresetMessages
 };
 
 // --- Expose on window for cross-module access ---
@@ -53,3 +78,5 @@ window.saveCurrentAsPreset = saveCurrentAsPreset;
 window.applySelectedPreset = applySelectedPreset;
 window.populatePresetSelect = populatePresetSelect;
 window.deleteSelectedPreset = deleteSelectedPreset;
+window.getPresetData = getPresetData;
+window.buildPresetMessages = buildPresetMessages;
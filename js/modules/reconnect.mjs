@@ -0,0 +1,133 @@
+// ========================================================================
+// RECONNECT - Automatyczne ponowne łączenie z robotem (ES6 Module)
+// ========================================================================
+// Po nieoczekiwanej utracie połączenia ReconnectController ponawia
+// próby z wykładniczym odstępem (backoff + losowy jitter), aż do
+// `maxAttempts`. diffParams() porównuje parametry zgłoszone przez robota
+// po ponownej synchronizacji z tym, co UI wysłało ostatnio.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const DEFAULT_RECONNECT_BASE_MS = 500;
+export const DEFAULT_RECONNECT_MAX_MS = 15000;
+export const DEFAULT_RECONNECT_ATTEMPTS = 8;
+
+/**
+ * Odstęp przed próbą `attempt` (numerowaną od 1): base·factor^(n-1),
+ * ograniczony do maxMs, z jitterem ±jitter·delay.
+ */
+export function computeBackoffDelay(attempt, {
+    baseMs = DEFAULT_RECONNECT_BASE_MS,
+    maxMs = DEFAULT_RECONNECT_MAX_MS,
+    factor = 2,
+    jitter = 0.2,
+    random = Math.random
+} = {}) {
+    const exp = Math.min(maxMs, baseMs * Math.pow(factor, Math.max(0, attempt - 1)));
+    const spread = exp * jitter * (random() * 2 - 1);
+    return Math.max(0, Math.round(Math.min(maxMs, exp + spread)));
+}
+
+export class ReconnectController {
+    /**
+     * @param {Object} options
+     * @param {() => Promise<boolean>} options.attemptReconnect - jedna próba; true = połączono
+     * @param {(attempt: number, delayMs: number) => void} [options.onAttempt] - przed odczekaniem na próbę
+     * @param {(attempt: number) => void} [options.onSuccess]
+     * @param {(attempts: number) => void} [options.onGiveUp]
+     * @param {number} [options.maxAttempts]
+     * @param {Object} [options.backoff] - opcje dla computeBackoffDelay
+     * @param {Object} [options.timers] - wstrzykiwane setTimeout/clearTimeout (testy)
+     */
+    constructor({
+        attemptReconnect,
+        onAttempt = () => {},
+        onSuccess = () => {},
+        onGiveUp = () => {},
+        maxAttempts = DEFAULT_RECONNECT_ATTEMPTS,
+        backoff = {},
+        timers = null
+    } = {}) {
+        this.attemptReconnect = attemptReconnect;
+        this.onAttempt = onAttempt;
+        this.onSuccess = onSuccess;
+        this.onGiveUp = onGiveUp;
+        this.maxAttempts = maxAttempts;
+        this.backoff = backoff;
+        this.timers = timers || { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) };
+        this.attempt = 0;
+        this.timer = null;
+        this.active = false;
+        // Zwiększany przy start()/cancel() - odrzuca wyniki prób z poprzedniej serii
+        this.generation = 0;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    start() {
+        if (this.active) return;
+        this.active = true;
+        this.attempt = 0;
+        this.generation++;
+        this.scheduleNext();
+    }
+
+    cancel() {
+        if (!this.active) return;
+        this.active = false;
+        this.generation++;
+        this.timers.clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    scheduleNext() {
+        if (this.attempt >= this.maxAttempts) {
+            this.active = false;
+            this.onGiveUp(this.attempt);
+            return;
+        }
+        this.attempt++;
+        const delay = computeBackoffDelay(this.attempt, this.backoff);
+        this.onAttempt(this.attempt, delay);
+        const generation = this.generation;
+        this.timer = this.timers.setTimeout(() => this.runAttempt(generation), delay);
+    }
+
+    async runAttempt(generation) {
+        this.timer = null;
+        let connected = false;
+        try {
+            connected = await this.attemptReconnect(this.attempt);
+        } catch (error) {
+            connected = false;
+        }
+        if (generation !== this.generation) return;
+        if (connected) {
+            this.active = false;
+            this.onSuccess(this.attempt);
+        } else {
+            this.scheduleNext();
+        }
+    }
+}
+
+/**
+ * Porównuje parametry wysłane przez UI z parametrami zgłoszonymi przez robota.
+ * Klucze, których robot nie zgłosił, są pomijane.
+ * @returns {Array<{key: string, sent: number, robot: number}>}
+ */
+export function diffParams(sent, robot, tolerance = 1e-4) {
+    const mismatches = [];
+    for (const [key, sentValue] of Object.entries(sent || {})) {
+        if (!robot || !(key in robot)) continue;
+        const robotValue = robot[key];
+        const a = Number(sentValue), b = Number(robotValue);
+        const equal = (Number.isFinite(a) && Number.isFinite(b))
+            ? Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a))
+            : sentValue === robotValue;
+        if (!equal) mismatches.push({ key, sent: sentValue, robot: robotValue });
+    }
+    return mismatches;
+}
@@ -0,0 +1,310 @@
+// ========================================================================
+// RECORDING OVERLAY UI - Nakładanie i porównanie nagrań (ES6 Module)
+// ========================================================================
+// Panel w analizatorze (recording-overlay.mjs): kilka nagrań naraz - pliki
+// CSV (eksport analizatora lub SysID), bieżące nagranie SysID, zakres
+// z wykresu na żywo i zapisane sesje (przycisk 🔀 w bibliotece sesji).
+// Nagrania są wyrównane do wybranego zdarzenia i nałożone na osobnym
+// wykresie (każde w swoim kolorze) z przebiegiem różnicy względem
+// nagrania odniesienia. Pod wykresem pomiary w oknie i ich różnice -
+// typowe "przed / po" zmianie PID bez liczenia w arkuszu.
+// ========================================================================
+
+import { telemetryStore } from './telemetry.js';
+import { getSysIdRecording } from './sysid.js';
+import {
+    parseRecordingCsv, recordingFromSysId, recordingFromFrames, findEventTime,
+    alignedSeries, diffSeries, compareMeasurements
+} from './recording-overlay.mjs';
+import { MEASUREMENT_FIELDS, formatMeasurement } from './signal-measurements.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+const OVERLAY_COLORS = ['#61dafb', '#ff6347', '#a2f279', '#f7b731', '#c792ea', '#ff9f43'];
+const RECORDING_LIMIT = OVERLAY_COLORS.length;
+const EVENT_LABELS = { start: 'poczatek nagrania', step: 'poczatek skoku', impulse: 'impuls (szczyt)', level: 'przejscie przez poziom' };
+
+let recordings = [];
+let referenceId = null;
+let nextRecordingId = 1;
+let overlayChart = null;
+
+function channelLabel(name) {
+    return availableTelemetry[name]?.label || name;
+}
+
+function readSettings() {
+    const number = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id)?.value);
+        return Number.isFinite(value) ? value : fallback;
+    };
+    return {
+        channel: document.getElementById('overlayChannelSelect')?.value || 'pitch',
+        event: document.getElementById('overlayEventSelect')?.value || 'start',
+        eventChannel: document.getElementById('overlayEventChannelSelect')?.value || 'pitch',
+        level: number('overlayLevelInput', 0),
+        from: -Math.max(0, number('overlayPreInput', 0.5)) * 1000,
+        to: Math.max(0.1, number('overlayPostInput', 3)) * 1000,
+        diff: document.getElementById('overlayDiffCheck')?.checked ?? true
+    };
+}
+
+function fillChannelSelect(id, names) {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value || 'pitch';
+    select.innerHTML = '';
+    for (const name of names) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = channelLabel(name);
+        select.appendChild(option);
+    }
+    select.value = names.includes(current) ? current : names[0] || '';
+}
+
+function refreshChannelSelects() {
+    const names = [...new Set(recordings.flatMap(r => Object.keys(r.data.channels)))];
+    // Najpierw kanały telemetrii w kolejności z wykresu, potem pozostałe
+    const known = Object.keys(availableTelemetry).filter(name => names.includes(name));
+    const ordered = [...known, ...names.filter(name => !known.includes(name))];
+    fillChannelSelect('overlayChannelSelect', ordered);
+    fillChannelSelect('overlayEventChannelSelect', ordered);
+}
+
+/**
+ * Dodaje nagranie do porównania (z biblioteki sesji, CSV, SysID, analizatora).
+ * @param {Object} data - nagranie z recording-overlay.mjs
+ * @returns {boolean}
+ */
+export function addOverlayRecording(data) {
+    if (!data || data.time.length < 2 || Object.keys(data.channels).length === 0) {
+        addLogMessage(`[Porownanie] ${data?.name || 'Nagranie'}: brak danych liczbowych.`, 'warn');
+        return false;
+    }
+    if (recordings.length >= RECORDING_LIMIT) {
+        addLogMessage(`[Porownanie] Limit ${RECORDING_LIMIT} nagran - usun jedno z listy.`, 'warn');
+        return false;
+    }
+    const used = new Set(recordings.map(r => r.color));
+    const recording = { id: nextRecordingId++, data, color: OVERLAY_COLORS.find(c => !used.has(c)), visible: true };
+    recordings.push(recording);
+    if (referenceId === null) referenceId = recording.id;
+    refreshChannelSelects();
+    const panel = document.getElementById('overlayPanel');
+    if (panel) panel.open = true;
+    render();
+    addLogMessage(`[Porownanie] Dodano ${data.name} (${data.time.length} probek).`, 'info');
+    return true;
+}
+
+function removeRecording(id) {
+    recordings = recordings.filter(r => r.id !== id);
+    if (referenceId === id) referenceId = recordings[0]?.id ?? null;
+    refreshChannelSelects();
+    render();
+}
+
+async function loadCsvFiles(files) {
+    const labels = Object.fromEntries(Object.entries(availableTelemetry).map(([name, def]) => [def.label, name]));
+    for (const file of files) {
+        try {
+            addOverlayRecording(parseRecordingCsv(await file.text(), file.name, labels));
+        } catch (error) {
+            addLogMessage(`[Porownanie] Nie udalo sie wczytac ${file.name}: ${error.message}`, 'error');
+        }
+    }
+}
+
+function addSysIdRecording() {
+    const recording = getSysIdRecording();
+    if (recording.data.length === 0) {
+        addLogMessage('[Porownanie] Brak nagrania SysID - nagraj test albo wczytaj CSV.', 'warn');
+        return;
+    }
+    addOverlayRecording(recordingFromSysId(recording, `SysID ${recording.testType} Kp=${recording.kp}`));
+}
+
+// Zakres A/B (bez kursorów - widoczne okno) z wykresu na żywo, np. "przed" zmianą PID
+function addAnalyzerRange() {
+    const range = typeof window.getCursorTimeRange === 'function' ? window.getCursorTimeRange() : null;
+    if (!range || telemetryStore.length === 0) {
+        addLogMessage('[Porownanie] Brak danych w analizatorze.', 'warn');
+        return;
+    }
+    const frames = telemetryStore.frames(telemetryStore.channelNames(), range.t0, range.t1)
+        .map(({ time, ...frame }) => ({ time, frame }));
+    const source = range.fromCursors ? 'A-B' : 'okno';
+    addOverlayRecording(recordingFromFrames(frames, `Analizator ${source} ${new Date(range.t0).toLocaleTimeString()}`, 'live'));
+}
+
+function renderRecordingList(events) {
+    const body = document.getElementById('overlayRecordingsBody');
+    if (!body) return;
+    body.innerHTML = '';
+    if (recordings.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'Brak nagran - wczytaj CSV, nagranie SysID, zakres analizatora albo sesje z biblioteki (🔀).';
+        cell.style.color = '#aaa';
+        return;
+    }
+    for (const recording of recordings) {
+        const row = body.insertRow();
+        const nameCell = row.insertCell();
+        nameCell.textContent = `■ ${recording.data.name}`;
+        nameCell.style.color = recording.color;
+        row.insertCell().textContent = recording.data.source;
+        const eventCell = row.insertCell();
+        const eventTime = events.get(recording.id);
+        eventCell.textContent = eventTime === null ? 'brak zdarzenia' : `${((eventTime - recording.data.time[0]) / 1000).toFixed(3)} s`;
+        if (eventTime === null) eventCell.style.color = '#f7b731';
+
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.checked = recording.visible;
+        visible.title = 'Pokaz na wykresie';
+        visible.addEventListener('change', () => { recording.visible = visible.checked; render(); });
+        row.insertCell().appendChild(visible);
+
+        const reference = document.createElement('input');
+        reference.type = 'radio';
+        reference.name = 'overlayReference';
+        reference.checked = recording.id === referenceId;
+        reference.title = 'Nagranie odniesienia (roznica i delty pomiarow)';
+        reference.addEventListener('change', () => { referenceId = recording.id; render(); });
+        row.insertCell().appendChild(reference);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-small';
+        remove.textContent = '🗑️';
+        remove.title = 'Usun z porownania';
+        remove.addEventListener('click', () => removeRecording(recording.id));
+        row.insertCell().appendChild(remove);
+    }
+}
+
+function ensureChart() {
+    if (overlayChart || typeof Chart === 'undefined') return overlayChart;
+    const canvas = document.getElementById('overlayChart');
+    if (!canvas) return null;
+    overlayChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: { datasets: [] },
+        options: {
+            animation: false, responsive: true, maintainAspectRatio: false, parsing: false,
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 'Czas od zdarzenia [s]', color: '#fff' }, ticks: { color: '#fff' } },
+                y: { type: 'linear', position: 'left', ticks: { color: '#fff' }, title: { display: true, text: '', color: '#fff' } },
+                y1: { type: 'linear', position: 'right', display: false, ticks: { color: '#aaa' }, title: { display: true, text: 'Roznica', color: '#aaa' }, grid: { drawOnChartArea: false } }
+            },
+            plugins: { legend: { labels: { color: '#fff' } }, tooltip: { mode: 'nearest', intersect: false } }
+        }
+    });
+    return overlayChart;
+}
+
+function toPoints({ time, values }) {
+    return Array.from(time, (t, i) => ({ x: t / 1000, y: Number.isFinite(values[i]) ? values[i] : null }));
+}
+
+function renderMeasurements(compared, settings) {
+    const container = document.getElementById('overlayMeasurements');
+    if (!container) return;
+    container.innerHTML = '';
+    if (compared.length === 0) return;
+    const table = document.createElement('table');
+    table.className = 'autotune-results-table';
+    table.style.cssText = 'width: 100%; font-size: 0.85em;';
+    const head = table.createTHead().insertRow();
+    head.insertCell().textContent = `${channelLabel(settings.channel)} (okno ${(settings.from / 1000).toFixed(1)}..${(settings.to / 1000).toFixed(1)} s)`;
+    compared.forEach(({ recording }, i) => {
+        const cell = head.insertCell();
+        cell.textContent = i === 0 ? `${recording.data.name} (odniesienie)` : recording.data.name;
+        cell.style.color = recording.color;
+    });
+    const body = table.createTBody();
+    for (const field of MEASUREMENT_FIELDS) {
+        const row = body.insertRow();
+        row.insertCell().textContent = field.unit ? `${field.label} [${field.unit}]` : field.label;
+        for (const { result } of compared) {
+            const cell = row.insertCell();
+            const value = result.measurements ? formatMeasurement(field, result.measurements[field.key]) : '---';
+            const delta = result.deltas[field.key];
+            cell.textContent = delta === null ? value : `${value} (${delta >= 0 ? '+' : ''}${formatMeasurement(field, delta)})`;
+        }
+    }
+    container.appendChild(table);
+}
+
+function render() {
+    const settings = readSettings();
+    const events = new Map(recordings.map(r => [r.id, findEventTime(r.data, { event: settings.event, channel: settings.eventChannel, level: settings.level })]));
+    renderRecordingList(events);
+    const info = document.getElementById('overlayInfo');
+
+    // Odniesienie pierwsze - do niego liczone różnice i delty pomiarów
+    // (gdy odniesienie jest ukryte albo bez danych - pierwsze pokazane nagranie)
+    const shown = recordings
+        .filter(r => r.visible && events.get(r.id) !== null && settings.channel in r.data.channels)
+        .sort((a, b) => (b.id === referenceId) - (a.id === referenceId))
+        .map(recording => ({ recording, series: alignedSeries(recording.data, settings.channel, events.get(recording.id), settings) }))
+        .filter(({ series }) => series.time.length > 0);
+    const reference = shown[0] || null;
+
+    const chart = ensureChart();
+    if (chart) {
+        const datasets = shown.map(({ recording, series }) => ({
+            label: recording.data.name, data: toPoints(series), borderColor: recording.color,
+            fill: false, pointRadius: 0, borderWidth: recording === reference.recording ? 2 : 1.5, yAxisID: 'y'
+        }));
+        if (settings.diff && reference) {
+            for (const { recording, series } of shown.slice(1)) {
+                datasets.push({
+                    label: `Roznica ${recording.data.name} - ${reference.recording.data.name}`, data: toPoints(diffSeries(reference.series, series)),
+                    borderColor: recording.color, borderDash: [4, 4], fill: false, pointRadius: 0, borderWidth: 1, yAxisID: 'y1'
+                });
+            }
+        }
+        chart.data.datasets = datasets;
+        chart.options.scales.y.title.text = channelLabel(settings.channel);
+        chart.options.scales.y1.display = datasets.some(ds => ds.yAxisID === 'y1');
+        chart.update('none');
+    }
+
+    const results = compareMeasurements(shown.map(({ recording, series }) => ({ name: recording.data.name, ...series })));
+    renderMeasurements(shown.map((entry, i) => ({ ...entry, result: results[i] })), settings);
+
+    if (info) {
+        const missing = recordings.filter(r => r.visible && !shown.some(s => s.recording === r)).map(r => r.data.name);
+        info.textContent = recordings.length === 0 ? '' :
+            `Wyrownanie: ${EVENT_LABELS[settings.event]}${settings.event === 'start' ? '' : ` (${channelLabel(settings.eventChannel)})`}` +
+            (missing.length > 0 ? ` | bez danych w oknie: ${missing.join(', ')}` : '');
+    }
+}
+
+export function initRecordingOverlayUI() {
+    const panel = document.getElementById('overlayPanel');
+    if (!panel) return;
+    panel.addEventListener('toggle', () => { if (panel.open) render(); });
+    const csvInput = document.getElementById('overlayCsvInput');
+    document.getElementById('overlayCsvBtn')?.addEventListener('click', () => csvInput?.click());
+    csvInput?.addEventListener('change', async () => {
+        await loadCsvFiles([...csvInput.files]);
+        csvInput.value = '';
+    });
+    document.getElementById('overlaySysIdBtn')?.addEventListener('click', addSysIdRecording);
+    document.getElementById('overlayLiveBtn')?.addEventListener('click', addAnalyzerRange);
+    document.getElementById('overlayEventSelect')?.addEventListener('change', (e) => {
+        const level = document.getElementById('overlayLevelInput');
+        if (level) level.style.display = e.target.value === 'level' ? '' : 'none';
+        render();
+    });
+    for (const id of ['overlayChannelSelect', 'overlayEventChannelSelect', 'overlayLevelInput', 'overlayPreInput', 'overlayPostInput', 'overlayDiffCheck']) {
+        document.getElementById(id)?.addEventListener('change', render);
+    }
+    renderRecordingList(new Map());
+}
+
+window.addOverlayRecording = addOverlayRecording;
+window.initRecordingOverlayUI = initRecordingOverlayUI;
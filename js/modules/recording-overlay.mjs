@@ -0,0 +1,292 @@
+// ========================================================================
+// RECORDING OVERLAY - Porównanie nagrań w analizatorze (ES6 Module)
+// ========================================================================
+// Nagranie to { name, source, time: Float64Array (ms), channels: { kanał: Float64Array } }
+// z jednego ze źródeł:
+//   - CSV: eksport analizatora ("Time" w s, nagłówki to etykiety kanałów,
+//     pod pustą linią pomiary - pomijane) albo eksport SysID (# metadane,
+//     time_s, angle_deg, ...), ogólnie: kolumna czasu + kolumny liczbowe;
+//   - nagranie SysID (getSysIdRecording / rekordy 'sysid' sesji);
+//   - ramki telemetrii (zapisana sesja, bieżący zakres analizatora).
+// Kolumny SysID mapujemy na kanały telemetrii (angle -> pitch, ...), żeby
+// "przed" z SysID i "po" z sesji dało się nałożyć na jednym kanale.
+// Nagrania wyrównujemy do zdarzenia (start, początek skoku, impuls,
+// przejście przez poziom) - czas względny 0 to chwila zdarzenia.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+import { measureSignal, MEASUREMENT_FIELDS } from './signal-measurements.mjs';
+
+export const ALIGN_EVENTS = ['start', 'step', 'impulse', 'level'];
+// Początek skoku: pierwsze odejście od wartości początkowej o 10% międzyszczytowej
+export const STEP_ONSET_RATIO = 0.1;
+
+const TIME_COLUMNS = ['time', 'time_s', 'timestamp', 'czas'];
+const TIME_MS_COLUMNS = ['time_ms', 'timestamp_ms', 't_ms'];
+
+// Kolumny CSV SysID i pola nagrania SysID -> kanały telemetrii
+export const SYSID_CHANNEL_MAP = {
+    angle_deg: 'pitch',
+    angle: 'pitch',
+    speed_enc: 'speed',
+    speed_actual: 'speed',
+    speed: 'speed',
+    pwm_output: 'output',
+    setpoint_speed: 'target_speed',
+    target_speed: 'target_speed',
+    gyro_y: 'gyroY',
+    gyroY: 'gyroY',
+    encoder_left: 'encoder_left',
+    encoder_right: 'encoder_right',
+    impulse_percent: 'input_signal',
+    input_signal: 'input_signal',
+    setpoint_position: 'setpoint_position',
+    position_actual: 'position_cm',
+    position_cm: 'position_cm'
+};
+
+export class RecordingFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RecordingFormatError';
+    }
+}
+
+function splitCsvLine(line) {
+    return line.split(/[,;]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Nagranie z tekstu CSV.
+ * @param {string} text
+ * @param {string} name - nazwa do legendy (zwykle nazwa pliku)
+ * @param {Object<string, string>} [labels] - etykieta kolumny -> kanał (etykiety z availableTelemetry)
+ * @returns {{name: string, source: string, time: Float64Array, channels: Object<string, Float64Array>, meta: Object}}
+ */
+export function parseRecordingCsv(text, name, labels = {}) {
+    const lines = String(text).split(/\r?\n/);
+    const meta = {};
+    let header = null;
+    const rows = [];
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (header === null) {
+            if (!line) continue;
+            if (line.startsWith('#')) {
+                const match = line.match(/^#\s*(\w+):\s*(.+)$/);
+                if (match) meta[match[1].toLowerCase()] = match[2].trim();
+                continue;
+            }
+            header = splitCsvLine(line);
+            continue;
+        }
+        // Pusta linia kończy dane - dalej w eksporcie analizatora są pomiary
+        if (!line) {
+            if (rows.length > 0) break;
+            continue;
+        }
+        if (line.startsWith('#')) continue;
+        const cells = splitCsvLine(line);
+        if (cells.length !== header.length) continue;
+        rows.push(cells.map(cell => (cell === '' ? NaN : Number(cell))));
+    }
+    if (!header) throw new RecordingFormatError('Brak naglowka CSV');
+
+    const lower = header.map(h => h.toLowerCase());
+    let timeIndex = lower.findIndex(h => TIME_COLUMNS.includes(h));
+    let timeScale = 1000;
+    if (timeIndex < 0) {
+        timeIndex = lower.findIndex(h => TIME_MS_COLUMNS.includes(h));
+        timeScale = 1;
+    }
+    if (timeIndex < 0) throw new RecordingFormatError(`Brak kolumny czasu (${TIME_COLUMNS.join(', ')})`);
+    const data = rows.filter(row => Number.isFinite(row[timeIndex]));
+    if (data.length < 2) throw new RecordingFormatError('Za malo wierszy danych');
+
+    const time = Float64Array.from(data, row => row[timeIndex] * timeScale);
+    const channels = {};
+    header.forEach((column, i) => {
+        if (i === timeIndex) return;
+        const key = labels[column] || SYSID_CHANNEL_MAP[column] || column;
+        // Pierwsza kolumna wygrywa (np. speed_enc i speed_actual w jednym pliku)
+        if (key in channels) return;
+        const values = Float64Array.from(data, row => row[i]);
+        if (values.some(Number.isFinite)) channels[key] = values;
+    });
+    return { name, source: meta.test_type ? 'sysid' : 'csv', time, channels, meta };
+}
+
+/** Nagranie z obiektu SysID ({testType, data: [{time (s), angle, speed, ...}]}). */
+export function recordingFromSysId(recording, name) {
+    const data = (recording && Array.isArray(recording.data) ? recording.data : []).filter(d => Number.isFinite(d.time));
+    const time = Float64Array.from(data, d => d.time * 1000);
+    const channels = {};
+    for (const [field, key] of Object.entries(SYSID_CHANNEL_MAP)) {
+        if (key in channels || !data.some(d => typeof d[field] === 'number')) continue;
+        channels[key] = Float64Array.from(data, d => (typeof d[field] === 'number' ? d[field] : NaN));
+    }
+    return { name, source: 'sysid', time, channels, meta: { test_type: recording?.testType } };
+}
+
+/**
+ * Nagranie z ramek telemetrii (kanały liczbowe; brak wartości -> NaN).
+ * @param {Iterable<{time: number, frame: Object}>} frames
+ */
+export function recordingFromFrames(frames, name, source = 'session') {
+    const list = [...frames];
+    const names = new Set();
+    for (const { frame } of list) {
+        for (const key of Object.keys(frame)) {
+            if (typeof frame[key] === 'number') names.add(key);
+        }
+    }
+    const time = Float64Array.from(list, f => f.time);
+    const channels = {};
+    for (const key of names) {
+        channels[key] = Float64Array.from(list, ({ frame }) => (typeof frame[key] === 'number' ? frame[key] : NaN));
+    }
+    return { name, source, time, channels, meta: {} };
+}
+
+function finitePairs(time, values) {
+    const t = [];
+    const v = [];
+    for (let i = 0; i < time.length; i++) {
+        if (Number.isFinite(values[i]) && Number.isFinite(time[i])) {
+            t.push(time[i]);
+            v.push(values[i]);
+        }
+    }
+    return { t, v };
+}
+
+// Chwila (interpolowana) przejścia między próbkami i-1 oraz i przez poziom
+function crossingAt(t, v, i, level) {
+    const span = v[i] - v[i - 1];
+    const k = span === 0 ? 1 : (level - v[i - 1]) / span;
+    return t[i - 1] + (t[i] - t[i - 1]) * Math.min(1, Math.max(0, k));
+}
+
+/**
+ * Czas zdarzenia wyrównania (ms, oś czasu nagrania) albo null.
+ * @param {Object} recording
+ * @param {Object} options
+ * @param {string} options.event - start | step | impulse | level
+ * @param {string} [options.channel] - kanał zdarzenia (poza 'start')
+ * @param {number} [options.level] - poziom dla 'level'
+ */
+export function findEventTime(recording, { event = 'start', channel = null, level = 0 } = {}) {
+    if (recording.time.length === 0) return null;
+    if (event === 'start' || !ALIGN_EVENTS.includes(event)) return recording.time[0];
+    const values = recording.channels[channel];
+    if (!values) return null;
+    const { t, v } = finitePairs(recording.time, values);
+    if (v.length < 2) return null;
+
+    if (event === 'level') {
+        for (let i = 1; i < v.length; i++) {
+            if (v[i - 1] === level) return t[i - 1];
+            if ((v[i - 1] - level) * (v[i] - level) < 0 || v[i] === level) return crossingAt(t, v, i, level);
+        }
+        return null;
+    }
+    const baselineCount = Math.max(1, Math.floor(v.length * 0.05));
+    let baseline = 0;
+    for (let i = 0; i < baselineCount; i++) baseline += v[i] / baselineCount;
+    const peakToPeak = Math.max(...v) - Math.min(...v);
+    if (peakToPeak === 0) return null;
+
+    if (event === 'impulse') {
+        let best = 0;
+        for (let i = 1; i < v.length; i++) {
+            if (Math.abs(v[i] - baseline) > Math.abs(v[best] - baseline)) best = i;
+        }
+        return t[best];
+    }
+    const threshold = peakToPeak * STEP_ONSET_RATIO;
+    for (let i = 1; i < v.length; i++) {
+        const deviation = v[i] - baseline;
+        if (Math.abs(deviation) > threshold) return crossingAt(t, v, i, baseline + Math.sign(deviation) * threshold);
+    }
+    return null;
+}
+
+/**
+ * Kanał nagrania na osi względnej (ms od zdarzenia), przycięty do okna.
+ * @returns {{time: Float64Array, values: Float64Array}}
+ */
+export function alignedSeries(recording, channel, eventTime, { from = -Infinity, to = Infinity } = {}) {
+    const values = recording.channels[channel];
+    const time = [];
+    const out = [];
+    if (values && eventTime !== null) {
+        for (let i = 0; i < recording.time.length; i++) {
+            const at = recording.time[i] - eventTime;
+            if (at < from || at > to) continue;
+            time.push(at);
+            out.push(values[i]);
+        }
+    }
+    return { time: Float64Array.from(time), values: Float64Array.from(out) };
+}
+
+/**
+ * Wartości serii w chwilach `grid` (interpolacja liniowa; poza zakresem i przy NaN -> NaN).
+ * @returns {Float64Array}
+ */
+export function interpolateAt(time, values, grid) {
+    const { t, v } = finitePairs(time, values);
+    const out = new Float64Array(grid.length).fill(NaN);
+    if (t.length === 0) return out;
+    let j = 0;
+    for (let i = 0; i < grid.length; i++) {
+        const at = grid[i];
+        if (at < t[0] || at > t[t.length - 1]) continue;
+        while (j < t.length - 2 && t[j + 1] < at) j++;
+        if (t.length === 1 || at === t[j]) {
+            out[i] = v[j];
+            continue;
+        }
+        const span = t[j + 1] - t[j];
+        out[i] = span > 0 ? v[j] + (v[j + 1] - v[j]) * ((at - t[j]) / span) : v[j];
+    }
+    return out;
+}
+
+/**
+ * Różnica other - reference w chwilach próbek odniesienia (tylko część wspólna).
+ * @param {{time: ArrayLike<number>, values: ArrayLike<number>}} reference
+ * @param {{time: ArrayLike<number>, values: ArrayLike<number>}} other
+ * @returns {{time: Float64Array, values: Float64Array}}
+ */
+export function diffSeries(reference, other) {
+    const interpolated = interpolateAt(other.time, other.values, reference.time);
+    const time = [];
+    const values = [];
+    for (let i = 0; i < reference.time.length; i++) {
+        const value = interpolated[i] - reference.values[i];
+        if (!Number.isFinite(value)) continue;
+        time.push(reference.time[i]);
+        values.push(value);
+    }
+    return { time: Float64Array.from(time), values: Float64Array.from(values) };
+}
+
+/**
+ * Pomiary (signal-measurements.mjs) każdej serii i różnice względem pierwszej (odniesienia).
+ * @param {{name: string, time: ArrayLike<number>, values: ArrayLike<number>}[]} series
+ * @returns {{name: string, measurements: Object|null, deltas: Object<string, number|null>}[]}
+ */
+export function compareMeasurements(series) {
+    const results = series.map(s => ({ name: s.name, measurements: measureSignal(s.time, s.values) }));
+    const reference = results[0]?.measurements;
+    return results.map(({ name, measurements }, index) => {
+        const deltas = {};
+        for (const { key } of MEASUREMENT_FIELDS) {
+            const a = reference?.[key];
+            const b = measurements?.[key];
+            deltas[key] = index > 0 && Number.isFinite(a) && Number.isFinite(b) ? b - a : null;
+        }
+        return { name, measurements, deltas };
+    });
+}
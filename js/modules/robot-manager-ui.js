@@ -0,0 +1,119 @@
+// ========================================================================
+// ROBOT MANAGER UI - Lista połączonych robotów (ES6 Module)
+// ========================================================================
+// Karta "Roboty": dodawanie kolejnych robotów, wybór aktywnego (ten
+// obsługuje cały interfejs), rozłączanie oraz akcje dla wszystkich:
+// STOP awaryjny i wysłanie wybranego presetu PID.
+// ========================================================================
+
+import { AppState } from './state.js';
+import {
+    robotManager, addRobotConnection, switchActiveRobot, removeRobotConnection,
+    emergencyStopAllRobots
+} from './communication.js';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+// Telemetria nie emituje zmian w menedżerze - lista odświeżana cyklicznie
+const LIST_REFRESH_MS = 500;
+const TELEMETRY_STALE_MS = 2000;
+let renderedHtml = null;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function describeRobot(robot) {
+    if (!robot.connected) return { text: 'Rozlaczony', color: '#ff6347' };
+    const stale = robot.lastTelemetryAt === null || Date.now() - robot.lastTelemetryAt > TELEMETRY_STALE_MS;
+    if (stale) return { text: 'Brak telemetrii', color: '#f7b731' };
+    return { text: robot.telemetry.robot_state || 'Polaczony', color: '#a2f279' };
+}
+
+function renderRobotList() {
+    const listEl = document.getElementById('robotList');
+    if (!listEl) return;
+    const robots = robotManager.getRobots();
+    const countEl = document.getElementById('robotCount');
+    if (countEl) countEl.textContent = `${robots.filter(r => r.connected).length}/${robots.length}`;
+    const html = robots.length === 0 ? '<div class="historical-metric">Brak polaczonych robotow.</div>' : robots.map(robot => {
+        const active = robot.id === robotManager.activeId;
+        const status = describeRobot(robot);
+        const pitch = robot.telemetry && typeof robot.telemetry.pitch === 'number' ? `${robot.telemetry.pitch.toFixed(1)}°` : '---';
+        return `<div class="robot-row${active ? ' robot-row-active' : ''}" data-robot-id="${robot.id}">
+            <span class="robot-name">${active ? '★ ' : ''}${escapeHtml(robot.name)}</span>
+            <span style="color:${status.color};">${escapeHtml(status.text)}</span>
+            <span>Pitch: ${pitch}</span>
+            <span class="robot-actions">
+                <button class="btn-small" data-action="activate" ${active ? 'disabled' : ''}>Aktywny</button>
+                <button class="btn-small" data-action="remove" style="background:#ff6347;">Rozlacz</button>
+            </span>
+        </div>`;
+    }).join('');
+    // Bez zmian nie podmieniamy DOM - kliknięcie w trakcie odświeżenia by przepadło
+    if (html === renderedHtml) return;
+    listEl.innerHTML = html;
+    renderedHtml = html;
+}
+
+async function handleListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const id = Number(button.closest('[data-robot-id]').dataset.robotId);
+    const robot = robotManager.getRobot(id);
+    if (!robot) return;
+    if (button.dataset.action === 'activate') {
+        switchActiveRobot(id);
+    } else if (button.dataset.action === 'remove') {
+        if (!confirm(`Rozlaczyc robota ${robot.name}?`)) return;
+        await removeRobotConnection(id);
+        addLogMessage(`[UI] Rozlaczono robota ${robot.name}.`, 'info');
+    }
+}
+
+/**
+ * Wysyła preset wybrany w "Presety PID" do wszystkich połączonych robotów
+ * i pokazuje jego wartości w UI aktywnego robota.
+ */
+async function pushPresetToAllRobots() {
+    const select = document.getElementById('pidPresetSelect');
+    const presetData = select ? window.getPresetData(select.value) : null;
+    if (!presetData) { addLogMessage('[UI] Wybierz preset PID do wyslania.', 'warn'); return; }
+    const connected = robotManager.getRobots().filter(r => r.connected);
+    if (connected.length === 0) { addLogMessage('[UI] Brak polaczonych robotow.', 'warn'); return; }
+    const presetName = select.options[select.selectedIndex]?.textContent || select.value;
+    if (!confirm(`Wyslac preset "${presetName}" do ${connected.length} robotow?`)) return;
+
+    const messages = window.buildPresetMessages(presetData);
+    const failedRobots = new Set();
+    for (const message of messages) {
+        const summary = await robotManager.broadcast(message);
+        summary.failed.forEach(f => failedRobots.add(f.name));
+    }
+
+    AppState.isApplyingConfig = true;
+    for (const message of messages) {
+        if (message.type === 'set_param') window.applySingleParam(message.key, message.value);
+    }
+    const switchIds = { balance_toggle: 'balanceSwitch', hold_position_toggle: 'holdPositionSwitch', speed_mode_toggle: 'speedModeSwitch' };
+    for (const message of messages) {
+        const el = switchIds[message.type] && document.getElementById(switchIds[message.type]);
+        if (el) el.checked = message.enabled;
+    }
+    AppState.isApplyingConfig = false;
+
+    addLogMessage(`[UI] Preset "${presetName}" wyslany do ${connected.length - failedRobots.size} robotow (${messages.length} wiadomosci).`, 'success');
+    if (failedRobots.size > 0) addLogMessage(`[UI] Blad wysylania presetu do: ${[...failedRobots].join(', ')}.`, 'error');
+}
+
+export function initRobotManagerUI() {
+    const listEl = document.getElementById('robotList');
+    if (!listEl) return;
+    listEl.addEventListener('click', handleListClick);
+    document.getElementById('addRobotBtn')?.addEventListener('click', () => addRobotConnection());
+    document.getElementById('stopAllRobotsBtn')?.addEventListener('click', () => emergencyStopAllRobots());
+    document.getElementById('presetAllRobotsBtn')?.addEventListener('click', () => pushPresetToAllRobots());
+    robotManager.onChange(renderRobotList);
+    setInterval(renderRobotList, LIST_REFRESH_MS);
+    renderRobotList();
+}
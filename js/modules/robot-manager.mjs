@@ -0,0 +1,187 @@
+// ========================================================================
+// ROBOT MANAGER - Kilka robotów połączonych jednocześnie (ES6 Module)
+// ========================================================================
+// Każdy robot ma własny transport (BLE/Serial/WS/symulator) oraz własny
+// magazyn: ostatnia telemetria, konfiguracja zgłoszona przez robota
+// (set_param / set_tuning_config_param), stany przełączników, capabilities.
+// Magazyny są aktualizowane przez obserwatora transportu niezależnie od
+// tego, który robot jest "aktywny" (ten obsługuje cały UI - commLayer).
+// broadcast() wysyła wiadomość do wszystkich połączonych robotów.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+// Klucze set_param będące przełącznikami trybu, a nie parametrami
+const STATE_KEYS = ['balancing', 'holding_pos', 'speed_mode'];
+// Komendy przełączników wysyłane przez UI → klucz stanu
+const TOGGLE_STATES = { balance_toggle: 'balancing', hold_position_toggle: 'holding_pos', speed_mode_toggle: 'speed_mode' };
+
+function createRobotStore(id, name, transport) {
+    return {
+        id, name, transport,
+        connected: transport.getConnectionStatus(),
+        telemetry: null,
+        telemetryCount: 0,
+        lastTelemetryAt: null,
+        params: {},
+        tuningParams: {},
+        states: {},
+        capabilities: null,
+        // Ostatnie set_param wysłane z UI - porównywane po ponownym połączeniu
+        lastSentParams: {}
+    };
+}
+
+export class RobotConnectionManager {
+    /**
+     * @param {Object} options
+     * @param {(robot: Object, message: Object) => any} [options.send] - wysłanie do robota (domyślnie transport.send)
+     * @param {(robot: Object, previous: Object|null) => void} [options.onActivate] - zmiana aktywnego robota
+     * @param {() => number} [options.now] - zegar w ms (testy)
+     */
+    constructor({ send = null, onActivate = () => {}, now = () => Date.now() } = {}) {
+        this.send = send || ((robot, message) => robot.transport.send(message));
+        this.onActivate = onActivate;
+        this.now = now;
+        this.robots = new Map();
+        this.activeId = null;
+        this.nextId = 1;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Rejestruje połączony transport jako robota.
+     * @param {Object} transport - CommunicationLayer
+     * @param {{name?: string, active?: boolean}} [options] - active: transport już obsługuje UI
+     * @returns {Object} magazyn robota
+     */
+    addRobot(transport, { name = null, active = false } = {}) {
+        const existing = this.findByTransport(transport);
+        if (existing) {
+            if (active) this.activeId = existing.id;
+            return existing;
+        }
+        const id = this.nextId++;
+        let robotName = name || transport.getDeviceName() || `Robot ${id}`;
+        // W klasie wiele robotów ma tę samą nazwę BLE - rozróżniamy numerem
+        if (this.getRobots().some(r => r.name === robotName)) robotName = `${robotName} #${id}`;
+        const robot = createRobotStore(id, robotName, transport);
+        robot.unobserve = transport.observe((type, data) => this.handleIncoming(robot, type, data));
+        this.robots.set(id, robot);
+        if (active || this.activeId === null) this.activeId = id;
+        this.emitChange();
+        return robot;
+    }
+
+    removeRobot(id) {
+        const robot = this.robots.get(id);
+        if (!robot) return null;
+        robot.unobserve();
+        this.robots.delete(id);
+        if (this.activeId === id) this.activeId = null;
+        this.emitChange();
+        return robot;
+    }
+
+    findByTransport(transport) {
+        for (const robot of this.robots.values()) if (robot.transport === transport) return robot;
+        return null;
+    }
+
+    getRobot(id) {
+        return this.robots.get(id) || null;
+    }
+
+    getActive() {
+        return this.getRobot(this.activeId);
+    }
+
+    getRobots() {
+        return [...this.robots.values()];
+    }
+
+    /** Zmienia aktywnego robota (onActivate przełącza UI na jego transport). */
+    setActive(id) {
+        const robot = this.robots.get(id);
+        if (!robot || id === this.activeId) return robot || null;
+        const previous = this.getActive();
+        this.activeId = id;
+        this.onActivate(robot, previous);
+        this.emitChange();
+        return robot;
+    }
+
+    handleIncoming(robot, type, data) {
+        switch (type) {
+            case 'telemetry':
+                robot.telemetry = data;
+                robot.telemetryCount++;
+                robot.lastTelemetryAt = this.now();
+                // Telemetria nie wywołuje emitChange - UI odświeża listę cyklicznie
+                return;
+            case 'set_param':
+                if (STATE_KEYS.includes(data.key)) robot.states[data.key] = data.value;
+                else robot.params[data.key] = data.value;
+                break;
+            case 'set_tuning_config_param':
+                robot.tuningParams[data.key] = data.value;
+                break;
+            case 'capabilities':
+                robot.capabilities = data;
+                break;
+            case 'disconnected':
+                robot.connected = false;
+                break;
+            default:
+                return;
+        }
+        this.emitChange();
+    }
+
+    /** Wiadomość wysłana z UI do aktywnego robota - aktualizuje jego magazyn. */
+    recordOutgoing(message, robot = this.getActive()) {
+        if (!robot || !message) return;
+        if (message.type === 'set_param' && message.key !== undefined) {
+            robot.params[message.key] = message.value;
+            robot.lastSentParams[message.key] = message.value;
+        } else if (message.type === 'set_tuning_config_param' && message.key !== undefined) {
+            robot.tuningParams[message.key] = message.value;
+        } else if (TOGGLE_STATES[message.type] && message.enabled !== undefined) {
+            robot.states[TOGGLE_STATES[message.type]] = message.enabled ? 1 : 0;
+        }
+    }
+
+    /** Transport robota połączył się (ponownie). */
+    markConnected(robot) {
+        robot.connected = true;
+        this.emitChange();
+    }
+
+    /**
+     * Wysyła wiadomość do wszystkich połączonych robotów.
+     * @returns {Promise<{sent: string[], failed: Array<{name: string, error: string}>}>}
+     */
+    async broadcast(message) {
+        const targets = this.getRobots().filter(robot => robot.connected);
+        const results = await Promise.allSettled(targets.map(async (robot) => {
+            await this.send(robot, { ...message });
+            this.recordOutgoing(message, robot);
+        }));
+        const summary = { sent: [], failed: [] };
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') summary.sent.push(targets[i].name);
+            else summary.failed.push({ name: targets[i].name, error: String(result.reason && result.reason.message || result.reason) });
+        });
+        return summary;
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emitChange() {
+        for (const listener of this.listeners) {
+            try { listener(this); } catch (e) { console.error('RobotConnectionManager listener error:', e); }
+        }
+    }
+}
@@ -0,0 +1,688 @@
+// ========================================================================
+// ROBOT SIMULATOR - Wirtualny RoboBala (wahadło odwrócone na kołach)
+// ========================================================================
+// Model fizyczny + kopia kaskady regulatorów z firmware (balans → prędkość
+// → pozycja). Czysty moduł bez DOM — używany przez MockCommunication
+// i testowany w Node (test/robot-simulator.test.mjs).
+//
+// Klucze parametrów są identyczne z `parameterMapping` (state.js),
+// a ramki telemetrii używają krótkich kluczy firmware (p, sp, el, er, o, lt...).
+//
+// Komendy funkcji spoza rdzenia robota (np. OTA, mapowanie osi) obsługują
+// rozszerzenia przekazane w `options.extensions` - symulator nie zależy
+// od modułów tych funkcji.
+// ========================================================================
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const GRAVITY = 9.81;
+
+export const SIM_LOOP_HZ = 500;
+export const SIM_MAX_PWM = 2047;
+export const SIM_FALL_ANGLE_DEG = 45;
+// Odpowiedź na `hello` (capabilities.mjs) - symulator nie ma regulatora fuzzy
+export const SIM_PROTOCOL_VERSION = 2;
+export const SIM_FIRMWARE_VERSION = 'sim-1.0';
+// Flaga `features` z capabilities.mjs (COMMAND_ACK_FEATURE)
+const SIM_COMMAND_ACK_FEATURE = 'command_ack';
+const SIM_MESSAGES = [
+    'hello', 'request_full_config', 'set_param', 'set_tuning_config_param', 'full_config',
+    'save_tunings', 'calibrate_mpu', 'balance_toggle', 'hold_position_toggle', 'speed_mode_toggle',
+    'joystick', 'execute_move', 'execute_rotate', 'command_stop', 'emergency_stop', 'reset_encoders',
+    'adjust_pitch_offset', 'reset_pitch_offset', 'adjust_roll_offset', 'reset_roll_offset', 'heartbeat'
+];
+
+// Fizyka platformy (dobrana tak, by domyślne PID z firmware balansowały)
+export const DEFAULT_SIM_PLANT = {
+    pendulumLength: 0.2,    // efektywna długość wahadła [m]
+    wheelMaxSpeed: 50.0,    // prędkość kół bez obciążenia przy 100% PWM [rad/s]
+    motorTimeConstant: 0.03, // stała czasowa silnika [s]
+    pendulumDamping: 0.4,   // tłumienie wahadła [1/s]
+    restPitchDeg: 0.0,      // kąt spoczynkowy, gdy robot nie balansuje
+    lyingPitchDeg: 80.0     // kąt po przewróceniu
+};
+
+// Wartości „fabryczne” zwracane przy synchronizacji (request_full_config)
+export const DEFAULT_SIM_PARAMS = {
+    kp_b: 95.0, ki_b: 0.0, kd_b: 8.0,
+    balance_pid_derivative_filter_alpha: 1.0,
+    balance_pid_integral_limit: 50,
+    joystick_angle_sensitivity: 10,
+    kp_s: 0.01, ki_s: 0.008, kd_s: 0.0,
+    speed_pid_filter_alpha: 0.8,
+    max_target_angle_from_speed_pid: 15.0,
+    speed_pid_integral_limit: 20,
+    speed_pid_deadband: 5,
+    kp_p: 2.0, ki_p: 0.0, kd_p: 0.15,
+    position_pid_filter_alpha: 0.9,
+    max_target_speed_from_pos_pid: 1000,
+    position_pid_integral_limit: 100,
+    position_pid_deadband: 15,
+    kp_r: 5.0, kd_r: 0.5,
+    kp_h: 2.0, ki_h: 0.0, kd_h: 0.1,
+    rotation_to_pwm_scale: 0.01,
+    joystick_sensitivity: 1.0, expo_joystick: 0.0,
+    max_speed_joystick: 800, max_accel_joystick: 200,
+    turn_factor: 0.25, joystick_deadzone: 0.0,
+    wheel_diameter_cm: 8.2, track_width_cm: 12.5, encoder_ppr: 820,
+    min_pwm_left_fwd: 1200, min_pwm_left_bwd: 1200,
+    min_pwm_right_fwd: 1200, min_pwm_right_bwd: 1200,
+    disable_magnetometer: 0,
+    mahony_kp: 1.0, mahony_ki: 0.05,
+    prediction_mode: 0, prediction_time_ms: 20,
+    balance_feedback_sign: 1, speed_feedback_sign: 1, position_feedback_sign: 1
+};
+
+export const DEFAULT_SIM_TUNING_PARAMS = {
+    safety_max_angle: 30, safety_max_speed: 3000, safety_max_pwm: 2047,
+    space_kp_min: 0, space_kp_max: 50, space_ki_min: 0, space_ki_max: 1,
+    space_kd_min: 0, space_kd_max: 5, search_ki: false,
+    weights_itae: 0.5, weights_overshoot: 0.3, weights_control_effort: 0.2,
+    ga_generations: 20, ga_population: 10, ga_mutation_rate: 0.1,
+    ga_elitism: true, ga_adaptive: false, ga_convergence_check: false,
+    pso_iterations: 20, pso_particles: 10, pso_inertia: 0.7,
+    pso_adaptive_inertia: false, pso_velocity_clamp: false, pso_neighborhood: false
+};
+
+/**
+ * Deterministyczny generator liczb pseudolosowych (mulberry32).
+ * Pozwala odtworzyć przebieg symulacji w testach.
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Regulator PID w wersji z firmware: całka z limitem,
+ * pochodna filtrowana EMA (alpha = 1 → bez filtra).
+ */
+class SimPID {
+    constructor() { this.reset(); }
+
+    reset() {
+        this.integral = 0;
+        this.prevError = null;
+        this.derivative = 0;
+    }
+
+    compute(error, dt, { kp, ki, kd, integralLimit = Infinity, alpha = 1, measuredRate = null }) {
+        // Jak w firmware: limit dotyczy wkładu członu całkującego (ki·∫e), nie samej całki
+        this.integral = clamp(this.integral + ki * error * dt, -integralLimit, integralLimit);
+        let rawDerivative;
+        if (measuredRate !== null) {
+            rawDerivative = measuredRate;
+        } else {
+            rawDerivative = (this.prevError === null || dt <= 0) ? 0 : (error - this.prevError) / dt;
+        }
+        this.prevError = error;
+        const a = clamp(alpha, 0, 1);
+        this.derivative = a * rawDerivative + (1 - a) * this.derivative;
+        return kp * error + this.integral + kd * this.derivative;
+    }
+}
+
+/**
+ * Wirtualny RoboBala.
+ * `step(dt)` wykonuje jedną iterację pętli firmware, `handleCommand(msg)`
+ * obsługuje komendę z UI i zwraca listę wiadomości-odpowiedzi.
+ */
+export class RobotSimulator {
+    constructor(options = {}) {
+        this.random = createRandom(options.seed ?? 12345);
+        this.plant = { ...DEFAULT_SIM_PLANT, ...(options.plant || {}) };
+        this.noise = options.noise ?? true;
+        // false = starszy firmware: bez 'command_ack' w capabilities i bez ACK z `id`
+        this.commandAck = options.commandAck ?? true;
+        this.params = { ...DEFAULT_SIM_PARAMS, ...(options.params || {}) };
+        this.tuningParams = { ...DEFAULT_SIM_TUNING_PARAMS, ...(options.tuningParams || {}) };
+        this.eeprom = { params: { ...this.params }, tuningParams: { ...this.tuningParams } };
+        this.balancePid = new SimPID();
+        this.speedPid = new SimPID();
+        this.positionPid = new SimPID();
+        this.headingPid = new SimPID();
+        this.pendingEvents = [];
+        this.resetPhysics();
+        this.states = { balancing: false, holding_pos: false, speed_mode: false, emergency_stop: false };
+        this.robotState = 'IDLE';
+        this.joystick = { x: 0, y: 0 };
+        this.joystickSpeedTarget = 0;
+        this.autonomous = null;
+        // Watchdog heartbeat UI: {timeout [s], lastAt [s]} - uzbrajany pierwszym heartbeat
+        this.linkWatchdog = null;
+        // Zainstalowany "firmware" (wersja zgłaszana w capabilities)
+        this.firmware = { version: SIM_FIRMWARE_VERSION, sha256: null };
+        // Ustawiane przez rozszerzenie (np. po OTA) - MockCommunication symuluje restart (reboot())
+        this.rebootRequested = false;
+        this.pitchOffset = 0;
+        this.rollOffset = 0;
+        this.time = 0;
+        this.lastOutput = 0;
+        this.lastLoopTimeUs = Math.round(1e6 / SIM_LOOP_HZ);
+        this.extensions = [];
+        for (const extension of options.extensions || []) this.use(extension);
+    }
+
+    /**
+     * Dokłada obsługę komend funkcji spoza rdzenia robota.
+     * @param {Object} extension
+     * @param {string[]} extension.messages - obsługiwane typy (zgłaszane w capabilities)
+     * @param {(sim: RobotSimulator, msg: Object, replies: Object[]) => void} extension.handle
+     * @param {(sim: RobotSimulator) => void} [extension.install] - stan początkowy
+     * @param {(sim: RobotSimulator) => Object} [extension.capabilities] - dodatkowe pola odpowiedzi na hello
+     * @param {(sim: RobotSimulator) => void} [extension.reboot] - reset po restarcie
+     */
+    use(extension) {
+        if (extension.install) extension.install(this);
+        this.extensions.push(extension);
+        return this;
+    }
+
+    resetPhysics(pitchDeg = this.plant.restPitchDeg) {
+        this.theta = pitchDeg * DEG_TO_RAD;
+        this.thetaDot = 0;
+        this.wheelLeft = { angle: 0, omega: 0 };
+        this.wheelRight = { angle: 0, omega: 0 };
+        this.yaw = 0;
+        this.yawRate = 0;
+        this.roll = 0;
+        this.targetPositionImp = 0;
+        this.balancePid?.reset();
+        this.speedPid?.reset();
+        this.positionPid?.reset();
+        this.headingPid?.reset();
+    }
+
+    // --- Geometria i przeliczenia enkoderów ---
+    get wheelRadius() { return (this.params.wheel_diameter_cm / 100) / 2; }
+    get trackWidth() { return this.params.track_width_cm / 100; }
+    radToImp(rad) { return rad / (2 * Math.PI) * this.params.encoder_ppr; }
+    get encoderLeft() { return Math.round(this.radToImp(this.wheelLeft.angle)); }
+    get encoderRight() { return Math.round(this.radToImp(this.wheelRight.angle)); }
+    get positionImp() { return this.radToImp((this.wheelLeft.angle + this.wheelRight.angle) / 2); }
+    get speedImp() { return this.radToImp((this.wheelLeft.omega + this.wheelRight.omega) / 2); }
+    get pitchDeg() { return this.theta * RAD_TO_DEG; }
+    get yawDeg() {
+        let deg = (this.yaw * RAD_TO_DEG) % 360;
+        if (deg > 180) deg -= 360;
+        if (deg < -180) deg += 360;
+        return deg;
+    }
+
+    gaussian(sigma) {
+        if (!this.noise) return 0;
+        const u = Math.max(this.random(), 1e-12);
+        const v = this.random();
+        return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // --- Wejście joysticka (expo, strefa martwa, czułość jak w firmware) ---
+    shapeJoystick(value) {
+        const p = this.params;
+        const dz = clamp(p.joystick_deadzone, 0, 0.95);
+        if (Math.abs(value) <= dz) return 0;
+        let v = Math.sign(value) * (Math.abs(value) - dz) / (1 - dz);
+        const expo = clamp(p.expo_joystick, 0, 0.95);
+        v = (1 - expo) * v + expo * v * v * v;
+        return clamp(v * p.joystick_sensitivity, -1, 1);
+    }
+
+    isActive() {
+        return this.states.balancing && !this.states.emergency_stop;
+    }
+
+    /**
+     * Jedna iteracja pętli sterowania + integracja fizyki.
+     * @param {number} dt - krok czasu [s]
+     */
+    step(dt = 1 / SIM_LOOP_HZ) {
+        this.time += dt;
+        this.checkLinkWatchdog();
+        const p = this.params;
+        let baseCmd = 0;
+        let turnCmd = 0;
+
+        if (this.isActive()) {
+            const measuredPitch = this.pitchDeg + this.gaussian(0.05);
+            const measuredRate = this.thetaDot * RAD_TO_DEG + this.gaussian(0.5);
+            const speed = this.speedImp;
+            const position = this.positionImp;
+            const joyY = this.shapeJoystick(this.joystick.y);
+            const joyX = this.shapeJoystick(this.joystick.x);
+
+            let targetAngle = 0;
+            let targetSpeed = null;
+            let angleOffset = 0;
+
+            if (this.autonomous && this.autonomous.kind === 'move') {
+                targetSpeed = this.computePositionLoop(this.autonomous.targetPosition - position, dt);
+            } else if (this.states.speed_mode || this.states.holding_pos) {
+                // Rampa prędkości zadanej z joysticka (max_accel_joystick)
+                const desired = joyY * p.max_speed_joystick;
+                const maxDelta = (p.max_accel_joystick > 0 ? p.max_accel_joystick : Infinity) * dt;
+                this.joystickSpeedTarget += clamp(desired - this.joystickSpeedTarget, -maxDelta, maxDelta);
+                if (this.states.holding_pos && Math.abs(joyY) < 1e-3 && Math.abs(this.joystickSpeedTarget) < 1) {
+                    targetSpeed = this.computePositionLoop(this.targetPositionImp - position, dt);
+                } else {
+                    this.targetPositionImp = position;
+                    this.positionPid.reset();
+                    targetSpeed = this.joystickSpeedTarget;
+                }
+            } else {
+                // Tryb kątowy: joystick przesuwa kąt zadany, a pętla prędkości (v = 0)
+                // wyhamowuje dryf — sam PD kąta nie utrzyma robota w miejscu
+                angleOffset = joyY * p.joystick_angle_sensitivity;
+                targetSpeed = 0;
+                this.targetPositionImp = position;
+            }
+
+            if (targetSpeed !== null) {
+                let speedError = targetSpeed - speed;
+                if (Math.abs(speedError) < p.speed_pid_deadband) speedError = 0;
+                const angleFromSpeed = p.speed_feedback_sign * this.speedPid.compute(speedError, dt, {
+                    kp: p.kp_s, ki: p.ki_s, kd: p.kd_s,
+                    integralLimit: p.speed_pid_integral_limit, alpha: p.speed_pid_filter_alpha
+                });
+                targetAngle = clamp(angleFromSpeed, -p.max_target_angle_from_speed_pid, p.max_target_angle_from_speed_pid);
+            }
+            targetAngle += angleOffset;
+            this.currentTargetAngle = targetAngle;
+            this.currentTargetSpeed = targetSpeed ?? 0;
+
+            const angleError = measuredPitch - targetAngle;
+            baseCmd = p.balance_feedback_sign * this.balancePid.compute(angleError, dt, {
+                kp: p.kp_b, ki: p.ki_b, kd: p.kd_b,
+                integralLimit: p.balance_pid_integral_limit,
+                alpha: p.balance_pid_derivative_filter_alpha,
+                measuredRate
+            });
+
+            if (this.autonomous && this.autonomous.kind === 'rotate') {
+                const headingError = normalizeAngleDeg(this.autonomous.targetYaw - this.yawDeg);
+                const rateCmd = this.headingPid.compute(headingError, dt, { kp: p.kp_h, ki: p.ki_h, kd: p.kd_h });
+                const rateError = rateCmd - this.yawRate * RAD_TO_DEG;
+                turnCmd = p.kp_r * rateError * p.rotation_to_pwm_scale * SIM_MAX_PWM / 10;
+            } else {
+                turnCmd = joyX * p.turn_factor * SIM_MAX_PWM;
+            }
+        }
+
+        const maxPwm = Math.min(SIM_MAX_PWM, this.tuningParams.safety_max_pwm || SIM_MAX_PWM);
+        baseCmd = clamp(baseCmd, -maxPwm, maxPwm);
+        turnCmd = clamp(turnCmd, -maxPwm / 2, maxPwm / 2);
+        this.lastOutput = baseCmd;
+
+        const dutyLeft = clamp(baseCmd - turnCmd, -SIM_MAX_PWM, SIM_MAX_PWM) / SIM_MAX_PWM;
+        const dutyRight = clamp(baseCmd + turnCmd, -SIM_MAX_PWM, SIM_MAX_PWM) / SIM_MAX_PWM;
+        this.integratePhysics(dt, dutyLeft, dutyRight);
+        this.updateAutonomous(dt);
+        this.checkFall();
+        this.lastLoopTimeUs = Math.round(1e6 / SIM_LOOP_HZ + this.gaussian(60));
+    }
+
+    computePositionLoop(positionError, dt) {
+        const p = this.params;
+        if (Math.abs(positionError) < p.position_pid_deadband) positionError = 0;
+        const speed = p.position_feedback_sign * this.positionPid.compute(positionError, dt, {
+            kp: p.kp_p, ki: p.ki_p, kd: p.kd_p,
+            integralLimit: p.position_pid_integral_limit, alpha: p.position_pid_filter_alpha
+        });
+        return clamp(speed, -p.max_target_speed_from_pos_pid, p.max_target_speed_from_pos_pid);
+    }
+
+    integratePhysics(dt, dutyLeft, dutyRight) {
+        const r = this.wheelRadius;
+        const tau = this.plant.motorTimeConstant;
+        const wheelAccel = (wheel, duty) => {
+            if (!this.isActive()) return -wheel.omega / tau; // hamowanie silnikiem
+            return (duty * this.plant.wheelMaxSpeed - wheel.omega) / tau;
+        };
+        const alphaL = wheelAccel(this.wheelLeft, dutyLeft);
+        const alphaR = wheelAccel(this.wheelRight, dutyRight);
+        this.wheelLeft.omega += alphaL * dt;
+        this.wheelRight.omega += alphaR * dt;
+        this.wheelLeft.angle += this.wheelLeft.omega * dt;
+        this.wheelRight.angle += this.wheelRight.omega * dt;
+
+        const linearAccel = r * (alphaL + alphaR) / 2;
+        this.yawRate = r * (this.wheelRight.omega - this.wheelLeft.omega) / this.trackWidth;
+        this.yaw += this.yawRate * dt;
+
+        if (this.isActive()) {
+            const thetaDDot = (GRAVITY * Math.sin(this.theta) - linearAccel * Math.cos(this.theta)) / this.plant.pendulumLength
+                - this.plant.pendulumDamping * this.thetaDot;
+            this.thetaDot += thetaDDot * dt;
+            this.theta += this.thetaDot * dt;
+        }
+        // Lekkie kołysanie boczne (stopnie) — robot nie ma osi przechyłu w modelu
+        this.roll = this.noise ? 0.3 * Math.sin(this.time * 0.7) : 0;
+    }
+
+    updateAutonomous(dt) {
+        const a = this.autonomous;
+        if (!a) return;
+        a.elapsed += dt;
+        if (a.kind === 'move') {
+            const done = Math.abs(a.targetPosition - this.positionImp) <= Math.max(this.params.position_pid_deadband, 5)
+                && Math.abs(this.speedImp) < 30;
+            if (done || a.elapsed > a.timeout) {
+                if (!done) this.emit({ type: 'log', level: 'warn', message: 'Ruch autonomiczny przerwany (timeout)' });
+                this.emit({
+                    type: 'status_update', message: 'autonomous_move_complete',
+                    targetPosition: Math.round(a.targetPosition), currentPosition: Math.round(this.positionImp)
+                });
+                this.finishAutonomous();
+            }
+        } else if (a.kind === 'rotate') {
+            const err = normalizeAngleDeg(a.targetYaw - this.yawDeg);
+            const done = Math.abs(err) < 2 && Math.abs(this.yawRate * RAD_TO_DEG) < 10;
+            if (done || a.elapsed > a.timeout) {
+                if (!done) this.emit({ type: 'log', level: 'warn', message: 'Obrot autonomiczny przerwany (timeout)' });
+                this.emit({
+                    type: 'status_update', message: 'autonomous_rotate_complete',
+                    targetYawDeg: Number(a.targetYaw.toFixed(1)), currentYawDeg: Number(this.yawDeg.toFixed(1))
+                });
+                this.finishAutonomous();
+            }
+        }
+    }
+
+    /** Brak heartbeat dłużej niż timeout podczas ruchu - zatrzymanie jak command_stop. */
+    checkLinkWatchdog() {
+        const w = this.linkWatchdog;
+        if (!w || this.time - w.lastAt <= w.timeout) return;
+        this.linkWatchdog = null;
+        const moving = this.autonomous !== null || this.joystick.x !== 0 || this.joystick.y !== 0;
+        if (!moving) return;
+        this.stopMotion();
+        this.emit({ type: 'log', level: 'warn', message: 'Watchdog lacza: brak heartbeat - ruch zatrzymany' });
+        this.updateRobotState();
+    }
+
+    stopMotion() {
+        this.autonomous = null;
+        this.joystick = { x: 0, y: 0 };
+        this.joystickSpeedTarget = 0;
+        this.targetPositionImp = this.positionImp;
+    }
+
+    finishAutonomous() {
+        this.autonomous = null;
+        this.targetPositionImp = this.positionImp;
+        this.headingPid.reset();
+        this.updateRobotState();
+    }
+
+    checkFall() {
+        if (!this.isActive()) return;
+        if (Math.abs(this.pitchDeg) > SIM_FALL_ANGLE_DEG) {
+            this.states.balancing = false;
+            this.states.holding_pos = false;
+            this.autonomous = null;
+            this.theta = Math.sign(this.theta) * this.plant.lyingPitchDeg * DEG_TO_RAD;
+            this.thetaDot = 0;
+            this.emit({ type: 'log', level: 'error', message: 'Robot przewrocony - balansowanie wylaczone' });
+            this.updateRobotState();
+        }
+    }
+
+    updateRobotState() {
+        let state = 'IDLE';
+        if (this.isActive()) {
+            if (this.autonomous?.kind === 'move') state = 'RUCH_AUTONOMICZNY';
+            else if (this.autonomous?.kind === 'rotate') state = 'OBROT_AUTONOMICZNY';
+            else if (this.states.holding_pos) state = 'TRZYMA_POZYCJE';
+            else state = 'BALANSUJE';
+        }
+        this.robotState = state;
+    }
+
+    emit(message) {
+        this.pendingEvents.push(message);
+    }
+
+    /** Zwraca i czyści zdarzenia asynchroniczne (status_update, log) wygenerowane w step(). */
+    drainEvents() {
+        const events = this.pendingEvents;
+        this.pendingEvents = [];
+        return events;
+    }
+
+    /**
+     * Ramka telemetrii w formacie firmware (krótkie klucze).
+     */
+    buildTelemetry() {
+        const noisyPitch = this.pitchDeg + this.gaussian(0.05);
+        const loopUs = this.lastLoopTimeUs;
+        return {
+            type: 'telemetry',
+            p: round(noisyPitch - this.pitchOffset, 2),
+            r: round(this.roll + this.gaussian(0.05) - this.rollOffset, 2),
+            y: round(this.yawDeg, 2),
+            sp: round(this.speedImp, 1),
+            ts: round(this.currentTargetSpeed ?? 0, 1),
+            el: this.encoderLeft,
+            er: this.encoderRight,
+            o: round(this.lastOutput, 1),
+            gy: round(this.thetaDot * RAD_TO_DEG + this.gaussian(0.5), 2),
+            lt: loopUs,
+            loop_load: round(loopUs / (1e6 / SIM_LOOP_HZ) * 45, 0),
+            ir: SIM_LOOP_HZ,
+            cs: 3, cg: 3, ca: 3, cm: this.params.disable_magnetometer ? 0 : 3,
+            po: round(this.pitchOffset, 2),
+            ro: round(this.rollOffset, 2),
+            robot_state: this.robotState,
+            states: {
+                b: this.states.balancing ? 1 : 0,
+                hp: this.states.holding_pos ? 1 : 0,
+                sm: this.states.speed_mode ? 1 : 0,
+                es: this.states.emergency_stop ? 1 : 0
+            }
+        };
+    }
+
+    /**
+     * Sekwencja synchronizacji identyczna z firmware:
+     * ack → sync_begin → set_param/set_tuning_config_param → sync_complete.
+     */
+    buildFullConfigMessages() {
+        const messages = [
+            { type: 'ack', command: 'request_full_config', success: true, message: 'Wysylam konfiguracje' },
+            { type: 'sync_begin' }
+        ];
+        for (const [key, value] of Object.entries(this.params)) {
+            messages.push({ type: 'set_param', key, value });
+        }
+        for (const [key, value] of Object.entries(this.tuningParams)) {
+            messages.push({ type: 'set_tuning_config_param', key, value });
+        }
+        messages.push({ type: 'set_param', key: 'balancing', value: this.states.balancing });
+        messages.push({ type: 'set_param', key: 'holding_pos', value: this.states.holding_pos });
+        messages.push({ type: 'set_param', key: 'speed_mode', value: this.states.speed_mode });
+        messages.push({ type: 'sync_complete' });
+        return messages;
+    }
+
+    /**
+     * Obsługa komendy z UI.
+     * @param {Object} msg - wiadomość JSON wysłana przez UI
+     * @returns {Object[]} wiadomości do odesłania
+     */
+    handleCommand(msg) {
+        if (!msg || !msg.type) return [];
+        const replies = [];
+        switch (msg.type) {
+            case 'hello': {
+                const capabilities = {
+                    type: 'capabilities', protocol: SIM_PROTOCOL_VERSION, firmware: this.firmware.version,
+                    messages: [...SIM_MESSAGES, ...this.extensions.flatMap(e => e.messages)],
+                    params: [...Object.keys(this.params), ...Object.keys(this.tuningParams)],
+                    features: this.commandAck ? [SIM_COMMAND_ACK_FEATURE] : []
+                };
+                for (const extension of this.extensions) {
+                    if (extension.capabilities) Object.assign(capabilities, extension.capabilities(this));
+                }
+                replies.push(capabilities);
+                break;
+            }
+            case 'request_full_config':
+                replies.push(...this.buildFullConfigMessages());
+                break;
+            case 'set_param':
+                if (msg.key in this.params) this.params[msg.key] = Number(msg.value);
+                else if (msg.key === 'disable_magnetometer') this.params.disable_magnetometer = Number(msg.value);
+                break;
+            case 'set_tuning_config_param':
+                this.tuningParams[msg.key] = msg.value;
+                break;
+            case 'full_config':
+                for (const [key, value] of Object.entries(msg.params || {})) {
+                    if (key in this.params) this.params[key] = Number(value);
+                }
+                replies.push({ type: 'ack', command: 'full_config', success: true });
+                break;
+            case 'save_tunings':
+                this.eeprom = { params: { ...this.params }, tuningParams: { ...this.tuningParams } };
+                replies.push({ type: 'ack', command: 'save_tunings', success: true, message: 'Zapisano do EEPROM' });
+                break;
+            case 'calibrate_mpu':
+                replies.push({ type: 'ack', command: 'calibrate_mpu', success: true, message: 'Zapisane do EEPROM' });
+                break;
+            case 'balance_toggle':
+                if (msg.enabled) {
+                    this.states.emergency_stop = false;
+                    if (!this.states.balancing) this.resetPhysics(0.5 * (this.random() - 0.5) * (this.noise ? 1 : 0));
+                    this.states.balancing = true;
+                } else {
+                    this.states.balancing = false;
+                    this.states.holding_pos = false;
+                    this.autonomous = null;
+                }
+                break;
+            case 'hold_position_toggle':
+                this.states.holding_pos = !!msg.enabled && this.states.balancing;
+                this.targetPositionImp = this.positionImp;
+                this.positionPid.reset();
+                break;
+            case 'speed_mode_toggle':
+                this.states.speed_mode = !!msg.enabled;
+                this.joystickSpeedTarget = this.speedImp;
+                break;
+            case 'joystick':
+                this.joystick = { x: clamp(Number(msg.x) || 0, -1, 1), y: clamp(Number(msg.y) || 0, -1, 1) };
+                break;
+            case 'execute_move':
+                if (!this.isActive()) {
+                    replies.push({ type: 'log', level: 'warn', message: 'Ruch odrzucony - robot nie balansuje' });
+                    break;
+                }
+                this.autonomous = {
+                    kind: 'move', elapsed: 0, timeout: 15,
+                    targetPosition: this.positionImp + Number(msg.distance_cm || 0) / (Math.PI * this.params.wheel_diameter_cm) * this.params.encoder_ppr
+                };
+                this.positionPid.reset();
+                break;
+            case 'execute_rotate':
+                if (!this.isActive()) {
+                    replies.push({ type: 'log', level: 'warn', message: 'Obrot odrzucony - robot nie balansuje' });
+                    break;
+                }
+                this.autonomous = {
+                    kind: 'rotate', elapsed: 0, timeout: 10,
+                    targetYaw: normalizeAngleDeg(this.yawDeg + Number(msg.angle_deg || 0))
+                };
+                this.headingPid.reset();
+                break;
+            case 'command_stop':
+                this.stopMotion();
+                break;
+            case 'heartbeat':
+                this.linkWatchdog = { timeout: (Number(msg.timeout_ms) || 1500) / 1000, lastAt: this.time };
+                break;
+            case 'emergency_stop':
+                this.states.emergency_stop = true;
+                this.states.balancing = false;
+                this.states.holding_pos = false;
+                this.autonomous = null;
+                break;
+            case 'reset_encoders':
+                this.wheelLeft.angle = 0;
+                this.wheelRight.angle = 0;
+                this.targetPositionImp = 0;
+                break;
+            case 'adjust_pitch_offset':
+                this.pitchOffset += Number(msg.value) || 0;
+                break;
+            case 'reset_pitch_offset':
+                this.pitchOffset = 0;
+                break;
+            case 'adjust_roll_offset':
+                this.rollOffset += Number(msg.value) || 0;
+                break;
+            case 'reset_roll_offset':
+                this.rollOffset = 0;
+                break;
+            default: {
+                const extension = this.extensions.find(e => e.messages.includes(msg.type));
+                if (extension) extension.handle(this, msg, replies);
+                break;
+            }
+        }
+        this.updateRobotState();
+        if (this.commandAck && msg.id !== undefined) this.acknowledge(msg, replies);
+        return replies;
+    }
+
+    /** Restart (np. po OTA): konfiguracja z EEPROM, robot nie balansuje. */
+    reboot() {
+        this.rebootRequested = false;
+        this.params = { ...this.eeprom.params };
+        this.tuningParams = { ...this.eeprom.tuningParams };
+        this.states = { balancing: false, holding_pos: false, speed_mode: false, emergency_stop: false };
+        this.stopMotion();
+        this.linkWatchdog = null;
+        for (const extension of this.extensions) {
+            if (extension.reboot) extension.reboot(this);
+        }
+        this.updateRobotState();
+    }
+
+    /**
+     * Komendy z polem `id` (sendCommand w UI) dostają ACK z tym samym id -
+     * tylko gdy symulator zgłasza 'command_ack' w capabilities.
+     */
+    acknowledge(msg, replies) {
+        const ack = replies.find(r => r.type === 'ack' && r.command === msg.type);
+        if (ack) {
+            ack.id = msg.id;
+        } else {
+            const warning = replies.find(r => r.type === 'log' && r.level === 'warn');
+            replies.unshift({
+                type: 'ack', command: msg.type, id: msg.id,
+                success: !warning, message: warning ? warning.message : 'OK'
+            });
+        }
+    }
+}
+
+function normalizeAngleDeg(deg) {
+    let d = deg % 360;
+    if (d > 180) d -= 360;
+    if (d < -180) d += 360;
+    return d;
+}
+
+function round(value, digits) {
+    const f = Math.pow(10, digits);
+    return Math.round(value * f) / f;
+}
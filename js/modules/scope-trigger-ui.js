@@ -0,0 +1,309 @@
+// ========================================================================
+// SCOPE TRIGGER UI - Wyzwalanie przechwyceń w analizatorze (ES6 Module)
+// ========================================================================
+// Panel w analizatorze sygnałów (scope-trigger.mjs): warunek wyzwolenia
+// (poziom / zmiana / stop awaryjny / wyrażenie), tryb single / normal /
+// auto, czas przed i po wyzwoleniu. Przechwycenie zamraża wykres
+// analizatora na oknie wokół zdarzenia (showSignalRange) i trafia na
+// listę, z której można je ponownie pokazać, wyeksportować do CSV
+// albo nałożyć na inne przechwycenia (wyrównane do chwili wyzwolenia).
+// Ustawienia w localStorage, przechwycenia w pamięci strony.
+// ========================================================================
+
+import { AppState } from './state.js';
+import { telemetryStore, derivedChannels } from './telemetry.js';
+import { ScopeTrigger, TRIGGER_DEFAULTS, TRIGGER_CAPTURE_LIMIT } from './scope-trigger.mjs';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+const STORAGE_KEY = 'scope_trigger_v1';
+const COMPARE_COLORS = ['#61dafb', '#f7b731', '#a2f279', '#ff6347', '#c792ea', '#ffcb6b'];
+// Gotowe warunki (output w jednostkach PWM firmware)
+const TRIGGER_PRESETS = [
+    { name: 'Pitch ±20°', trigger: { type: 'level', channel: 'pitch', level: 20, edge: 'rising', absolute: true } },
+    { name: 'Saturacja wyjscia', trigger: { type: 'level', channel: 'output', level: 250, edge: 'rising', absolute: true } },
+    { name: 'Zmiana robot_state', trigger: { type: 'change', channel: 'robot_state' } },
+    { name: 'Stop awaryjny', trigger: { type: 'estop' } }
+];
+const STATUS_TEXT = {
+    stopped: ['Zatrzymany', '#aaa'],
+    armed: ['Uzbrojony - czeka na warunek', '#f7b731'],
+    triggered: ['Wyzwolony - zbieranie okna po zdarzeniu', '#ff6347']
+};
+
+let scope = null;
+let captures = [];
+const compared = new Set();
+
+function el(id) {
+    return document.getElementById(id);
+}
+
+function readSettings() {
+    return {
+        trigger: {
+            type: el('triggerTypeSelect').value,
+            channel: el('triggerChannelInput').value,
+            level: parseFloat(el('triggerLevelInput').value),
+            edge: el('triggerEdgeSelect').value,
+            absolute: el('triggerAbsCheck').checked,
+            expression: el('triggerExprInput').value
+        },
+        mode: el('triggerModeSelect').value,
+        preMs: parseFloat(el('triggerPreInput').value),
+        postMs: parseFloat(el('triggerPostInput').value)
+    };
+}
+
+function writeSettings({ trigger, mode, preMs, postMs }) {
+    el('triggerTypeSelect').value = trigger.type;
+    el('triggerChannelInput').value = trigger.channel;
+    el('triggerLevelInput').value = trigger.level;
+    el('triggerEdgeSelect').value = trigger.edge;
+    el('triggerAbsCheck').checked = trigger.absolute;
+    el('triggerExprInput').value = trigger.expression;
+    el('triggerModeSelect').value = mode;
+    el('triggerPreInput').value = preMs;
+    el('triggerPostInput').value = postMs;
+    updateFieldVisibility();
+}
+
+function saveSettings() {
+    const { trigger, mode, preMs, postMs } = scope;
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ trigger, mode, preMs, postMs })); } catch (e) { /* ignore storage errors */ }
+}
+
+function loadSettings() {
+    try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}; } catch (e) { return {}; }
+}
+
+function updateFieldVisibility() {
+    const type = el('triggerTypeSelect').value;
+    const show = (id, visible) => { const field = el(id); if (field) field.style.display = visible ? '' : 'none'; };
+    show('triggerChannelInput', type === 'level' || type === 'change');
+    show('triggerLevelInput', type === 'level');
+    show('triggerEdgeSelect', type === 'level');
+    show('triggerAbsLabel', type === 'level');
+    show('triggerExprInput', type === 'expression');
+}
+
+function renderStatus() {
+    const [text, color] = STATUS_TEXT[scope.state] || STATUS_TEXT.stopped;
+    const status = el('triggerStatus');
+    status.textContent = `${text} (${scope.mode})`;
+    status.style.color = color;
+    el('triggerArmBtn').disabled = scope.state !== 'stopped';
+    el('triggerStopBtn').disabled = scope.state === 'stopped';
+}
+
+function arm() {
+    try {
+        scope.configure(readSettings());
+    } catch (error) {
+        el('triggerError').textContent = error.message;
+        return;
+    }
+    el('triggerError').textContent = '';
+    saveSettings();
+    scope.arm();
+    renderStatus();
+    addLogMessage(`[Wyzwalacz] Uzbrojony: ${el('triggerTypeSelect').selectedOptions?.[0]?.textContent || scope.trigger.type} (${scope.mode}).`, 'info');
+}
+
+function stop() {
+    scope.stop();
+    renderStatus();
+}
+
+function showCapture(capture) {
+    if (typeof window.showSignalRange !== 'function') return;
+    // Historia store może już nie sięgać przechwycenia (limit pojemności / nowa sesja)
+    if (telemetryStore.length === 0 || telemetryStore.startTime > capture.t0) {
+        addLogMessage('[Wyzwalacz] Dane przechwycenia nie sa juz w historii analizatora - uzyj porownania lub CSV.', 'warn');
+        return;
+    }
+    window.showSignalRange(capture.t0, capture.t1);
+}
+
+function handleCapture(capture) {
+    showCapture(capture);
+    if (capture.forced) return;
+    captures.push(capture);
+    if (captures.length > TRIGGER_CAPTURE_LIMIT) {
+        const removed = captures.shift();
+        compared.delete(removed.id);
+    }
+    addLogMessage(`[Wyzwalacz] Przechwycono #${capture.id}: ${capture.description} o ${new Date(capture.time).toLocaleTimeString()}.`, 'warn');
+    renderCaptures();
+}
+
+function captureButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function renderCaptures() {
+    const body = el('triggerCaptureBody');
+    if (!body) return;
+    body.innerHTML = '';
+    el('triggerCaptureEmpty').style.display = captures.length ? 'none' : 'block';
+    for (const capture of [...captures].reverse()) {
+        const row = body.insertRow();
+        row.insertCell().textContent = `#${capture.id}`;
+        row.insertCell().textContent = new Date(capture.time).toLocaleTimeString();
+        row.insertCell().textContent = capture.description;
+        row.insertCell().textContent = `-${capture.time - capture.t0} / +${capture.t1 - capture.time} ms`;
+        const compareCell = row.insertCell();
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.title = 'Naloz na wykres porownania';
+        check.checked = compared.has(capture.id);
+        check.addEventListener('change', () => {
+            if (check.checked) compared.add(capture.id); else compared.delete(capture.id);
+            drawComparison();
+        });
+        compareCell.appendChild(check);
+        const actions = row.insertCell();
+        actions.style.whiteSpace = 'nowrap';
+        actions.appendChild(captureButton('📈', 'Pokaz w analizatorze', () => showCapture(capture)));
+        actions.appendChild(captureButton('💾', 'Eksportuj do CSV', () => exportCapture(capture)));
+        actions.appendChild(captureButton('🗑️', 'Usun przechwycenie', () => {
+            captures = captures.filter(c => c !== capture);
+            compared.delete(capture.id);
+            renderCaptures();
+        }));
+    }
+    fillCompareChannels();
+    drawComparison();
+}
+
+function exportCapture(capture) {
+    const names = [...new Set(capture.frames.flatMap(frame => Object.keys(frame)))].filter(name => name !== 'time');
+    const lines = [['t_ms', ...names].join(',')];
+    for (const frame of capture.frames) {
+        lines.push([frame.time - capture.time, ...names.map(name => (Number.isNaN(frame[name]) ? '' : frame[name]))].join(','));
+    }
+    const url = URL.createObjectURL(new Blob([lines.join('\n')], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = `trigger_capture_${capture.id}.csv`; a.click(); URL.revokeObjectURL(url);
+    addLogMessage(`[Wyzwalacz] Przechwycenie #${capture.id} wyeksportowane do CSV.`, 'info');
+}
+
+function fillCompareChannels() {
+    const select = el('triggerCompareChannel');
+    if (!select) return;
+    const current = select.value;
+    const names = [...new Set(captures.flatMap(c => Object.keys(c.frames[0] || {})))].filter(name => name !== 'time');
+    select.innerHTML = '';
+    for (const name of names) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = availableTelemetry[name]?.label || name;
+        select.appendChild(option);
+    }
+    const preferred = scope.trigger.type === 'level' ? scope.trigger.channel : 'pitch';
+    select.value = names.includes(current) ? current : names.includes(preferred) ? preferred : names[0] || '';
+}
+
+// Wybrane przechwycenia na jednym wykresie; oś X = czas od wyzwolenia
+function drawComparison() {
+    const canvas = el('triggerCompareCanvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const channel = el('triggerCompareChannel')?.value;
+    const selected = captures.filter(c => compared.has(c.id));
+    if (!channel || selected.length === 0) return;
+
+    const padding = { left: 45, right: 10, top: 10, bottom: 22 };
+    const width = canvas.width - padding.left - padding.right;
+    const height = canvas.height - padding.top - padding.bottom;
+    const series = selected.map(c => c.frames.filter(f => Number.isFinite(f[channel])).map(f => [f.time - c.time, f[channel]]));
+    const points = series.flat();
+    if (points.length === 0) return;
+    const minX = Math.min(...selected.map(c => c.t0 - c.time));
+    const maxX = Math.max(...selected.map(c => c.t1 - c.time));
+    let minY = Math.min(...points.map(p => p[1]));
+    let maxY = Math.max(...points.map(p => p[1]));
+    if (minY === maxY) { minY -= 1; maxY += 1; }
+    const scaleX = (x) => padding.left + ((x - minX) / (maxX - minX || 1)) * width;
+    const scaleY = (y) => padding.top + height - ((y - minY) / (maxY - minY)) * height;
+
+    ctx.strokeStyle = '#333'; ctx.lineWidth = 0.5; ctx.fillStyle = '#aaa'; ctx.font = '10px sans-serif';
+    ctx.beginPath();
+    for (let i = 0; i <= 4; i++) {
+        const y = padding.top + (height / 4) * i;
+        ctx.moveTo(padding.left, y); ctx.lineTo(canvas.width - padding.right, y);
+        ctx.textAlign = 'right';
+        ctx.fillText((maxY - ((maxY - minY) / 4) * i).toPrecision(3), padding.left - 4, y + 3);
+    }
+    ctx.stroke();
+    // Chwila wyzwolenia
+    ctx.strokeStyle = '#ff6347'; ctx.setLineDash([4, 4]); ctx.beginPath();
+    ctx.moveTo(scaleX(0), padding.top); ctx.lineTo(scaleX(0), padding.top + height); ctx.stroke(); ctx.setLineDash([]);
+    ctx.textAlign = 'center';
+    ctx.fillText(`${minX} ms`, padding.left + 15, canvas.height - 6);
+    ctx.fillText('0', scaleX(0), canvas.height - 6);
+    ctx.fillText(`+${maxX} ms`, canvas.width - padding.right - 20, canvas.height - 6);
+
+    series.forEach((data, i) => {
+        const color = COMPARE_COLORS[i % COMPARE_COLORS.length];
+        ctx.strokeStyle = color; ctx.lineWidth = 1.5; ctx.beginPath();
+        data.forEach(([x, y], j) => { if (j === 0) ctx.moveTo(scaleX(x), scaleY(y)); else ctx.lineTo(scaleX(x), scaleY(y)); });
+        ctx.stroke();
+        ctx.fillStyle = color; ctx.textAlign = 'left';
+        ctx.fillText(`#${selected[i].id}`, padding.left + 5 + i * 35, padding.top + 10);
+    });
+}
+
+export function initScopeTriggerUI() {
+    if (!el('scopeTriggerPanel')) return;
+    const stored = loadSettings();
+    scope = new ScopeTrigger({
+        history: (t0, t1) => telemetryStore.frames(telemetryStore.channelNames(), t0, t1),
+        // param.* w wyrażeniach - ten sam resolver co kanały pochodne
+        resolve: (name) => derivedChannels.resolve(name)
+    });
+    try {
+        scope.configure({ ...TRIGGER_DEFAULTS, trigger: TRIGGER_PRESETS[0].trigger, ...stored });
+    } catch (e) {
+        scope.configure({ ...TRIGGER_DEFAULTS, trigger: TRIGGER_PRESETS[0].trigger });
+    }
+    writeSettings(scope);
+
+    const presetSelect = el('triggerPresetSelect');
+    TRIGGER_PRESETS.forEach((preset, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = preset.name;
+        presetSelect.appendChild(option);
+    });
+    presetSelect.addEventListener('change', () => {
+        const preset = TRIGGER_PRESETS[parseInt(presetSelect.value, 10)];
+        presetSelect.value = '';
+        if (!preset) return;
+        const current = readSettings();
+        writeSettings({ ...current, trigger: { ...current.trigger, ...preset.trigger } });
+    });
+    el('triggerTypeSelect').addEventListener('change', updateFieldVisibility);
+    el('triggerArmBtn').addEventListener('click', arm);
+    el('triggerStopBtn').addEventListener('click', stop);
+    el('triggerCompareChannel').addEventListener('change', drawComparison);
+
+    // Tylko telemetria na żywo - wczytana sesja nie wyzwala przechwyceń
+    telemetryStore.subscribe((frame, time) => {
+        if (!AppState.isConnected || scope.state === 'stopped') return;
+        const before = scope.state;
+        const capture = scope.process(frame, time);
+        if (capture) handleCapture(capture);
+        if (scope.state !== before) renderStatus();
+    });
+    renderStatus();
+    renderCaptures();
+}
+
+window.initScopeTriggerUI = initScopeTriggerUI;
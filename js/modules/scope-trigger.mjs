@@ -0,0 +1,202 @@
+// ========================================================================
+// SCOPE TRIGGER - Wyzwalanie jak w oscyloskopie (ES6 Module)
+// ========================================================================
+// Warunki wyzwolenia:
+//   level      - kanał przecina poziom (zbocze rising / falling / both);
+//                `absolute` porównuje |x|, np. pitch przekracza ±N°
+//   change     - zmiana wartości kanału (także tekstowego, np. robot_state)
+//   estop      - włączenie stopu awaryjnego (states.es / emergency_stop)
+//   expression - warunek jak w alarmach (|x|, `for N ms`), zbocze false -> true
+// Tryby: single (jedno przechwycenie i stop), normal (ponowne uzbrojenie
+// po każdym przechwyceniu), auto (jak normal, ale bez wyzwolenia przez
+// `autoMs` zwraca wymuszone przechwycenie ostatniego okna).
+// Bufor sprzed wyzwolenia to historia telemetryStore - przechwycenie jest
+// gotowe `postMs` po wyzwoleniu i zawiera ramki z [t - preMs, t + postMs].
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+import { parseRuleText } from './alarm-rules.mjs';
+
+export const TRIGGER_MODES = ['single', 'normal', 'auto'];
+export const TRIGGER_TYPES = ['level', 'change', 'estop', 'expression'];
+export const TRIGGER_EDGES = ['rising', 'falling', 'both'];
+export const TRIGGER_DEFAULTS = { preMs: 1000, postMs: 1000, autoMs: 3000 };
+export const TRIGGER_CAPTURE_LIMIT = 20;
+
+/**
+ * Porządkuje ustawienia warunku; rzuca ExpressionError dla złego wyrażenia.
+ * @returns {{type: string, channel: string, level: number, edge: string, absolute: boolean, expression: string}}
+ */
+export function normalizeTrigger(trigger = {}) {
+    const type = TRIGGER_TYPES.includes(trigger.type) ? trigger.type : 'level';
+    const level = Number(trigger.level);
+    const normalized = {
+        type,
+        channel: String(trigger.channel || (type === 'change' ? 'robot_state' : 'pitch')).trim(),
+        level: Number.isFinite(level) ? level : 0,
+        edge: TRIGGER_EDGES.includes(trigger.edge) ? trigger.edge : 'rising',
+        absolute: !!trigger.absolute,
+        expression: String(trigger.expression || '').trim()
+    };
+    if (type === 'expression') parseRuleText(normalized.expression);
+    return normalized;
+}
+
+/** Krótki opis warunku do listy przechwyceń. */
+export function describeTrigger(trigger) {
+    switch (trigger.type) {
+        case 'change': return `zmiana ${trigger.channel}`;
+        case 'estop': return 'stop awaryjny';
+        case 'expression': return trigger.expression;
+        default: {
+            const edge = { rising: '↑', falling: '↓', both: '↕' }[trigger.edge];
+            return `${trigger.absolute ? `|${trigger.channel}|` : trigger.channel} ${edge} ${trigger.absolute ? '±' : ''}${trigger.level}`;
+        }
+    }
+}
+
+function emergencyStopOf(frame) {
+    const states = frame.states;
+    if (!states || typeof states !== 'object') return undefined;
+    const value = states.emergency_stop !== undefined ? states.emergency_stop : states.es;
+    return value === undefined ? undefined : !!value;
+}
+
+/**
+ * Detektor zbocza dla jednego warunku. Ramki bez kanału są pomijane
+ * (skrócone ramki telemetrii), więc nie gubią poprzedniej wartości.
+ */
+function createDetector(trigger) {
+    let previous;
+    if (trigger.type === 'expression') {
+        const { compiled, forMs } = parseRuleText(trigger.expression);
+        const evaluate = compiled.createEvaluator();
+        const last = {};
+        let since = null;
+        let fired = false;
+        return (frame, time, resolve) => {
+            for (const key of Object.keys(frame)) {
+                if (typeof frame[key] === 'number') last[key] = frame[key];
+            }
+            let value;
+            try { value = evaluate(name => (name in last ? last[name] : resolve(name)), time); } catch (e) { value = NaN; }
+            if (!(Number.isFinite(value) && value !== 0)) {
+                since = null;
+                fired = false;
+                return false;
+            }
+            if (since === null) since = time;
+            if (fired || time - since < forMs) return false;
+            fired = true;
+            return true;
+        };
+    }
+    return (frame) => {
+        let value;
+        if (trigger.type === 'estop') value = emergencyStopOf(frame);
+        else value = frame[trigger.channel];
+        if (value === undefined || value === null || (typeof value === 'number' && Number.isNaN(value))) return false;
+        const before = previous;
+        previous = value;
+        if (before === undefined) return false;
+        if (trigger.type === 'change') return value !== before;
+        if (trigger.type === 'estop') return value && !before;
+        if (typeof value !== 'number' || typeof before !== 'number') return false;
+        const a = trigger.absolute ? Math.abs(before) : before;
+        const b = trigger.absolute ? Math.abs(value) : value;
+        const rising = a < trigger.level && b >= trigger.level;
+        const falling = a > trigger.level && b <= trigger.level;
+        return trigger.edge === 'rising' ? rising : trigger.edge === 'falling' ? falling : rising || falling;
+    };
+}
+
+export class ScopeTrigger {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.trigger] - warunek (normalizeTrigger)
+     * @param {string} [options.mode] - single | normal | auto
+     * @param {number} [options.preMs] - historia przed wyzwoleniem
+     * @param {number} [options.postMs] - czas po wyzwoleniu
+     * @param {number} [options.autoMs] - tryb auto: wymuszenie bez wyzwolenia
+     * @param {(t0: number, t1: number) => Object[]} [options.history] - ramki z przedziału (telemetryStore.frames)
+     * @param {(name: string) => any} [options.resolve] - nazwy spoza telemetrii w wyrażeniach (param.*)
+     */
+    constructor({ trigger = {}, mode = 'normal', preMs = TRIGGER_DEFAULTS.preMs, postMs = TRIGGER_DEFAULTS.postMs,
+        autoMs = TRIGGER_DEFAULTS.autoMs, history = () => [], resolve = () => undefined } = {}) {
+        this.history = history;
+        this.resolve = resolve;
+        this.nextCaptureId = 1;
+        this.state = 'stopped';
+        this.configure({ trigger, mode, preMs, postMs, autoMs });
+    }
+
+    /** Zmiana ustawień zatrzymuje wyzwalanie; rzuca ExpressionError. */
+    configure({ trigger = this.trigger, mode = this.mode, preMs = this.preMs, postMs = this.postMs, autoMs = this.autoMs } = {}) {
+        this.trigger = normalizeTrigger(trigger);
+        this.mode = TRIGGER_MODES.includes(mode) ? mode : 'normal';
+        this.preMs = Math.max(0, Number(preMs) || 0);
+        this.postMs = Math.max(0, Number(postMs) || 0);
+        this.autoMs = Math.max(100, Number(autoMs) || TRIGGER_DEFAULTS.autoMs);
+        this.stop();
+    }
+
+    /** Uzbrojenie: od następnej ramki czekamy na warunek. */
+    arm() {
+        this.detect = createDetector(this.trigger);
+        this.state = 'armed';
+        this.armedAt = null;
+        this.pending = null;
+    }
+
+    stop() {
+        this.state = 'stopped';
+        this.pending = null;
+    }
+
+    /**
+     * @param {Object} frame - ramka telemetrii (z robot_state i states)
+     * @param {number} time - ms
+     * @returns {Object|null} przechwycenie {id, time, t0, t1, trigger, description, forced, frames}
+     */
+    process(frame, time) {
+        if (this.state === 'stopped' || !frame) return null;
+        if (this.state === 'triggered') {
+            // Detektor śledzi wartości także po wyzwoleniu - po ponownym uzbrojeniu porównuje ze świeżą
+            this.detect(frame, time, this.resolve);
+        } else {
+            if (this.armedAt === null) this.armedAt = time;
+            if (this.detect(frame, time, this.resolve)) {
+                this.state = 'triggered';
+                this.pending = { time, forced: false };
+            } else if (this.mode === 'auto' && time - this.armedAt >= this.autoMs) {
+                // Brak wyzwolenia - ostatnie okno, jak przebieg swobodny oscyloskopu
+                return this.complete({ time: time - this.postMs, forced: true });
+            }
+        }
+        if (this.state === 'triggered' && time >= this.pending.time + this.postMs) return this.complete(this.pending);
+        return null;
+    }
+
+    complete({ time, forced }) {
+        const t0 = time - this.preMs;
+        const t1 = time + this.postMs;
+        const capture = {
+            id: this.nextCaptureId++,
+            time,
+            t0,
+            t1,
+            trigger: { ...this.trigger },
+            description: forced ? 'auto (bez wyzwolenia)' : describeTrigger(this.trigger),
+            forced,
+            frames: this.history(t0, t1)
+        };
+        if (this.mode === 'single' && !forced) {
+            this.stop();
+        } else {
+            this.state = 'armed';
+            this.armedAt = null;
+            this.pending = null;
+        }
+        return capture;
+    }
+}
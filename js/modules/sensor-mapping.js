@@ -300,6 +300,15 @@ function gatherModelMappingFromUI() { modelMapping.pitch.source = parseInt(docum
 
 function getActiveSign(containerId) { const c = document.getElementById(containerId); if (!c) return 1; const active = c.querySelector('button.active'); return active ? parseInt(active.dataset.sign) : 1; }
 
+// Mapowanie zgłoszone przez robota (model_mapping) lub przywrócone z kopii konfiguracji
+function setModelMapping(data) {
+    if (!data || !data.pitch || !data.yaw || !data.roll) return;
+    for (const axis of ['pitch', 'yaw', 'roll']) {
+        modelMapping[axis] = { source: parseInt(data[axis].source), sign: parseInt(data[axis].sign) };
+    }
+    updateModelMappingUI();
+}
+
 function resetModelMapping() { modelMapping = { pitch: { source: 0, sign: 1 }, yaw: { source: 1, sign: 1 }, roll: { source: 2, sign: 1 } }; updateModelMappingUI(); }
 
 function applyModelMappingToEuler(e) { // e={pitch,yaw,roll}; zwraca przemapowane
@@ -382,8 +391,6 @@ function setPitchZero() {
     sendBleMessage({ type: 'adjust_zero', value: delta });
     const val = document.getElementById('angleVal');
     if (val) val.textContent = '0.0 °';
-    pitchHistory.push(0);
-    if (pitchHistory.length > HISTORY_LENGTH) pitchHistory.shift();
     updateChart({ pitch: 0 });
     addLogMessage(`[UI] Punkt 0 (Pitch) ustawiony. Delta trim=${delta.toFixed(2)}°.`, 'success');
 }
@@ -428,15 +435,11 @@ function adjustTrim(axis, delta) {
 // ---------------------------------------------------------------------------
 // Convenience references to globals kept in window.*
 // (sendBleMessage, addLogMessage, telemetryData, showNotification,
-//  pitchHistory, HISTORY_LENGTH, updateChart are defined elsewhere in main.js)
+//  updateChart are defined elsewhere in main.js)
 // ---------------------------------------------------------------------------
 const sendBleMessage   = (...a) => window.sendBleMessage(...a);
 const addLogMessage    = (...a) => window.addLogMessage(...a);
 const showNotification = (...a) => window.showNotification(...a);
-// pitchHistory & friends are mutable arrays living on the main scope — access
-// them via window so we always reference the live instance.
-const pitchHistory     = (typeof window !== 'undefined' && window.pitchHistory) || [];
-const HISTORY_LENGTH   = (typeof window !== 'undefined' && window.HISTORY_LENGTH) || 600;
 const updateChart      = (...a) => window.updateChart(...a);
 
 // ---------------------------------------------------------------------------
@@ -444,7 +447,13 @@ const updateChart      = (...a) => window.updateChart(...a);
 // ---------------------------------------------------------------------------
 function initSensorMapping() {
     // --- Model Mapping modal events ---
-    document.getElementById('modelMappingBtn')?.addEventListener('click', () => { openModelMappingModal(); sendBleMessage({ type: 'get_model_mapping' }); });
+    document.getElementById('modelMappingBtn')?.addEventListener('click', () => {
+        if (typeof window.isFirmwareFeatureSupported === 'function' && !window.isFirmwareFeatureSupported('model_mapping')) {
+            addLogMessage('[UI] Podlaczony firmware nie obsluguje mapowania modelu 3D.', 'warn');
+            return;
+        }
+        openModelMappingModal(); sendBleMessage({ type: 'get_model_mapping' });
+    });
     document.getElementById('modelMappingCloseBtn')?.addEventListener('click', () => closeModelMappingModal());
     document.getElementById('modelMappingLoadBtn')?.addEventListener('click', () => { sendBleMessage({ type: 'get_model_mapping' }); });
     document.getElementById('modelMappingSaveBtn')?.addEventListener('click', () => {
@@ -538,6 +547,7 @@ export {
     updateSignSummary,
     gatherModelMappingFromUI,
     getActiveSign,
+    setModelMapping,
     resetModelMapping,
     applyModelMappingToEuler,
     computeEulerFromQuaternion,
@@ -572,6 +582,7 @@ window.updateSignBadge            = updateSignBadge;
 window.updateSignSummary          = updateSignSummary;
 window.gatherModelMappingFromUI   = gatherModelMappingFromUI;
 window.getActiveSign              = getActiveSign;
+window.setModelMapping            = setModelMapping;
 window.resetModelMapping          = resetModelMapping;
 window.applyModelMappingToEuler   = applyModelMappingToEuler;
 window.computeEulerFromQuaternion = computeEulerFromQuaternion;
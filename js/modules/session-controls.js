@@ -0,0 +1,137 @@
+// ========================================================================
+// SESSION CONTROLS - Nagrywanie / odtwarzanie sesji w UI (ES6 Module)
+// ========================================================================
+// Przyciski w pasku logów: nagrywanie sesji do pliku .jsonl oraz
+// odtwarzanie pliku przez ReplayCommunication (1x, szybciej, krokowo).
+// ========================================================================
+
+import { sessionRecorder, parseSessionJsonl } from './session-recorder.mjs';
+import { ReplayCommunication, setCommLayer, commLayer } from './communication.js';
+import { AppState } from './state.js';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+let replayLayer = null;
+let previousLayer = null;
+let recordCounterTimer = null;
+
+function toggleRecording() {
+    const btn = document.getElementById('sessionRecordBtn');
+    if (!sessionRecorder.isRecording) {
+        const device = (commLayer && commLayer.getDeviceName && commLayer.getDeviceName()) || null;
+        sessionRecorder.start({ device });
+        addLogMessage('[UI] Nagrywanie sesji rozpoczete.', 'info');
+        if (btn) { btn.textContent = '⏹ Zatrzymaj (0)'; btn.style.background = '#ff6347'; }
+        recordCounterTimer = setInterval(() => {
+            if (btn) btn.textContent = `⏹ Zatrzymaj (${sessionRecorder.entries.length})`;
+        }, 500);
+        return;
+    }
+    clearInterval(recordCounterTimer);
+    const count = sessionRecorder.stop();
+    if (btn) { btn.textContent = '⏺ Nagraj sesję'; btn.style.background = ''; }
+    downloadSession();
+    addLogMessage(`[UI] Nagrywanie sesji zakonczone (${count} wiadomosci).`, 'success');
+}
+
+function downloadSession() {
+    const blob = new Blob([sessionRecorder.toJsonl()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url;
+    a.download = `robobala_session_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.jsonl`;
+    a.click(); URL.revokeObjectURL(url);
+}
+
+function pickSessionFile() {
+    if (AppState.isConnected) {
+        addLogMessage('[UI] Rozlacz robota przed odtwarzaniem nagranej sesji.', 'warn');
+        return;
+    }
+    const input = document.createElement('input');
+    input.type = 'file'; input.accept = '.jsonl,.json,.txt';
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const session = parseSessionJsonl(event.target.result);
+                if (session.entries.length === 0) { addLogMessage('[UI] Plik sesji nie zawiera wiadomosci.', 'error'); return; }
+                if (session.skipped > 0) addLogMessage(`[UI] Pominieto ${session.skipped} uszkodzonych linii w pliku sesji.`, 'warn');
+                startReplay(session, file.name);
+            } catch (err) {
+                addLogMessage(`[UI] Blad wczytywania sesji: ${err.message}`, 'error');
+            }
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
+
+function startReplay(session, fileName) {
+    const speed = parseFloat(document.getElementById('replaySpeedSelect')?.value) || 1;
+    replayLayer = new ReplayCommunication(session, { speed, onProgress: updateReplayProgress });
+    previousLayer = setCommLayer(replayLayer);
+    addLogMessage(`[UI] Odtwarzanie sesji ${fileName} (${session.entries.length} wiadomosci, ${(replayLayer.player.duration / 1000).toFixed(1)} s)...`, 'info');
+    setReplayControlsVisible(true);
+    window.connectBLE();
+}
+
+async function stopReplay() {
+    if (!replayLayer) return;
+    await replayLayer.disconnect();
+    setCommLayer(previousLayer);
+    replayLayer = null;
+    previousLayer = null;
+    setReplayControlsVisible(false);
+    addLogMessage('[UI] Odtwarzanie sesji zatrzymane.', 'info');
+}
+
+function toggleReplayPause() {
+    if (!replayLayer) return;
+    const player = replayLayer.player;
+    if (player.isPlaying) player.pause();
+    else player.play(parseFloat(document.getElementById('replaySpeedSelect')?.value) || 1);
+    updatePauseButton();
+}
+
+function stepReplay() {
+    if (!replayLayer) return;
+    replayLayer.player.step();
+    updatePauseButton();
+}
+
+function updatePauseButton() {
+    const btn = document.getElementById('replayPauseBtn');
+    if (btn && replayLayer) btn.textContent = replayLayer.player.isPlaying ? '⏸' : '▶';
+}
+
+function updateReplayProgress({ index, total, position, duration }) {
+    const el = document.getElementById('replayProgress');
+    if (el) el.textContent = `${(position / 1000).toFixed(1)} / ${(duration / 1000).toFixed(1)} s (${index}/${total})`;
+    updatePauseButton();
+}
+
+function setReplayControlsVisible(visible) {
+    const controls = document.getElementById('replayControls');
+    if (controls) controls.style.display = visible ? 'flex' : 'none';
+    const replayBtn = document.getElementById('sessionReplayBtn');
+    if (replayBtn) replayBtn.style.display = visible ? 'none' : '';
+}
+
+export function initSessionControls() {
+    document.getElementById('sessionRecordBtn')?.addEventListener('click', toggleRecording);
+    document.getElementById('sessionReplayBtn')?.addEventListener('click', pickSessionFile);
+    document.getElementById('replayPauseBtn')?.addEventListener('click', toggleReplayPause);
+    document.getElementById('replayStepBtn')?.addEventListener('click', stepReplay);
+    document.getElementById('replayStopBtn')?.addEventListener('click', stopReplay);
+    document.getElementById('replaySpeedSelect')?.addEventListener('change', (e) => {
+        if (replayLayer) replayLayer.player.setSpeed(parseFloat(e.target.value) || 1);
+    });
+    // Kliknięcia w kontrolki nie zwijają/rozwijają panelu logów
+    document.getElementById('replayControls')?.addEventListener('click', (e) => e.stopPropagation());
+}
+
+// Window bridge
+window.initSessionControls = initSessionControls;
+window.sessionRecorder = sessionRecorder;
@@ -0,0 +1,438 @@
+// ========================================================================
+// SESSION LIBRARY UI - Automatyczny zapis sesji i przeglądarka (ES6 Module)
+// ========================================================================
+// Każde połączenie z robotem to sesja zapisywana w IndexedDB
+// (session-library.mjs): telemetria ze store, wpisy pushLog, komendy, zmiany
+// parametrów (wysłane i potwierdzone przez robota), historia strojenia
+// i nagrania SysID. Przerwa obsłużona przez auto-reconnect nie zamyka
+// sesji. Przeglądarka: filtr po dacie, robocie i tagu, otwarcie sesji
+// w analizatorze sygnałów i widoku SysID, eksport do JSON i MCAP
+// (session-mcap.mjs, Foxglove Studio), usuwanie. Import MCAP
+// z przycisku analizatora.
+// ========================================================================
+
+import { appStore, AppState } from './state.js';
+import { commLayer, ReplayCommunication, observeOutgoing, reconnectController, getTransportKind } from './communication.js';
+import { telemetryStore } from './telemetry.js';
+import { onLogEntry } from './ui-helpers.js';
+import { loadSysIdRecording } from './sysid.js';
+import {
+    IndexedDbSessionBackend, MemorySessionBackend, SessionWriter, SessionLibrary,
+    telemetryFrames, sessionArchiveFileName
+} from './session-library.mjs';
+import { sessionToMcap, mcapToSession, sessionMcapFileName } from './session-mcap.mjs';
+import { recordingFromFrames } from './recording-overlay.mjs';
+import { addOverlayRecording } from './recording-overlay-ui.js';
+
+function addLogMessage(...args) { return window.addLogMessage(...args); }
+
+// Komendy zmieniające konfigurację robota - trafiają do rekordów 'param'
+const PARAM_MESSAGE_TYPES = new Set([
+    'set_param', 'set_tuning_config_param', 'set_imu_mapping', 'set_model_mapping',
+    'set_fuzzy_rule', 'set_fuzzy_set', 'set_fuzzy_gain', 'set_fuzzy_integral', 'save_tunings'
+]);
+const INCOMING_PARAM_TYPES = new Set(['set_param', 'set_tuning_config_param']);
+// Pozostałe komendy idą do rekordów 'command'; joystick i heartbeat pomijamy (setki na sekundę)
+const SKIPPED_COMMAND_TYPES = new Set(['joystick', 'heartbeat']);
+const IMPORTED_CHANNEL_COLORS = ['#c792ea', '#82aaff', '#f78c6c', '#89ddff', '#ffcb6b', '#c3e88d'];
+const TUNING_POLL_MS = 2000;
+const RECONNECT_POLL_MS = 1000;
+
+let writer = null;
+let library = null;
+let writeErrorReported = false;
+// Ile wpisów window.tuningHistory trafiło już do bieżącej sesji
+let tuningSaved = 0;
+let reconnectWait = null;
+
+function createBackend() {
+    if (typeof indexedDB !== 'undefined') return new IndexedDbSessionBackend(indexedDB);
+    addLogMessage('[Sesje] IndexedDB niedostepne - sesje zapisywane tylko do zamkniecia strony.', 'warn');
+    return new MemorySessionBackend();
+}
+
+function tuningHistory() {
+    return Array.isArray(window.tuningHistory) ? window.tuningHistory : [];
+}
+
+function collectTuningHistory() {
+    const history = tuningHistory();
+    // Historia wyczyszczona w trakcie sesji - liczymy od nowa
+    if (history.length < tuningSaved) tuningSaved = 0;
+    for (; tuningSaved < history.length; tuningSaved++) writer.record('tuning', { ...history[tuningSaved] });
+}
+
+async function startSession() {
+    // Odtwarzana sesja nie jest nowym połączeniem z robotem
+    if (commLayer instanceof ReplayCommunication) return;
+    const caps = appStore.getState('connection.capabilities');
+    tuningSaved = tuningHistory().length;
+    writeErrorReported = false;
+    try {
+        const meta = await writer.start({
+            device: appStore.getState('connection.deviceName') || null,
+            firmware: (caps && caps.firmware) || null,
+            transport: getTransportKind()
+        });
+        addLogMessage(`[Sesje] Zapis sesji ${meta.device || ''} rozpoczety.`, 'info');
+    } catch (error) {
+        addLogMessage(`[Sesje] Nie udalo sie rozpoczac zapisu sesji: ${error.message}`, 'error');
+    }
+    renderStatus();
+}
+
+async function endSession() {
+    if (!writer.active) return;
+    collectTuningHistory();
+    const meta = await writer.stop();
+    const minutes = meta ? ((meta.endedAt - meta.startedAt) / 60000).toFixed(1) : '?';
+    addLogMessage(`[Sesje] Sesja zapisana (${minutes} min).`, 'info');
+    renderStatus();
+    refreshList();
+}
+
+function handleConnectionChange(isConnected) {
+    if (isConnected) {
+        if (reconnectWait) {
+            // Powrót po auto-reconnect - ta sama sesja
+            clearInterval(reconnectWait);
+            reconnectWait = null;
+            if (writer.active) return;
+        }
+        if (!writer.active) startSession();
+        return;
+    }
+    // reconnectController startuje dopiero po ustawieniu isConnected=false
+    setTimeout(() => {
+        if (AppState.isConnected || reconnectWait) return;
+        if (!reconnectController.isActive()) {
+            endSession();
+            return;
+        }
+        reconnectWait = setInterval(() => {
+            if (reconnectController.isActive()) return;
+            clearInterval(reconnectWait);
+            reconnectWait = null;
+            if (!AppState.isConnected) endSession();
+        }, RECONNECT_POLL_MS);
+    }, 0);
+}
+
+function handleDeviceName(name) {
+    // Inny robot bez rozłączenia (np. zmiana transportu) - nowa sesja
+    if (!writer.active || !AppState.isConnected || !name || name === writer.meta.device) return;
+    if (!writer.meta.device) {
+        writer.update({ device: name });
+        return;
+    }
+    endSession().then(startSession);
+}
+
+function setupRecording() {
+    telemetryStore.subscribe((frame, time) => writer.recordTelemetry(frame, time));
+    onLogEntry((entry) => writer.record('log', { t: entry.time, level: entry.level, message: entry.message }));
+    observeOutgoing((message) => {
+        if (SKIPPED_COMMAND_TYPES.has(message.type)) return;
+        const { id, ...record } = message;
+        if (PARAM_MESSAGE_TYPES.has(message.type)) writer.record('param', { dir: 'out', ...record });
+        else writer.record('command', record);
+    });
+    window.addEventListener('ble_message', (event) => {
+        const data = event.detail;
+        if (!data || !INCOMING_PARAM_TYPES.has(data.type)) return;
+        writer.record('param', { dir: 'in', type: data.type, key: data.key, value: data.value });
+    });
+    window.addEventListener('sysid_recorded', (event) => {
+        if (event.detail) writer.record('sysid', event.detail);
+    });
+    setInterval(() => {
+        if (writer.active) collectTuningHistory();
+        renderStatus();
+    }, TUNING_POLL_MS);
+
+    // Zamknięcie karty: dopisujemy to, co czeka w paczce
+    window.addEventListener('pagehide', () => writer.flush());
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') writer.flush();
+    });
+}
+
+function formatDuration(meta) {
+    const end = meta.endedAt || (writer.meta && writer.meta.id === meta.id ? Date.now() : null);
+    if (!end) return '?';
+    const seconds = Math.round((end - meta.startedAt) / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return h > 0 ? `${h}h ${m}min` : `${m}min ${s}s`;
+}
+
+function formatCounts(counts = {}) {
+    const parts = [`${counts.telemetry || 0} ramek`, `${counts.log || 0} logow`];
+    if (counts.command) parts.push(`${counts.command} komend`);
+    if (counts.param) parts.push(`${counts.param} param.`);
+    if (counts.tuning) parts.push(`${counts.tuning} strojen`);
+    if (counts.sysid) parts.push(`${counts.sysid} SysID`);
+    return parts.join(', ');
+}
+
+function renderStatus() {
+    const statusEl = document.getElementById('sessionLibraryStatus');
+    if (!statusEl || !writer) return;
+    if (!writer.active) {
+        statusEl.textContent = 'Brak aktywnej sesji - zapis startuje po polaczeniu z robotem.';
+        statusEl.style.color = '#aaa';
+        return;
+    }
+    const meta = writer.meta;
+    statusEl.textContent = `Zapis: ${meta.device || 'robot'}, ${formatDuration(meta)} - ${formatCounts(meta.counts)}`;
+    statusEl.style.color = reconnectWait ? '#f7b731' : '#a2f279';
+}
+
+function readFilter() {
+    const value = (id) => (document.getElementById(id)?.value || '').trim();
+    const from = value('sessionFilterFrom');
+    const to = value('sessionFilterTo');
+    return {
+        from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+        // Data "do" obejmuje cały dzień
+        to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+        robot: value('sessionFilterRobot'),
+        tag: value('sessionFilterTag')
+    };
+}
+
+function actionButton(label, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.className = 'btn-small';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function refreshList() {
+    const body = document.getElementById('sessionLibraryBody');
+    if (!body || !library) return;
+    let sessions;
+    try {
+        sessions = await library.list(readFilter());
+    } catch (error) {
+        addLogMessage(`[Sesje] Nie udalo sie odczytac biblioteki: ${error.message}`, 'error');
+        return;
+    }
+    body.innerHTML = '';
+    if (sessions.length === 0) {
+        const row = body.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'Brak zapisanych sesji dla tych filtrow.';
+        cell.style.color = '#aaa';
+        return;
+    }
+    for (const meta of sessions) {
+        const isCurrent = writer.active && writer.meta.id === meta.id;
+        const row = body.insertRow();
+        row.insertCell().textContent = new Date(meta.startedAt).toLocaleString();
+        const deviceCell = row.insertCell();
+        deviceCell.textContent = meta.device || '?';
+        deviceCell.title = `firmware ${meta.firmware || '?'}, ${meta.transport || '?'}`;
+        const durationCell = row.insertCell();
+        durationCell.textContent = isCurrent ? `${formatDuration(meta)} (trwa)` : formatDuration(meta);
+        if (isCurrent) durationCell.style.color = '#a2f279';
+        row.insertCell().textContent = formatCounts(meta.counts);
+        row.insertCell().textContent = (meta.tags || []).join(', ');
+
+        const actions = row.insertCell();
+        actions.style.whiteSpace = 'nowrap';
+        actions.appendChild(actionButton('📈', 'Otworz w analizatorze sygnalow', () => openInAnalyzer(meta.id), isCurrent || !meta.counts?.telemetry));
+        actions.appendChild(actionButton('🔀', 'Dodaj do porownania nagran w analizatorze', () => addSessionToOverlay(meta, isCurrent), !meta.counts?.telemetry));
+        for (let i = 0; i < (meta.counts?.sysid || 0); i++) {
+            actions.appendChild(actionButton(`🔬${meta.counts.sysid > 1 ? i + 1 : ''}`, `Otworz nagranie SysID ${i + 1}`, () => openSysId(meta.id, i)));
+        }
+        actions.appendChild(actionButton('🏷️', 'Edytuj tagi', () => editTags(meta)));
+        actions.appendChild(actionButton('💾', 'Eksportuj do JSON', () => exportSession(meta.id, isCurrent)));
+        actions.appendChild(actionButton('📦', 'Eksportuj do MCAP (Foxglove Studio)', () => exportSessionMcap(meta.id, isCurrent)));
+        actions.appendChild(actionButton('🗑️', 'Usun sesje', () => removeSession(meta), isCurrent));
+    }
+}
+
+function canOpenInAnalyzer() {
+    if (!AppState.isConnected) return true;
+    addLogMessage('[Sesje] Rozlacz robota przed otwarciem zapisanej sesji w analizatorze.', 'warn');
+    return false;
+}
+
+// Podmienia zawartość telemetryStore i pokazuje całą sesję na wykresie
+function showInAnalyzer(frames) {
+    telemetryStore.clear();
+    for (const { time, frame } of frames) telemetryStore.push(frame, time);
+
+    const select = document.getElementById('signalWindowSelect');
+    if (select) {
+        select.value = '0';
+        select.dispatchEvent(new Event('change'));
+    } else if (typeof window.renderSignalChart === 'function') {
+        window.renderSignalChart();
+    }
+    document.getElementById('analyzer-card')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function openInAnalyzer(id) {
+    if (!canOpenInAnalyzer()) return;
+    const session = await library.load(id);
+    if (!session) return;
+    showInAnalyzer(telemetryFrames(session.telemetry));
+    addLogMessage(`[Sesje] Otwarto sesje ${session.meta.device || ''} w analizatorze (${telemetryStore.length} ramek).`, 'success');
+}
+
+// Kanały z obcych tematów MCAP (np. imu_data_ax) do wyboru na wykresie
+function registerImportedChannels() {
+    let added = 0;
+    for (const name of telemetryStore.channelNames()) {
+        if (availableTelemetry[name]) continue;
+        availableTelemetry[name] = { label: `📂 ${name}`, color: IMPORTED_CHANNEL_COLORS[added++ % IMPORTED_CHANNEL_COLORS.length], imported: true };
+    }
+    if (added > 0 && typeof window.setupSignalChartControls === 'function') window.setupSignalChartControls();
+}
+
+async function importMcap(file) {
+    if (!file || !canOpenInAnalyzer()) return;
+    let session;
+    try {
+        session = mcapToSession(new Uint8Array(await file.arrayBuffer()));
+    } catch (error) {
+        addLogMessage(`[Sesje] Nie udalo sie wczytac ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+    if (session.frames.length === 0) {
+        addLogMessage(`[Sesje] ${file.name} nie zawiera telemetrii JSON.`, 'warn');
+        return;
+    }
+    showInAnalyzer(session.frames);
+    registerImportedChannels();
+    const extras = [
+        session.logs.length ? `${session.logs.length} logow` : '',
+        session.commands.length ? `${session.commands.length} komend` : '',
+        session.params.length ? `${session.params.length} zmian param.` : ''
+    ].filter(Boolean).join(', ');
+    addLogMessage(`[Sesje] Wczytano ${file.name} do analizatora (${telemetryStore.length} ramek${extras ? `; ${extras}` : ''}).`, 'success');
+    if (session.skippedTopics.length > 0) {
+        addLogMessage(`[Sesje] Pominieto tematy bez danych JSON: ${session.skippedTopics.join(', ')}`, 'warn');
+    }
+    // Ostatnie nagranie SysID z pliku - od razu w widoku SysID
+    const recording = session.sysid[session.sysid.length - 1];
+    if (recording && Array.isArray(recording.data)) loadSysIdRecording(recording);
+}
+
+// Telemetria sesji jako nagranie w panelu porównania analizatora
+async function addSessionToOverlay(meta, isCurrent) {
+    try {
+        if (isCurrent) await writer.flush();
+        const session = await library.load(meta.id);
+        if (!session) return;
+        const tags = (meta.tags || []).length > 0 ? ` [${meta.tags.join(', ')}]` : '';
+        const name = `${meta.device || 'robot'} ${new Date(meta.startedAt).toLocaleString()}${tags}`;
+        if (addOverlayRecording(recordingFromFrames(telemetryFrames(session.telemetry), name))) {
+            document.getElementById('overlayPanel')?.scrollIntoView({ behavior: 'smooth' });
+        }
+    } catch (error) {
+        addLogMessage(`[Sesje] Nie udalo sie dodac sesji do porownania: ${error.message}`, 'error');
+    }
+}
+
+async function openSysId(id, index) {
+    const session = await library.load(id);
+    const recording = session && session.sysid[index];
+    if (!recording) return;
+    loadSysIdRecording(recording);
+    document.getElementById('sysid-content')?.scrollIntoView({ behavior: 'smooth' });
+    addLogMessage(`[Sesje] Wczytano nagranie SysID (${recording.testType}, ${recording.data.length} probek).`, 'success');
+}
+
+async function editTags(meta) {
+    const input = prompt('Tagi sesji (oddzielone przecinkami):', (meta.tags || []).join(', '));
+    if (input === null) return;
+    // Bieżąca sesja: tagi w pisarzu, inaczej nadpisałby je przy następnym zapisie
+    if (writer.active && writer.meta.id === meta.id) {
+        writer.update({ tags: (await library.setTags(meta.id, input))?.tags || [] });
+    } else {
+        await library.setTags(meta.id, input);
+    }
+    refreshList();
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = fileName; a.click(); URL.revokeObjectURL(url);
+}
+
+async function exportSession(id, isCurrent) {
+    try {
+        if (isCurrent) await writer.flush();
+        const archive = await library.exportArchive(id);
+        if (!archive) return;
+        const fileName = sessionArchiveFileName(archive.session);
+        downloadBlob(new Blob([JSON.stringify(archive)], { type: 'application/json' }), fileName);
+        addLogMessage(`[Sesje] Wyeksportowano ${fileName}.`, 'success');
+    } catch (error) {
+        addLogMessage(`[Sesje] Eksport nieudany: ${error.message}`, 'error');
+    }
+}
+
+async function exportSessionMcap(id, isCurrent) {
+    try {
+        if (isCurrent) await writer.flush();
+        const session = await library.load(id);
+        if (!session) return;
+        const fileName = sessionMcapFileName(session.meta);
+        downloadBlob(new Blob([sessionToMcap(session)], { type: 'application/octet-stream' }), fileName);
+        addLogMessage(`[Sesje] Wyeksportowano ${fileName}.`, 'success');
+    } catch (error) {
+        addLogMessage(`[Sesje] Eksport MCAP nieudany: ${error.message}`, 'error');
+    }
+}
+
+async function removeSession(meta) {
+    if (!confirm(`Usunac sesje ${meta.device || ''} z ${new Date(meta.startedAt).toLocaleString()}?`)) return;
+    await library.remove(meta.id);
+    addLogMessage('[Sesje] Sesja usunieta.', 'info');
+    refreshList();
+}
+
+export function initSessionLibraryUI() {
+    const backend = createBackend();
+    library = new SessionLibrary(backend);
+    writer = new SessionWriter(backend, {
+        onError: (error) => {
+            if (writeErrorReported) return;
+            writeErrorReported = true;
+            addLogMessage(`[Sesje] Blad zapisu sesji: ${error.message}`, 'error');
+        }
+    });
+    setupRecording();
+
+    appStore.subscribe('connection.isConnected', handleConnectionChange);
+    appStore.subscribe('connection.deviceName', handleDeviceName);
+    appStore.subscribe('connection.capabilities', (caps) => {
+        if (caps && caps.firmware) writer.update({ firmware: caps.firmware });
+    });
+    if (AppState.isConnected) startSession();
+
+    document.getElementById('sessionLibraryRefreshBtn')?.addEventListener('click', refreshList);
+    const mcapInput = document.getElementById('importMcapInput');
+    document.getElementById('importMcapBtn')?.addEventListener('click', () => mcapInput?.click());
+    mcapInput?.addEventListener('change', () => {
+        importMcap(mcapInput.files[0]);
+        mcapInput.value = '';
+    });
+    for (const id of ['sessionFilterFrom', 'sessionFilterTo']) {
+        document.getElementById(id)?.addEventListener('change', refreshList);
+    }
+    renderStatus();
+    refreshList();
+}
+
+window.initSessionLibraryUI = initSessionLibraryUI;
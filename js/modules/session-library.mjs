@@ -0,0 +1,442 @@
+// ========================================================================
+// SESSION LIBRARY - Automatyczny zapis sesji połączenia (ES6 Module)
+// ========================================================================
+// Każde połączenie z robotem to sesja: telemetria, logi UI, komendy,
+// zmiany parametrów, wyniki strojenia i nagrania SysID. SessionWriter zbiera
+// rekordy w pamięci i co kilka sekund dopisuje je paczkami (chunk) do
+// magazynu - w przeglądarce IndexedDB, w testach / bez IndexedDB pamięć.
+// Telemetria w paczce jest kolumnowa (Float64Array czasu + Float32Array
+// na kanał), więc godziny danych nie puchną do milionów obiektów.
+// SessionLibrary: lista z filtrami (data, robot, tagi), odczyt, eksport
+// do JSON i usuwanie. Moduł bez DOM (testy w Node).
+//
+// Magazyn (IndexedDB 'robobala-sessions'):
+//   sessions: { id, startedAt, endedAt, device, firmware, transport, tags[], counts{}, channels[] }
+//   chunks:   { sessionId, seq, kind: 'telemetry'|'log'|'command'|'param'|'tuning'|'sysid', records | time+channels }
+// ========================================================================
+
+export const SESSION_DB_NAME = 'robobala-sessions';
+export const SESSION_DB_VERSION = 1;
+export const SESSION_FLUSH_INTERVAL_MS = 5000;
+export const SESSION_ARCHIVE_FORMAT = 'robobala-session-archive';
+export const SESSION_ARCHIVE_VERSION = 1;
+export const SESSION_RECORD_KINDS = ['telemetry', 'log', 'command', 'param', 'tuning', 'sysid'];
+
+// ------------------------------------------------------------------------
+// Magazyny
+// ------------------------------------------------------------------------
+
+/**
+ * Magazyn w pamięci - testy i przeglądarki bez IndexedDB (tryb prywatny).
+ * Ten sam interfejs co IndexedDbSessionBackend.
+ */
+export class MemorySessionBackend {
+    constructor() {
+        this.sessions = new Map();
+        this.chunks = new Map();
+    }
+
+    async putSession(meta) {
+        this.sessions.set(meta.id, structuredClone(meta));
+    }
+
+    async getSession(id) {
+        const meta = this.sessions.get(id);
+        return meta ? structuredClone(meta) : null;
+    }
+
+    async listSessions() {
+        return [...this.sessions.values()].map(meta => structuredClone(meta));
+    }
+
+    async addChunk(chunk) {
+        if (!this.chunks.has(chunk.sessionId)) this.chunks.set(chunk.sessionId, []);
+        this.chunks.get(chunk.sessionId).push(structuredClone(chunk));
+    }
+
+    async getChunks(sessionId) {
+        return (this.chunks.get(sessionId) || []).map(chunk => structuredClone(chunk));
+    }
+
+    async deleteSession(id) {
+        this.sessions.delete(id);
+        this.chunks.delete(id);
+    }
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('transakcja IndexedDB przerwana'));
+    });
+}
+
+/**
+ * Magazyn IndexedDB. `indexedDB` przekazywany z zewnątrz (window.indexedDB),
+ * dzięki czemu moduł nie zależy od przeglądarki.
+ */
+export class IndexedDbSessionBackend {
+    constructor(indexedDB, { name = SESSION_DB_NAME } = {}) {
+        this.indexedDB = indexedDB;
+        this.name = name;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = this.indexedDB.open(this.name, SESSION_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('chunks')) {
+                    const chunks = db.createObjectStore('chunks', { autoIncrement: true });
+                    chunks.createIndex('sessionId', 'sessionId');
+                }
+            };
+            this.dbPromise = requestToPromise(request);
+        }
+        return this.dbPromise;
+    }
+
+    async putSession(meta) {
+        const tx = (await this.open()).transaction('sessions', 'readwrite');
+        tx.objectStore('sessions').put(meta);
+        await transactionDone(tx);
+    }
+
+    async getSession(id) {
+        const tx = (await this.open()).transaction('sessions', 'readonly');
+        return (await requestToPromise(tx.objectStore('sessions').get(id))) || null;
+    }
+
+    async listSessions() {
+        const tx = (await this.open()).transaction('sessions', 'readonly');
+        return requestToPromise(tx.objectStore('sessions').getAll());
+    }
+
+    async addChunk(chunk) {
+        const tx = (await this.open()).transaction('chunks', 'readwrite');
+        tx.objectStore('chunks').add(chunk);
+        await transactionDone(tx);
+    }
+
+    async getChunks(sessionId) {
+        const tx = (await this.open()).transaction('chunks', 'readonly');
+        return requestToPromise(tx.objectStore('chunks').index('sessionId').getAll(sessionId));
+    }
+
+    async deleteSession(id) {
+        const tx = (await this.open()).transaction(['sessions', 'chunks'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+        const keys = await requestToPromise(tx.objectStore('chunks').index('sessionId').getAllKeys(id));
+        for (const key of keys) tx.objectStore('chunks').delete(key);
+        await transactionDone(tx);
+    }
+}
+
+// ------------------------------------------------------------------------
+// Zapis sesji
+// ------------------------------------------------------------------------
+
+function emptyCounts() {
+    return Object.fromEntries(SESSION_RECORD_KINDS.map(kind => [kind, 0]));
+}
+
+// Ramki telemetrii -> kolumny; brak kanału w ramce = NaN
+function toTelemetryColumns(frames) {
+    const names = [];
+    for (const { frame } of frames) {
+        for (const key of Object.keys(frame)) {
+            if (typeof frame[key] === 'number' && !names.includes(key)) names.push(key);
+        }
+    }
+    const time = Float64Array.from(frames, f => f.time);
+    const channels = {};
+    for (const name of names) {
+        channels[name] = Float32Array.from(frames, ({ frame }) => (typeof frame[name] === 'number' ? frame[name] : NaN));
+    }
+    return { time, channels };
+}
+
+/**
+ * Zapis bieżącej sesji. Rekordy trafiają do magazynu paczkami co
+ * `flushIntervalMs` (timer startuje przy pierwszym rekordzie po zapisie),
+ * a na stop() - natychmiast.
+ */
+export class SessionWriter {
+    /**
+     * @param {Object} backend - MemorySessionBackend / IndexedDbSessionBackend
+     * @param {Object} [options]
+     * @param {number} [options.flushIntervalMs]
+     * @param {() => number} [options.now] - zegar w ms (testy)
+     * @param {{setTimeout: Function, clearTimeout: Function}} [options.timers]
+     * @param {(error: Error) => void} [options.onError] - błąd zapisu (np. brak miejsca)
+     */
+    constructor(backend, { flushIntervalMs = SESSION_FLUSH_INTERVAL_MS, now = () => Date.now(), timers = null, onError = null } = {}) {
+        this.backend = backend;
+        this.flushIntervalMs = flushIntervalMs;
+        this.now = now;
+        this.timers = timers || { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) };
+        this.onError = onError;
+        this.meta = null;
+        this.pending = null;
+        this.seq = 0;
+        this.timer = null;
+        // Zapisy idą po kolei - paczki nie mogą się wyprzedzać
+        this.writing = Promise.resolve();
+    }
+
+    get active() { return this.meta !== null; }
+
+    /**
+     * @param {Object} [info] - { device, firmware, transport, tags }
+     * @returns {Promise<Object>} metadane nowej sesji
+     */
+    async start({ device = null, firmware = null, transport = null, tags = [] } = {}) {
+        if (this.active) await this.stop();
+        const startedAt = this.now();
+        this.meta = {
+            id: `${startedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            startedAt,
+            endedAt: null,
+            device,
+            firmware,
+            transport,
+            tags: normalizeTags(tags),
+            counts: emptyCounts(),
+            channels: []
+        };
+        this.pending = Object.fromEntries(SESSION_RECORD_KINDS.map(kind => [kind, []]));
+        this.seq = 0;
+        await this.enqueueWrite(meta => this.backend.putSession(meta));
+        return { ...this.meta };
+    }
+
+    /** Uzupełnia metadane (np. wersja firmware znana dopiero po hello). */
+    update(fields) {
+        if (!this.active) return;
+        Object.assign(this.meta, fields);
+        this.scheduleFlush();
+    }
+
+    recordTelemetry(frame, time = this.now()) {
+        if (!this.active || !frame) return;
+        this.pending.telemetry.push({ time, frame });
+        this.meta.counts.telemetry++;
+        this.scheduleFlush();
+    }
+
+    /**
+     * @param {'log'|'command'|'param'|'tuning'|'sysid'} kind
+     * @param {Object} record - dostaje znacznik czasu `t`, jeśli go nie ma
+     */
+    record(kind, record) {
+        if (!this.active || !this.pending[kind] || kind === 'telemetry') return;
+        this.pending[kind].push({ t: this.now(), ...record });
+        this.meta.counts[kind]++;
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.timer !== null) return;
+        this.timer = this.timers.setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.flushIntervalMs);
+    }
+
+    /** Zapisuje zebrane rekordy i metadane. */
+    flush() {
+        if (!this.active) return this.writing;
+        if (this.timer !== null) this.timers.clearTimeout(this.timer);
+        this.timer = null;
+        const sessionId = this.meta.id;
+        const chunks = [];
+        for (const kind of SESSION_RECORD_KINDS) {
+            const records = this.pending[kind];
+            if (records.length === 0) continue;
+            this.pending[kind] = [];
+            if (kind === 'telemetry') {
+                const columns = toTelemetryColumns(records);
+                for (const name of Object.keys(columns.channels)) {
+                    if (!this.meta.channels.includes(name)) this.meta.channels.push(name);
+                }
+                chunks.push({ sessionId, seq: this.seq++, kind, ...columns });
+            } else {
+                chunks.push({ sessionId, seq: this.seq++, kind, records });
+            }
+        }
+        return this.enqueueWrite(async (meta) => {
+            for (const chunk of chunks) await this.backend.addChunk(chunk);
+            await this.backend.putSession(meta);
+        });
+    }
+
+    /** Kończy sesję: endedAt i ostatni zapis. */
+    async stop() {
+        if (!this.active) return null;
+        this.meta.endedAt = this.now();
+        const done = this.flush();
+        const meta = { ...this.meta };
+        this.meta = null;
+        this.pending = null;
+        await done;
+        return meta;
+    }
+
+    // Kopia metadanych z chwili zlecenia zapisu
+    enqueueWrite(write) {
+        const meta = structuredClone(this.meta);
+        this.writing = this.writing.then(() => write(meta)).catch((error) => {
+            if (this.onError) this.onError(error);
+            else console.error('Session write error:', error);
+        });
+        return this.writing;
+    }
+}
+
+// ------------------------------------------------------------------------
+// Odczyt, wyszukiwanie, eksport
+// ------------------------------------------------------------------------
+
+/**
+ * Tagi z tekstu "strojenie, test 2" lub tablicy: przycięte, bez pustych
+ * i bez duplikatów (wielkość liter bez znaczenia).
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+        const tag = String(raw).trim();
+        if (!tag || seen.has(tag.toLowerCase())) continue;
+        seen.add(tag.toLowerCase());
+        out.push(tag);
+    }
+    return out;
+}
+
+/**
+ * Filtr listy sesji; wynik od najnowszej.
+ * @param {Object[]} sessions - metadane
+ * @param {Object} [filter]
+ * @param {number} [filter.from] - początek dnia / chwila w ms (startedAt >= from)
+ * @param {number} [filter.to] - startedAt <= to
+ * @param {string} [filter.robot] - fragment nazwy robota
+ * @param {string} [filter.tag] - fragment jednego z tagów
+ */
+export function filterSessions(sessions, { from = null, to = null, robot = '', tag = '' } = {}) {
+    const robotQuery = String(robot || '').trim().toLowerCase();
+    const tagQuery = String(tag || '').trim().toLowerCase();
+    return sessions
+        .filter(s => from === null || s.startedAt >= from)
+        .filter(s => to === null || s.startedAt <= to)
+        .filter(s => !robotQuery || String(s.device || '').toLowerCase().includes(robotQuery))
+        .filter(s => !tagQuery || (s.tags || []).some(t => t.toLowerCase().includes(tagQuery)))
+        .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Ramki telemetrii z paczek kolumnowych (kolejność zapisu), bez NaN.
+ * @returns {Generator<{time: number, frame: Object}>}
+ */
+export function* telemetryFrames(chunks) {
+    for (const chunk of chunks) {
+        if (chunk.kind !== 'telemetry') continue;
+        const names = Object.keys(chunk.channels);
+        for (let i = 0; i < chunk.time.length; i++) {
+            const frame = {};
+            for (const name of names) {
+                const value = chunk.channels[name][i];
+                if (!Number.isNaN(value)) frame[name] = value;
+            }
+            yield { time: chunk.time[i], frame };
+        }
+    }
+}
+
+export class SessionLibrary {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    async list(filter = {}) {
+        return filterSessions(await this.backend.listSessions(), filter);
+    }
+
+    /**
+     * Cała sesja: metadane, paczki telemetrii (do telemetryFrames) i rekordy pozostałych rodzajów.
+     * @returns {Promise<{meta: Object, telemetry: Object[], logs: Object[], commands: Object[], params: Object[], tuning: Object[], sysid: Object[]}|null>}
+     */
+    async load(id) {
+        const meta = await this.backend.getSession(id);
+        if (!meta) return null;
+        const chunks = (await this.backend.getChunks(id)).sort((a, b) => a.seq - b.seq);
+        const recordsOf = (kind) => chunks.filter(c => c.kind === kind).flatMap(c => c.records);
+        return {
+            meta,
+            telemetry: chunks.filter(c => c.kind === 'telemetry'),
+            logs: recordsOf('log'),
+            commands: recordsOf('command'),
+            params: recordsOf('param'),
+            tuning: recordsOf('tuning'),
+            sysid: recordsOf('sysid')
+        };
+    }
+
+    async setTags(id, tags) {
+        const meta = await this.backend.getSession(id);
+        if (!meta) return null;
+        meta.tags = normalizeTags(tags);
+        await this.backend.putSession(meta);
+        return meta;
+    }
+
+    remove(id) {
+        return this.backend.deleteSession(id);
+    }
+
+    /** Archiwum JSON sesji (telemetria jako tablice, NaN -> null). */
+    async exportArchive(id) {
+        const session = await this.load(id);
+        if (!session) return null;
+        const time = [];
+        const channels = Object.fromEntries(session.meta.channels.map(name => [name, []]));
+        for (const chunk of session.telemetry) {
+            const offset = time.length;
+            time.push(...chunk.time);
+            for (const name of Object.keys(channels)) {
+                const values = chunk.channels[name];
+                channels[name].length = time.length;
+                for (let i = 0; i < chunk.time.length; i++) {
+                    channels[name][offset + i] = values && !Number.isNaN(values[i]) ? values[i] : null;
+                }
+            }
+        }
+        return {
+            format: SESSION_ARCHIVE_FORMAT,
+            version: SESSION_ARCHIVE_VERSION,
+            session: session.meta,
+            telemetry: { time, channels },
+            logs: session.logs,
+            commands: session.commands,
+            params: session.params,
+            tuning: session.tuning,
+            sysid: session.sysid
+        };
+    }
+}
+
+export function sessionArchiveFileName(meta) {
+    const device = String(meta.device || 'robot').replace(/[^A-Za-z0-9_-]+/g, '_');
+    const stamp = new Date(meta.startedAt).toISOString().slice(0, 19).replace(/:/g, '-');
+    return `robobala-session-${device}-${stamp}.json`;
+}
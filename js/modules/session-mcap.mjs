@@ -0,0 +1,247 @@
+// ========================================================================
+// SESSION MCAP - Sesje RoboBala <-> MCAP (ES6 Module)
+// ========================================================================
+// Eksport całej sesji (session-library.mjs) do MCAP z kanałami JSON
+// i schematami JSON Schema - plik otwiera się w Foxglove Studio
+// i w bibliotece `mcap` w Pythonie. Tematy:
+//   /telemetry  robobala.Telemetry   - ramka telemetrii (pola liczbowe)
+//   /log        foxglove.Log         - wpisy logu UI
+//   /commands   robobala.Command     - komendy wysłane do robota
+//   /params     robobala.ParamChange - zmiany parametrów (dir: out / in)
+//   /tuning     robobala.TuningResult
+//   /sysid      robobala.SysIdRecording
+// Metadane sesji w rekordzie Metadata 'robobala.session'.
+// Import: pliki RoboBala wracają jako sesja; z obcych plików MCAP
+// (JSON) liczbowe pola wiadomości trafiają do telemetrii jako
+// <temat>_<pole>. Moduł bez DOM (testy w Node).
+// ========================================================================
+
+import { McapWriter, McapError, readMcap } from './mcap.mjs';
+import { sessionArchiveFileName, telemetryFrames } from './session-library.mjs';
+
+export const SESSION_MCAP_METADATA = 'robobala.session';
+export const SESSION_MCAP_TOPICS = {
+    telemetry: '/telemetry',
+    log: '/log',
+    command: '/commands',
+    param: '/params',
+    tuning: '/tuning',
+    sysid: '/sysid'
+};
+
+// Poziomy foxglove.Log: 1 DEBUG, 2 INFO, 3 WARNING, 4 ERROR, 5 FATAL
+const LOG_LEVELS = { debug: 1, info: 2, success: 2, warn: 3, error: 4 };
+const LOG_LEVEL_NAMES = { 1: 'debug', 2: 'info', 3: 'warn', 4: 'error', 5: 'error' };
+
+const TIME_SCHEMA = {
+    type: 'object',
+    properties: { sec: { type: 'integer', minimum: 0 }, nsec: { type: 'integer', minimum: 0, maximum: 999999999 } }
+};
+
+const RECORD_SCHEMAS = {
+    log: {
+        name: 'foxglove.Log',
+        schema: {
+            title: 'foxglove.Log',
+            type: 'object',
+            properties: {
+                timestamp: TIME_SCHEMA,
+                level: { type: 'integer', enum: [0, 1, 2, 3, 4, 5] },
+                message: { type: 'string' },
+                name: { type: 'string' },
+                file: { type: 'string' },
+                line: { type: 'integer', minimum: 0 }
+            }
+        }
+    },
+    command: {
+        name: 'robobala.Command',
+        schema: { title: 'robobala.Command', type: 'object', properties: { t: { type: 'number' }, type: { type: 'string' } }, additionalProperties: true }
+    },
+    param: {
+        name: 'robobala.ParamChange',
+        schema: {
+            title: 'robobala.ParamChange',
+            type: 'object',
+            properties: { t: { type: 'number' }, dir: { type: 'string', enum: ['out', 'in'] }, type: { type: 'string' }, key: { type: 'string' }, value: {} },
+            additionalProperties: true
+        }
+    },
+    tuning: {
+        name: 'robobala.TuningResult',
+        schema: { title: 'robobala.TuningResult', type: 'object', properties: { t: { type: 'number' } }, additionalProperties: true }
+    },
+    sysid: {
+        name: 'robobala.SysIdRecording',
+        schema: {
+            title: 'robobala.SysIdRecording',
+            type: 'object',
+            properties: { t: { type: 'number' }, testType: { type: 'string' }, data: { type: 'array', items: { type: 'object' } } },
+            additionalProperties: true
+        }
+    }
+};
+
+const SESSION_KEYS = { log: 'logs', command: 'commands', param: 'params', tuning: 'tuning', sysid: 'sysid' };
+
+function toNanoseconds(ms) {
+    return BigInt(Math.round(ms * 1000)) * 1000n;
+}
+
+function toMilliseconds(ns) {
+    return Number(ns / 1000n) / 1000;
+}
+
+function logMessage(record) {
+    const ns = toNanoseconds(record.t);
+    return {
+        timestamp: { sec: Number(ns / 1000000000n), nsec: Number(ns % 1000000000n) },
+        level: LOG_LEVELS[record.level] ?? 2,
+        message: String(record.message ?? ''),
+        name: 'robobala.ui',
+        file: '',
+        line: 0
+    };
+}
+
+/**
+ * Sesja z SessionLibrary.load() -> bajty pliku MCAP.
+ * @param {{meta: Object, telemetry: Object[], logs?: Object[], commands?: Object[], params?: Object[], tuning?: Object[], sysid?: Object[]}} session
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize]
+ * @returns {Uint8Array}
+ */
+export function sessionToMcap(session, { chunkSize } = {}) {
+    const { meta } = session;
+    const writer = new McapWriter({ library: 'robobala-web', chunkSize });
+    writer.start();
+
+    // Wszystkie wiadomości w kolejności czasu (telemetria jest już posortowana)
+    const messages = [];
+    const channels = meta.channels || [];
+    const telemetrySchema = writer.registerSchema({
+        name: 'robobala.Telemetry',
+        encoding: 'jsonschema',
+        data: JSON.stringify({
+            title: 'robobala.Telemetry',
+            type: 'object',
+            properties: Object.fromEntries(channels.map(name => [name, { type: 'number' }]))
+        })
+    });
+    const telemetryChannel = writer.registerChannel({
+        topic: SESSION_MCAP_TOPICS.telemetry, messageEncoding: 'json', schemaId: telemetrySchema, metadata: { device: String(meta.device || '') }
+    });
+    for (const { time, frame } of telemetryFrames(session.telemetry || [])) {
+        messages.push({ channelId: telemetryChannel, time, data: frame });
+    }
+
+    for (const [kind, key] of Object.entries(SESSION_KEYS)) {
+        const records = session[key] || [];
+        if (records.length === 0) continue;
+        const { name, schema } = RECORD_SCHEMAS[kind];
+        const schemaId = writer.registerSchema({ name, encoding: 'jsonschema', data: JSON.stringify(schema) });
+        const channelId = writer.registerChannel({ topic: SESSION_MCAP_TOPICS[kind], messageEncoding: 'json', schemaId });
+        for (const record of records) {
+            messages.push({ channelId, time: record.t, data: kind === 'log' ? logMessage(record) : record });
+        }
+    }
+
+    messages.sort((a, b) => a.time - b.time);
+    const sequences = new Map();
+    for (const message of messages) {
+        const sequence = sequences.get(message.channelId) || 0;
+        sequences.set(message.channelId, sequence + 1);
+        const logTime = toNanoseconds(message.time);
+        writer.addMessage({ channelId: message.channelId, sequence, logTime, publishTime: logTime, data: JSON.stringify(message.data) });
+    }
+
+    writer.addMetadata({
+        name: SESSION_MCAP_METADATA,
+        metadata: {
+            id: String(meta.id ?? ''),
+            device: String(meta.device || ''),
+            firmware: String(meta.firmware || ''),
+            transport: String(meta.transport || ''),
+            tags: JSON.stringify(meta.tags || []),
+            startedAt: new Date(meta.startedAt).toISOString(),
+            endedAt: meta.endedAt ? new Date(meta.endedAt).toISOString() : ''
+        }
+    });
+    return writer.end();
+}
+
+// Nazwa tematu jako przedrostek kanału telemetrii: "/imu/data" -> "imu_data"
+function topicPrefix(topic) {
+    return topic.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'topic';
+}
+
+/**
+ * Bajty MCAP -> sesja do analizatora. Rzuca McapError.
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {{meta: Object, frames: {time: number, frame: Object}[], logs: Object[], commands: Object[], params: Object[], tuning: Object[], sysid: Object[], skippedTopics: string[]}}
+ *   czasy w ms
+ */
+export function mcapToSession(bytes) {
+    const file = readMcap(bytes);
+    const out = { meta: null, frames: [], logs: [], commands: [], params: [], tuning: [], sysid: [], skippedTopics: [] };
+    const kindByTopic = Object.fromEntries(Object.entries(SESSION_MCAP_TOPICS).map(([kind, topic]) => [topic, kind]));
+    const skipped = new Set();
+
+    for (const message of file.messages) {
+        const channel = file.channels.get(message.channelId);
+        if (!channel) continue;
+        if (channel.messageEncoding !== 'json') {
+            skipped.add(channel.topic);
+            continue;
+        }
+        let data;
+        try {
+            data = JSON.parse(new TextDecoder().decode(message.data));
+        } catch (error) {
+            throw new McapError(`Niepoprawny JSON w temacie ${channel.topic}`);
+        }
+        const time = toMilliseconds(message.logTime);
+        const kind = kindByTopic[channel.topic];
+        if (kind === 'telemetry') {
+            const frame = {};
+            for (const [key, value] of Object.entries(data || {})) {
+                if (typeof value === 'number') frame[key] = value;
+            }
+            out.frames.push({ time, frame });
+        } else if (kind === 'log') {
+            out.logs.push({ t: time, level: LOG_LEVEL_NAMES[data.level] || 'info', message: String(data.message ?? '') });
+        } else if (kind) {
+            out[SESSION_KEYS[kind]].push({ ...data, t: typeof data.t === 'number' ? data.t : time });
+        } else {
+            // Obcy temat: pola liczbowe najwyższego poziomu jako kanały telemetrii
+            const prefix = topicPrefix(channel.topic);
+            const frame = {};
+            for (const [key, value] of Object.entries(data || {})) {
+                if (typeof value === 'number') frame[`${prefix}_${key}`] = value;
+            }
+            if (Object.keys(frame).length > 0) out.frames.push({ time, frame });
+            else skipped.add(channel.topic);
+        }
+    }
+    out.skippedTopics = [...skipped];
+
+    const stored = file.metadata.find(m => m.name === SESSION_MCAP_METADATA)?.metadata;
+    const times = out.frames.map(f => f.time);
+    const startedAt = stored?.startedAt ? Date.parse(stored.startedAt) : (times.length ? times[0] : 0);
+    let tags = [];
+    try { tags = stored?.tags ? JSON.parse(stored.tags) : []; } catch (e) { tags = []; }
+    out.meta = {
+        id: stored?.id || null,
+        device: stored?.device || file.library || '',
+        firmware: stored?.firmware || '',
+        transport: stored?.transport || 'mcap',
+        tags,
+        startedAt,
+        endedAt: stored?.endedAt ? Date.parse(stored.endedAt) : (times.length ? times[times.length - 1] : startedAt)
+    };
+    return out;
+}
+
+export function sessionMcapFileName(meta) {
+    return sessionArchiveFileName(meta).replace(/\.json$/, '.mcap');
+}
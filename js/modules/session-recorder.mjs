@@ -0,0 +1,200 @@
+// ========================================================================
+// SESSION RECORDER - Nagrywanie i odtwarzanie sesji komunikacji (ES6 Module)
+// ========================================================================
+// Każda wiadomość przychodząca (notifyHandlers) i wychodząca (sendBleMessage)
+// trafia do pliku .jsonl ze znacznikiem czasu. SessionPlayer odtwarza taki
+// plik w tempie 1x, przyspieszonym lub krok po kroku — używany przez
+// ReplayCommunication w communication.js. Moduł bez DOM (testy w Node).
+//
+// Format pliku (jedna wiadomość JSON na linię):
+//   {"kind":"header","format":"robobala-session","version":1,"startedAt":"...","device":"..."}
+//   {"t":123.4,"dir":"in","msg":{"type":"telemetry",...}}
+//   {"t":130.0,"dir":"out","msg":{"type":"joystick",...}}
+// ========================================================================
+
+export const SESSION_FORMAT = 'robobala-session';
+export const SESSION_VERSION = 1;
+
+function nowMs() {
+    return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+}
+
+/**
+ * Rejestrator sesji. `record()` jest tanie, gdy nagrywanie jest wyłączone.
+ */
+export class SessionRecorder {
+    constructor(clock = nowMs) {
+        this.clock = clock;
+        this.entries = [];
+        this.header = null;
+        this.isRecording = false;
+        this.startTime = 0;
+    }
+
+    start(meta = {}) {
+        this.entries = [];
+        this.startTime = this.clock();
+        this.header = {
+            kind: 'header',
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            startedAt: new Date().toISOString(),
+            ...meta
+        };
+        this.isRecording = true;
+    }
+
+    stop() {
+        this.isRecording = false;
+        return this.entries.length;
+    }
+
+    /**
+     * @param {'in'|'out'} dir - kierunek: 'in' robot → UI, 'out' UI → robot
+     * @param {Object} msg - wiadomość JSON
+     */
+    record(dir, msg) {
+        if (!this.isRecording || !msg) return;
+        const t = Math.round((this.clock() - this.startTime) * 10) / 10;
+        // Kopia - handlery potrafią modyfikować obiekt wiadomości (np. normalizacja telemetrii)
+        this.entries.push({ t, dir, msg: JSON.parse(JSON.stringify(msg)) });
+    }
+
+    toJsonl() {
+        const lines = [JSON.stringify(this.header || { kind: 'header', format: SESSION_FORMAT, version: SESSION_VERSION })];
+        for (const entry of this.entries) lines.push(JSON.stringify(entry));
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Parsuje plik sesji .jsonl.
+ * Uszkodzone linie są pomijane i zliczane w `skipped` (plik z zerwanej sesji).
+ * @returns {{header: Object|null, entries: Object[], skipped: number}}
+ */
+export function parseSessionJsonl(text) {
+    let header = null;
+    const entries = [];
+    let skipped = 0;
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        let obj;
+        try { obj = JSON.parse(line); } catch (e) { skipped++; continue; }
+        if (obj && obj.kind === 'header') {
+            if (obj.format !== SESSION_FORMAT) throw new Error(`Nieznany format pliku sesji: ${obj.format}`);
+            header = obj;
+            continue;
+        }
+        if (!obj || typeof obj.t !== 'number' || !obj.msg || (obj.dir !== 'in' && obj.dir !== 'out')) {
+            skipped++;
+            continue;
+        }
+        entries.push(obj);
+    }
+    entries.sort((a, b) => a.t - b.t);
+    return { header, entries, skipped };
+}
+
+/**
+ * Odtwarzacz sesji: dostarcza wiadomości 'in' przez `deliver(msg)`
+ * z zachowaniem odstępów czasu (podzielonych przez `speed`).
+ * Wiadomości 'out' przekazuje do `onOutbound` (informacyjnie).
+ */
+export class SessionPlayer {
+    constructor(entries, { deliver, onOutbound = null, onProgress = null, onEnd = null, timers = null } = {}) {
+        this.entries = entries || [];
+        this.deliver = deliver;
+        this.onOutbound = onOutbound;
+        this.onProgress = onProgress;
+        this.onEnd = onEnd;
+        this.timers = timers || { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) };
+        this.index = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.timer = null;
+    }
+
+    get finished() { return this.index >= this.entries.length; }
+    get duration() { return this.entries.length ? this.entries[this.entries.length - 1].t : 0; }
+    get position() { return this.index > 0 ? this.entries[this.index - 1].t : 0; }
+
+    play(speed = this.speed) {
+        this.speed = speed > 0 ? speed : 1;
+        if (this.finished) return;
+        this.isPlaying = true;
+        this.scheduleNext(0);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        if (this.timer !== null) this.timers.clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    setSpeed(speed) {
+        const wasPlaying = this.isPlaying;
+        this.pause();
+        this.speed = speed > 0 ? speed : 1;
+        if (wasPlaying) this.play(this.speed);
+    }
+
+    /**
+     * Tryb krokowy: dostarcza następną wiadomość przychodzącą
+     * (wraz z poprzedzającymi ją wiadomościami wychodzącymi).
+     * @returns {Object|null} dostarczona wiadomość
+     */
+    step() {
+        this.pause();
+        while (!this.finished) {
+            const entry = this.emitCurrent();
+            if (entry.dir === 'in') {
+                this.reportProgress();
+                return entry.msg;
+            }
+        }
+        this.reportProgress();
+        return null;
+    }
+
+    rewind() {
+        this.pause();
+        this.index = 0;
+        this.reportProgress();
+    }
+
+    emitCurrent() {
+        const entry = this.entries[this.index++];
+        if (entry.dir === 'in') {
+            this.deliver(entry.msg);
+        } else if (this.onOutbound) {
+            this.onOutbound(entry.msg);
+        }
+        if (this.finished) {
+            this.isPlaying = false;
+            if (this.onEnd) this.onEnd();
+        }
+        return entry;
+    }
+
+    scheduleNext(delayMs) {
+        this.timer = this.timers.setTimeout(() => {
+            this.timer = null;
+            if (!this.isPlaying) return;
+            const batchTime = this.entries[this.index].t;
+            // Wiadomości z tym samym znacznikiem czasu idą w jednej paczce
+            while (!this.finished && this.entries[this.index].t <= batchTime) this.emitCurrent();
+            this.reportProgress();
+            if (this.isPlaying && !this.finished) {
+                this.scheduleNext((this.entries[this.index].t - batchTime) / this.speed);
+            }
+        }, delayMs);
+    }
+
+    reportProgress() {
+        if (this.onProgress) this.onProgress({ index: this.index, total: this.entries.length, position: this.position, duration: this.duration });
+    }
+}
+
+// Globalny rejestrator używany przez communication.js
+export const sessionRecorder = new SessionRecorder();
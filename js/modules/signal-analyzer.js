@@ -1,24 +1,62 @@
 // signal-analyzer.js — ES6 module: Signal Analyzer chart & controls
-// Cross-module dependencies accessed via window.*: addLogMessage, availableTelemetry, showNotification
+// Cross-module dependencies accessed via window.*: addLogMessage, availableTelemetry, showNotification, telemetryStore
+// Dane wykresu pochodzą z telemetryStore (cała sesja) - wykres pokazuje wybrane okno czasu,
+// przy długich oknach zdecymowane do par min/max, żeby nie gubić pików.
+// Panele (chart-layout.mjs) to osie Y ułożone w stos nad wspólną osią czasu - nadal jeden
+// wykres, więc kursory, zaznaczenie i eksport działają na wszystkich panelach naraz.
+
+import { normalizeChartLayout, paneIndexOf, paneFixedRange, paneValue } from './chart-layout.mjs';
 
 let signalAnalyzerChart; let isChartPaused = false; let cursorA = null, cursorB = null;
+let signalWindowMs = 10000; let signalRenderTimer = null; let signalPausedAt = null;
+// Czasy (ms) punktów na wykresie - kursory i zaznaczenie to indeksy w tej tablicy
+let signalChartTime = new Float64Array(0);
+// Przedział {t0, t1} (ms) ostatnio narysowanego okna - etykiety zdecymowanego wykresu go nie pokrywają
+let signalChartWindow = null;
+// Zamrożony przedział {t0, t1} (przechwycenie wyzwalacza) - zamiast okna z listy do wznowienia
+let signalFixedRange = null;
+const SIGNAL_RENDER_INTERVAL_MS = 50;
+// Długie okna (np. cała sesja) decymują setki tysięcy próbek - rysujemy je rzadziej
+const SIGNAL_RENDER_MAX_INTERVAL_MS = 1000;
+const SIGNAL_RENDER_WINDOW_FRACTION = 1 / 200;
+const CHART_LAYOUT_STORAGE_KEY = 'signal_chart_layout_v1';
+let signalChartLayout = loadSignalChartLayout();
 let chartRangeSelection = { isSelecting: false, startIndex: null, endIndex: null };
 
+function loadSignalChartLayout() {
+    try { return normalizeChartLayout(JSON.parse(localStorage.getItem(CHART_LAYOUT_STORAGE_KEY))); } catch (e) { return normalizeChartLayout(null); }
+}
+function paneAxisId(index) { return `pane${index}`; }
+function paneOfChannel(channel) { return signalChartLayout.panes[paneIndexOf(signalChartLayout, channel)]; }
+// Oś czasu + oś Y każdego panelu w stosie 'panes'. Chart.js układa stos osi po lewej
+// od ostatnio zdefiniowanej, więc panele dodajemy od dołu - pierwszy panel jest na górze.
+function buildSignalChartScales() {
+    const scales = {
+        x: {
+            display: true,
+            title: { display: true, text: 'Czas', color: '#fff' },
+            ticks: { color: '#fff' }
+        }
+    };
+    for (let i = signalChartLayout.panes.length - 1; i >= 0; i--) {
+        const pane = signalChartLayout.panes[i];
+        const range = paneFixedRange(pane);
+        const color = availableTelemetry[pane.channels[0]]?.color || '#fff';
+        scales[paneAxisId(i)] = {
+            type: pane.log ? 'logarithmic' : 'linear', display: true, position: 'left',
+            stack: 'panes', stackWeight: pane.weight, min: range?.min, max: range?.max,
+            border: { color: '#555' }, ticks: { color }, title: { display: true, text: pane.title, color }
+        };
+    }
+    return scales;
+}
 function initSignalAnalyzerChart() {
     const ctx = document.getElementById('signalAnalyzerChart').getContext('2d');
     signalAnalyzerChart = new Chart(ctx, {
         type: 'line', data: { labels: Array(200).fill(''), datasets: [] },
         options: {
             animation: false, responsive: true, maintainAspectRatio: false,
-            scales: {
-                x: {
-                    display: true,
-                    title: { display: true, text: 'Czas', color: '#fff' },
-                    ticks: { color: '#fff' }
-                },
-                y: { type: 'linear', display: true, position: 'left', id: 'y-pitch', ticks: { color: availableTelemetry['pitch']?.color || '#61dafb' }, title: { display: true, text: 'Pitch (°)', color: availableTelemetry['pitch']?.color || '#61dafb' } },
-                y1: { type: 'linear', display: false, position: 'right', id: 'y-speed', ticks: { color: availableTelemetry['speed']?.color || '#f7b731' }, title: { display: true, text: 'Speed (imp/s)', color: availableTelemetry['speed']?.color || '#f7b731' }, grid: { drawOnChartArea: false } }
-            },
+            scales: buildSignalChartScales(),
             plugins: {
                 legend: { labels: { color: '#fff' } },
                 tooltip: { mode: 'index', intersect: false }
@@ -69,7 +107,10 @@ function initSignalAnalyzerChart() {
 }
 function setupSignalChartControls() {
     const container = document.getElementById('signalChartControls'); container.innerHTML = '';
-    const defaultChecked = ['pitch', 'speed'];
+    // Przebudowa listy (np. zmiana kanałów pochodnych) zachowuje widoczne serie; usunięte kanały znikają z wykresu
+    const shown = signalAnalyzerChart.data.datasets.map(ds => ds.channel);
+    signalAnalyzerChart.data.datasets = signalAnalyzerChart.data.datasets.filter(ds => ds.channel in availableTelemetry);
+    const defaultChecked = shown.length > 0 ? shown : ['pitch', 'speed'];
     Object.keys(availableTelemetry).forEach((key) => {
         const label = document.createElement('label'); const checkbox = document.createElement('input');
         checkbox.type = 'checkbox'; checkbox.value = key; checkbox.checked = defaultChecked.includes(key);
@@ -78,42 +119,75 @@ function setupSignalChartControls() {
             let dataset = signalAnalyzerChart.data.datasets.find(ds => ds.label === datasetLabel);
             if (e.target.checked) {
                 if (!dataset) {
-                    let yAxisID = 'y-pitch';
-                    if (['speed', 'target_speed', 'output'].includes(varName)) { yAxisID = 'y-speed'; signalAnalyzerChart.options.scales['y1'].display = true; }
-                    signalAnalyzerChart.data.datasets.push({ label: datasetLabel, data: Array(signalAnalyzerChart.data.labels.length).fill(null), borderColor: datasetColor, fill: false, tension: 0.1, pointRadius: 0, yAxisID: yAxisID });
+                    const yAxisID = paneAxisId(paneIndexOf(signalChartLayout, varName));
+                    signalAnalyzerChart.data.datasets.push({ label: datasetLabel, channel: varName, data: Array(signalAnalyzerChart.data.labels.length).fill(null), borderColor: datasetColor, fill: false, tension: 0.1, pointRadius: 0, yAxisID: yAxisID });
                 }
             } else {
                 const datasetIndex = signalAnalyzerChart.data.datasets.findIndex(ds => ds.label === datasetLabel);
                 if (datasetIndex > -1) { signalAnalyzerChart.data.datasets.splice(datasetIndex, 1); }
-                if (!signalAnalyzerChart.data.datasets.some(ds => ds.yAxisID === 'y-speed')) { signalAnalyzerChart.options.scales['y1'].display = false; }
             }
-            signalAnalyzerChart.update(); updateCursorInfo();
+            renderSignalChart(); updateCursorInfo();
         });
         label.appendChild(checkbox); label.append(` ${availableTelemetry[key].label}`); container.appendChild(label);
         if (checkbox.checked) checkbox.dispatchEvent(new Event('change'));
     });
+    renderSignalChart();
+}
+// Odstęp rysowania rośnie z długością okna: 10 s - co 50 ms, od ~3 min - co sekundę
+function signalRenderInterval() {
+    const store = window.telemetryStore;
+    const span = signalWindowMs > 0 ? signalWindowMs : (store && store.length > 0 ? store.endTime - store.startTime : 0);
+    return Math.min(SIGNAL_RENDER_MAX_INTERVAL_MS, Math.max(SIGNAL_RENDER_INTERVAL_MS, span * SIGNAL_RENDER_WINDOW_FRACTION));
 }
+// Wywoływane przy każdej ramce telemetrii; rysowanie z historii najwyżej co signalRenderInterval()
 function updateChart(data) {
-    if (isChartPaused) return;
+    if (isChartPaused || signalRenderTimer) return;
+    signalRenderTimer = setTimeout(() => { signalRenderTimer = null; if (!isChartPaused) renderSignalChart(); }, signalRenderInterval());
+}
+function renderSignalChart() {
+    if (!signalAnalyzerChart) return;
+    const store = window.telemetryStore;
     const chartData = signalAnalyzerChart.data;
-    const currentTimeLabel = (Date.now() / 1000).toFixed(1);
-    if (chartData.labels.length >= 200) { chartData.labels.shift(); chartData.datasets.forEach(ds => ds.data.shift()); }
-    chartData.labels.push(currentTimeLabel);
-    chartData.datasets.forEach(ds => {
-        const key = Object.keys(availableTelemetry).find(k => availableTelemetry[k].label === ds.label);
-        const value = (key && data[key] !== undefined) ? data[key] : null;
-        ds.data.push(value);
-    });
+    if (store && store.length > 0) {
+        // Pauza zamraża koniec okna - można wtedy przełączyć okno i obejrzeć starsze dane
+        let t1 = (isChartPaused && signalPausedAt !== null) ? signalPausedAt : store.endTime;
+        let t0 = signalWindowMs > 0 ? t1 - signalWindowMs : store.startTime;
+        if (isChartPaused && signalFixedRange) ({ t0, t1 } = signalFixedRange);
+        // Para min/max na każde ~2 piksele szerokości wykresu
+        const buckets = Math.max(50, Math.floor((signalAnalyzerChart.chartArea?.width || signalAnalyzerChart.width || 600) / 2));
+        let time = null;
+        chartData.datasets.forEach(ds => {
+            const series = store.decimate(ds.channel, t0, t1, buckets);
+            const pane = paneOfChannel(ds.channel);
+            time = series.time;
+            ds.data = Array.from(series.values, v => paneValue(pane, v));
+        });
+        if (!time) time = store.decimate(null, t0, t1, buckets).time;
+        signalChartTime = time;
+        signalChartWindow = { t0, t1 };
+        chartData.labels = Array.from(time, t => (t / 1000).toFixed(2));
+    } else {
+        // Wyczyszczona historia (np. zmiana aktywnego robota)
+        chartData.datasets.forEach(ds => { ds.data = []; });
+        chartData.labels = [];
+        signalChartTime = new Float64Array(0);
+        signalChartWindow = null;
+    }
     signalAnalyzerChart.update('none');
 }
 function setupSignalAnalyzerControls() {
-    document.getElementById('pauseChartBtn').addEventListener('click', () => { isChartPaused = true; document.getElementById('pauseChartBtn').style.display = 'none'; document.getElementById('resumeChartBtn').style.display = 'inline-block'; addLogMessage('[UI] Wykres wstrzymany.', 'info'); });
-    document.getElementById('resumeChartBtn').addEventListener('click', () => { isChartPaused = false; document.getElementById('resumeChartBtn').style.display = 'none'; document.getElementById('pauseChartBtn').style.display = 'inline-block'; addLogMessage('[UI] Wykres wznowiony.', 'info'); });
+    document.getElementById('pauseChartBtn').addEventListener('click', () => { pauseSignalChart(); addLogMessage('[UI] Wykres wstrzymany.', 'info'); });
+    document.getElementById('resumeChartBtn').addEventListener('click', () => { isChartPaused = false; signalPausedAt = null; signalFixedRange = null; renderSignalChart(); document.getElementById('resumeChartBtn').style.display = 'none'; document.getElementById('pauseChartBtn').style.display = 'inline-block'; addLogMessage('[UI] Wykres wznowiony.', 'info'); });
     document.getElementById('cursorABBtn').addEventListener('click', toggleCursors);
+    document.getElementById('signalWindowSelect')?.addEventListener('change', (e) => {
+        signalWindowMs = parseInt(e.target.value, 10) || 0;
+        signalFixedRange = null;
+        renderSignalChart(); updateCursorInfo();
+    });
     document.getElementById('exportCsvBtn').addEventListener('click', () => exportChartDataToCsv(false));
     document.getElementById('exportRangeCsvBtn').addEventListener('click', () => {
-        if (chartRangeSelection.startIndex === null || chartRangeSelection.endIndex === null) {
-            addLogMessage('[UI] Najpierw zaznacz zakres! Przytrzymaj Shift i przeciągnij myszką po wykresie.', 'warn');
+        if ((chartRangeSelection.startIndex === null || chartRangeSelection.endIndex === null) && !(cursorA && cursorB)) {
+            addLogMessage('[UI] Najpierw zaznacz zakres! Przytrzymaj Shift i przeciągnij myszką po wykresie albo ustaw kursory A/B.', 'warn');
             return;
         }
         exportChartDataToCsv(true);
@@ -126,9 +200,51 @@ function setupSignalAnalyzerControls() {
     });
     document.getElementById('exportPngBtn').addEventListener('click', exportChartToPng);
 }
+function pauseSignalChart() {
+    isChartPaused = true; signalPausedAt = window.telemetryStore?.endTime ?? null;
+    document.getElementById('pauseChartBtn').style.display = 'none'; document.getElementById('resumeChartBtn').style.display = 'inline-block';
+}
+// Zatrzymuje wykres na przedziale [t0, t1] (ms); "Wznów" wraca do przewijanego okna
+function showSignalRange(t0, t1) {
+    pauseSignalChart();
+    signalFixedRange = { t0, t1 };
+    renderSignalChart(); updateCursorInfo();
+}
 function toggleCursors() { const cursorInfo = document.getElementById('cursorInfo'); if (cursorInfo.style.display === 'none') { cursorInfo.style.display = 'flex'; cursorA = { index: Math.floor(signalAnalyzerChart.data.labels.length * 0.25) }; cursorB = { index: Math.floor(signalAnalyzerChart.data.labels.length * 0.75) }; updateCursorInfo(); } else { cursorInfo.style.display = 'none'; cursorA = null; cursorB = null; } signalAnalyzerChart.update(); }
 function handleChartClick(event) { if (!cursorA && !cursorB) return; const activePoints = signalAnalyzerChart.getElementsAtEventForMode(event, 'index', { intersect: false }, true); if (activePoints.length > 0) { const clickedIndex = activePoints[0].index; if (cursorA && cursorB) { const distA = Math.abs(clickedIndex - cursorA.index); const distB = Math.abs(clickedIndex - cursorB.index); if (distA < distB) { cursorA.index = clickedIndex; } else { cursorB.index = clickedIndex; } } else if (cursorA) { cursorA.index = clickedIndex; } updateCursorInfo(); signalAnalyzerChart.update(); } }
-function updateCursorInfo() { if (!cursorA && !cursorB) { document.getElementById('cursorInfo').style.display = 'none'; return; } document.getElementById('cursorInfo').style.display = 'flex'; const labels = signalAnalyzerChart.data.labels; const datasets = signalAnalyzerChart.data.datasets; if (cursorA) { document.getElementById('cursorAX').textContent = labels[cursorA.index] || '---'; document.getElementById('cursorAY').textContent = datasets.length > 0 && datasets[0].data[cursorA.index] !== undefined ? datasets[0].data[cursorA.index].toFixed(2) : '---'; } if (cursorB) { document.getElementById('cursorBX').textContent = labels[cursorB.index] || '---'; document.getElementById('cursorBY').textContent = datasets.length > 0 && datasets[0].data[cursorB.index] !== undefined ? datasets[0].data[cursorB.index].toFixed(2) : '---'; } if (cursorA && cursorB) { const timeA = parseFloat(labels[cursorA.index]); const timeB = parseFloat(labels[cursorB.index]); document.getElementById('cursorDeltaT').textContent = `${Math.abs(timeB - timeA).toFixed(2)}s`; datasets.forEach(ds => { const valA = ds.data[cursorA.index]; const valB = ds.data[cursorB.index]; if (valA !== null && valB !== null) { if (ds.yAxisID === 'y-pitch') document.getElementById('cursorDeltaYPitch').textContent = `${(valB - valA).toFixed(2)}°`; else if (ds.yAxisID === 'y-speed') document.getElementById('cursorDeltaYSpeed').textContent = `${(valB - valA).toFixed(0)} imp/s`; } }); } }
+function updateCursorInfo() { window.dispatchEvent(new CustomEvent('signal_cursor_change')); if (!cursorA && !cursorB) { document.getElementById('cursorInfo').style.display = 'none'; return; } document.getElementById('cursorInfo').style.display = 'flex'; const labels = signalAnalyzerChart.data.labels; const datasets = signalAnalyzerChart.data.datasets; if (cursorA) { document.getElementById('cursorAX').textContent = labels[cursorA.index] || '---'; document.getElementById('cursorAY').textContent = datasets.length > 0 && datasets[0].data[cursorA.index] != null ? datasets[0].data[cursorA.index].toFixed(2) : '---'; } if (cursorB) { document.getElementById('cursorBX').textContent = labels[cursorB.index] || '---'; document.getElementById('cursorBY').textContent = datasets.length > 0 && datasets[0].data[cursorB.index] != null ? datasets[0].data[cursorB.index].toFixed(2) : '---'; } if (cursorA && cursorB) { const timeA = parseFloat(labels[cursorA.index]); const timeB = parseFloat(labels[cursorB.index]); document.getElementById('cursorDeltaT').textContent = `${Math.abs(timeB - timeA).toFixed(2)}s`; datasets.forEach(ds => { const valA = ds.data[cursorA.index]; const valB = ds.data[cursorB.index]; if (valA !== null && valB !== null) { if (ds.channel === 'pitch') document.getElementById('cursorDeltaYPitch').textContent = `${(valB - valA).toFixed(2)}°`; else if (ds.channel === 'speed') document.getElementById('cursorDeltaYSpeed').textContent = `${(valB - valA).toFixed(0)} imp/s`; } }); } }
+// Zakres czasu między kursorami A/B (ms); bez kursorów - całe widoczne okno
+function getCursorTimeRange() {
+    if (signalChartTime.length === 0) return null;
+    const at = (index) => signalChartTime[Math.max(0, Math.min(signalChartTime.length - 1, index))];
+    if (cursorA && cursorB) {
+        const t0 = at(cursorA.index), t1 = at(cursorB.index);
+        return { t0: Math.min(t0, t1), t1: Math.max(t0, t1), fromCursors: true };
+    }
+    if (signalChartWindow) return { ...signalChartWindow, fromCursors: false };
+    return { t0: signalChartTime[0], t1: signalChartTime[signalChartTime.length - 1], fromCursors: false };
+}
+// Zakres czasu (ms) między dwoma indeksami punktów wykresu
+function chartIndexTimeRange(indexA, indexB) {
+    if (signalChartTime.length === 0) return null;
+    const at = (index) => signalChartTime[Math.max(0, Math.min(signalChartTime.length - 1, index))];
+    return { t0: at(Math.min(indexA, indexB)), t1: at(Math.max(indexA, indexB)) };
+}
+// Nowy układ paneli: zapis w localStorage, przebudowa osi i przypisanie serii do paneli
+function setSignalChartLayout(layout) {
+    signalChartLayout = normalizeChartLayout(layout);
+    try { localStorage.setItem(CHART_LAYOUT_STORAGE_KEY, JSON.stringify(signalChartLayout)); } catch (e) { /* ignore storage errors */ }
+    if (!signalAnalyzerChart) return signalChartLayout;
+    signalAnalyzerChart.options.scales = buildSignalChartScales();
+    signalAnalyzerChart.data.datasets.forEach(ds => { ds.yAxisID = paneAxisId(paneIndexOf(signalChartLayout, ds.channel)); });
+    renderSignalChart(); updateCursorInfo();
+    return signalChartLayout;
+}
+function getSignalChartLayout() { return signalChartLayout; }
+// Kanały serii widocznych na wykresie
+function getVisibleSignalChannels() {
+    return signalAnalyzerChart ? signalAnalyzerChart.data.datasets.map(ds => ds.channel) : [];
+}
 function getChartIndexFromX(xPixel) {
     const chart = signalAnalyzerChart;
     const xScale = chart.scales['x'];
@@ -161,31 +277,36 @@ function highlightSelectedRange() {
     }
 }
 
+// Eksport surowych próbek z telemetryStore (nie punktów wykresu - te bywają zdecymowane)
 function exportChartDataToCsv(exportRange = false) {
-    const data = signalAnalyzerChart.data;
+    const store = window.telemetryStore;
+    const datasets = signalAnalyzerChart.data.datasets;
     let csvContent = "data:text/csv;charset=utf-8,";
     let headers = ['Time'];
-    data.datasets.forEach(ds => headers.push(ds.label));
+    datasets.forEach(ds => headers.push(ds.label));
     csvContent += headers.join(',') + '\n';
 
-    let startIdx = 0;
-    let endIdx = data.labels.length - 1;
-
-    // If exporting range and a range is selected, use it
+    // Bez zakresu - całe widoczne okno; z zakresem - zaznaczenie, a bez niego kursory A/B
+    let range = signalChartWindow;
     if (exportRange && chartRangeSelection.startIndex !== null && chartRangeSelection.endIndex !== null) {
-        startIdx = Math.min(chartRangeSelection.startIndex, chartRangeSelection.endIndex);
-        endIdx = Math.max(chartRangeSelection.startIndex, chartRangeSelection.endIndex);
-        addLogMessage(`[UI] Eksportowanie zakresu: ${startIdx} - ${endIdx}`, 'info');
+        range = chartIndexTimeRange(chartRangeSelection.startIndex, chartRangeSelection.endIndex);
+    } else if (exportRange && cursorA && cursorB) {
+        range = chartIndexTimeRange(cursorA.index, cursorB.index);
     }
+    if (exportRange && range) addLogMessage(`[UI] Eksportowanie zakresu: ${(range.t0 / 1000).toFixed(2)} - ${(range.t1 / 1000).toFixed(2)} s`, 'info');
 
-    for (let i = startIdx; i <= endIdx; i++) {
-        let row = [data.labels[i]];
-        data.datasets.forEach(ds => {
-            const value = ds.data[i] !== null ? ds.data[i].toFixed(4) : '';
-            row.push(value);
+    const frames = store && range ? store.frames(datasets.map(ds => ds.channel), range.t0, range.t1) : [];
+    for (const frame of frames) {
+        let row = [(frame.time / 1000).toFixed(3)];
+        datasets.forEach(ds => {
+            const value = frame[ds.channel];
+            row.push(Number.isNaN(value) ? '' : value.toFixed(4));
         });
         csvContent += row.join(',') + '\n';
     }
+    // Pomiary A-B i przypięte pomiary (measurements-ui.js) pod danymi zakresu
+    const measurementRows = exportRange && typeof window.measurementCsvRows === 'function' ? window.measurementCsvRows() : [];
+    if (measurementRows.length > 0) csvContent += '\n' + measurementRows.map(row => row.join(',')).join('\n') + '\n';
     const encodedUri = encodeURI(csvContent);
     const link = document.createElement("a");
     link.setAttribute("href", encodedUri);
@@ -216,11 +337,18 @@ export {
     initSignalAnalyzerChart,
     setupSignalChartControls,
     updateChart,
+    renderSignalChart,
     setupSignalAnalyzerControls,
+    pauseSignalChart,
+    showSignalRange,
     toggleCursors,
     handleChartClick,
     updateCursorInfo,
     getChartIndexFromX,
+    getCursorTimeRange,
+    getVisibleSignalChannels,
+    getSignalChartLayout,
+    setSignalChartLayout,
     highlightSelectedRange,
     exportChartDataToCsv,
     exportChartToPng,
@@ -236,11 +364,18 @@ window.chartRangeSelection = chartRangeSelection;
 window.initSignalAnalyzerChart = initSignalAnalyzerChart;
 window.setupSignalChartControls = setupSignalChartControls;
 window.updateChart = updateChart;
+window.renderSignalChart = renderSignalChart;
 window.setupSignalAnalyzerControls = setupSignalAnalyzerControls;
+window.pauseSignalChart = pauseSignalChart;
+window.showSignalRange = showSignalRange;
 window.toggleCursors = toggleCursors;
 window.handleChartClick = handleChartClick;
 window.updateCursorInfo = updateCursorInfo;
 window.getChartIndexFromX = getChartIndexFromX;
+window.getCursorTimeRange = getCursorTimeRange;
+window.getVisibleSignalChannels = getVisibleSignalChannels;
+window.getSignalChartLayout = getSignalChartLayout;
+window.setSignalChartLayout = setSignalChartLayout;
 window.highlightSelectedRange = highlightSelectedRange;
 window.exportChartDataToCsv = exportChartDataToCsv;
 window.exportChartToPng = exportChartToPng;
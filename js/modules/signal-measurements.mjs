@@ -0,0 +1,145 @@
+// ========================================================================
+// SIGNAL MEASUREMENTS - Pomiary sygnału w zakresie kursorów (ES6 Module)
+// ========================================================================
+// Dla próbek kanału z przedziału A-B (pełna rozdzielczość z telemetryStore):
+// średnia, RMS, odchylenie standardowe, min/max, międzyszczytowa, całka
+// (metoda trapezów, jednostka·s), dominująca częstotliwość (spectrum.mjs)
+// oraz parametry odpowiedzi skokowej liczone od początku zakresu:
+//   - wartość początkowa = średnia pierwszych 5% próbek, końcowa = ostatnich 10%,
+//   - czas narastania 10-90% skoku,
+//   - przeregulowanie w % skoku (poza wartość końcową w kierunku skoku),
+//   - czas ustalania: od początku zakresu do chwili, od której sygnał
+//     nie opuszcza pasma ±2% skoku wokół wartości końcowej.
+// Bez wyraźnego skoku (< 10% międzyszczytowej) parametry skoku są null.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+import { dominantFrequency } from './spectrum.mjs';
+
+export const SETTLING_BAND = 0.02;
+export const MIN_STEP_RATIO = 0.1;
+
+// Kolejność i opisy pól - tabela pomiarów i eksport CSV
+export const MEASUREMENT_FIELDS = [
+    { key: 'mean', label: 'Srednia', unit: '', digits: 3 },
+    { key: 'rms', label: 'RMS', unit: '', digits: 3 },
+    { key: 'std', label: 'Odch. std.', unit: '', digits: 3 },
+    { key: 'min', label: 'Min', unit: '', digits: 3 },
+    { key: 'max', label: 'Max', unit: '', digits: 3 },
+    { key: 'peakToPeak', label: 'Miedzyszczytowa', unit: '', digits: 3 },
+    { key: 'frequency', label: 'Dominujaca czest.', unit: 'Hz', digits: 2 },
+    { key: 'riseTime', label: 'Czas narastania 10-90%', unit: 'ms', digits: 0 },
+    { key: 'overshoot', label: 'Przeregulowanie', unit: '%', digits: 1 },
+    { key: 'settlingTime', label: 'Czas ustalania 2%', unit: 'ms', digits: 0 },
+    { key: 'integral', label: 'Calka', unit: '·s', digits: 3 }
+];
+
+function meanOf(values, from, to) {
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += values[i];
+    return sum / (to - from);
+}
+
+// Chwila (interpolowana) pierwszego osiągnięcia poziomu w kierunku skoku
+function crossingTime(t, v, level, direction) {
+    for (let i = 0; i < v.length; i++) {
+        if ((v[i] - level) * direction < 0) continue;
+        if (i === 0) return t[0];
+        const k = (level - v[i - 1]) / (v[i] - v[i - 1]);
+        return t[i - 1] + (t[i] - t[i - 1]) * k;
+    }
+    return null;
+}
+
+function stepResponse(t, v, peakToPeak) {
+    const n = v.length;
+    const initial = meanOf(v, 0, Math.max(1, Math.floor(n * 0.05)));
+    const final = meanOf(v, Math.min(n - 1, Math.floor(n * 0.9)), n);
+    const step = final - initial;
+    if (n < 3 || peakToPeak === 0 || Math.abs(step) < peakToPeak * MIN_STEP_RATIO) {
+        return { initial, final, riseTime: null, overshoot: null, settlingTime: null };
+    }
+    const direction = Math.sign(step);
+    const t10 = crossingTime(t, v, initial + 0.1 * step, direction);
+    const t90 = crossingTime(t, v, initial + 0.9 * step, direction);
+    let extreme = 0;
+    for (const value of v) extreme = Math.max(extreme, (value - final) * direction);
+    const band = Math.abs(step) * SETTLING_BAND;
+    let lastOutside = -1;
+    for (let i = 0; i < n; i++) {
+        if (Math.abs(v[i] - final) > band) lastOutside = i;
+    }
+    return {
+        initial,
+        final,
+        riseTime: t10 !== null && t90 !== null ? t90 - t10 : null,
+        overshoot: (extreme / Math.abs(step)) * 100,
+        settlingTime: lastOutside < 0 ? 0 : lastOutside + 1 < n ? t[lastOutside + 1] - t[0] : null
+    };
+}
+
+/**
+ * Pomiary jednego kanału.
+ * @param {ArrayLike<number>} time - ms, rosnąco
+ * @param {ArrayLike<number>} values - NaN pomijane
+ * @returns {Object|null} pola MEASUREMENT_FIELDS + count, duration, initial, final; null bez próbek
+ */
+export function measureSignal(time, values) {
+    const t = [];
+    const v = [];
+    for (let i = 0; i < values.length; i++) {
+        if (Number.isFinite(values[i])) {
+            t.push(time[i]);
+            v.push(values[i]);
+        }
+    }
+    const n = v.length;
+    if (n === 0) return null;
+    let min = Infinity, max = -Infinity, sum = 0, sumSquares = 0, integral = 0;
+    for (let i = 0; i < n; i++) {
+        min = Math.min(min, v[i]);
+        max = Math.max(max, v[i]);
+        sum += v[i];
+        sumSquares += v[i] * v[i];
+        if (i > 0) integral += ((v[i] + v[i - 1]) / 2) * ((t[i] - t[i - 1]) / 1000);
+    }
+    const mean = sum / n;
+    const peak = dominantFrequency(t, v);
+    return {
+        count: n,
+        duration: t[n - 1] - t[0],
+        mean,
+        rms: Math.sqrt(sumSquares / n),
+        std: Math.sqrt(Math.max(0, sumSquares / n - mean * mean)),
+        min,
+        max,
+        peakToPeak: max - min,
+        frequency: peak ? peak.frequency : null,
+        integral,
+        ...stepResponse(t, v, max - min)
+    };
+}
+
+/** Wartość pola jako tekst (bez jednostki); null -> '---'. */
+export function formatMeasurement(field, value) {
+    return value === null || value === undefined || !Number.isFinite(value) ? '---' : value.toFixed(field.digits);
+}
+
+/**
+ * Tabela pomiarów do CSV: wiersz nagłówka i wiersz na pole.
+ * @param {{label: string, channels: Object<string, Object>}[]} sets - zestawy (np. bieżący i przypięte)
+ * @param {(name: string) => string} [channelLabel]
+ * @returns {string[][]}
+ */
+export function measurementRows(sets, channelLabel = name => name) {
+    const columns = sets.flatMap(set => Object.keys(set.channels).map(name => ({ set, name })));
+    const rows = [['Pomiar', ...columns.map(({ set, name }) => `${set.label} ${channelLabel(name)}`)]];
+    for (const field of MEASUREMENT_FIELDS) {
+        const label = field.unit ? `${field.label} [${field.unit}]` : field.label;
+        rows.push([label, ...columns.map(({ set, name }) => {
+            const value = set.channels[name]?.[field.key];
+            return value === null || value === undefined || !Number.isFinite(value) ? '' : String(Number(value.toFixed(6)));
+        })]);
+    }
+    return rows;
+}
@@ -0,0 +1,228 @@
+// ========================================================================
+// SPECTRUM UI - Widmo FFT i spektrogram w analizatorze (ES6 Module)
+// ========================================================================
+// Panel w analizatorze sygnałów (spectrum.mjs):
+//   - widmo wybranego kanału z zakresu kursorów A/B (bez kursorów - całe
+//     widoczne okno wykresu), wybór okna, skala liniowa / dB, piki w Hz;
+//   - przewijany spektrogram pitch i wyjścia silników z ostatnich
+//     sekund telemetrii, odświeżany, gdy panel jest otwarty.
+// Oscylacje balansu, zazębianie silników i rezonanse mechaniczne
+// widać jako prążki o stałej częstotliwości.
+// ========================================================================
+
+import { telemetryStore } from './telemetry.js';
+import { spectrumOf, findPeaks, computeSpectrogram, SPECTRUM_MIN_SAMPLES } from './spectrum.mjs';
+
+const SPECTROGRAM_CHANNELS = ['pitch', 'output'];
+const SPECTROGRAM_WINDOW_MS = 20000;
+const SPECTROGRAM_SEGMENT = 64;
+const SPECTROGRAM_OVERLAP = 0.75;
+const SPECTROGRAM_REFRESH_MS = 500;
+const SPECTROGRAM_RANGE_DB = 50;
+const PEAK_COUNT = 5;
+// Mapa kolorów spektrogramu: od tła przez fiolet i czerwień do żółci
+const COLOR_STOPS = [[20, 23, 30], [80, 30, 120], [200, 50, 80], [250, 150, 40], [250, 240, 150]];
+
+let lastSpectrum = null;
+let lastPeaks = [];
+let spectrogramTimer = null;
+let spectrogramDrawnAt = null;
+
+function channelLabel(name) {
+    return availableTelemetry[name]?.label || name;
+}
+
+function fillChannelSelect() {
+    const select = document.getElementById('spectrumChannelSelect');
+    if (!select) return;
+    const current = select.value || 'pitch';
+    select.innerHTML = '';
+    const names = [...new Set([...Object.keys(availableTelemetry), ...telemetryStore.channelNames()])].filter(name => telemetryStore.has(name) || availableTelemetry[name]);
+    for (const name of names) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = channelLabel(name);
+        select.appendChild(option);
+    }
+    select.value = names.includes(current) ? current : names[0] || '';
+}
+
+function computeSelectedSpectrum() {
+    const channel = document.getElementById('spectrumChannelSelect')?.value;
+    const info = document.getElementById('spectrumInfo');
+    const range = typeof window.getCursorTimeRange === 'function' ? window.getCursorTimeRange() : null;
+    if (!channel || !range || !telemetryStore.has(channel)) {
+        info.textContent = 'Brak danych kanalu w analizatorze.';
+        return;
+    }
+    const { time, values } = telemetryStore.slice(channel, range.t0, range.t1);
+    const spectrum = spectrumOf(time, values, { window: document.getElementById('spectrumWindowSelect')?.value || 'hann' });
+    if (!spectrum) {
+        info.textContent = `Za malo probek w zakresie (min. ${SPECTRUM_MIN_SAMPLES}).`;
+        return;
+    }
+    lastSpectrum = spectrum;
+    lastPeaks = findPeaks(spectrum, { count: PEAK_COUNT, minFrequency: spectrum.resolution * 2 });
+    const source = range.fromCursors ? 'kursory A/B' : 'widoczne okno';
+    info.textContent = `${channelLabel(channel)} | ${source}: ${((range.t1 - range.t0) / 1000).toFixed(2)} s, ${spectrum.samples} probek, fs ${spectrum.sampleRate.toFixed(1)} Hz, rozdzielczosc ${spectrum.resolution.toFixed(3)} Hz`;
+    renderPeaks();
+    drawSpectrum();
+}
+
+function renderPeaks() {
+    const list = document.getElementById('spectrumPeaks');
+    if (!list) return;
+    list.innerHTML = '';
+    lastPeaks.forEach((peak, i) => {
+        const item = document.createElement('span');
+        item.style.cssText = 'margin-right: 12px; white-space: nowrap;';
+        item.style.color = i === 0 ? '#f7b731' : '#ccc';
+        item.textContent = `${i + 1}. ${peak.frequency.toFixed(2)} Hz (${peak.magnitude.toPrecision(3)})`;
+        list.appendChild(item);
+    });
+}
+
+function toDb(value, reference) {
+    return 20 * Math.log10(Math.max(value, reference * 1e-6) / reference);
+}
+
+function drawSpectrum() {
+    const canvas = document.getElementById('spectrumCanvas');
+    if (!canvas || !lastSpectrum) return;
+    const ctx = canvas.getContext('2d');
+    const { frequencies, magnitudes } = lastSpectrum;
+    const useDb = document.getElementById('spectrumDbCheck')?.checked;
+    const padding = { left: 50, right: 15, top: 15, bottom: 30 };
+    const width = canvas.width - padding.left - padding.right;
+    const height = canvas.height - padding.top - padding.bottom;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const maxFrequency = frequencies[frequencies.length - 1];
+    const peak = Math.max(...magnitudes.subarray(1)) || 1;
+    const value = (m) => (useDb ? toDb(m, peak) : m);
+    const top = useDb ? 0 : peak * 1.1;
+    const bottom = useDb ? -SPECTROGRAM_RANGE_DB - 10 : 0;
+    const scaleX = (f) => padding.left + (f / maxFrequency) * width;
+    const scaleY = (v) => padding.top + height - ((Math.max(bottom, v) - bottom) / (top - bottom)) * height;
+
+    // Siatka i osie
+    ctx.strokeStyle = '#333'; ctx.lineWidth = 0.5; ctx.fillStyle = '#aaa'; ctx.font = '10px sans-serif';
+    ctx.beginPath();
+    for (let i = 0; i <= 5; i++) {
+        const y = padding.top + (height / 5) * i;
+        ctx.moveTo(padding.left, y); ctx.lineTo(canvas.width - padding.right, y);
+        ctx.textAlign = 'right';
+        ctx.fillText((top - ((top - bottom) / 5) * i).toPrecision(3), padding.left - 4, y + 3);
+    }
+    for (let i = 0; i <= 10; i++) {
+        const x = padding.left + (width / 10) * i;
+        ctx.moveTo(x, padding.top); ctx.lineTo(x, padding.top + height);
+        ctx.textAlign = 'center';
+        ctx.fillText(((maxFrequency / 10) * i).toFixed(1), x, canvas.height - 14);
+    }
+    ctx.stroke();
+    ctx.textAlign = 'center';
+    ctx.fillText(useDb ? 'Czestotliwosc [Hz] / amplituda [dB]' : 'Czestotliwosc [Hz]', padding.left + width / 2, canvas.height - 2);
+
+    // Widmo
+    ctx.strokeStyle = '#61dafb'; ctx.lineWidth = 1.5; ctx.beginPath();
+    for (let k = 0; k < frequencies.length; k++) {
+        const x = scaleX(frequencies[k]);
+        const y = scaleY(value(magnitudes[k]));
+        if (k === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    // Piki z etykietą w Hz
+    lastPeaks.forEach((p, i) => {
+        const x = scaleX(p.frequency);
+        const y = scaleY(value(p.magnitude));
+        ctx.fillStyle = i === 0 ? '#f7b731' : '#fff';
+        ctx.beginPath(); ctx.arc(x, y, 3, 0, 2 * Math.PI); ctx.fill();
+        ctx.textAlign = 'left';
+        ctx.fillText(`${p.frequency.toFixed(2)} Hz`, Math.min(x + 5, canvas.width - padding.right - 50), Math.max(y - 5, padding.top + 8));
+    });
+}
+
+function colorAt(level) {
+    const position = Math.max(0, Math.min(1, level)) * (COLOR_STOPS.length - 1);
+    const i = Math.min(COLOR_STOPS.length - 2, Math.floor(position));
+    const k = position - i;
+    return COLOR_STOPS[i].map((c, j) => Math.round(c + (COLOR_STOPS[i + 1][j] - c) * k));
+}
+
+function drawSpectrogram(canvas, channel, t0, t1) {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#14171e';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const label = channelLabel(channel);
+    const { time, values } = telemetryStore.has(channel) ? telemetryStore.slice(channel, t0, t1) : { time: [], values: [] };
+    const result = computeSpectrogram(time, values, { segmentSize: SPECTROGRAM_SEGMENT, overlap: SPECTROGRAM_OVERLAP });
+    ctx.font = '10px sans-serif';
+    if (!result) {
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(`${label}: brak danych`, 6, 14);
+        return;
+    }
+    const { times, magnitudes, sampleRate } = result;
+    let peak = 0;
+    for (const column of magnitudes) for (let k = 1; k < column.length; k++) peak = Math.max(peak, column[k]);
+    if (peak <= 0) peak = 1;
+
+    // Oś X to stałe okno czasu - nowe kolumny wchodzą z prawej
+    const bins = magnitudes[0].length;
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    // Szerokość kolumny = przesunięcie między segmentami
+    const hopMs = (SPECTROGRAM_SEGMENT * (1 - SPECTROGRAM_OVERLAP) * 1000) / sampleRate;
+    const columnWidth = Math.max(1, Math.ceil((canvas.width * hopMs) / (t1 - t0)));
+    magnitudes.forEach((column, s) => {
+        const x0 = Math.floor(((times[s] - t0) / (t1 - t0)) * canvas.width);
+        for (let y = 0; y < canvas.height; y++) {
+            const k = Math.min(bins - 1, Math.floor(((canvas.height - 1 - y) / canvas.height) * bins));
+            const [r, g, b] = colorAt(1 + toDb(column[k], peak) / SPECTROGRAM_RANGE_DB);
+            for (let x = Math.max(0, x0 - columnWidth); x < Math.min(canvas.width, x0 + 1); x++) {
+                const at = (y * canvas.width + x) * 4;
+                image.data[at] = r; image.data[at + 1] = g; image.data[at + 2] = b; image.data[at + 3] = 255;
+            }
+        }
+    });
+    ctx.putImageData(image, 0, 0);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, 6, 12);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${(sampleRate / 2).toFixed(0)} Hz`, canvas.width - 4, 12);
+    ctx.fillText('0 Hz', canvas.width - 4, canvas.height - 4);
+}
+
+function refreshSpectrograms(force = false) {
+    if (telemetryStore.length === 0) return;
+    const t1 = telemetryStore.endTime;
+    if (!force && t1 === spectrogramDrawnAt) return;
+    spectrogramDrawnAt = t1;
+    SPECTROGRAM_CHANNELS.forEach((channel, i) => {
+        const canvas = document.getElementById(`spectrogramCanvas${i}`);
+        if (canvas) drawSpectrogram(canvas, channel, t1 - SPECTROGRAM_WINDOW_MS, t1);
+    });
+}
+
+function handlePanelToggle(panel) {
+    clearInterval(spectrogramTimer);
+    spectrogramTimer = null;
+    if (!panel.open) return;
+    fillChannelSelect();
+    refreshSpectrograms(true);
+    spectrogramTimer = setInterval(() => refreshSpectrograms(), SPECTROGRAM_REFRESH_MS);
+}
+
+export function initSpectrumUI() {
+    const panel = document.getElementById('spectrumPanel');
+    if (!panel) return;
+    panel.addEventListener('toggle', () => handlePanelToggle(panel));
+    document.getElementById('spectrumChannelSelect')?.addEventListener('focus', fillChannelSelect);
+    document.getElementById('spectrumComputeBtn')?.addEventListener('click', computeSelectedSpectrum);
+    document.getElementById('spectrumWindowSelect')?.addEventListener('change', () => { if (lastSpectrum) computeSelectedSpectrum(); });
+    document.getElementById('spectrumDbCheck')?.addEventListener('change', drawSpectrum);
+}
+
+window.initSpectrumUI = initSpectrumUI;
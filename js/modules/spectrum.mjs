@@ -0,0 +1,217 @@
+// ========================================================================
+// SPECTRUM - Widmo FFT i spektrogram telemetrii (ES6 Module)
+// ========================================================================
+// Telemetria przychodzi w nierównych odstępach (BLE), więc próbki są
+// najpierw przepróbkowane liniowo do stałej częstotliwości (mediana
+// odstępów). Widmo: usunięcie średniej, okno (Hann, Hamming, Blackman,
+// prostokątne), dopełnienie zerami do potęgi 2, FFT radix-2, amplituda
+// jednostronna w jednostkach sygnału. Piki z interpolacją paraboliczną
+// - rozdzielczość lepsza niż fs/N. Spektrogram: kolejne segmenty
+// z nakładaniem. Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const SPECTRUM_WINDOWS = {
+    hann: (i, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)),
+    hamming: (i, n) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (n - 1)),
+    blackman: (i, n) => 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)) + 0.08 * Math.cos((4 * Math.PI * i) / (n - 1)),
+    rect: () => 1
+};
+export const SPECTRUM_MIN_SAMPLES = 16;
+export const SPECTRUM_MAX_SIZE = 1 << 16;
+
+/**
+ * FFT radix-2 w miejscu (długość = potęga 2).
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+export function fft(re, im) {
+    const n = re.length;
+    if (n & (n - 1)) throw new Error('FFT: dlugosc musi byc potega 2');
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+function nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size <<= 1;
+    return size;
+}
+
+/**
+ * Przepróbkowanie do stałego kroku (interpolacja liniowa, NaN pomijane).
+ * @param {ArrayLike<number>} time - czasy w ms, rosnące
+ * @param {ArrayLike<number>} values
+ * @param {number} [sampleRate] - Hz; domyślnie z mediany odstępów
+ * @returns {{values: Float64Array, sampleRate: number, startTime: number}}
+ */
+export function resampleUniform(time, values, sampleRate = null) {
+    const t = [];
+    const v = [];
+    for (let i = 0; i < time.length; i++) {
+        if (Number.isFinite(values[i]) && (t.length === 0 || time[i] > t[t.length - 1])) {
+            t.push(time[i]);
+            v.push(values[i]);
+        }
+    }
+    if (t.length < 2) return { values: new Float64Array(0), sampleRate: 0, startTime: t[0] ?? 0 };
+    if (!sampleRate) {
+        const gaps = t.slice(1).map((x, i) => x - t[i]).sort((a, b) => a - b);
+        sampleRate = 1000 / gaps[Math.floor(gaps.length / 2)];
+    }
+    const step = 1000 / sampleRate;
+    const count = Math.min(SPECTRUM_MAX_SIZE, Math.floor((t[t.length - 1] - t[0]) / step) + 1);
+    const out = new Float64Array(count);
+    let j = 0;
+    for (let i = 0; i < count; i++) {
+        const at = t[0] + i * step;
+        while (j < t.length - 2 && t[j + 1] < at) j++;
+        const span = t[j + 1] - t[j];
+        const k = span > 0 ? Math.min(1, Math.max(0, (at - t[j]) / span)) : 0;
+        out[i] = v[j] + (v[j + 1] - v[j]) * k;
+    }
+    return { values: out, sampleRate, startTime: t[0] };
+}
+
+/**
+ * Widmo amplitudowe (jednostronne) równomiernie próbkowanego sygnału.
+ * @param {ArrayLike<number>} values
+ * @param {number} sampleRate - Hz
+ * @param {Object} [options]
+ * @param {string} [options.window] - klucz SPECTRUM_WINDOWS
+ * @param {number} [options.size] - długość FFT (potęga 2, >= liczby próbek)
+ * @returns {{frequencies: Float64Array, magnitudes: Float64Array, resolution: number, sampleRate: number, samples: number}}
+ */
+export function computeSpectrum(values, sampleRate, { window = 'hann', size = null } = {}) {
+    const n = values.length;
+    const windowFn = SPECTRUM_WINDOWS[window] || SPECTRUM_WINDOWS.hann;
+    const fftSize = size || nextPowerOfTwo(n);
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += values[i];
+    mean /= n || 1;
+    let gain = 0;
+    for (let i = 0; i < n; i++) {
+        const w = n > 1 ? windowFn(i, n) : 1;
+        re[i] = (values[i] - mean) * w;
+        gain += w;
+    }
+    fft(re, im);
+    const bins = fftSize / 2 + 1;
+    const frequencies = new Float64Array(bins);
+    const magnitudes = new Float64Array(bins);
+    for (let k = 0; k < bins; k++) {
+        frequencies[k] = (k * sampleRate) / fftSize;
+        const scale = k === 0 || k === fftSize / 2 ? 1 : 2;
+        magnitudes[k] = gain > 0 ? (scale * Math.hypot(re[k], im[k])) / gain : 0;
+    }
+    return { frequencies, magnitudes, resolution: sampleRate / fftSize, sampleRate, samples: n };
+}
+
+/**
+ * Najwyższe lokalne maksima widma.
+ * @param {{frequencies: Float64Array, magnitudes: Float64Array, resolution: number}} spectrum
+ * @param {Object} [options]
+ * @param {number} [options.count] - ile pików
+ * @param {number} [options.minFrequency] - Hz, pomija składową wolnozmienną
+ * @param {number} [options.minRelative] - próg względem najwyższego piku (0..1)
+ * @returns {{frequency: number, magnitude: number}[]} od najwyższego
+ */
+export function findPeaks(spectrum, { count = 5, minFrequency = 0, minRelative = 0.1 } = {}) {
+    const { frequencies, magnitudes, resolution } = spectrum;
+    const peaks = [];
+    for (let k = 1; k < magnitudes.length - 1; k++) {
+        if (frequencies[k] < minFrequency) continue;
+        const m = magnitudes[k];
+        if (m <= 0 || m < magnitudes[k - 1] || m <= magnitudes[k + 1]) continue;
+        // Parabola przez trzy prążki wokół maksimum
+        const a = magnitudes[k - 1];
+        const c = magnitudes[k + 1];
+        const denominator = a - 2 * m + c;
+        const shift = denominator !== 0 ? (0.5 * (a - c)) / denominator : 0;
+        peaks.push({ frequency: frequencies[k] + shift * resolution, magnitude: m - 0.25 * (a - c) * shift });
+    }
+    peaks.sort((p, q) => q.magnitude - p.magnitude);
+    const threshold = peaks.length ? peaks[0].magnitude * minRelative : 0;
+    return peaks.filter(p => p.magnitude >= threshold).slice(0, count);
+}
+
+/**
+ * Widmo kanału z telemetrii (czasy nierówne): przepróbkowanie + FFT.
+ * @returns {Object|null} wynik computeSpectrum lub null przy zbyt małej liczbie próbek
+ */
+export function spectrumOf(time, values, options = {}) {
+    const uniform = resampleUniform(time, values, options.sampleRate);
+    if (uniform.values.length < SPECTRUM_MIN_SAMPLES) return null;
+    return computeSpectrum(uniform.values, uniform.sampleRate, options);
+}
+
+/**
+ * Dominująca częstotliwość (Hz) i jej amplituda albo null.
+ * @param {Object} [options] - jak spectrumOf + minFrequency
+ */
+export function dominantFrequency(time, values, options = {}) {
+    const spectrum = spectrumOf(time, values, options);
+    if (!spectrum) return null;
+    const [peak] = findPeaks(spectrum, { count: 1, minFrequency: options.minFrequency ?? spectrum.resolution * 2 });
+    return peak || null;
+}
+
+/**
+ * Spektrogram: widma kolejnych segmentów.
+ * @param {ArrayLike<number>} time - ms
+ * @param {ArrayLike<number>} values
+ * @param {Object} [options]
+ * @param {number} [options.segmentSize] - próbek na segment (potęga 2)
+ * @param {number} [options.overlap] - nakładanie segmentów (0..0.9)
+ * @param {string} [options.window]
+ * @param {number} [options.sampleRate]
+ * @returns {{times: Float64Array, frequencies: Float64Array, magnitudes: Float32Array[], sampleRate: number}|null}
+ *   times - środek segmentu w ms, magnitudes[segment][prążek]
+ */
+export function computeSpectrogram(time, values, { segmentSize = 128, overlap = 0.5, window = 'hann', sampleRate = null } = {}) {
+    const uniform = resampleUniform(time, values, sampleRate);
+    if (uniform.values.length < segmentSize) return null;
+    const hop = Math.max(1, Math.round(segmentSize * (1 - Math.min(0.9, Math.max(0, overlap)))));
+    const segments = Math.floor((uniform.values.length - segmentSize) / hop) + 1;
+    const times = new Float64Array(segments);
+    const magnitudes = [];
+    let frequencies = null;
+    for (let s = 0; s < segments; s++) {
+        const from = s * hop;
+        const spectrum = computeSpectrum(uniform.values.subarray(from, from + segmentSize), uniform.sampleRate, { window, size: segmentSize });
+        frequencies = spectrum.frequencies;
+        magnitudes.push(Float32Array.from(spectrum.magnitudes));
+        times[s] = uniform.startTime + ((from + segmentSize / 2) * 1000) / uniform.sampleRate;
+    }
+    return { times, frequencies, magnitudes, sampleRate: uniform.sampleRate };
+}
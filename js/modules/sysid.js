@@ -7,31 +7,36 @@
 
 import { appStore, AppState, parameterMapping } from './state.js';
 import { computeEulerFromQuaternion } from './orientation-utils.mjs';
+import { telemetryStore } from './telemetry.js';
 
 // ========================================================================
 // STATE
 // ========================================================================
 export const SysIdState = {
     isRecording: false,
+    // Trwające nagranie: {t0, t1} w czasie telemetryStore (t1 = null do zatrzymania)
+    window: null,
+    // Rekordy zakończonego nagrania (kopia z magazynu) albo wczytanego z CSV / biblioteki sesji
     data: [],
+    sampleCount: 0,
     startTime: 0,
     duration: 5000,
     sampleRate: 50,
     kp: 50,
     impulse: 200,
     impulseDuration: 100,
-    impulseApplied: false,
+    // Chwile pobudzenia [ms od startu] - z nich odtwarzany jest input_signal
     impulseStartTime: 0,
+    stepTime: null,
+    setpointResetTime: null,
     chart: null,
     chartCtx: null,
-    telemetryHandler: null,
+    unsubscribeTelemetry: null,
     testType: 'balance',
     stepValue: 50,
-    stepApplied: false,
     savedPID: null,
     savedSpeedPID: null,
-    savedPositionPID: null,
-    currentSetpoint: 0
+    savedPositionPID: null
 };
 
 // ========================================================================
@@ -147,7 +152,6 @@ async function startSysIdRecording() {
 
     const sendBleMessage = window.sendBleMessage;
     const addLogMessage = window.addLogMessage;
-    const normalizeTelemetryData = window.normalizeTelemetryData;
 
     if (!AppState.isConnected) {
         addLogMessage('[SysID] Błąd: Połącz się z robotem.', 'error');
@@ -182,11 +186,9 @@ async function startSysIdRecording() {
 
     SysIdState.duration = (parseFloat(document.getElementById('sysid-duration')?.value) || 5) * 1000;
     SysIdState.sampleRate = 50;
-    SysIdState.stepApplied = false;
-    SysIdState.impulseApplied = false;
     SysIdState.impulseStartTime = 0;
-    SysIdState.impulsePhase = 0;
-    SysIdState.currentSetpoint = 0;
+    SysIdState.stepTime = null;
+    SysIdState.setpointResetTime = null;
 
     if (SysIdState.testType === 'balance') {
         SysIdState.kp = parseFloat(document.getElementById('balanceKpInput')?.value) || 50;
@@ -213,108 +215,38 @@ async function startSysIdRecording() {
     }
 
     SysIdState.data = [];
+    SysIdState.sampleCount = 0;
     SysIdState.isRecording = true;
-    SysIdState.startTime = performance.now();
+    // Zegar magazynu telemetrii (Date.now) - nagranie to przedział czasu w telemetryStore
+    SysIdState.startTime = Date.now();
+    SysIdState.window = { t0: SysIdState.startTime, t1: null };
     SysIdState._sysidTelemetryWarningShown = false;
 
     updateSysIdUI('recording');
 
-    SysIdState.telemetryHandler = (evt) => {
+    // Ramki zostają w telemetryStore - subskrypcja tylko liczy próbki i kończy nagranie
+    SysIdState.unsubscribeTelemetry = telemetryStore.subscribe((frame, time) => {
         if (!SysIdState.isRecording) return;
-        const data = evt.detail || evt;
-        if (data.type === 'telemetry') {
-            const elapsed = performance.now() - SysIdState.startTime;
-            const elapsedSec = elapsed / 1000;
-
-            const normData = (typeof normalizeTelemetryData === 'function') ? normalizeTelemetryData(data) : data;
-
-            let pitchValue = normData.pitch;
-            if (pitchValue === undefined && typeof normData.qw === 'number') {
-                if (typeof computeEulerFromQuaternion === 'function') {
-                    const eul = computeEulerFromQuaternion(normData.qw, normData.qx, normData.qy, normData.qz);
-                    if (eul) pitchValue = eul.pitch;
-                }
-                if (pitchValue === undefined) {
-                    const n = Math.hypot(normData.qw, normData.qx, normData.qy, normData.qz) || 1;
-                    const qw = normData.qw / n, qx = normData.qx / n, qy = normData.qy / n, qz = normData.qz / n;
-                    const sinp = 2 * (qw * qy - qz * qx);
-                    const pitchRad = Math.abs(sinp) >= 1 ? Math.sign(sinp) * (Math.PI / 2) : Math.asin(sinp);
-                    pitchValue = pitchRad * 180 / Math.PI;
-                }
-            }
-            if (pitchValue === undefined || Number.isNaN(pitchValue)) pitchValue = normData.angle ?? 0;
-
-            const record = {
-                time: elapsedSec,
-                angle: pitchValue,
-                speed: normData.speed ?? 0,
-                encoder_left: normData.encoder_left ?? 0,
-                encoder_right: normData.encoder_right ?? 0,
-                gyroY: normData.gyroY ?? normData.gyro_y ?? 0,
-                pwm_output: normData.output ?? normData.balance_output ?? 0,
-                target_angle: normData.target_angle ?? 0,
-                target_speed: normData.target_speed ?? 0,
-                firmware_timestamp_ms: normData.timestamp_ms ?? normData.ts ?? null,
-                test_type: SysIdState.testType,
-                setpoint: SysIdState.currentSetpoint,
-                input_signal: 0
-            };
-
-            if (SysIdState.testType === 'balance') {
-                const BLE_LATENCY_MS = 50;
-                const phaseDuration = SysIdState.impulseDuration || 100;
-                let currentImpulse = 0;
-                if (SysIdState.impulseApplied && SysIdState.impulseStartTime > 0) {
-                    const impulseElapsed = elapsed - SysIdState.impulseStartTime - BLE_LATENCY_MS;
-                    if (impulseElapsed >= 0 && impulseElapsed < phaseDuration) {
-                        currentImpulse = SysIdState.impulse * 100;
-                    } else if (impulseElapsed >= phaseDuration && impulseElapsed < phaseDuration * 2) {
-                        currentImpulse = -SysIdState.impulse * 100;
-                    }
-                }
-                record.input_signal = currentImpulse;
-                record.impulse_pwm = currentImpulse;
-                record.impulse_duration_ms = SysIdState.impulseDuration || 100;
-            } else if (SysIdState.testType === 'speed') {
-                const effectiveSetpoint = SysIdState.currentSetpoint;
-                record.input_signal = effectiveSetpoint;
-                record.setpoint_speed = effectiveSetpoint;
-                record.speed_error = effectiveSetpoint - record.speed;
-            } else if (SysIdState.testType === 'position') {
-                const avgEncoder = (record.encoder_left + record.encoder_right) / 2;
-                const encoderPpr = parseFloat(document.getElementById('encoderPprInput')?.value) || 820;
-                const wheelDiameter = parseFloat(document.getElementById('wheelDiameterInput')?.value) || 8.2;
-                const wheelCircum = Math.PI * wheelDiameter;
-                const positionCm = (avgEncoder / encoderPpr) * wheelCircum;
-                record.position_cm = positionCm;
-                const uiSetpoint = SysIdState.stepApplied ? SysIdState.stepValue : 0;
-                record.input_signal = uiSetpoint;
-                record.setpoint_position = uiSetpoint;
-                record.position_error = uiSetpoint - positionCm;
-            }
-
-            SysIdState.data.push(record);
+        const elapsed = time - SysIdState.startTime;
+        SysIdState.sampleCount++;
 
-            const progress = Math.min(100, (elapsed / SysIdState.duration) * 100);
-            const progressEl = document.getElementById('sysid-progress');
-            if (progressEl) progressEl.value = progress;
-            const countEl = document.getElementById('sysid-sample-count');
-            if (countEl) countEl.textContent = SysIdState.data.length;
+        const progress = Math.min(100, (elapsed / SysIdState.duration) * 100);
+        const progressEl = document.getElementById('sysid-progress');
+        if (progressEl) progressEl.value = progress;
+        const countEl = document.getElementById('sysid-sample-count');
+        if (countEl) countEl.textContent = SysIdState.sampleCount;
 
-            if (elapsed >= SysIdState.duration) {
-                stopSysIdRecording();
-            }
+        if (elapsed >= SysIdState.duration) {
+            stopSysIdRecording();
         }
-    };
-    window.addEventListener('ble_message', SysIdState.telemetryHandler);
+    });
 
     // Apply impulse after 1 second
     setTimeout(() => {
         if (!SysIdState.isRecording) return;
 
         if (SysIdState.testType === 'balance') {
-            SysIdState.impulseApplied = true;
-            SysIdState.impulseStartTime = performance.now() - SysIdState.startTime;
+            SysIdState.impulseStartTime = Date.now() - SysIdState.startTime;
             const impulsePercent = SysIdState.impulse;
             const phaseDuration = SysIdState.impulseDuration || 100;
 
@@ -330,21 +262,19 @@ async function startSysIdRecording() {
                 }
             }, phaseDuration * 2);
         } else if (SysIdState.testType === 'speed') {
-            SysIdState.stepApplied = true;
-            SysIdState.currentSetpoint = SysIdState.stepValue;
+            SysIdState.stepTime = Date.now() - SysIdState.startTime;
             const impulsePercent = SysIdState.impulse;
             addLogMessage(`[SysID] 🎮 Joystick do przodu ${(impulsePercent * 100).toFixed(0)}% (setpoint≈${SysIdState.stepValue} imp/s)`, 'info');
             sendBleMessage({ type: 'joystick', x: 0, y: impulsePercent });
             setTimeout(() => {
                 if (SysIdState.isRecording) {
-                    SysIdState.currentSetpoint = 0;
+                    SysIdState.setpointResetTime = Date.now() - SysIdState.startTime;
                     sendBleMessage({ type: 'joystick', x: 0, y: 0 });
                     addLogMessage(`[SysID] ⏹️ Joystick zeruje`, 'info');
                 }
             }, SysIdState.duration / 2 - 1000);
         } else if (SysIdState.testType === 'position') {
-            SysIdState.stepApplied = true;
-            SysIdState.currentSetpoint = SysIdState.stepValue;
+            SysIdState.stepTime = Date.now() - SysIdState.startTime;
             const impulsePercent = SysIdState.impulse;
             addLogMessage(`[SysID] 🎮 Impuls joystick ${(impulsePercent * 100).toFixed(0)}% (setpoint≈${SysIdState.stepValue} cm)`, 'info');
             sendBleMessage({ type: 'joystick', x: 0, y: impulsePercent });
@@ -355,7 +285,7 @@ async function startSysIdRecording() {
                 }
             }, 500);
             setTimeout(() => {
-                if (SysIdState.isRecording) SysIdState.currentSetpoint = 0;
+                if (SysIdState.isRecording) SysIdState.setpointResetTime = Date.now() - SysIdState.startTime;
             }, SysIdState.duration / 2 - 1000);
         }
     }, 1000);
@@ -374,22 +304,158 @@ function stopSysIdRecording() {
     const addLogMessage = window.addLogMessage;
 
     SysIdState.isRecording = false;
-    SysIdState.impulseApplied = false;
-    SysIdState.stepApplied = false;
-    SysIdState.impulseStartTime = 0;
-    SysIdState.currentSetpoint = 0;
-
-    if (SysIdState.telemetryHandler) {
-        window.removeEventListener('ble_message', SysIdState.telemetryHandler);
-        SysIdState.telemetryHandler = null;
+    SysIdState.window.t1 = Date.now();
+    // Kopia na stałe: magazyn bywa czyszczony (sesja z biblioteki) albo zasilany innym robotem
+    SysIdState.data = sysIdData();
+    SysIdState.window = null;
+
+    if (SysIdState.unsubscribeTelemetry) {
+        SysIdState.unsubscribeTelemetry();
+        SysIdState.unsubscribeTelemetry = null;
     }
 
     sendBleMessage({ type: 'joystick', x: 0, y: 0 });
     updateSysIdUI('stopped');
     drawSysIdChart();
+    // Nagranie trafia do bieżącej sesji w bibliotece sesji
+    window.dispatchEvent(new CustomEvent('sysid_recorded', { detail: getSysIdRecording() }));
 
     const testNames = { balance: 'Balans', speed: 'Prędkość', position: 'Pozycja' };
-    addLogMessage(`[SysID ${testNames[SysIdState.testType]}] ✅ Zakończone. Zebrano ${SysIdState.data.length} próbek (pasywnie).`, 'success');
+    addLogMessage(`[SysID ${testNames[SysIdState.testType]}] ✅ Zakończone. Zebrano ${sysIdData().length} próbek (pasywnie).`, 'success');
+}
+
+// ========================================================================
+// RECORDING WINDOW - rekordy nagrania odczytywane z telemetryStore
+// ========================================================================
+const SYSID_STORE_CHANNELS = [
+    'pitch', 'angle', 'qw', 'qx', 'qy', 'qz', 'speed', 'encoder_left', 'encoder_right', 'gyroY', 'gyro_y',
+    'output', 'balance_output', 'target_angle', 'target_speed', 'timestamp_ms', 'ts'
+];
+// Opóźnienie BLE między wysłaniem impulsu a reakcją robota
+const SYSID_BLE_LATENCY_MS = 50;
+
+function pitchFromFrame(frame, value) {
+    let pitchValue = value('pitch');
+    if (pitchValue === undefined && value('qw') !== undefined) {
+        if (typeof computeEulerFromQuaternion === 'function') {
+            const eul = computeEulerFromQuaternion(frame.qw, frame.qx, frame.qy, frame.qz);
+            if (eul) pitchValue = eul.pitch;
+        }
+        if (pitchValue === undefined) {
+            const n = Math.hypot(frame.qw, frame.qx, frame.qy, frame.qz) || 1;
+            const qw = frame.qw / n, qx = frame.qx / n, qy = frame.qy / n, qz = frame.qz / n;
+            const sinp = 2 * (qw * qy - qz * qx);
+            const pitchRad = Math.abs(sinp) >= 1 ? Math.sign(sinp) * (Math.PI / 2) : Math.asin(sinp);
+            pitchValue = pitchRad * 180 / Math.PI;
+        }
+    }
+    if (pitchValue === undefined || Number.isNaN(pitchValue)) pitchValue = value('angle') ?? 0;
+    return pitchValue;
+}
+
+/**
+ * Rekord SysID z ramki magazynu. Sygnał wejściowy i uchyby są odtwarzane
+ * z chwil pobudzenia (impulseStartTime / stepTime / setpointResetTime).
+ */
+function sysIdRecordFromFrame(frame) {
+    const value = (...names) => {
+        for (const name of names) if (!Number.isNaN(frame[name])) return frame[name];
+        return undefined;
+    };
+    const elapsed = frame.time - SysIdState.startTime;
+    const stepped = SysIdState.stepTime !== null && elapsed >= SysIdState.stepTime;
+    const setpointReset = SysIdState.setpointResetTime !== null && elapsed >= SysIdState.setpointResetTime;
+    const record = {
+        time: elapsed / 1000,
+        angle: pitchFromFrame(frame, value),
+        speed: value('speed') ?? 0,
+        encoder_left: value('encoder_left') ?? 0,
+        encoder_right: value('encoder_right') ?? 0,
+        gyroY: value('gyroY', 'gyro_y') ?? 0,
+        pwm_output: value('output', 'balance_output') ?? 0,
+        target_angle: value('target_angle') ?? 0,
+        target_speed: value('target_speed') ?? 0,
+        firmware_timestamp_ms: value('timestamp_ms', 'ts') ?? null,
+        test_type: SysIdState.testType,
+        setpoint: stepped && !setpointReset ? SysIdState.stepValue : 0,
+        input_signal: 0
+    };
+
+    if (SysIdState.testType === 'balance') {
+        const phaseDuration = SysIdState.impulseDuration || 100;
+        let currentImpulse = 0;
+        if (SysIdState.impulseStartTime > 0) {
+            const impulseElapsed = elapsed - SysIdState.impulseStartTime - SYSID_BLE_LATENCY_MS;
+            if (impulseElapsed >= 0 && impulseElapsed < phaseDuration) {
+                currentImpulse = SysIdState.impulse * 100;
+            } else if (impulseElapsed >= phaseDuration && impulseElapsed < phaseDuration * 2) {
+                currentImpulse = -SysIdState.impulse * 100;
+            }
+        }
+        record.input_signal = currentImpulse;
+        record.impulse_pwm = currentImpulse;
+        record.impulse_duration_ms = phaseDuration;
+    } else if (SysIdState.testType === 'speed') {
+        const effectiveSetpoint = record.setpoint;
+        record.input_signal = effectiveSetpoint;
+        record.setpoint_speed = effectiveSetpoint;
+        record.speed_error = effectiveSetpoint - record.speed;
+    } else if (SysIdState.testType === 'position') {
+        const avgEncoder = (record.encoder_left + record.encoder_right) / 2;
+        const encoderPpr = parseFloat(document.getElementById('encoderPprInput')?.value) || 820;
+        const wheelDiameter = parseFloat(document.getElementById('wheelDiameterInput')?.value) || 8.2;
+        const wheelCircum = Math.PI * wheelDiameter;
+        const positionCm = (avgEncoder / encoderPpr) * wheelCircum;
+        record.position_cm = positionCm;
+        // Setpoint UI zostaje do końca nagrania (robot trzyma nową pozycję)
+        const uiSetpoint = stepped ? SysIdState.stepValue : 0;
+        record.input_signal = uiSetpoint;
+        record.setpoint_position = uiSetpoint;
+        record.position_error = uiSetpoint - positionCm;
+    }
+    return record;
+}
+
+/** Rekordy nagrania: przedział telemetryStore w trakcie nagrywania, potem kopia w SysIdState.data. */
+function sysIdData() {
+    const range = SysIdState.window;
+    if (!range) return SysIdState.data;
+    return telemetryStore.frames(SYSID_STORE_CHANNELS, range.t0, range.t1 ?? Infinity).map(sysIdRecordFromFrame);
+}
+
+// ========================================================================
+// RECORDING SNAPSHOT - zapis / odczyt nagrania (biblioteka sesji)
+// ========================================================================
+export function getSysIdRecording() {
+    return {
+        testType: SysIdState.testType,
+        kp: SysIdState.kp,
+        impulse: SysIdState.impulse,
+        impulseDuration: SysIdState.impulseDuration,
+        stepValue: SysIdState.stepValue,
+        sampleRate: SysIdState.sampleRate,
+        duration: SysIdState.duration,
+        data: sysIdData().map(d => ({ ...d }))
+    };
+}
+
+export function loadSysIdRecording(recording) {
+    if (SysIdState.isRecording) stopSysIdRecording();
+    SysIdState.window = null;
+    SysIdState.data = (recording.data || []).map(d => ({ ...d }));
+    SysIdState.testType = recording.testType || 'balance';
+    SysIdState.kp = recording.kp ?? SysIdState.kp;
+    SysIdState.impulse = recording.impulse ?? SysIdState.impulse;
+    SysIdState.impulseDuration = recording.impulseDuration ?? SysIdState.impulseDuration;
+    SysIdState.stepValue = recording.stepValue ?? SysIdState.stepValue;
+    SysIdState.sampleRate = recording.sampleRate ?? SysIdState.sampleRate;
+    SysIdState.duration = recording.duration ?? SysIdState.duration;
+    const countEl = document.getElementById('sysid-sample-count');
+    if (countEl) countEl.textContent = SysIdState.data.length;
+    const resultsDiv = document.getElementById('sysid-analysis-results');
+    if (resultsDiv) resultsDiv.style.display = 'none';
+    updateSysIdUI('stopped');
+    drawSysIdChart();
 }
 
 // ========================================================================
@@ -413,7 +479,7 @@ function updateSysIdUI(state) {
     } else if (state === 'stopped') {
         if (startBtn) startBtn.disabled = false;
         if (stopBtn) stopBtn.disabled = true;
-        const hasData = SysIdState.data.length > 0;
+        const hasData = sysIdData().length > 0;
         if (exportCsvBtn) exportCsvBtn.disabled = !hasData;
         if (clearBtn) clearBtn.disabled = !hasData;
         if (analyzeBtn) analyzeBtn.disabled = !hasData;
@@ -429,7 +495,7 @@ function drawSysIdChart() {
     if (!canvas || !SysIdState.chartCtx) return;
 
     const ctx = SysIdState.chartCtx;
-    const data = SysIdState.data;
+    const data = sysIdData();
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     if (data.length < 2) return;
 
@@ -520,6 +586,7 @@ function importSysIdCSV() {
                 const { data, metadata } = parseSysIdCSV(csvText);
                 if (data.length < 10) { addLogMessage('[SysID Import] Za mało danych w pliku CSV', 'error'); return; }
 
+                SysIdState.window = null;
                 SysIdState.data = data;
                 SysIdState.testType = metadata.test_type || 'balance';
                 SysIdState.kp = metadata.kp_used || 50;
@@ -598,7 +665,8 @@ function parseSysIdCSV(csvText) {
 // ========================================================================
 function exportSysIdCSV() {
     const addLogMessage = window.addLogMessage;
-    if (SysIdState.data.length === 0) { addLogMessage('[SysID] Brak danych do eksportu.', 'warn'); return; }
+    const data = sysIdData();
+    if (data.length === 0) { addLogMessage('[SysID] Brak danych do eksportu.', 'warn'); return; }
 
     const encoderPpr = document.getElementById('encoderPprInput')?.value || 820;
     const wheelDiameter = document.getElementById('wheelDiameterInput')?.value || 8.2;
@@ -618,7 +686,7 @@ function exportSysIdCSV() {
         `# encoder_ppr: ${encoderPpr}`,
         `# wheel_diameter_cm: ${wheelDiameter}`,
         `# track_width_cm: ${trackWidth}`,
-        `# samples_count: ${SysIdState.data.length}`
+        `# samples_count: ${data.length}`
     ];
     if (testType === 'balance') {
         metadataLines.push(`# kp_used: ${SysIdState.kp}`, `# passive_mode: true`, `# note: Robot nie wie że był testowany - użyto standardowych komend joysticka`, `# impulse_joystick_percent: ${SysIdState.impulse * 100}`, `# impulse_type: double_pulse_fwd_bwd`, `# impulse_phase_duration_ms: ${SysIdState.impulseDuration || 100}`, `# impulse_total_duration_ms: ${(SysIdState.impulseDuration || 100) * 2}`);
@@ -633,13 +701,13 @@ function exportSysIdCSV() {
     let header, rows;
     if (testType === 'balance') {
         header = 'time_s,angle_deg,impulse_percent,pwm_output,speed_enc,encoder_left,encoder_right,gyro_y\n';
-        rows = SysIdState.data.map(d => `${d.time.toFixed(4)},${d.angle.toFixed(4)},${(d.impulse_pwm || 0).toFixed(2)},${d.pwm_output.toFixed(2)},${d.speed.toFixed(2)},${d.encoder_left},${d.encoder_right},${d.gyroY.toFixed(4)}`).join('\n');
+        rows = data.map(d => `${d.time.toFixed(4)},${d.angle.toFixed(4)},${(d.impulse_pwm || 0).toFixed(2)},${d.pwm_output.toFixed(2)},${d.speed.toFixed(2)},${d.encoder_left},${d.encoder_right},${d.gyroY.toFixed(4)}`).join('\n');
     } else if (testType === 'speed') {
         header = 'time_s,setpoint_speed,speed_actual,speed_error,angle_deg,pwm_output,encoder_left,encoder_right\n';
-        rows = SysIdState.data.map(d => `${d.time.toFixed(4)},${(d.setpoint_speed || d.input_signal || 0).toFixed(2)},${d.speed.toFixed(2)},${(d.speed_error || 0).toFixed(2)},${d.angle.toFixed(4)},${d.pwm_output.toFixed(2)},${d.encoder_left},${d.encoder_right}`).join('\n');
+        rows = data.map(d => `${d.time.toFixed(4)},${(d.setpoint_speed || d.input_signal || 0).toFixed(2)},${d.speed.toFixed(2)},${(d.speed_error || 0).toFixed(2)},${d.angle.toFixed(4)},${d.pwm_output.toFixed(2)},${d.encoder_left},${d.encoder_right}`).join('\n');
     } else if (testType === 'position') {
         header = 'time_s,setpoint_position,position_actual,position_error,speed_enc,angle_deg,encoder_left,encoder_right\n';
-        rows = SysIdState.data.map(d => `${d.time.toFixed(4)},${(d.setpoint_position || d.input_signal || 0).toFixed(2)},${(d.position_cm || 0).toFixed(2)},${(d.position_error || 0).toFixed(2)},${d.speed.toFixed(2)},${d.angle.toFixed(4)},${d.encoder_left},${d.encoder_right}`).join('\n');
+        rows = data.map(d => `${d.time.toFixed(4)},${(d.setpoint_position || d.input_signal || 0).toFixed(2)},${(d.position_cm || 0).toFixed(2)},${(d.position_error || 0).toFixed(2)},${d.speed.toFixed(2)},${d.angle.toFixed(4)},${d.encoder_left},${d.encoder_right}`).join('\n');
     }
 
     const csv = metadata + header + rows;
@@ -648,7 +716,7 @@ function exportSysIdCSV() {
     const a = document.createElement('a'); a.href = url;
     a.download = `sysid_data_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.csv`;
     a.click(); URL.revokeObjectURL(url);
-    addLogMessage(`[SysID] Eksportowano ${SysIdState.data.length} próbek do CSV (z parametrami mechanicznymi).`, 'success');
+    addLogMessage(`[SysID] Eksportowano ${data.length} próbek do CSV (z parametrami mechanicznymi).`, 'success');
 }
 
 // ========================================================================
@@ -656,14 +724,15 @@ function exportSysIdCSV() {
 // ========================================================================
 export function analyzeSysIdData() {
     const addLogMessage = window.addLogMessage;
-    if (SysIdState.data.length < 20) { addLogMessage('[SysID Analiza] Za mało danych do analizy (min. 20 próbek).', 'error'); return; }
+    const data = sysIdData();
+    if (data.length < 20) { addLogMessage('[SysID Analiza] Za mało danych do analizy (min. 20 próbek).', 'error'); return; }
 
-    addLogMessage(`[SysID Analiza] Rozpoczynam analizę ${SysIdState.data.length} próbek...`, 'info');
+    addLogMessage(`[SysID Analiza] Rozpoczynam analizę ${data.length} próbek...`, 'info');
 
     const testType = SysIdState.testType || 'balance';
     let params = null; let pidSuggestions = {};
 
-    const impulseData = SysIdState.data.map(d => d.impulse_pwm || d.input_signal || 0);
+    const impulseData = data.map(d => d.impulse_pwm || d.input_signal || 0);
     const hasImpulse = impulseData.some(v => Math.abs(v) > 5);
     if (!hasImpulse && testType === 'balance') {
         addLogMessage('[SysID Analiza] Brak wykrytego impulsu w danych! Sprawdź czy impuls był wykonany.', 'warn');
@@ -671,14 +740,14 @@ export function analyzeSysIdData() {
 
     try {
         if (testType === 'balance') {
-            params = identifyBalanceLoop(SysIdState.data, SysIdState.kp);
+            params = identifyBalanceLoop(data, SysIdState.kp);
             if (params) pidSuggestions = calculatePIDFromModel(params, SysIdState.kp, 'balance');
             else addLogMessage('[SysID Analiza] Nie wykryto impulsu - sprawdź czy dane zawierają sygnał zakłócenia.', 'warn');
         } else if (testType === 'speed') {
-            params = identifySpeedLoop(SysIdState.data);
+            params = identifySpeedLoop(data);
             if (params) pidSuggestions = calculatePIDFromModel(params, 0, 'speed');
         } else if (testType === 'position') {
-            params = identifyPositionLoop(SysIdState.data);
+            params = identifyPositionLoop(data);
             if (params) pidSuggestions = calculatePIDFromModel(params, 0, 'position');
         }
 
@@ -1136,6 +1205,7 @@ export function applySuggestedPID(loopType, kp, ki, kd) {
 
 function clearSysIdData() {
     const addLogMessage = window.addLogMessage;
+    SysIdState.window = null;
     SysIdState.data = [];
     updateSysIdUI('stopped');
     const canvas = document.getElementById('sysid-preview-chart');
@@ -1156,4 +1226,7 @@ window.SysIdState = SysIdState;
 window.initSystemIdentification = initSystemIdentification;
 window.applySuggestedPID = applySuggestedPID;
 window.importSysIdCSV = importSysIdCSV;
+window.getSysIdRecording = getSysIdRecording;
+window.loadSysIdRecording = loadSysIdRecording;
 window.analyzeSysIdData = analyzeSysIdData;
+window.stopSysIdRecording = stopSysIdRecording;
@@ -0,0 +1,205 @@
+// ========================================================================
+// TELEMETRY CODEC - Format telemetrii na łączu (ES6 Module)
+// ========================================================================
+// - normalizeTelemetryData(): krótkie klucze firmware (p, sp, el...) →
+//   pełne nazwy używane w UI,
+// - kompaktowa ramka binarna telemetrii (BLE notification) - kodowanie
+//   i dekodowanie do tego samego obiektu co telemetria JSON,
+// - TelemetrySequenceTracker: licznik ramek utraconych na podstawie `seq`.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+/**
+ * Normalize short telemetry keys to full names
+ */
+export function normalizeTelemetryData(d) {
+    if (!d || typeof d !== 'object') return d;
+    if (d.sp !== undefined && d.speed === undefined) d.speed = d.sp;
+    if (d.ts !== undefined && d.target_speed === undefined) d.target_speed = d.ts;
+    if (d.el !== undefined && d.encoder_left === undefined) d.encoder_left = d.el;
+    if (d.er !== undefined && d.encoder_right === undefined) d.encoder_right = d.er;
+    if (d.o !== undefined && d.output === undefined) d.output = d.o;
+    if (d.gy !== undefined && d.gyroY === undefined) d.gyroY = d.gy;
+    if (d.cs !== undefined && d.calib_sys === undefined) d.calib_sys = d.cs;
+    if (d.cg !== undefined && d.calib_gyro === undefined) d.calib_gyro = d.cg;
+    if (d.ca !== undefined && d.calib_accel === undefined) d.calib_accel = d.ca;
+    if (d.cm !== undefined && d.calib_mag === undefined) d.calib_mag = d.cm;
+    if (d.lt !== undefined && d.loop_time === undefined) d.loop_time = d.lt;
+    if (d.po !== undefined && d.pitch_offset === undefined) d.pitch_offset = d.po;
+    if (d.ro !== undefined && d.roll_offset === undefined) d.roll_offset = d.ro;
+    // Kąty Eulera z firmware (robot jest jedynym źródłem prawdy)
+    if (d.p !== undefined && d.pitch === undefined) d.pitch = d.p;
+    if (d.y !== undefined && d.yaw === undefined) d.yaw = d.y;
+    if (d.r !== undefined && d.roll === undefined) d.roll = d.r;
+    if (d.pitch_offset === undefined) d.pitch_offset = 0.0;
+    if (d.roll_offset === undefined) d.roll_offset = 0.0;
+    if (d.states && typeof d.states === 'object') {
+        const s = d.states;
+        if (s.b !== undefined && s.balancing === undefined) s.balancing = s.b;
+        if (s.hp !== undefined && s.holding_pos === undefined) s.holding_pos = s.hp;
+        if (s.sm !== undefined && s.speed_mode === undefined) s.speed_mode = s.sm;
+        if (s.es !== undefined && s.emergency_stop === undefined) s.emergency_stop = s.es;
+    }
+    return d;
+}
+
+
+// ========================================================================
+// RAMKA BINARNA (little-endian, 38 bajtów, jedna ramka = jedna notyfikacja)
+// ========================================================================
+//  off typ   pole
+//   0  u8    typ ramki = 0xFE (bajt niewystępujący w UTF-8, więc nie myli
+//            się z fragmentem tekstu JSON)
+//   1  u8    flagi: b0 balancing, b1 holding_pos, b2 speed_mode, b3 emergency_stop
+//   2  u16   seq - licznik ramek (zawija się po 65535)
+//   4  u8    stan robota (TELEMETRY_ROBOT_STATES, 0xFF = nieznany)
+//   5  u8    kalibracja: sys<<6 | gyro<<4 | accel<<2 | mag
+//   6  i16   pitch ×100 [°]        8  i16  roll ×100 [°]
+//  10  i16   yaw ×100 [°]         12  i16  gyroY ×10 [°/s]
+//  14  f32   speed [imp/s]        18  f32  target_speed [imp/s]
+//  22  i32   encoder_left         26  i32  encoder_right
+//  30  i16   output ×10 [PWM]     32  u16  loop_time [µs]
+//  34  i16   pitch_offset ×100    36  i16  roll_offset ×100
+// Wymaga MTU ≥ 41 (38 B + 3 B nagłówka ATT).
+
+export const TELEMETRY_FRAME_TYPE = 0xFE;
+export const TELEMETRY_FRAME_SIZE = 38;
+export const TELEMETRY_ROBOT_STATES = ['IDLE', 'BALANSUJE', 'TRZYMA_POZYCJE', 'RUCH_AUTONOMICZNY', 'OBROT_AUTONOMICZNY'];
+const UNKNOWN_STATE = 0xFF;
+
+function toDataView(data) {
+    if (data instanceof DataView) return data;
+    if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return new DataView(data);
+}
+
+/** Czy bufor z notyfikacji jest binarną ramką telemetrii (a nie tekstem JSON). */
+export function isTelemetryFrame(data) {
+    const view = toDataView(data);
+    return view.byteLength === TELEMETRY_FRAME_SIZE && view.getUint8(0) === TELEMETRY_FRAME_TYPE;
+}
+
+const clampInt = (value, min, max) => Math.max(min, Math.min(max, Math.round(Number(value) || 0)));
+
+/**
+ * Koduje telemetrię (krótkie lub pełne klucze) do ramki binarnej.
+ * Używane przez symulator i testy - odpowiednik kodu w firmware.
+ * @returns {Uint8Array}
+ */
+export function encodeTelemetryFrame(t, seq) {
+    const d = normalizeTelemetryData({ ...t, states: t.states ? { ...t.states } : undefined });
+    const bytes = new Uint8Array(TELEMETRY_FRAME_SIZE);
+    const view = new DataView(bytes.buffer);
+    const s = d.states || {};
+    const flags = (s.balancing ? 1 : 0) | (s.holding_pos ? 2 : 0) | (s.speed_mode ? 4 : 0) | (s.emergency_stop ? 8 : 0);
+    const stateIndex = TELEMETRY_ROBOT_STATES.indexOf(d.robot_state);
+    const calib = (clampInt(d.calib_sys, 0, 3) << 6) | (clampInt(d.calib_gyro, 0, 3) << 4) | (clampInt(d.calib_accel, 0, 3) << 2) | clampInt(d.calib_mag, 0, 3);
+
+    view.setUint8(0, TELEMETRY_FRAME_TYPE);
+    view.setUint8(1, flags);
+    view.setUint16(2, seq & 0xFFFF, true);
+    view.setUint8(4, stateIndex === -1 ? UNKNOWN_STATE : stateIndex);
+    view.setUint8(5, calib);
+    view.setInt16(6, clampInt(d.pitch * 100, -32768, 32767), true);
+    view.setInt16(8, clampInt(d.roll * 100, -32768, 32767), true);
+    view.setInt16(10, clampInt(d.yaw * 100, -32768, 32767), true);
+    view.setInt16(12, clampInt(d.gyroY * 10, -32768, 32767), true);
+    view.setFloat32(14, Number(d.speed) || 0, true);
+    view.setFloat32(18, Number(d.target_speed) || 0, true);
+    view.setInt32(22, clampInt(d.encoder_left, -2147483648, 2147483647), true);
+    view.setInt32(26, clampInt(d.encoder_right, -2147483648, 2147483647), true);
+    view.setInt16(30, clampInt(d.output * 10, -32768, 32767), true);
+    view.setUint16(32, clampInt(d.loop_time, 0, 65535), true);
+    view.setInt16(34, clampInt(d.pitch_offset * 100, -32768, 32767), true);
+    view.setInt16(36, clampInt(d.roll_offset * 100, -32768, 32767), true);
+    return bytes;
+}
+
+const round = (value, digits) => { const f = Math.pow(10, digits); return Math.round(value * f) / f; };
+
+/**
+ * Dekoduje ramkę do obiektu telemetrii z krótkimi kluczami (jak JSON z firmware)
+ * przepuszczonego przez normalizeTelemetryData, plus `seq`.
+ * @returns {Object|null} null, gdy bufor nie jest ramką telemetrii
+ */
+export function decodeTelemetryFrame(data) {
+    const view = toDataView(data);
+    if (!isTelemetryFrame(view)) return null;
+    const flags = view.getUint8(1);
+    const stateCode = view.getUint8(4);
+    const calib = view.getUint8(5);
+    const frame = {
+        type: 'telemetry',
+        seq: view.getUint16(2, true),
+        p: view.getInt16(6, true) / 100,
+        r: view.getInt16(8, true) / 100,
+        y: view.getInt16(10, true) / 100,
+        gy: view.getInt16(12, true) / 10,
+        sp: round(view.getFloat32(14, true), 3),
+        ts: round(view.getFloat32(18, true), 3),
+        el: view.getInt32(22, true),
+        er: view.getInt32(26, true),
+        o: view.getInt16(30, true) / 10,
+        lt: view.getUint16(32, true),
+        po: view.getInt16(34, true) / 100,
+        ro: view.getInt16(36, true) / 100,
+        cs: (calib >> 6) & 3, cg: (calib >> 4) & 3, ca: (calib >> 2) & 3, cm: calib & 3,
+        states: { b: flags & 1 ? 1 : 0, hp: flags & 2 ? 1 : 0, sm: flags & 4 ? 1 : 0, es: flags & 8 ? 1 : 0 }
+    };
+    if (stateCode < TELEMETRY_ROBOT_STATES.length) frame.robot_state = TELEMETRY_ROBOT_STATES[stateCode];
+    return normalizeTelemetryData(frame);
+}
+
+// ========================================================================
+// WYKRYWANIE UTRACONYCH RAMEK
+// ========================================================================
+
+export class TelemetrySequenceTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.lastSeq = null;
+        this.received = 0;
+        this.dropped = 0;
+        this.duplicates = 0;
+        this.reordered = 0;
+    }
+
+    /**
+     * Rejestruje numer ramki (u16, z zawijaniem).
+     * @returns {number} liczba ramek utraconych tuż przed tą ramką
+     */
+    push(seq) {
+        seq &= 0xFFFF;
+        this.received++;
+        if (this.lastSeq === null) {
+            this.lastSeq = seq;
+            return 0;
+        }
+        const diff = (seq - this.lastSeq) & 0xFFFF;
+        if (diff === 0) {
+            this.duplicates++;
+            return 0;
+        }
+        // Różnica "ujemna" - spóźniona ramka; nie cofamy licznika
+        if (diff > 0x8000) {
+            this.reordered++;
+            return 0;
+        }
+        this.lastSeq = seq;
+        this.dropped += diff - 1;
+        return diff - 1;
+    }
+
+    /** Odsetek utraconych ramek (0..1) od ostatniego resetu. */
+    getLossRate() {
+        const expected = this.received + this.dropped;
+        return expected > 0 ? this.dropped / expected : 0;
+    }
+
+    getStats() {
+        return { received: this.received, dropped: this.dropped, duplicates: this.duplicates, reordered: this.reordered, lossRate: this.getLossRate() };
+    }
+}
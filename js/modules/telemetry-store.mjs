@@ -0,0 +1,315 @@
+// ========================================================================
+// TELEMETRY STORE - Długa historia telemetrii w buforach kołowych (ES6 Module)
+// ========================================================================
+// Jedno miejsce, w którym lądują wszystkie ramki telemetrii sesji.
+// Czas trzymany jest w Float64Array, każdy kanał (pitch, speed, output...)
+// w osobnym Float32Array o tych samych indeksach - brak wartości w ramce
+// to NaN. Bufory rosną stopniowo do pojemności (domyślnie kilka godzin
+// przy 50 Hz), potem nadpisują najstarsze próbki.
+// Do wyświetlania: decimate() - min/max w przedziałach czasu, dzięki
+// czemu godzina danych mieści się w kilkuset punktach wykresu bez gubienia
+// pików. Konsumenci (analizator, diagnostyka PID, SysID, autotuning)
+// subskrybują store zamiast własnych nasłuchów 'ble_message'.
+// Moduł bez DOM (testy w Node).
+// ========================================================================
+
+export const TELEMETRY_STORE_RATE_HZ = 50;
+export const TELEMETRY_STORE_HOURS = 3;
+export const TELEMETRY_STORE_CAPACITY = TELEMETRY_STORE_RATE_HZ * 3600 * TELEMETRY_STORE_HOURS;
+export const TELEMETRY_STORE_MAX_CHANNELS = 64;
+const INITIAL_SIZE = 4096;
+
+/**
+ * Bufor kołowy na tablicy typowanej. Rośnie (podwajanie) do `capacity`,
+ * dopiero pełny nadpisuje najstarsze wartości. Indeks 0 = najstarsza.
+ */
+export class RingBuffer {
+    /**
+     * @param {number} capacity - maksymalna liczba wartości
+     * @param {Object} [options]
+     * @param {Function} [options.type] - konstruktor tablicy (Float32Array, Float64Array...)
+     * @param {number} [options.initialSize] - początkowy rozmiar alokacji
+     */
+    constructor(capacity, { type = Float32Array, initialSize = INITIAL_SIZE } = {}) {
+        if (!(capacity > 0)) throw new RangeError('RingBuffer: pojemnosc musi byc dodatnia');
+        this.capacity = Math.floor(capacity);
+        this.type = type;
+        this.initialSize = Math.max(1, Math.min(this.capacity, initialSize));
+        this.clear();
+    }
+
+    clear() {
+        this.data = new this.type(this.initialSize);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(value) {
+        const size = this.data.length;
+        if (this.length < size) {
+            this.data[(this.start + this.length) % size] = value;
+            this.length++;
+        } else if (size < this.capacity) {
+            this.grow();
+            this.data[this.length++] = value;
+        } else {
+            this.data[this.start] = value;
+            this.start = (this.start + 1) % size;
+        }
+    }
+
+    /** `count` razy ta sama wartość (np. NaN dla nowego kanału). */
+    fill(value, count) {
+        for (let i = 0; i < count; i++) this.push(value);
+    }
+
+    /** Wartość o indeksie i (0 = najstarsza). */
+    get(i) {
+        return this.data[(this.start + i) % this.data.length];
+    }
+
+    last() {
+        return this.length > 0 ? this.get(this.length - 1) : undefined;
+    }
+
+    /** Kopia zakresu [from, to) w kolejności od najstarszej. */
+    toArray(from = 0, to = this.length) {
+        from = Math.max(0, from);
+        to = Math.min(this.length, to);
+        const out = new this.type(Math.max(0, to - from));
+        if (out.length === 0) return out;
+        const size = this.data.length;
+        const a = (this.start + from) % size;
+        const firstPart = Math.min(out.length, size - a);
+        out.set(this.data.subarray(a, a + firstPart), 0);
+        if (firstPart < out.length) out.set(this.data.subarray(0, out.length - firstPart), firstPart);
+        return out;
+    }
+
+    grow() {
+        const next = new this.type(Math.min(this.capacity, this.data.length * 2));
+        next.set(this.toArray(), 0);
+        this.data = next;
+        this.start = 0;
+    }
+}
+
+/**
+ * Historia wszystkich kanałów telemetrii ze wspólną osią czasu.
+ */
+export class TelemetryStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.capacity] - liczba próbek (ramek) w historii
+     * @param {number} [options.maxChannels] - limit kanałów (ochrona przed śmieciowymi kluczami)
+     * @param {number} [options.initialSize] - początkowa alokacja buforów
+     */
+    constructor({ capacity = TELEMETRY_STORE_CAPACITY, maxChannels = TELEMETRY_STORE_MAX_CHANNELS, initialSize = INITIAL_SIZE } = {}) {
+        this.capacity = capacity;
+        this.maxChannels = maxChannels;
+        this.initialSize = initialSize;
+        this.listeners = new Set();
+        this.clear();
+    }
+
+    clear() {
+        this.time = new RingBuffer(this.capacity, { type: Float64Array, initialSize: this.initialSize });
+        this.channels = new Map();
+        // Wszystkie przyjęte ramki, także te już nadpisane
+        this.total = 0;
+    }
+
+    get length() { return this.time.length; }
+    get startTime() { return this.time.length > 0 ? this.time.get(0) : null; }
+    get endTime() { return this.time.length > 0 ? this.time.last() : null; }
+
+    /** Nazwy kanałów w kolejności pojawienia się. */
+    channelNames() {
+        return [...this.channels.keys()];
+    }
+
+    has(name) {
+        return this.channels.has(name);
+    }
+
+    /**
+     * Dopisuje ramkę: każde pole liczbowe to kanał. Czas nie może się
+     * cofać (zegar hosta) - wyszukiwanie zakresów zakłada monotoniczność.
+     * @param {Object} frame - znormalizowana ramka telemetrii
+     * @param {number} [time] - czas w ms
+     */
+    push(frame, time = Date.now()) {
+        if (!frame) return;
+        const last = this.time.last();
+        if (last !== undefined && time < last) time = last;
+        this.time.push(time);
+        for (const [name, ring] of this.channels) {
+            const value = frame[name];
+            ring.push(typeof value === 'number' ? value : NaN);
+        }
+        for (const key of Object.keys(frame)) {
+            const value = frame[key];
+            if (typeof value !== 'number' || this.channels.has(key) || this.channels.size >= this.maxChannels) continue;
+            const ring = new RingBuffer(this.capacity, { initialSize: this.initialSize });
+            ring.fill(NaN, this.time.length - 1);
+            ring.push(value);
+            this.channels.set(key, ring);
+        }
+        this.total++;
+        for (const listener of this.listeners) {
+            try { listener(frame, time); } catch (error) {
+                console.error('Error in telemetry store listener:', error);
+            }
+        }
+    }
+
+    /**
+     * Powiadomienie o każdej nowej ramce (już zapisanej w historii).
+     * @param {(frame: Object, time: number) => void} listener
+     * @returns {() => void} wyrejestrowanie
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => { this.listeners.delete(listener); };
+    }
+
+    /** Indeks pierwszej próbki z czasem >= time (wyszukiwanie binarne). */
+    indexAt(time) {
+        return this.search(time, false);
+    }
+
+    /** Zakres indeksów [from, to) dla czasów t0 <= t <= t1. */
+    rangeIndices(t0 = -Infinity, t1 = Infinity) {
+        return [this.search(t0, false), this.search(t1, true)];
+    }
+
+    // Pierwszy indeks z czasem >= time (after: > time)
+    search(time, after) {
+        let lo = 0;
+        let hi = this.time.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            const t = this.time.get(mid);
+            if (t < time || (after && t === time)) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Próbki kanału z przedziału czasu (NaN tam, gdzie ramka nie miała kanału).
+     * @returns {{time: Float64Array, values: Float32Array}}
+     */
+    slice(name, t0, t1) {
+        const [from, to] = this.rangeIndices(t0, t1);
+        const ring = this.channels.get(name);
+        return {
+            time: this.time.toArray(from, to),
+            values: ring ? ring.toArray(from, to) : new Float32Array(to - from).fill(NaN)
+        };
+    }
+
+    /**
+     * Ostatnie `count` wartości kanału (bez NaN), nie starsze niż `since`.
+     * @returns {Float32Array}
+     */
+    latest(name, count, since = -Infinity) {
+        const ring = this.channels.get(name);
+        if (!ring) return new Float32Array(0);
+        const from = this.indexAt(since);
+        const out = [];
+        for (let i = ring.length - 1; i >= from && out.length < count; i--) {
+            const value = ring.get(i);
+            if (!Number.isNaN(value)) out.push(value);
+        }
+        return Float32Array.from(out.reverse());
+    }
+
+    /**
+     * Ramki jako obiekty {time, kanał: wartość} - wygodne dla analiz,
+     * które pracują na rekordach (autotuning, eksport).
+     * @param {string[]} names - kanały do odczytu
+     */
+    frames(names, t0, t1) {
+        const [from, to] = this.rangeIndices(t0, t1);
+        const rings = names.map(name => [name, this.channels.get(name)]);
+        const out = [];
+        for (let i = from; i < to; i++) {
+            const frame = { time: this.time.get(i) };
+            for (const [name, ring] of rings) frame[name] = ring ? ring.get(i) : NaN;
+            out.push(frame);
+        }
+        return out;
+    }
+
+    /**
+     * Min/max/średnia kanału w przedziale czasu, z pominięciem NaN.
+     * @returns {{min: number, max: number, avg: number, count: number}|null}
+     */
+    stats(name, t0, t1) {
+        const ring = this.channels.get(name);
+        if (!ring) return null;
+        const [from, to] = this.rangeIndices(t0, t1);
+        let min = Infinity, max = -Infinity, sum = 0, count = 0;
+        for (let i = from; i < to; i++) {
+            const value = ring.get(i);
+            if (Number.isNaN(value)) continue;
+            if (value < min) min = value;
+            if (value > max) max = value;
+            sum += value;
+            count++;
+        }
+        return count > 0 ? { min, max, avg: sum / count, count } : null;
+    }
+
+    /**
+     * Decymacja min/max do wyświetlenia. Gdy próbek jest najwyżej
+     * 2 * buckets, zwraca je bez zmian. W przeciwnym razie dzieli
+     * [t0, t1] na `buckets` równych przedziałów czasu i z każdego oddaje
+     * dwa punkty: min i max w kolejności wystąpienia (pusty przedział = NaN).
+     * Układ osi czasu zależy tylko od t0, t1 i buckets, więc kilka kanałów
+     * zdecymowanych z tymi samymi argumentami dzieli etykiety wykresu.
+     * @returns {{time: Float64Array, values: Float32Array, decimated: boolean}}
+     */
+    decimate(name, t0, t1, buckets) {
+        const [from, to] = this.rangeIndices(t0, t1);
+        const ring = this.channels.get(name);
+        if (to - from <= 2 * buckets) {
+            const { time, values } = this.slice(name, t0, t1);
+            return { time, values, decimated: false };
+        }
+        const start = Number.isFinite(t0) ? t0 : this.time.get(from);
+        const end = Number.isFinite(t1) ? t1 : this.time.get(to - 1);
+        const width = Math.max(end - start, 1e-9) / buckets;
+        const time = new Float64Array(2 * buckets);
+        const values = new Float32Array(2 * buckets).fill(NaN);
+        for (let b = 0; b < buckets; b++) {
+            time[2 * b] = start + b * width;
+            time[2 * b + 1] = start + (b + 0.5) * width;
+        }
+        if (!ring) return { time, values, decimated: true };
+
+        let bucket = -1, minValue = 0, maxValue = 0, minIndex = 0, maxIndex = 0, seen = false;
+        const flush = () => {
+            if (!seen) return;
+            const minFirst = minIndex <= maxIndex;
+            values[2 * bucket] = minFirst ? minValue : maxValue;
+            values[2 * bucket + 1] = minFirst ? maxValue : minValue;
+        };
+        for (let i = from; i < to; i++) {
+            const b = Math.min(buckets - 1, Math.floor((this.time.get(i) - start) / width));
+            if (b !== bucket) {
+                flush();
+                bucket = b;
+                seen = false;
+            }
+            const value = ring.get(i);
+            if (Number.isNaN(value)) continue;
+            if (!seen || value < minValue) { minValue = value; minIndex = i; }
+            if (!seen || value > maxValue) { maxValue = value; maxIndex = i; }
+            seen = true;
+        }
+        flush();
+        return { time, values, decimated: true };
+    }
+}
@@ -3,11 +3,17 @@
 // ========================================================================
 
 import { appStore, AppState, parameterMapping } from './state.js';
+import { normalizeTelemetryData } from './telemetry-codec.mjs';
+import { TelemetryStore } from './telemetry-store.mjs';
+import { DerivedChannelSet } from './derived-channels.mjs';
 
 // --- Telemetry state ---
-export let pitchHistory = [];
-export let speedHistory = [];
-export const HISTORY_LENGTH = 600;
+// Cała historia telemetrii sesji - czytają z niej wykresy, diagnostyka PID, SysID i autotuning
+export const telemetryStore = new TelemetryStore();
+// Kanały pochodne użytkownika - liczone przed zapisem ramki (definicje ustawia derived-channels-ui.js)
+export const derivedChannels = new DerivedChannelSet();
+// Okno statystyk min/max/średnia w panelu telemetrii
+const STATS_WINDOW_MS = 10000;
 let lastTelemetryUpdateTime = 0;
 const TELEMETRY_UPDATE_INTERVAL = 1000;
 
@@ -15,45 +21,34 @@ const TELEMETRY_UPDATE_INTERVAL = 1000;
 export let currentEncoderLeft = 0;
 export let currentEncoderRight = 0;
 
+// Normalizacja krótkich kluczy - wspólna z dekoderem ramek binarnych
+export { normalizeTelemetryData };
+
 /**
- * Normalize short telemetry keys to full names
+ * Statystyki skorygowanego kąta pochylenia (jak wskaźnik `angleVal`):
+ * `pitch`, a w ramkach bez niego `raw_pitch`.
+ * @returns {{min: number, max: number, avg: number, count: number}|null}
  */
-export function normalizeTelemetryData(d) {
-    if (!d || typeof d !== 'object') return d;
-    if (d.sp !== undefined && d.speed === undefined) d.speed = d.sp;
-    if (d.ts !== undefined && d.target_speed === undefined) d.target_speed = d.ts;
-    if (d.el !== undefined && d.encoder_left === undefined) d.encoder_left = d.el;
-    if (d.er !== undefined && d.encoder_right === undefined) d.encoder_right = d.er;
-    if (d.o !== undefined && d.output === undefined) d.output = d.o;
-    if (d.gy !== undefined && d.gyroY === undefined) d.gyroY = d.gy;
-    if (d.cs !== undefined && d.calib_sys === undefined) d.calib_sys = d.cs;
-    if (d.cg !== undefined && d.calib_gyro === undefined) d.calib_gyro = d.cg;
-    if (d.ca !== undefined && d.calib_accel === undefined) d.calib_accel = d.ca;
-    if (d.cm !== undefined && d.calib_mag === undefined) d.calib_mag = d.cm;
-    if (d.lt !== undefined && d.loop_time === undefined) d.loop_time = d.lt;
-    if (d.po !== undefined && d.pitch_offset === undefined) d.pitch_offset = d.po;
-    if (d.ro !== undefined && d.roll_offset === undefined) d.roll_offset = d.ro;
-    // Kąty Eulera z firmware (robot jest jedynym źródłem prawdy)
-    if (d.p !== undefined && d.pitch === undefined) d.pitch = d.p;
-    if (d.y !== undefined && d.yaw === undefined) d.yaw = d.y;
-    if (d.r !== undefined && d.roll === undefined) d.roll = d.r;
-    if (d.pitch_offset === undefined) d.pitch_offset = 0.0;
-    if (d.roll_offset === undefined) d.roll_offset = 0.0;
-    if (d.states && typeof d.states === 'object') {
-        const s = d.states;
-        if (s.b !== undefined && s.balancing === undefined) s.balancing = s.b;
-        if (s.hp !== undefined && s.holding_pos === undefined) s.holding_pos = s.hp;
-        if (s.sm !== undefined && s.speed_mode === undefined) s.speed_mode = s.sm;
-        if (s.es !== undefined && s.emergency_stop === undefined) s.emergency_stop = s.es;
+function correctedPitchStats(since) {
+    let min = Infinity, max = -Infinity, sum = 0, count = 0;
+    for (const frame of telemetryStore.frames(['pitch', 'raw_pitch'], since)) {
+        const value = Number.isNaN(frame.pitch) ? frame.raw_pitch : frame.pitch;
+        if (Number.isNaN(value)) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+        sum += value;
+        count++;
     }
-    return d;
+    return count > 0 ? { min, max, avg: sum / count, count } : null;
 }
 
 /**
  * Update all telemetry UI elements
  */
 export function updateTelemetryUI(data) {
-    data = normalizeTelemetryData(data);
+    const now = Date.now();
+    data = derivedChannels.apply(normalizeTelemetryData(data), now);
+    telemetryStore.push(data, now);
 
     // Save telemetry globally
     window.telemetryData = {
@@ -106,8 +101,6 @@ export function updateTelemetryUI(data) {
         if (angleVal) angleVal.textContent = correctedPitch.toFixed(1) + ' \u00B0';
         const pitchEl = document.getElementById('robot3d-pitch');
         if (pitchEl) pitchEl.textContent = correctedPitch.toFixed(1) + '°';
-        pitchHistory.push(correctedPitch);
-        if (pitchHistory.length > HISTORY_LENGTH) pitchHistory.shift();
     }
 
     // Roll
@@ -137,8 +130,6 @@ export function updateTelemetryUI(data) {
         const wheelRpm = (speed / ppr) * 60;
         const wheelSpeedEl = document.getElementById('robot3d-wheel-speed');
         if (wheelSpeedEl) wheelSpeedEl.textContent = wheelRpm.toFixed(0) + ' obr/min';
-        speedHistory.push(speed);
-        if (speedHistory.length > HISTORY_LENGTH) speedHistory.shift();
     }
 
     // === Fuzzy Logic — aktualizacja wizualizacji na żywo ===
@@ -170,21 +161,18 @@ export function updateTelemetryUI(data) {
 
     // Statistics update (throttled)
     if (Date.now() - lastTelemetryUpdateTime > TELEMETRY_UPDATE_INTERVAL) {
-        if (pitchHistory.length > 0) {
-            const minPitch = Math.min(...pitchHistory);
-            const maxPitch = Math.max(...pitchHistory);
-            const avgPitch = pitchHistory.reduce((sum, val) => sum + val, 0) / pitchHistory.length;
-            const pmn = document.getElementById('pitchMin'); if (pmn) pmn.textContent = minPitch.toFixed(1) + '°';
-            const pmx = document.getElementById('pitchMax'); if (pmx) pmx.textContent = maxPitch.toFixed(1) + '°';
-            const pav = document.getElementById('pitchAvg'); if (pav) pav.textContent = avgPitch.toFixed(1) + '°';
+        const since = Date.now() - STATS_WINDOW_MS;
+        const pitchStats = correctedPitchStats(since);
+        if (pitchStats) {
+            const pmn = document.getElementById('pitchMin'); if (pmn) pmn.textContent = pitchStats.min.toFixed(1) + '°';
+            const pmx = document.getElementById('pitchMax'); if (pmx) pmx.textContent = pitchStats.max.toFixed(1) + '°';
+            const pav = document.getElementById('pitchAvg'); if (pav) pav.textContent = pitchStats.avg.toFixed(1) + '°';
         }
-        if (speedHistory.length > 0) {
-            const minSpeed = Math.min(...speedHistory);
-            const maxSpeed = Math.max(...speedHistory);
-            const avgSpeed = speedHistory.reduce((sum, val) => sum + val, 0) / speedHistory.length;
-            const smn = document.getElementById('speedMin'); if (smn) smn.textContent = minSpeed.toFixed(0) + ' imp/s';
-            const smx = document.getElementById('speedMax'); if (smx) smx.textContent = maxSpeed.toFixed(0) + ' imp/s';
-            const sav = document.getElementById('speedAvg'); if (sav) sav.textContent = avgSpeed.toFixed(0) + ' imp/s';
+        const speedStats = telemetryStore.stats('speed', since);
+        if (speedStats) {
+            const smn = document.getElementById('speedMin'); if (smn) smn.textContent = speedStats.min.toFixed(0) + ' imp/s';
+            const smx = document.getElementById('speedMax'); if (smx) smx.textContent = speedStats.max.toFixed(0) + ' imp/s';
+            const sav = document.getElementById('speedAvg'); if (sav) sav.textContent = speedStats.avg.toFixed(0) + ' imp/s';
         }
         lastTelemetryUpdateTime = Date.now();
     }
@@ -351,6 +339,8 @@ export function applyFullConfig(params) {
 // Backward compatibility - expose on window
 window.normalizeTelemetryData = normalizeTelemetryData;
 window.updateTelemetryUI = updateTelemetryUI;
+window.telemetryStore = telemetryStore;
+window.derivedChannels = derivedChannels;
 window.applySingleParam = applySingleParam;
 window.applySingleAutotuneParam = applySingleAutotuneParam;
 window.applyFullConfig = applyFullConfig;
@@ -2,7 +2,7 @@
  * ui-helpers.js — ES6 module for RoboBala UI helper utilities
  *
  * Extracted from main.js. Contains:
- *   - Log buffer management (allLogsBuffer, pushLog, renderAllLogs, addLogMessage, clearLogs)
+ *   - Log buffer management (allLogsBuffer, pushLog, onLogEntry, renderAllLogs, addLogMessage, clearLogs)
  *   - Generic debounce utility
  *   - Accordion helpers (toggleAccordion, updateAccordionHeight, accordionObserver)
  *   - Autotune chart relocation (relocateAutotuneChart)
@@ -16,11 +16,21 @@
 // ---------------------------------------------------------------------------
 const allLogsBuffer = [];
 const ALL_LOGS_MAX = 2000;
+// Słuchacze nowych wpisów (np. zapis logów do biblioteki sesji)
+const logListeners = new Set();
+
+function onLogEntry(listener) {
+    logListeners.add(listener);
+    return () => { logListeners.delete(listener); };
+}
 
 function pushLog(message, level = 'info') {
     const ts = new Date().toLocaleTimeString();
     allLogsBuffer.push({ ts, level, message });
     if (allLogsBuffer.length > ALL_LOGS_MAX) allLogsBuffer.shift();
+    for (const listener of logListeners) {
+        try { listener({ time: Date.now(), level, message }); } catch (e) { console.error('Error in log listener:', e); }
+    }
     const logCard = document.getElementById('log-card');
     const autoEl = document.getElementById('logsAutoscroll');
     if (logCard && logCard.classList.contains('open')) {
@@ -161,6 +171,7 @@ export {
     allLogsBuffer,
     ALL_LOGS_MAX,
     pushLog,
+    onLogEntry,
     renderAllLogs,
     debounce,
     addLogMessage,
@@ -178,6 +189,7 @@ export {
 window.allLogsBuffer      = allLogsBuffer;
 window.ALL_LOGS_MAX       = ALL_LOGS_MAX;
 window.pushLog            = pushLog;
+window.onLogEntry         = onLogEntry;
 window.renderAllLogs      = renderAllLogs;
 window.debounce           = debounce;
 window.addLogMessage      = addLogMessage;
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRuleText, normalizeRules, AlarmMonitor, ALARM_RULE_TEMPLATES } from '../js/modules/alarm-rules.mjs';
+import { TelemetryStore } from '../js/modules/telemetry-store.mjs';
+
+test('rule text supports |x| and a for-duration suffix', () => {
+  assert.deepEqual(
+    (({ condition, forMs }) => ({ condition, forMs }))(parseRuleText('|pitch| > 25 for 200 ms')),
+    { condition: 'abs(pitch) > 25', forMs: 200 }
+  );
+  assert.equal(parseRuleText('calib_gyro < 2 for 1.5 s').forMs, 1500);
+  assert.equal(parseRuleText('|a| > 1 || |b| > 2').condition, 'abs(a) > 1 || abs(b) > 2');
+  assert.equal(parseRuleText('loop_time > 3000').forMs, 0);
+  assert.throws(() => parseRuleText('|pitch > 3'), /Niezamkniete/);
+  assert.throws(() => parseRuleText('pitch >'), /Oczekiwano/);
+  for (const template of ALARM_RULE_TEMPLATES) assert.doesNotThrow(() => parseRuleText(template.text), template.name);
+
+  assert.deepEqual(normalizeRules([
+    { id: 'a', text: ' pitch > 1 ', actions: ['stop', 'bogus', 'log'] },
+    { id: 'a', name: 'Druga', text: 'roll > 1', enabled: false, cooldownMs: 0 },
+    { text: '' }
+  ]), [
+    { id: 'a', name: 'pitch > 1', text: 'pitch > 1', actions: ['log', 'stop'], enabled: true, cooldownMs: 2000 },
+    { id: 'a_', name: 'Druga', text: 'roll > 1', actions: ['log'], enabled: false, cooldownMs: 0 }
+  ]);
+});
+
+test('duration rules fire once after the condition holds long enough and clear when it stops', () => {
+  const monitor = new AlarmMonitor({ rules: [{ id: 'fall', name: 'Upadek', text: '|pitch| > 25 for 200 ms', actions: ['banner', 'stop'], cooldownMs: 0 }] });
+  const run = (pitch, t) => monitor.process({ pitch }, t);
+
+  assert.equal(run(30, 0).fired.length, 0);
+  assert.equal(run(-30, 100).fired.length, 0);
+  // Przerwa w warunku zeruje licznik czasu
+  run(10, 150);
+  assert.equal(run(30, 200).fired.length, 0);
+  assert.equal(run(30, 399).fired.length, 0);
+  const { fired } = run(30, 400);
+  assert.equal(fired.length, 1);
+  assert.equal(fired[0].name, 'Upadek');
+  assert.equal(fired[0].since, 200);
+  assert.deepEqual(fired[0].actions, ['banner', 'stop']);
+  assert.deepEqual(monitor.activeRules().map(r => r.id), ['fall']);
+  assert.equal(run(40, 500).fired.length, 0, 'bez powtorzen w trakcie alarmu');
+
+  const { cleared } = run(0, 600);
+  assert.deepEqual(cleared.map(r => r.id), ['fall']);
+  assert.deepEqual(monitor.activeRules(), []);
+});
+
+test('cooldown, disabled rules and invalid rules', () => {
+  const monitor = new AlarmMonitor({ rules: [
+    { id: 'loop', text: 'loop_time > 3000', cooldownMs: 1000 },
+    { id: 'off', text: 'loop_time > 0', enabled: false },
+    { id: 'bad', text: 'loop_time >' }
+  ] });
+  assert.deepEqual(monitor.errors.map(e => e.id), ['bad']);
+  assert.equal(monitor.process({ loop_time: 4000 }, 0).fired.length, 1);
+  monitor.process({ loop_time: 2000 }, 100);
+  assert.equal(monitor.process({ loop_time: 4000 }, 500).fired.length, 0, 'cooldown');
+  assert.deepEqual(monitor.process({ loop_time: 4000 }, 1200).fired.map(e => e.ruleId), ['loop']);
+});
+
+test('alarm events carry the triggering values and telemetry from before the alarm', () => {
+  const store = new TelemetryStore();
+  const monitor = new AlarmMonitor({
+    rules: [{ text: 'calib_gyro < 2 && speed > param.max_speed', actions: ['log'] }],
+    resolve: (name) => (name === 'param.max_speed' ? 100 : undefined),
+    history: (names, t0, t1) => store.frames(names.filter(name => store.has(name)), t0, t1),
+    snapshotMs: 1000
+  });
+  let event = null;
+  for (let i = 0; i <= 100; i++) {
+    const t = i * 20;
+    // Skrócone ramki: calib_gyro tylko co 10 ramek
+    const frame = i % 10 === 0 ? { pitch: i / 4, speed: i * 2, calib_gyro: 1 } : { pitch: i / 4, speed: i * 2 };
+    store.push(frame, t);
+    const { fired } = monitor.process(frame, t);
+    if (fired.length) event = fired[0];
+  }
+  assert.ok(event);
+  assert.equal(event.time, 1020);
+  assert.deepEqual(event.values, { calib_gyro: 1, speed: 102, pitch: 12.75 });
+  assert.equal(event.before.length, 51);
+  assert.deepEqual(event.before.at(-1), { time: 1020, calib_gyro: NaN, speed: 102, pitch: 12.75 });
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROTOCOL_VERSION, buildHelloMessage, parseCapabilities, legacyCapabilities,
+  isFeatureSupported, isParamSupported, checkProtocolCompatibility, supportsCommandAck,
+  supportsChunkResend
+} from '../js/modules/capabilities.mjs';
+import { RobotSimulator } from '../js/modules/robot-simulator.mjs';
+
+test('hello announces the client protocol version', () => {
+  assert.deepEqual(buildHelloMessage(), { type: 'hello', protocol: PROTOCOL_VERSION, client: 'robobala-web' });
+});
+
+test('features are gated by reported messages, params or explicit feature flags', () => {
+  const caps = parseCapabilities({
+    type: 'capabilities', protocol: 2, firmware: '1.4.0',
+    messages: ['set_param', 'get_model_mapping', 'set_model_mapping'],
+    params: ['kp_b', 'kd_b']
+  });
+
+  assert.equal(caps.firmware, '1.4.0');
+  assert.equal(isFeatureSupported(caps, 'model_mapping'), true);
+  assert.equal(isFeatureSupported(caps, 'fuzzy'), false);
+  assert.equal(isFeatureSupported(caps, 'prediction'), false);
+  assert.equal(isParamSupported(caps, 'kp_b'), true);
+  assert.equal(isParamSupported(caps, 'prediction_mode'), false);
+
+  const flagged = parseCapabilities({ protocol: 2, messages: [], features: ['fuzzy'] });
+  assert.equal(isFeatureSupported(flagged, 'fuzzy'), true);
+});
+
+test('unknown or legacy capabilities never hide anything', () => {
+  for (const caps of [null, legacyCapabilities(), parseCapabilities({ protocol: 2 })]) {
+    assert.equal(isFeatureSupported(caps, 'fuzzy'), true);
+    assert.equal(isParamSupported(caps, 'prediction_mode'), true);
+  }
+});
+
+test('protocol compatibility levels', () => {
+  assert.equal(checkProtocolCompatibility(legacyCapabilities()).level, 'legacy');
+  assert.equal(checkProtocolCompatibility(parseCapabilities({ protocol: PROTOCOL_VERSION })).level, 'ok');
+  assert.equal(checkProtocolCompatibility(parseCapabilities({ protocol: PROTOCOL_VERSION + 1 })).level, 'newer');
+  assert.equal(checkProtocolCompatibility(parseCapabilities({ protocol: 0 })).level, 'incompatible');
+});
+
+test('simulator answers hello with its capabilities', () => {
+  const sim = new RobotSimulator({ noise: false });
+  const [reply] = sim.handleCommand(buildHelloMessage());
+  const caps = parseCapabilities(reply);
+
+  assert.equal(reply.type, 'capabilities');
+  assert.equal(checkProtocolCompatibility(caps).level, 'ok');
+  assert.equal(isFeatureSupported(caps, 'fuzzy'), false);
+  assert.equal(isFeatureSupported(caps, 'prediction'), true);
+  assert.equal(isParamSupported(caps, 'safety_max_angle'), true);
+});
+
+test('command acks are used only when the handshake advertises them', () => {
+  assert.equal(supportsCommandAck(parseCapabilities({ protocol: 2, features: ['command_ack'] })), true);
+  for (const caps of [null, legacyCapabilities(), parseCapabilities({ protocol: 2 })]) {
+    assert.equal(supportsCommandAck(caps), false);
+  }
+
+  const sim = new RobotSimulator({ noise: false });
+  assert.equal(supportsCommandAck(parseCapabilities(sim.handleCommand(buildHelloMessage())[0])), true);
+  assert.equal(sim.handleCommand({ type: 'execute_move', distance_cm: 10, id: 4 }).find(r => r.type === 'ack').id, 4);
+
+  // Starszy firmware: brak flagi i brak ACK dla komendy z `id`
+  const legacy = new RobotSimulator({ noise: false, commandAck: false });
+  assert.equal(supportsCommandAck(parseCapabilities(legacy.handleCommand(buildHelloMessage())[0])), false);
+  assert.equal(legacy.handleCommand({ type: 'execute_move', distance_cm: 10, id: 4 }).some(r => r.type === 'ack'), false);
+});
+
+test('chunk_resend is requested only from firmware that advertises it', () => {
+  assert.equal(supportsChunkResend(parseCapabilities({ protocol: 2, features: ['chunk_resend'] })), true);
+  assert.equal(supportsChunkResend(parseCapabilities({ protocol: 2, messages: ['set_param', 'chunk_resend'] })), true);
+  for (const caps of [null, legacyCapabilities(), parseCapabilities({ protocol: 2, features: ['command_ack'] })]) {
+    assert.equal(supportsChunkResend(caps), false);
+  }
+});
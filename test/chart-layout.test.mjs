@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  defaultChartLayout, normalizeChartLayout, paneIndexOf, assignChannelToPane, addChartPane,
+  removeChartPane, updateChartPane, paneFixedRange, paneValue, CHART_PANE_LIMIT
+} from '../js/modules/chart-layout.mjs';
+
+test('normalizes stored layouts and falls back to the default', () => {
+  assert.deepEqual(normalizeChartLayout(null), defaultChartLayout());
+  assert.deepEqual(normalizeChartLayout({ panes: [] }), defaultChartLayout());
+  const layout = normalizeChartLayout({
+    panes: [
+      { title: '  ', weight: 7, fixed: true, min: '-5', max: 'x', log: 1, channels: ['pitch', 'pitch', ' speed '] },
+      { title: 'Enkodery', weight: 2, channels: ['speed', 'encoder_left'] },
+      ...Array(5).fill({ channels: [] })
+    ]
+  });
+  assert.equal(layout.panes.length, CHART_PANE_LIMIT);
+  assert.deepEqual(layout.panes[0], { title: 'Panel 1', weight: 1, fixed: true, min: -5, max: null, log: true, channels: ['pitch', 'speed'] });
+  assert.deepEqual(layout.panes[1].channels, ['encoder_left'], 'kanal tylko w pierwszym panelu');
+  assert.equal(layout.panes[1].weight, 2);
+});
+
+test('assigns channels, adds and removes panes', () => {
+  let layout = defaultChartLayout();
+  assert.equal(paneIndexOf(layout, 'speed'), 1);
+  assert.equal(paneIndexOf(layout, 'loop_time'), 0, 'nieprzypisany kanal w pierwszym panelu');
+
+  layout = addChartPane(layout);
+  assert.equal(layout.panes.length, 3);
+  layout = assignChannelToPane(layout, 'loop_time', 2);
+  layout = assignChannelToPane(layout, 'output', 2);
+  assert.deepEqual(layout.panes[2].channels, ['loop_time', 'output']);
+  assert.deepEqual(layout.panes[1].channels, ['speed', 'target_speed']);
+
+  layout = removeChartPane(layout, 2);
+  assert.equal(paneIndexOf(layout, 'loop_time'), 0);
+  assert.equal(paneIndexOf(layout, 'output'), 0);
+  assert.equal(removeChartPane(removeChartPane(layout, 1), 0).panes.length, 1, 'ostatni panel zostaje');
+  let full = layout;
+  for (let i = 0; i < 10; i++) full = addChartPane(full);
+  assert.equal(full.panes.length, CHART_PANE_LIMIT);
+});
+
+test('fixed ranges and log scale values', () => {
+  let layout = updateChartPane(defaultChartLayout(), 0, { fixed: true, min: -30, max: 30 });
+  assert.deepEqual(paneFixedRange(layout.panes[0]), { min: -30, max: 30 });
+  assert.equal(paneFixedRange(layout.panes[1]), null);
+  layout = updateChartPane(layout, 0, { log: true });
+  assert.equal(paneFixedRange(layout.panes[0]), null, 'log wymaga min > 0');
+  layout = updateChartPane(layout, 0, { min: 1, max: 1000 });
+  assert.deepEqual(paneFixedRange(layout.panes[0]), { min: 1, max: 1000 });
+  assert.equal(paneFixedRange(updateChartPane(layout, 0, { max: 1 }).panes[0]), null);
+
+  assert.equal(paneValue(layout.panes[0], 0), null);
+  assert.equal(paneValue(layout.panes[0], -2), null);
+  assert.equal(paneValue(layout.panes[0], 5), 5);
+  assert.equal(paneValue(layout.panes[1], -2), -2);
+  assert.equal(paneValue(layout.panes[1], NaN), null);
+});
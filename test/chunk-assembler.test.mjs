@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ChunkAssembler, chunkChecksum, CHUNK_STALL_TIMEOUT_MS } from '../js/modules/chunk-assembler.mjs';
+import { manualTimers } from './helpers/manual-timers.mjs';
+
+function split(text, size) {
+  const parts = [];
+  for (let i = 0; i < text.length; i += size) parts.push(text.slice(i, i + size));
+  return parts;
+}
+
+function setup(options = {}) {
+  const timers = manualTimers();
+  const messages = [];
+  const resends = [];
+  const failures = [];
+  const assembler = new ChunkAssembler({
+    onMessage: (text) => messages.push(text),
+    requestResend: (id, indices) => resends.push({ id, indices }),
+    onFailure: (failure) => failures.push(failure),
+    timers,
+    ...options
+  });
+  return { assembler, timers, messages, resends, failures };
+}
+
+const PAYLOAD = JSON.stringify({ type: 'full_config', kp_b: 95.5, note: 'zażółć' });
+
+test('chunkChecksum is CRC-16/CCITT-FALSE over UTF-8 bytes', () => {
+  assert.equal(chunkChecksum('123456789'), 0x29B1);
+  assert.equal(chunkChecksum(''), 0xFFFF);
+  assert.notEqual(chunkChecksum('ż'), chunkChecksum('z'));
+});
+
+test('parts arriving out of order are assembled once complete', () => {
+  const { assembler, timers, messages } = setup();
+  const parts = split(PAYLOAD, 10);
+  [...parts.keys()].reverse().forEach(i => assembler.add({ id: 7, i, total: parts.length, data: parts[i], crc: chunkChecksum(parts[i]) }));
+
+  assert.deepEqual(messages, [PAYLOAD]);
+  assert.equal(timers.size, 0);
+  assert.equal(assembler.getMetrics().assembled, 1);
+  assert.equal(assembler.getMetrics().pending, 0);
+});
+
+test('parts without crc are accepted (older firmware)', () => {
+  const { assembler, messages } = setup();
+  const parts = split(PAYLOAD, 16);
+  parts.forEach((data, i) => assembler.add({ id: 'a', i, total: parts.length, data }));
+  assert.deepEqual(messages, [PAYLOAD]);
+});
+
+test('missing and corrupt parts are requested by index and recovered', () => {
+  const { assembler, timers, messages, resends } = setup();
+  const parts = split(PAYLOAD, 8);
+  parts.forEach((data, i) => {
+    if (i === 1) return;
+    const crc = chunkChecksum(data);
+    assembler.add({ id: 3, i, total: parts.length, data: i === 4 ? data.toUpperCase() : data, crc });
+  });
+  assert.deepEqual(assembler.getMissing(3), [1, 4]);
+
+  timers.fireAll();
+  assert.deepEqual(resends, [{ id: 3, indices: [1, 4] }]);
+
+  [1, 4].forEach(i => assembler.add({ id: 3, i, total: parts.length, data: parts[i], crc: chunkChecksum(parts[i]) }));
+  assert.deepEqual(messages, [PAYLOAD]);
+  assert.deepEqual(
+    { ...assembler.getMetrics() },
+    { assembled: 1, recovered: 1, failed: 0, corrupt: 1, resendRequests: 1, pending: 0 }
+  );
+});
+
+test('without total only gaps below the highest index are reported, otherwise the next index is requested', () => {
+  const { assembler, timers, resends } = setup();
+  assembler.add({ id: 9, i: 0, data: 'ab' });
+  assembler.add({ id: 9, i: 2, data: 'ef' });
+  assert.deepEqual(assembler.getMissing(9), [1]);
+
+  assembler.add({ id: 9, i: 1, data: 'cd' });
+  timers.fireAll();
+  assert.deepEqual(resends, [{ id: 9, indices: [3] }]);
+});
+
+test('gives up after maxResends and records the failure', () => {
+  const { assembler, timers, messages, resends, failures } = setup({ maxResends: 2 });
+  assembler.add({ id: 5, i: 0, total: 3, data: 'x', crc: chunkChecksum('x') });
+  assembler.add({ id: 5, i: 2, total: 3, data: 'z', crc: 1 });
+
+  timers.fireAll();
+  timers.fireAll();
+  timers.fireAll();
+
+  assert.equal(resends.length, 2);
+  assert.deepEqual(messages, []);
+  assert.deepEqual(failures, [{ id: 5, total: 3, received: 1, missing: [1, 2], corrupt: [2], resends: 2 }]);
+  assert.deepEqual(assembler.failures, failures);
+  assert.equal(assembler.getMetrics().failed, 1);
+  assert.equal(timers.size, 0);
+});
+
+test('without chunk_resend support a stalled message fails after one long wait', () => {
+  const { assembler, timers, resends, failures } = setup({ resendEnabled: false });
+  assembler.add({ id: 6, i: 0, total: 2, data: 'a' });
+
+  assert.deepEqual(timers.runUntilIdle(), [CHUNK_STALL_TIMEOUT_MS]);
+  assert.deepEqual(resends, []);
+  assert.deepEqual(failures, [{ id: 6, total: 2, received: 1, missing: [1], corrupt: [], resends: 0 }]);
+
+  assembler.setResendEnabled(true);
+  assembler.add({ id: 7, i: 0, total: 2, data: 'a' });
+  timers.fireNext();
+  assert.deepEqual(resends, [{ id: 7, indices: [1] }]);
+});
+
+test('clear drops pending messages without counting failures', () => {
+  const { assembler, timers, failures } = setup();
+  assembler.add({ id: 1, i: 0, total: 2, data: 'a' });
+  assembler.clear();
+
+  assert.equal(timers.size, 0);
+  assert.equal(assembler.getMetrics().pending, 0);
+  assert.equal(assembler.getMetrics().failed, 0);
+  assert.deepEqual(failures, []);
+});
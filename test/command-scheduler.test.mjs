@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OutgoingScheduler, classifyMessage, PRIORITY } from '../js/modules/command-scheduler.mjs';
+
+function drain(scheduler) {
+  const out = [];
+  let message;
+  while ((message = scheduler.dequeue()) !== null) out.push(message);
+  return out;
+}
+
+test('emergency stop overtakes queued config and motion traffic', () => {
+  const scheduler = new OutgoingScheduler();
+  for (let i = 0; i < 5; i++) scheduler.enqueue({ type: 'set_param', key: `k${i}`, value: i });
+  scheduler.enqueue({ type: 'execute_move', distance_cm: 20 });
+  scheduler.enqueue({ type: 'command_stop' });
+
+  const order = drain(scheduler).map(m => m.type);
+  assert.equal(order[0], 'command_stop');
+  // Ruch sprzed zatrzymania nie jest już wysyłany
+  assert.equal(order.includes('execute_move'), false);
+  assert.equal(scheduler.getStats().superseded, 1);
+  assert.equal(classifyMessage({ type: 'save_tunings' }), PRIORITY.CONFIG);
+});
+
+test('set_param per key keeps only the latest value, joystick and heartbeat in place', () => {
+  const scheduler = new OutgoingScheduler();
+  scheduler.enqueue({ type: 'set_param', key: 'kp_b', value: 1 });
+  scheduler.enqueue({ type: 'set_param', key: 'kd_b', value: 2 });
+  assert.equal(scheduler.enqueue({ type: 'set_param', key: 'kp_b', value: 3 }), 'coalesced');
+  scheduler.enqueue({ type: 'save_tunings' });
+  scheduler.enqueue({ type: 'joystick', x: 0.1, y: 0 });
+  scheduler.enqueue({ type: 'joystick', x: 0.5, y: 0.2 });
+  scheduler.enqueue({ type: 'heartbeat', seq: 1 });
+  assert.equal(scheduler.enqueue({ type: 'heartbeat', seq: 2 }), 'coalesced');
+
+  assert.deepEqual(drain(scheduler), [
+    { type: 'joystick', x: 0.5, y: 0.2 },
+    { type: 'heartbeat', seq: 2 },
+    { type: 'set_param', key: 'kd_b', value: 2 },
+    { type: 'set_param', key: 'kp_b', value: 3 },
+    { type: 'save_tunings' }
+  ]);
+  assert.equal(scheduler.getStats().coalesced, 3);
+});
+
+test('a newer set_param does not overtake save_tunings queued before it', () => {
+  const scheduler = new OutgoingScheduler();
+  scheduler.enqueue({ type: 'set_param', key: 'kp_b', value: 1 });
+  scheduler.enqueue({ type: 'save_tunings' });
+  assert.equal(scheduler.enqueue({ type: 'set_param', key: 'kp_b', value: 3 }), 'coalesced');
+
+  assert.deepEqual(drain(scheduler), [
+    { type: 'save_tunings' },
+    { type: 'set_param', key: 'kp_b', value: 3 }
+  ]);
+  assert.equal(scheduler.size, 0);
+});
+
+test('stop purges queued motion but keeps balance_toggle', () => {
+  const scheduler = new OutgoingScheduler();
+  scheduler.enqueue({ type: 'joystick', x: 1, y: 0 });
+  scheduler.enqueue({ type: 'balance_toggle', enabled: false });
+  scheduler.enqueue({ type: 'execute_rotate', angle_deg: 90 });
+  scheduler.enqueue({ type: 'manual_tune_stop_all' });
+
+  assert.deepEqual(drain(scheduler).map(m => m.type), ['manual_tune_stop_all', 'balance_toggle']);
+  assert.equal(scheduler.getStats().superseded, 2);
+});
+
+test('tracked commands are never coalesced and stats report backpressure', () => {
+  let clock = 0;
+  const scheduler = new OutgoingScheduler({ now: () => clock });
+  scheduler.enqueue({ type: 'set_param', key: 'kp_b', value: 1, id: 1 });
+  scheduler.enqueue({ type: 'set_param', key: 'kp_b', value: 2, id: 2 });
+  clock = 40;
+  assert.deepEqual(scheduler.getStats().depth, { emergency: 0, motion: 0, config: 2 });
+  assert.equal(scheduler.getStats().oldestWaitMs, 40);
+
+  assert.equal(scheduler.dequeue().id, 1);
+  const stats = scheduler.getStats();
+  assert.equal(stats.maxDepth, 2);
+  assert.equal(stats.lastWaitMs, 40);
+  scheduler.clear();
+  assert.equal(scheduler.size, 0);
+});
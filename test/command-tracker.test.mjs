@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandTracker, CommandError } from '../js/modules/command-tracker.mjs';
+import { manualTimers } from './helpers/manual-timers.mjs';
+
+test('sendCommand tags the message with an id and resolves on the matching ack', async () => {
+  const sent = [];
+  const timers = manualTimers();
+  const tracker = new CommandTracker({ send: (m) => sent.push(m), timers });
+
+  const promise = tracker.sendCommand({ type: 'save_tunings' });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].type, 'save_tunings');
+  assert.equal(typeof sent[0].id, 'number');
+
+  assert.equal(tracker.handleAck({ type: 'ack', command: 'save_tunings', success: true, id: sent[0].id }), true);
+  const ack = await promise;
+
+  assert.equal(ack.success, true);
+  assert.equal(tracker.getPending().length, 0);
+  assert.equal(timers.size, 0);
+});
+
+test('ack without id matches the oldest pending command of the same type', async () => {
+  const tracker = new CommandTracker({ send: () => {}, timers: manualTimers() });
+  const first = tracker.sendCommand({ type: 'calibrate_mpu' });
+  tracker.sendCommand({ type: 'save_tunings' });
+
+  tracker.handleAck({ type: 'ack', command: 'calibrate_mpu', success: true });
+
+  await first;
+  assert.deepEqual(tracker.getPending().map(p => p.command), ['save_tunings']);
+});
+
+test('negative ack rejects with a nack CommandError and is recorded', async () => {
+  const sent = [];
+  const tracker = new CommandTracker({ send: (m) => sent.push(m), timers: manualTimers() });
+  const promise = tracker.sendCommand({ type: 'calibrate_mpu' });
+
+  tracker.handleAck({ type: 'ack', command: 'calibrate_mpu', success: false, message: 'IMU busy', id: sent[0].id });
+
+  await assert.rejects(promise, (err) => err instanceof CommandError && err.code === 'nack' && err.message === 'IMU busy');
+  assert.equal(tracker.failures[0].command, 'calibrate_mpu');
+  assert.equal(tracker.failures[0].code, 'nack');
+});
+
+test('missing ack is retried with the same id, then rejected as timeout', async () => {
+  const sent = [];
+  const timers = manualTimers();
+  const tracker = new CommandTracker({ send: (m) => sent.push(m), timers });
+  const promise = tracker.sendCommand({ type: 'request_full_config' }, { timeout: 100, retries: 2 });
+
+  timers.fireAll();
+  timers.fireAll();
+  assert.equal(sent.length, 3);
+  assert.ok(sent.every(m => m.id === sent[0].id));
+
+  timers.fireAll();
+  await assert.rejects(promise, (err) => err.code === 'timeout');
+  assert.equal(tracker.failures[0].attempts, 3);
+});
+
+test('late ack after a retry still resolves the command', async () => {
+  const sent = [];
+  const timers = manualTimers();
+  const tracker = new CommandTracker({ send: (m) => sent.push(m), timers });
+  const promise = tracker.sendCommand({ type: 'execute_move', distance_cm: 10 }, { retries: 1 });
+
+  timers.fireAll();
+  tracker.handleAck({ type: 'ack', command: 'execute_move', success: true, id: sent[0].id });
+
+  await promise;
+  assert.equal(tracker.failures.length, 0);
+});
+
+test('rejectAll fails every pending command and unknown acks are ignored', async () => {
+  const tracker = new CommandTracker({ send: () => {}, timers: manualTimers() });
+  const a = tracker.sendCommand({ type: 'save_tunings' });
+  const b = tracker.sendCommand({ type: 'set_param', key: 'kp_b', value: 1 });
+
+  assert.equal(tracker.handleAck({ type: 'ack', command: 'other', success: true }), false);
+  tracker.rejectAll();
+
+  await assert.rejects(a, (err) => err.code === 'disconnected');
+  await assert.rejects(b, (err) => err.code === 'disconnected');
+  assert.equal(tracker.getPending().length, 0);
+});
+
+test('an ack with a matching id but a different command is ignored', async () => {
+  const sent = [];
+  const tracker = new CommandTracker({ send: (m) => sent.push(m), timers: manualTimers() });
+  const promise = tracker.sendCommand({ type: 'save_tunings' });
+
+  assert.equal(tracker.handleAck({ type: 'ack', command: 'ota_block', success: false, id: sent[0].id }), false);
+  assert.equal(tracker.getPending().length, 1);
+  assert.equal(tracker.handleAck({ type: 'ack', command: 'save_tunings', success: true, id: sent[0].id }), true);
+  await promise;
+});
+
+test('onRoundTrip reports the time from transmission to ack', () => {
+  let clock = 1000;
+  const roundTrips = [];
+  const tracker = new CommandTracker({
+    send: () => {}, timers: manualTimers(), now: () => clock,
+    onRoundTrip: (command, ms) => roundTrips.push([command, ms])
+  });
+  tracker.sendCommand({ type: 'save_tunings' }).catch(() => {});
+  clock += 42;
+  tracker.handleAck({ type: 'ack', command: 'save_tunings', success: false });
+  assert.deepEqual(roundTrips, [['save_tunings', 42]]);
+});
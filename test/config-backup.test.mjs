@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ConfigCapture, createConfigBackup, parseConfigBackup, diffConfigBackup, buildRestoreMessages, backupFileName,
+  CONFIG_BACKUP_VERSION, mappingSimulatorExtension
+} from '../js/modules/config-backup.mjs';
+import { RobotSimulator } from '../js/modules/robot-simulator.mjs';
+
+const FUZZY = {
+  rules: [[0, 0, 0, 0, 2], [0, 1, 1, 2, 3], [0, 1, 2, 3, 4], [1, 2, 3, 3, 4], [2, 4, 4, 4, 4]],
+  error_sets: [-12, -6, 0, 6, 12].map(center => ({ center, width: 6 })),
+  rate_sets: [-200, -100, 0, 100, 200].map(center => ({ center, width: 100 })),
+  gain: 1, integral_ki: 2, integral_limit: 512
+};
+
+// Odpowiedzi symulatora przepuszczone przez ConfigCapture, jak obserwator transportu w UI
+function captureFrom(sim) {
+  const capture = new ConfigCapture();
+  let complete = false;
+  for (const type of ['request_full_config', 'get_imu_mapping', 'get_model_mapping']) {
+    for (const reply of sim.handleCommand({ type })) complete = capture.handle(reply.type, reply);
+  }
+  assert.equal(complete, true);
+  return capture.getSnapshot();
+}
+
+function backupOf(sim, fuzzy = FUZZY) {
+  return createConfigBackup({
+    snapshot: captureFrom(sim), fuzzy, device: { name: 'RoboBala', firmware: 'sim-1.0' }, createdAt: new Date('2026-03-01T10:00:00Z')
+  });
+}
+
+test('capture keeps only the values between sync_begin and sync_complete', () => {
+  const capture = new ConfigCapture({ mappings: [] });
+  capture.handle('set_param', { key: 'kp_b', value: 1 });
+  capture.handle('sync_begin', {});
+  capture.handle('set_param', { key: 'kp_b', value: 95 });
+  capture.handle('set_param', { key: 'balancing', value: true });
+  capture.handle('set_tuning_config_param', { key: 'search_kp_min', value: 10 });
+  assert.equal(capture.isComplete(), false);
+  assert.equal(capture.handle('sync_complete', {}), true);
+  capture.handle('set_param', { key: 'ki_b', value: 3 });
+
+  const snapshot = capture.getSnapshot();
+  assert.deepEqual(snapshot.params, { kp_b: 95 });
+  assert.deepEqual(snapshot.states, { balancing: true });
+  assert.deepEqual(snapshot.tuning_config, { search_kp_min: 10 });
+  assert.equal(snapshot.imu_mapping, null);
+});
+
+test('backup round-trips through JSON with device, date and all sections', () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [mappingSimulatorExtension] });
+  const backup = backupOf(sim);
+  assert.equal(backup.version, CONFIG_BACKUP_VERSION);
+  assert.equal(backup.params.kp_b, sim.params.kp_b);
+  assert.deepEqual(backup.imu_mapping.pitch, { source: 0, sign: 1 });
+  assert.equal(backupFileName(backup), 'robobala-config-RoboBala-2026-03-01T10-00-00.json');
+
+  const parsed = parseConfigBackup(JSON.stringify(backup));
+  assert.deepEqual(parsed, backup);
+  assert.deepEqual(diffConfigBackup(parsed, backup).filter(e => e.status !== 'same'), []);
+});
+
+test('invalid files are rejected with a readable message', () => {
+  const valid = backupOf(new RobotSimulator({ noise: false, extensions: [mappingSimulatorExtension] }));
+  assert.throws(() => parseConfigBackup('{'), /JSON/);
+  assert.throws(() => parseConfigBackup({ ...valid, format: 'other' }), /nie jest kopia/);
+  assert.throws(() => parseConfigBackup({ ...valid, version: CONFIG_BACKUP_VERSION + 1 }), /nowsza/);
+  assert.throws(() => parseConfigBackup({ ...valid, params: { kp_b: {} } }), /params\.kp_b/);
+  assert.throws(() => parseConfigBackup({ ...valid, imu_mapping: { pitch: { source: 5, sign: 1 } } }), /imu_mapping/);
+  assert.throws(() => parseConfigBackup({ ...valid, fuzzy: { ...FUZZY, rules: [[9]] } }), /fuzzy/);
+});
+
+test('diff and selective restore bring a wiped robot back to the backup', () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [mappingSimulatorExtension] });
+  sim.handleCommand({ type: 'set_param', key: 'kp_b', value: 120 });
+  sim.handleCommand({ type: 'set_model_mapping', mapping: { pitch: { source: 2, sign: -1 }, yaw: { source: 1, sign: 1 }, roll: { source: 0, sign: 1 } } });
+  const backup = parseConfigBackup(JSON.stringify(backupOf(sim)));
+
+  // Utrata EEPROM: wartości fabryczne
+  const wiped = new RobotSimulator({ noise: false, extensions: [mappingSimulatorExtension] });
+  wiped.handleCommand({ type: 'set_param', key: 'ki_b', value: 4 });
+  const live = createConfigBackup({ snapshot: captureFrom(wiped), fuzzy: { ...FUZZY, gain: 2.5 } });
+  const entries = diffConfigBackup(backup, live);
+  const changed = entries.filter(e => e.status === 'changed').map(e => e.id);
+  assert.deepEqual(changed.sort(), ['fuzzy.gain', 'model_mapping.pitch', 'model_mapping.roll', 'params.ki_b', 'params.kp_b']);
+
+  // Bez ki_b - ta wartość zostaje jak na robocie
+  const ids = changed.filter(id => id !== 'params.ki_b');
+  const messages = buildRestoreMessages(backup, ids, live);
+  assert.deepEqual(messages.map(m => m.type), ['set_param', 'set_model_mapping', 'set_fuzzy_gain']);
+  for (const message of messages) wiped.handleCommand(message);
+
+  const after = diffConfigBackup(backup, createConfigBackup({ snapshot: captureFrom(wiped), fuzzy: FUZZY }));
+  assert.deepEqual(after.filter(e => e.status === 'changed').map(e => e.id), ['params.ki_b']);
+});
+
+test('missing robot sections are restorable while unknown firmware keys are not', () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [mappingSimulatorExtension] });
+  const backup = backupOf(sim);
+  backup.params.legacy_gain = 3;
+  const snapshot = { ...captureFrom(sim), imu_mapping: null };
+  const entries = diffConfigBackup(backup, createConfigBackup({ snapshot, fuzzy: { ...FUZZY, integral_limit: 100 } }));
+  const byId = Object.fromEntries(entries.map(e => [e.id, e]));
+
+  assert.equal(byId['params.legacy_gain'].status, 'not_on_robot');
+  assert.equal(byId['params.legacy_gain'].restorable, false);
+  assert.equal(byId['imu_mapping.yaw'].status, 'unknown');
+  assert.equal(byId['imu_mapping.yaw'].restorable, true);
+
+  // Ki i limit idą jedną komendą - niewybrany Ki zostaje z robota
+  const live = createConfigBackup({ snapshot, fuzzy: { ...FUZZY, integral_ki: 7, integral_limit: 100 } });
+  assert.deepEqual(buildRestoreMessages(backup, ['fuzzy.integral_limit', 'fuzzy.rule_24', 'fuzzy.rate_set_1'], live), [
+    { type: 'set_fuzzy_rule', rule_index: 24, output_set: 4 },
+    { type: 'set_fuzzy_set', set_type: 'rate', index: 1, center: -100, width: 100 },
+    { type: 'set_fuzzy_integral', ki: 7, limit: 512 }
+  ]);
+});
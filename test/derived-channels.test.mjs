@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileExpression, compileCondition, normalizeDefinitions, DerivedChannelSet, ExpressionError
+} from '../js/modules/derived-channels.mjs';
+import { TelemetryStore } from '../js/modules/telemetry-store.mjs';
+
+const lookupFrom = (scope) => (name) => scope[name];
+
+test('expressions follow operator precedence and report syntax errors with a position', () => {
+  const evaluate = (source, scope = {}) => compileExpression(source).createEvaluator()(lookupFrom(scope));
+  assert.equal(evaluate('1 + 2 * 3 - 4 / 2'), 5);
+  assert.equal(evaluate('-2^2 + (1 + 2) * 2'), 2);
+  assert.equal(evaluate('2^3^2'), 512);
+  assert.equal(evaluate('abs(a - b) + max(1, 5, 3) + clamp(20, 0, 10)', { a: 1, b: 4 }), 18);
+  assert.equal(evaluate('pitch < 0.5 && !(speed > 10)', { pitch: 0.2, speed: 3 }), 1);
+  assert.ok(Number.isNaN(evaluate('missing * 2')));
+  assert.deepEqual(compileExpression('param.kp_b * -(pitch - pitch_offset)').references, ['param.kp_b', 'pitch', 'pitch_offset']);
+
+  assert.throws(() => compileExpression('pitch +'), ExpressionError);
+  assert.throws(() => compileExpression('pitch $ 2'), /Nieoczekiwany znak '\$' \(znak 7\)/);
+  assert.throws(() => compileExpression('foo(1)'), /Nieznana funkcja foo/);
+  assert.throws(() => compileExpression('avg(pitch, n)'), /avg\(\)/);
+  assert.throws(() => compileExpression('(pitch'), /Oczekiwano '\)'/);
+  assert.throws(() => compileExpression('  '), /Puste/);
+});
+
+test('stateful functions keep separate history per call and per evaluator', () => {
+  const compiled = compileExpression('avg(x, 3) + 0 * avg(x, 2)');
+  const a = compiled.createEvaluator();
+  const b = compiled.createEvaluator();
+  const out = [1, 2, 3, 4].map(x => a(lookupFrom({ x })));
+  assert.deepEqual(out, [1, 1.5, 2, 3]);
+  assert.equal(b(lookupFrom({ x: 10 })), 10);
+
+  const deriv = compileExpression('deriv(x)').createEvaluator();
+  assert.ok(Number.isNaN(deriv(lookupFrom({ x: 0 }), 0)));
+  assert.equal(deriv(lookupFrom({ x: 2 }), 100), 20);
+  assert.equal(deriv(lookupFrom({ x: 5 }), 100), 20, 'ta sama chwila - poprzedni wynik');
+  assert.equal(deriv(lookupFrom({ x: 3 }), 200), 10);
+
+  const integ = compileExpression('integ(x)').createEvaluator();
+  [0, 500, 1000].forEach(t => integ(lookupFrom({ x: 2 }), t));
+  assert.equal(integ(lookupFrom({ x: 2 }), 1500), 3);
+});
+
+test('derived channels are computed per frame and land in the telemetry store', () => {
+  const params = { 'param.kp_b': 10 };
+  const set = new DerivedChannelSet([
+    { name: 'turn', expression: 'encoder_left - encoder_right' },
+    { name: 'pitch_corr', expression: 'pitch - pitch_offset' },
+    { name: 'p_term', expression: 'param.kp_b * -pitch_corr' },
+    { name: 'pitch_rate', expression: 'deriv(pitch)' },
+    { name: 'bad', expression: 'later + 1' },
+    { name: 'later', expression: 'pitch' },
+    { name: 'pitch', expression: '1' }
+  ], { resolve: (name) => params[name], reserved: ['pitch', 'speed'] });
+  assert.deepEqual(set.names, ['turn', 'pitch_corr', 'p_term', 'pitch_rate', 'later']);
+  assert.deepEqual(set.errors.map(e => e.name), ['bad', 'pitch']);
+
+  const store = new TelemetryStore();
+  const first = { pitch: 2, pitch_offset: 0.5, encoder_left: 100, encoder_right: 90 };
+  const frame = set.apply(first, 0);
+  assert.notEqual(frame, first);
+  assert.equal(first.turn, undefined, 'wejscie bez zmian');
+  assert.equal(frame.turn, 10);
+  assert.equal(frame.p_term, -15);
+  store.push(frame, 0);
+  // Skrócona ramka: brakujące pola z poprzedniej
+  store.push(set.apply({ pitch: 3 }, 20), 20);
+  assert.deepEqual([...store.slice('pitch_corr').values], [1.5, 2.5]);
+  assert.deepEqual([...store.slice('pitch_rate').values], [NaN, 50]);
+  assert.ok(store.channelNames().includes('turn'));
+
+  set.reset();
+  assert.ok(Number.isNaN(set.apply({ pitch: 4 }, 40).pitch_rate));
+});
+
+test('conditions and stored definitions', () => {
+  const ready = compileCondition('abs(pitch) < 0.5 && turn == 0');
+  assert.equal(ready(lookupFrom({ pitch: -0.2, turn: 0 })), true);
+  assert.equal(ready(lookupFrom({ pitch: -0.2 })), false, 'brak pola - falsz');
+  assert.equal(compileCondition('pitch')(lookupFrom({ pitch: NaN })), false);
+
+  assert.deepEqual(normalizeDefinitions([
+    { name: ' turn ', expression: ' a - b ', color: '#12ab34' },
+    { name: 'turn', expression: 'x' },
+    { name: '1bad', expression: 'x' },
+    { name: 'c', expression: 'x', color: 'red' },
+    null
+  ]), [{ name: 'turn', expression: 'a - b', color: '#12ab34' }, { name: 'c', expression: 'x' }]);
+  assert.deepEqual(normalizeDefinitions('nope'), []);
+});
@@ -0,0 +1,174 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  sha256Hex, parseFirmwareImage, compareVersions, checkFirmwareImage, FirmwareUploader, bytesToBase64,
+  otaSimulatorExtension
+} from '../js/modules/firmware-update.mjs';
+import { CommandError } from '../js/modules/command-tracker.mjs';
+import { parseCapabilities, buildHelloMessage } from '../js/modules/capabilities.mjs';
+import { RobotSimulator } from '../js/modules/robot-simulator.mjs';
+
+// Obraz ESP32: nagłówek 0xE9, esp_app_desc_t (magic, wersja, projekt) od bajtu 32
+function esp32Image(size, version, project = 'robobala') {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) bytes[i] = (i * 31 + 7) & 0xFF;
+  bytes[0] = 0xE9;
+  new DataView(bytes.buffer).setUint32(32, 0xABCD5432, true);
+  bytes.fill(0, 48, 112);
+  bytes.set(new TextEncoder().encode(version), 48);
+  bytes.set(new TextEncoder().encode(project), 80);
+  return bytes;
+}
+
+// sendCommand jak w communication.js, ale prosto do symulatora; `link.up = false` = rozłączenie
+function simulatorLink(sim) {
+  const link = { up: true, sent: [] };
+  link.sendCommand = async (message) => {
+    if (!link.up) throw new CommandError('disconnected', message.type, `${message.type}: brak polaczenia z robotem`);
+    link.sent.push(message);
+    if (link.beforeSend) link.beforeSend(message);
+    const ack = sim.handleCommand({ ...message, id: link.sent.length }).find(r => r.type === 'ack');
+    if (ack.success === false) throw new CommandError('nack', message.type, ack.message);
+    return ack;
+  };
+  return link;
+}
+
+test('sha256Hex matches node:crypto', () => {
+  for (const size of [0, 3, 55, 56, 64, 1000]) {
+    const bytes = new Uint8Array(size).map((_, i) => i * 7);
+    assert.equal(sha256Hex(bytes), createHash('sha256').update(bytes).digest('hex'));
+  }
+});
+
+test('parseFirmwareImage reads the ESP32 app descriptor or falls back to the file name', () => {
+  const image = parseFirmwareImage(esp32Image(4096, '1.5.0'), 'firmware.bin');
+  assert.deepEqual([image.format, image.version, image.project, image.size], ['esp32', '1.5.0', 'robobala', 4096]);
+
+  const raw = parseFirmwareImage(new Uint8Array(300), 'robobala-2.1.3.bin');
+  assert.deepEqual([raw.format, raw.version, raw.project], ['raw', '2.1.3', null]);
+
+  assert.equal(compareVersions('1.4.0', '1.5'), -1);
+  assert.equal(compareVersions('v1.5', '1.5.0'), 0);
+  assert.equal(compareVersions('sim-1.0', '0.9.9'), 1);
+  assert.equal(compareVersions('dev', '1.0'), null);
+});
+
+test('checkFirmwareImage blocks unsupported robots and flags downgrades', () => {
+  const image = parseFirmwareImage(esp32Image(4096, '1.5.0'));
+  const caps = (extra) => parseCapabilities({ protocol: 2, firmware: '1.4.0', messages: ['ota_begin', 'ota_block', 'ota_end'], ...extra });
+
+  assert.deepEqual(checkFirmwareImage(image, caps()), { errors: [], warnings: [] });
+  assert.equal(checkFirmwareImage(image, parseCapabilities({ protocol: 2, messages: ['set_param'] })).errors.length, 1);
+  assert.equal(checkFirmwareImage(image, caps({ ota_max_size: 1024 })).errors.length, 1);
+  assert.equal(checkFirmwareImage(image, caps({ project: 'other' })).errors.length, 1);
+  assert.equal(checkFirmwareImage(image, caps({ firmware_sha256: image.sha256 })).errors.length, 1);
+  assert.match(checkFirmwareImage(image, caps({ firmware: '1.6.0' })).warnings[0], /starszy/);
+  assert.deepEqual(checkFirmwareImage(image, null).errors, ['Brak polaczenia z robotem.']);
+});
+
+test('upload to the simulator acknowledges every block, verifies the hash and requests a reboot', async () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [otaSimulatorExtension] });
+  const bytes = esp32Image(1000, '1.5.0');
+  const image = parseFirmwareImage(bytes);
+  const link = simulatorLink(sim);
+  const progress = [];
+  const uploader = new FirmwareUploader({ bytes, image, sendCommand: link.sendCommand, onProgress: (p) => progress.push(p), blockSize: 128 });
+
+  assert.equal(await uploader.start(), 'rebooting');
+  assert.equal(uploader.blocksAcked, 8);
+  assert.deepEqual(link.sent.map(m => m.type), ['ota_begin', ...Array(8).fill('ota_block'), 'ota_end']);
+  assert.equal(progress.at(-1).fraction, 1);
+  assert.equal(sim.rebootRequested, true);
+
+  sim.reboot();
+  const caps = parseCapabilities(sim.handleCommand(buildHelloMessage())[0]);
+  assert.equal(caps.firmware, '1.5.0');
+  assert.equal(caps.firmwareSha256, image.sha256);
+});
+
+test('upload resumes from the offset the robot reports after a disconnect', async () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [otaSimulatorExtension] });
+  const bytes = esp32Image(1000, '1.5.0');
+  const image = parseFirmwareImage(bytes);
+  const link = simulatorLink(sim);
+  link.beforeSend = (message) => { if (message.type === 'ota_block' && message.offset === 512) link.up = false; };
+  // Blok 512 wysłany, ale łącze padło przed ACK - robot go ma
+  link.sendCommand = ((send) => async (message) => {
+    const ack = await send(message);
+    if (!link.up) throw new CommandError('disconnected', message.type, 'polaczenie przerwane');
+    return ack;
+  })(link.sendCommand);
+  const uploader = new FirmwareUploader({ bytes, image, sendCommand: link.sendCommand, blockSize: 128 });
+  assert.equal(await uploader.start(), 'paused');
+  assert.equal(uploader.offset, 512);
+
+  link.up = true;
+  link.beforeSend = null;
+  link.sent.length = 0;
+  assert.equal(await uploader.resume(), 'rebooting');
+  assert.equal(link.sent[1].offset, 640);
+  assert.equal(uploader.resumes, 1);
+  assert.equal(sim.firmware.sha256, image.sha256);
+});
+
+test('corrupted blocks are rejected and re-sent after re-syncing the offset', async () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [otaSimulatorExtension] });
+  const bytes = esp32Image(600, '1.5.0');
+  const image = parseFirmwareImage(bytes);
+  const link = simulatorLink(sim);
+  let corrupted = false;
+  const uploader = new FirmwareUploader({
+    bytes, image, blockSize: 128,
+    sendCommand: (message, options) => {
+      if (message.type === 'ota_block' && message.offset === 256 && !corrupted) {
+        corrupted = true;
+        return link.sendCommand({ ...message, data: bytesToBase64(new Uint8Array(128)) }, options);
+      }
+      return link.sendCommand(message, options);
+    }
+  });
+
+  assert.equal(await uploader.start(), 'rebooting');
+  assert.equal(link.sent.filter(m => m.type === 'ota_begin').length, 2);
+  assert.equal(sim.firmware.sha256, image.sha256);
+});
+
+test('an ack without forward progress counts as a nack and fails the upload', async () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [otaSimulatorExtension] });
+  const bytes = esp32Image(600, '1.5.0');
+  const image = parseFirmwareImage(bytes);
+  const link = simulatorLink(sim);
+  const uploader = new FirmwareUploader({
+    bytes, image, blockSize: 128,
+    sendCommand: (message, options) => {
+      // Robot nie zapisuje bloku i zgłasza offset poza obrazem - nie wolno go przyjąć
+      if (message.type === 'ota_block' && message.offset === 256) {
+        link.sent.push(message);
+        return Promise.resolve({ type: 'ack', command: 'ota_block', success: true, next_offset: 10000 });
+      }
+      return link.sendCommand(message, options);
+    }
+  });
+
+  assert.equal(await uploader.start(), 'failed');
+  assert.match(uploader.error, /next_offset 10000/);
+  assert.equal(uploader.offset, 256);
+  assert.equal(link.sent.filter(m => m.type === 'ota_block' && m.offset === 256).length, 4);
+  assert.equal(link.sent.some(m => m.type === 'ota_end'), false);
+});
+
+test('hash mismatch fails the update and abort notifies the robot', async () => {
+  const sim = new RobotSimulator({ noise: false, extensions: [otaSimulatorExtension] });
+  const bytes = esp32Image(300, '1.5.0');
+  const link = simulatorLink(sim);
+  const uploader = new FirmwareUploader({ bytes, image: { ...parseFirmwareImage(bytes), sha256: '00'.repeat(32) }, sendCommand: link.sendCommand });
+
+  assert.equal(await uploader.start(), 'failed');
+  assert.match(uploader.error, /SHA-256/);
+  assert.equal(sim.rebootRequested, false);
+
+  await uploader.abort();
+  assert.equal(uploader.state, 'aborted');
+});
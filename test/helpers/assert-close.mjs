@@ -0,0 +1,6 @@
+import assert from 'node:assert/strict';
+
+// Porównanie liczb z tolerancją; label trafia do komunikatu błędu
+export function close(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+}
@@ -0,0 +1,30 @@
+// Ręczne timery dla modułów z wstrzykiwanym setTimeout/clearTimeout:
+// nic nie odpala się samo - test decyduje, kiedy minął czas.
+export function manualTimers() {
+  let nextId = 1;
+  const active = new Map();
+  const takeNext = () => {
+    const [id, timer] = active.entries().next().value;
+    active.delete(id);
+    return timer;
+  };
+  return {
+    setTimeout: (fn, ms) => { const id = nextId++; active.set(id, { fn, ms }); return id; },
+    clearTimeout: (id) => { active.delete(id); },
+    // Oczekujące w chwili wywołania; dodane w trakcie czekają na kolejne wywołanie
+    fireAll() { const due = [...active.values()]; active.clear(); for (const timer of due) timer.fn(); },
+    // Najstarszy timer; zwraca wynik fn (Promise dla funkcji async)
+    fireNext() { return takeNext().fn(); },
+    // Do opróżnienia kolejki, razem z timerami dodanymi w trakcie; zwraca ich opóźnienia
+    runUntilIdle() {
+      const delays = [];
+      while (active.size > 0) {
+        const timer = takeNext();
+        delays.push(timer.ms);
+        timer.fn();
+      }
+      return delays;
+    },
+    get size() { return active.size; }
+  };
+}
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LinkQualityMonitor } from '../js/modules/link-quality.mjs';
+
+test('sample reports frame rate, jitter and command round trips for the interval', () => {
+  let clock = 0;
+  const monitor = new LinkQualityMonitor({ now: () => clock });
+  for (const t of [0, 20, 40, 70, 90]) monitor.recordTelemetry(t);
+  monitor.recordRoundTrip(30);
+  monitor.recordRoundTrip(50);
+  clock = 1000;
+
+  const entry = monitor.sample({ queueDepth: 3 });
+  assert.equal(entry.fps, 5);
+  assert.equal(entry.meanIntervalMs, 22.5);
+  assert.ok(Math.abs(entry.jitterMs - Math.sqrt(18.75)) < 1e-9);
+  assert.equal(entry.rttMs, 40);
+  assert.equal(entry.rttMaxMs, 50);
+  assert.equal(entry.queueDepth, 3);
+
+  clock = 2000;
+  const idle = monitor.sample();
+  assert.equal(idle.fps, 0);
+  assert.equal(idle.jitterMs, null);
+  assert.equal(idle.rttMs, null);
+});
+
+test('cumulative counters become per-interval deltas and history is bounded', () => {
+  let clock = 0;
+  const monitor = new LinkQualityMonitor({ now: () => clock, historyLength: 2 });
+  clock += 1000;
+  assert.equal(monitor.sample({ dropped: 4, reordered: 1, chunkTimeouts: 1 }).dropped, 4);
+  clock += 1000;
+  const second = monitor.sample({ dropped: 6, reordered: 1, chunkTimeouts: 1 });
+  assert.deepEqual([second.dropped, second.reordered, second.chunkTimeouts], [2, 0, 0]);
+  assert.deepEqual(second.totals, { dropped: 6, reordered: 1, chunkTimeouts: 1 });
+
+  // Po restart() liczniki transportu startują od zera, historia zostaje
+  monitor.restart();
+  clock += 1000;
+  assert.equal(monitor.sample({ dropped: 1 }).dropped, 1);
+  assert.equal(monitor.getHistory().length, 2);
+  monitor.reset();
+  assert.equal(monitor.getLatest(), null);
+});
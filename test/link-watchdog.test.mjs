@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LinkWatchdog, normalizeWatchdogConfig, MIN_HEARTBEAT_INTERVAL_MS } from '../js/modules/link-watchdog.mjs';
+import { manualTimers } from './helpers/manual-timers.mjs';
+
+function setup({ motion = false, ...options } = {}) {
+  const clock = { t: 0 };
+  const sent = [];
+  const statuses = [];
+  const failsafes = [];
+  const state = { motion };
+  const watchdog = new LinkWatchdog({
+    send: (m) => sent.push(m),
+    isMotionActive: () => state.motion,
+    onStatus: (s) => statuses.push(s.state),
+    onFailsafe: (s) => failsafes.push(s),
+    intervalMs: 200,
+    timeoutMs: 1000,
+    now: () => clock.t,
+    timers: manualTimers(),
+    ...options
+  });
+  const advance = (ms, step = 100) => {
+    for (let elapsed = 0; elapsed < ms; elapsed += step) {
+      clock.t += step;
+      watchdog.tick();
+    }
+  };
+  return { watchdog, clock, sent, statuses, failsafes, state, advance };
+}
+
+test('heartbeats are sent only while motion is active', () => {
+  const { watchdog, sent, state, advance } = setup();
+  watchdog.start();
+  advance(500);
+  assert.equal(sent.length, 0);
+
+  state.motion = true;
+  for (let i = 0; i < 6; i++) { advance(100); watchdog.recordTelemetry(); }
+  assert.deepEqual(sent.map(m => m.seq), [0, 1, 2]);
+  assert.deepEqual(sent[0], { type: 'heartbeat', seq: 0, interval_ms: 200, timeout_ms: 1000 });
+});
+
+test('telemetry silence counts down, sends one failsafe during motion and recovers', () => {
+  const { watchdog, statuses, failsafes, advance } = setup({ motion: true });
+  watchdog.start();
+  advance(400);
+  assert.equal(watchdog.state, 'ok');
+
+  advance(100);
+  assert.equal(watchdog.state, 'stale');
+  assert.equal(watchdog.getStatus().remainingMs, 500);
+  assert.equal(failsafes.length, 1);
+  assert.equal(failsafes[0].silentMs, 500);
+
+  advance(500);
+  assert.equal(watchdog.state, 'lost');
+  assert.equal(failsafes.length, 1);
+
+  watchdog.recordTelemetry();
+  assert.equal(watchdog.state, 'ok');
+  assert.deepEqual(statuses.filter((s, i) => s !== statuses[i - 1]), ['ok', 'stale', 'lost', 'ok']);
+  assert.deepEqual(
+    { failsafes: watchdog.getStatus().failsafes, linkLosses: watchdog.getStatus().linkLosses },
+    { failsafes: 1, linkLosses: 1 }
+  );
+});
+
+test('silence without motion shows the countdown but does not stop the robot', () => {
+  const { watchdog, failsafes, state, advance } = setup();
+  watchdog.start();
+  advance(600);
+  assert.equal(watchdog.state, 'stale');
+  assert.equal(failsafes.length, 0);
+
+  // Ruch zaczęty przy martwym łączu też jest zatrzymywany
+  state.motion = true;
+  advance(100);
+  assert.equal(failsafes.length, 1);
+});
+
+test('stop cancels the tick timer and config is validated', () => {
+  const timers = manualTimers();
+  const { watchdog } = setup({ timers });
+  watchdog.start();
+  assert.equal(timers.size, 1);
+  watchdog.stop();
+  assert.equal(timers.size, 0);
+  assert.equal(watchdog.state, 'idle');
+
+  assert.deepEqual(normalizeWatchdogConfig({ intervalMs: 10, timeoutMs: 20 }), { intervalMs: MIN_HEARTBEAT_INTERVAL_MS, timeoutMs: 100 });
+  assert.deepEqual(watchdog.configure({ timeoutMs: '2000' }), { intervalMs: 200, timeoutMs: 2000 });
+});
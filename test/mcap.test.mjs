@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { McapWriter, McapError, readMcap, crc32, MCAP_MAGIC, MCAP_OPCODES } from '../js/modules/mcap.mjs';
+
+const decoder = new TextDecoder();
+
+// Surowe rekordy poziomu pliku: {opcode, offset, content}
+function records(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = [];
+  let offset = MCAP_MAGIC.length;
+  while (offset < bytes.length - MCAP_MAGIC.length) {
+    const length = Number(view.getBigUint64(offset + 1, true));
+    out.push({ opcode: bytes[offset], offset, content: bytes.subarray(offset + 9, offset + 9 + length) });
+    offset += 9 + length;
+  }
+  return out;
+}
+
+function u64(bytes, at) {
+  return Number(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getBigUint64(at, true));
+}
+
+function writeSample(chunkSize) {
+  const writer = new McapWriter({ chunkSize });
+  writer.start();
+  const schemaId = writer.registerSchema({ name: 'test.Value', encoding: 'jsonschema', data: '{"type":"object"}' });
+  const a = writer.registerChannel({ topic: '/a', messageEncoding: 'json', schemaId, metadata: { unit: 'deg' } });
+  const b = writer.registerChannel({ topic: '/b', messageEncoding: 'json', schemaId });
+  for (let i = 0; i < 10; i++) {
+    writer.addMessage({ channelId: i % 3 ? a : b, sequence: i, logTime: BigInt(i) * 1000000n, data: JSON.stringify({ i }) });
+  }
+  writer.addMetadata({ name: 'info', metadata: { device: 'RoboBala' } });
+  return writer.end();
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  const data = new TextEncoder().encode('RoboBala');
+  assert.equal(crc32(data.subarray(4), crc32(data.subarray(0, 4))), crc32(data));
+});
+
+test('writer output has valid layout, indexes and footer', () => {
+  const bytes = writeSample(200);
+  assert.deepEqual([...bytes.subarray(0, 8)], [...MCAP_MAGIC]);
+  assert.deepEqual([...bytes.subarray(-8)], [...MCAP_MAGIC]);
+
+  const all = records(bytes);
+  const byOffset = new Map(all.map(r => [r.offset, r]));
+  assert.equal(all[0].opcode, MCAP_OPCODES.HEADER);
+  const footer = all.at(-1);
+  assert.equal(footer.opcode, MCAP_OPCODES.FOOTER);
+  const summaryStart = u64(footer.content, 0);
+  const summaryOffsetStart = u64(footer.content, 8);
+  assert.equal(byOffset.get(summaryStart - 13).opcode, MCAP_OPCODES.DATA_END);
+  const crc = new DataView(footer.content.buffer, footer.content.byteOffset).getUint32(16, true);
+  assert.equal(crc, crc32(bytes.subarray(summaryStart, footer.offset + 9 + 16)));
+
+  // Summary Offset wskazuje grupy rekordów w podsumowaniu
+  const groups = all.filter(r => r.offset >= summaryOffsetStart && r.opcode === MCAP_OPCODES.SUMMARY_OFFSET);
+  assert.deepEqual(groups.map(g => g.content[0]), [
+    MCAP_OPCODES.SCHEMA, MCAP_OPCODES.CHANNEL, MCAP_OPCODES.STATISTICS, MCAP_OPCODES.CHUNK_INDEX, MCAP_OPCODES.METADATA_INDEX
+  ]);
+  for (const group of groups) {
+    assert.equal(byOffset.get(u64(group.content, 1)).opcode, group.content[0]);
+  }
+
+  // Chunk Index -> Chunk i Message Index; Message Index -> wiadomości w chunku
+  const chunkIndexes = all.filter(r => r.opcode === MCAP_OPCODES.CHUNK_INDEX);
+  assert.ok(chunkIndexes.length > 1, 'maly chunkSize dzieli wiadomosci');
+  let indexed = 0;
+  for (const index of chunkIndexes) {
+    const chunk = byOffset.get(u64(index.content, 16));
+    assert.equal(chunk.opcode, MCAP_OPCODES.CHUNK);
+    assert.equal(u64(index.content, 24), chunk.content.length + 9);
+    const mapLength = new DataView(index.content.buffer, index.content.byteOffset).getUint32(32, true);
+    const chunkRecords = chunk.content.subarray(8 * 3 + 4 + 4 + 8);
+    for (let at = 36; at < 36 + mapLength; at += 10) {
+      const messageIndex = byOffset.get(u64(index.content, at + 2));
+      assert.equal(messageIndex.opcode, MCAP_OPCODES.MESSAGE_INDEX);
+      const entries = new DataView(messageIndex.content.buffer, messageIndex.content.byteOffset).getUint32(2, true) / 16;
+      for (let e = 0; e < entries; e++) {
+        assert.equal(chunkRecords[u64(messageIndex.content, 6 + e * 16 + 8)], MCAP_OPCODES.MESSAGE);
+        indexed++;
+      }
+    }
+  }
+  assert.equal(indexed, 10);
+});
+
+test('reader returns schemas, channels, messages in time order and metadata', () => {
+  const file = readMcap(writeSample(200));
+  assert.deepEqual([...file.schemas.values()].map(s => [s.id, s.name, s.encoding, decoder.decode(s.data)]), [[1, 'test.Value', 'jsonschema', '{"type":"object"}']]);
+  assert.deepEqual([...file.channels.values()].map(c => [c.id, c.topic, c.metadata]), [[1, '/a', { unit: 'deg' }], [2, '/b', {}]]);
+  assert.deepEqual(file.messages.map(m => JSON.parse(decoder.decode(m.data)).i), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(file.messages[3].logTime, 3000000n);
+  assert.deepEqual(file.metadata, [{ name: 'info', metadata: { device: 'RoboBala' } }]);
+  assert.equal(readMcap(writeSample(1 << 20)).messages.length, 10);
+});
+
+test('reader rejects foreign files and compressed chunks with readable errors', () => {
+  assert.throws(() => readMcap(new TextEncoder().encode('time,pitch\n')), /To nie jest plik MCAP/);
+
+  const bytes = writeSample(1 << 20);
+  const chunk = records(bytes).find(r => r.opcode === MCAP_OPCODES.CHUNK);
+  // Pole compression: u32 długość + tekst; podmiana pustego tekstu wymaga przebudowy rekordu
+  const compression = new TextEncoder().encode('zstd');
+  const head = chunk.content.subarray(0, 28);
+  const tail = chunk.content.subarray(32);
+  const content = new Uint8Array(head.length + 4 + compression.length + tail.length);
+  content.set(head);
+  new DataView(content.buffer).setUint32(28, compression.length, true);
+  content.set(compression, 32);
+  content.set(tail, 36);
+  const patched = new Uint8Array(chunk.offset + 9 + content.length + MCAP_MAGIC.length);
+  patched.set(bytes.subarray(0, chunk.offset + 1));
+  new DataView(patched.buffer).setBigUint64(chunk.offset + 1, BigInt(content.length), true);
+  patched.set(content, chunk.offset + 9);
+  patched.set(MCAP_MAGIC, patched.length - MCAP_MAGIC.length);
+  assert.throws(() => readMcap(patched), (error) => error instanceof McapError && /Kompresja chunkow 'zstd'/.test(error.message));
+});
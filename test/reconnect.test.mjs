@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBackoffDelay, ReconnectController, diffParams } from '../js/modules/reconnect.mjs';
+import { manualTimers } from './helpers/manual-timers.mjs';
+
+test('computeBackoffDelay grows exponentially and respects the cap', () => {
+  const opts = { baseMs: 500, maxMs: 4000, jitter: 0 };
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(n => computeBackoffDelay(n, opts)), [500, 1000, 2000, 4000, 4000, 4000]);
+  assert.equal(computeBackoffDelay(1, { baseMs: 1000, jitter: 0.5, random: () => 1 }), 1500);
+  assert.equal(computeBackoffDelay(1, { baseMs: 1000, jitter: 0.5, random: () => 0 }), 500);
+});
+
+test('ReconnectController retries until the transport reconnects', async () => {
+  const timers = manualTimers();
+  const results = [false, false, true];
+  const attempts = [];
+  let succeededAt = null;
+  const controller = new ReconnectController({
+    attemptReconnect: async () => results.shift(),
+    onAttempt: (n, delay) => attempts.push([n, delay]),
+    onSuccess: (n) => { succeededAt = n; },
+    backoff: { baseMs: 100, jitter: 0 },
+    timers
+  });
+
+  controller.start();
+  assert.equal(controller.isActive(), true);
+  await timers.fireNext();
+  await timers.fireNext();
+  await timers.fireNext();
+
+  assert.deepEqual(attempts, [[1, 100], [2, 200], [3, 400]]);
+  assert.equal(succeededAt, 3);
+  assert.equal(controller.isActive(), false);
+  assert.equal(timers.size, 0);
+});
+
+test('ReconnectController gives up after maxAttempts and can be cancelled', async () => {
+  const timers = manualTimers();
+  let gaveUp = null;
+  const controller = new ReconnectController({
+    attemptReconnect: async () => { throw new Error('no device'); },
+    onGiveUp: (n) => { gaveUp = n; },
+    maxAttempts: 2,
+    backoff: { jitter: 0 },
+    timers
+  });
+  controller.start();
+  await timers.fireNext();
+  await timers.fireNext();
+  assert.equal(gaveUp, 2);
+  assert.equal(controller.isActive(), false);
+
+  const cancelled = new ReconnectController({ attemptReconnect: async () => true, timers });
+  cancelled.start();
+  cancelled.cancel();
+  assert.equal(cancelled.isActive(), false);
+  assert.equal(timers.size, 0);
+});
+
+test('diffParams reports only parameters that differ on the robot', () => {
+  const sent = { kp_b: 95, kd_b: 8, balance_trim: 0.5, unknown: 1 };
+  const robot = { kp_b: 95.00001, kd_b: 6, balance_trim: 0.5 };
+  assert.deepEqual(diffParams(sent, robot), [{ key: 'kd_b', sent: 8, robot: 6 }]);
+  assert.deepEqual(diffParams({}, robot), []);
+});
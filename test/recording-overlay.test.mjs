@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRecordingCsv, recordingFromSysId, recordingFromFrames, findEventTime,
+  alignedSeries, interpolateAt, diffSeries, compareMeasurements, RecordingFormatError
+} from '../js/modules/recording-overlay.mjs';
+import { close } from './helpers/assert-close.mjs';
+
+test('parses analyzer CSV export and skips measurement rows', () => {
+  const csv = [
+    'Time,Pitch (Kat),Predkosc',
+    '10.00,1.5000,100.0000',
+    '10.02,2.0000,',
+    '10.04,2.5000,120.0000',
+    '',
+    'Pomiar,A-B Pitch (Kat)',
+    'Srednia,2'
+  ].join('\n');
+  const rec = parseRecordingCsv(csv, 'przed.csv', { 'Pitch (Kat)': 'pitch', 'Predkosc': 'speed' });
+  assert.equal(rec.source, 'csv');
+  assert.deepEqual([...rec.time], [10000, 10020, 10040]);
+  assert.deepEqual([...rec.channels.pitch], [1.5, 2, 2.5]);
+  assert.ok(Number.isNaN(rec.channels.speed[1]));
+  assert.throws(() => parseRecordingCsv('a,b\n1,2\n3,4', 'x'), RecordingFormatError);
+  assert.throws(() => parseRecordingCsv('', 'x'), RecordingFormatError);
+});
+
+test('parses SysID CSV and maps columns onto telemetry channels', () => {
+  const csv = [
+    '# RoboBala System Identification Data',
+    '# test_type: balance',
+    '# kp_used: 50',
+    '',
+    'time_s,angle_deg,impulse_percent,pwm_output,speed_enc,encoder_left,encoder_right,gyro_y',
+    '0.0000,0.1000,0.00,1.00,0.00,0,0,0.0000',
+    '0.0050,0.2000,25.00,2.00,1.00,1,1,0.1000'
+  ].join('\r\n');
+  const rec = parseRecordingCsv(csv, 'sysid.csv');
+  assert.equal(rec.source, 'sysid');
+  assert.equal(rec.meta.kp_used, '50');
+  assert.deepEqual([...rec.time], [0, 5]);
+  assert.deepEqual(Object.keys(rec.channels).sort(), ['encoder_left', 'encoder_right', 'gyroY', 'input_signal', 'output', 'pitch', 'speed']);
+  assert.deepEqual([...rec.channels.pitch], [0.1, 0.2]);
+
+  const fromObject = recordingFromSysId({ testType: 'speed', data: [{ time: 0, angle: 1, speed: 5, pwm_output: 3 }, { time: 0.01, angle: 2, speed: 6, pwm_output: 4 }] }, 'SysID');
+  assert.deepEqual([...fromObject.time], [0, 10]);
+  assert.deepEqual([...fromObject.channels.pitch], [1, 2]);
+  assert.deepEqual([...fromObject.channels.output], [3, 4]);
+  assert.equal(fromObject.channels.gyroY, undefined);
+});
+
+test('telemetry frames become columns with NaN for missing values', () => {
+  const rec = recordingFromFrames([{ time: 100, frame: { pitch: 1, robot_state: 'IDLE' } }, { time: 110, frame: { pitch: 2, speed: 7 } }], 'Sesja');
+  assert.deepEqual(Object.keys(rec.channels).sort(), ['pitch', 'speed']);
+  assert.ok(Number.isNaN(rec.channels.speed[0]));
+  assert.equal(rec.channels.speed[1], 7);
+});
+
+// Skok 0 -> 10 w chwili `stepAt` (ms), próbki co 10 ms
+function stepRecording(stepAt, name) {
+  const time = [];
+  const values = [];
+  for (let t = 0; t <= 2000; t += 10) {
+    time.push(t);
+    values.push(t < stepAt ? 0 : 10 * (1 - Math.exp(-(t - stepAt) / 50)));
+  }
+  return { name, source: 'csv', time: Float64Array.from(time), channels: { pitch: Float64Array.from(values) }, meta: {} };
+}
+
+test('finds alignment events: start, step onset, impulse peak and level crossing', () => {
+  const rec = stepRecording(500, 'a');
+  assert.equal(findEventTime(rec, { event: 'start' }), 0);
+  close(findEventTime(rec, { event: 'step', channel: 'pitch' }), 500, 10, 'step');
+  close(findEventTime(rec, { event: 'level', channel: 'pitch', level: 5 }), 535, 10, 'level');
+  assert.equal(findEventTime(rec, { event: 'level', channel: 'pitch', level: 20 }), null);
+  assert.equal(findEventTime(rec, { event: 'step', channel: 'missing' }), null);
+
+  const impulse = { time: Float64Array.from([0, 10, 20, 30, 40]), channels: { output: Float64Array.from([0, 1, -6, 2, 0]) } };
+  assert.equal(findEventTime(impulse, { event: 'impulse', channel: 'output' }), 20);
+});
+
+test('aligned recordings overlay, diff trace and measurement deltas', () => {
+  const before = stepRecording(300, 'przed');
+  const after = stepRecording(800, 'po');
+  const window = { from: -200, to: 1000 };
+  const a = alignedSeries(before, 'pitch', findEventTime(before, { event: 'step', channel: 'pitch' }), window);
+  const b = alignedSeries(after, 'pitch', findEventTime(after, { event: 'step', channel: 'pitch' }), window);
+  assert.ok(a.time[0] >= -200 && a.time[a.time.length - 1] <= 1000);
+  const diff = diffSeries(a, b);
+  assert.ok(diff.time.length > 100);
+  assert.ok(Math.max(...diff.values.map(Math.abs)) < 0.5, 'wyrownane skoki prawie sie pokrywaja');
+
+  const [ref, other] = compareMeasurements([{ name: 'przed', ...a }, { name: 'po', time: b.time, values: b.values.map(v => v * 2) }]);
+  assert.equal(ref.deltas.mean, null);
+  close(other.deltas.max, ref.measurements.max, 0.01, 'max podwojone');
+  close(other.deltas.riseTime, 0, 15, 'ten sam czas narastania');
+
+  assert.deepEqual([...interpolateAt([0, 10], [0, 1], [-1, 0, 5, 10, 11])].map(v => (Number.isNaN(v) ? 'NaN' : v)), ['NaN', 0, 0.5, 1, 'NaN']);
+});
@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { encodeFrame, FrameDecoder, acceptKey, startBridge } from '../tools/robot-bridge.mjs';
+
+class FakeBackend {
+  constructor() {
+    this.name = 'fake';
+    this.written = [];
+    this.onLine = () => {};
+  }
+  start() {}
+  write(line) { this.written.push(line); }
+  stop() {}
+}
+
+function connectClient(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const decoder = new FrameDecoder();
+    const received = [];
+    let handshake = '';
+    let upgraded = false;
+    socket.on('data', (chunk) => {
+      if (!upgraded) {
+        handshake += chunk.toString('latin1');
+        const end = handshake.indexOf('\r\n\r\n');
+        if (end === -1) return;
+        upgraded = true;
+        assert.match(handshake, /101 Switching Protocols/);
+        assert.ok(handshake.includes(`Sec-WebSocket-Accept: ${acceptKey('dGhlIHNhbXBsZSBub25jZQ==')}`));
+        const rest = Buffer.from(handshake.slice(end + 4), 'latin1');
+        if (rest.length) received.push(...decoder.push(rest).map(m => m.payload.toString()));
+        resolve({ socket, received, send: (text) => socket.write(encodeFrame(text, { mask: true })) });
+        return;
+      }
+      received.push(...decoder.push(chunk).map(m => m.payload.toString()));
+    });
+    socket.on('error', reject);
+    socket.write([
+      'GET / HTTP/1.1', 'Host: localhost', 'Upgrade: websocket', 'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==', 'Sec-WebSocket-Version: 13', '', ''
+    ].join('\r\n'));
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('acceptKey matches the RFC 6455 example', () => {
+  assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('FrameDecoder decodes masked frames split across packets', () => {
+  const payload = 'x'.repeat(300);
+  const frame = encodeFrame(payload, { mask: true });
+  const decoder = new FrameDecoder();
+
+  assert.deepEqual(decoder.push(frame.subarray(0, 3)), []);
+  const messages = decoder.push(frame.subarray(3));
+
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].payload.toString(), payload);
+});
+
+test('FrameDecoder joins fragmented messages', () => {
+  const first = encodeFrame('{"type":', { mask: true });
+  first[0] = 0x01; // FIN = 0, text
+  const last = encodeFrame('"joystick"}', { mask: true });
+  last[0] = 0x80; // FIN = 1, continuation
+  const messages = new FrameDecoder().push(Buffer.concat([first, last]));
+
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].payload.toString(), '{"type":"joystick"}');
+});
+
+test('bridge fans robot lines out to every client and serializes commands', async () => {
+  const backend = new FakeBackend();
+  const bridge = await startBridge({ backend, port: 0, sendInterval: 1, log: () => {} });
+  try {
+    const a = await connectClient(bridge.port);
+    const b = await connectClient(bridge.port);
+    await wait(20);
+
+    backend.onLine('{"type":"telemetry","p":1}');
+    a.send('{"type":"joystick","x":0,"y":1}\n{"type":"command_stop"}\n');
+    b.send('{"type":"request_full_config"}');
+    await wait(50);
+
+    assert.deepEqual(a.received, ['{"type":"telemetry","p":1}\n']);
+    assert.deepEqual(b.received, ['{"type":"telemetry","p":1}\n']);
+    assert.deepEqual(backend.written, ['{"type":"joystick","x":0,"y":1}', '{"type":"command_stop"}', '{"type":"request_full_config"}']);
+
+    a.socket.destroy();
+    b.socket.destroy();
+  } finally {
+    await bridge.close();
+  }
+});
+
+test('bridge routes acks back to the sending client when clients reuse the same id', async () => {
+  const backend = new FakeBackend();
+  const bridge = await startBridge({ backend, port: 0, sendInterval: 1, log: () => {} });
+  try {
+    const a = await connectClient(bridge.port);
+    const b = await connectClient(bridge.port);
+    await wait(20);
+
+    a.send('{"type":"save_tunings","id":3}');
+    await wait(20);
+    b.send('{"type":"ota_block","offset":0,"id":3}');
+    await wait(50);
+
+    const [fromA, fromB] = backend.written.map(line => JSON.parse(line));
+    assert.notEqual(fromA.id, fromB.id);
+    assert.equal(fromB.offset, 0);
+
+    backend.onLine(JSON.stringify({ type: 'ack', command: 'ota_block', success: false, id: fromB.id }));
+    backend.onLine(JSON.stringify({ type: 'ack', command: 'save_tunings', success: true, id: fromA.id }));
+    await wait(50);
+
+    assert.deepEqual(a.received.map(line => JSON.parse(line)), [{ type: 'ack', command: 'save_tunings', success: true, id: 3 }]);
+    assert.deepEqual(b.received.map(line => JSON.parse(line)), [{ type: 'ack', command: 'ota_block', success: false, id: 3 }]);
+
+    a.socket.destroy();
+    b.socket.destroy();
+  } finally {
+    await bridge.close();
+  }
+});
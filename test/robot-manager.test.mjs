@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotConnectionManager } from '../js/modules/robot-manager.mjs';
+
+class FakeTransport {
+  constructor(name, { failSend = false } = {}) {
+    this.name = name;
+    this.failSend = failSend;
+    this.connected = true;
+    this.observers = [];
+    this.sent = [];
+  }
+  observe(fn) {
+    this.observers.push(fn);
+    return () => { this.observers = this.observers.filter(o => o !== fn); };
+  }
+  emit(type, data) { this.observers.forEach(fn => fn(type, data)); }
+  getConnectionStatus() { return this.connected; }
+  getDeviceName() { return this.name; }
+  async send(message) {
+    if (this.failSend) throw new Error('write failed');
+    this.sent.push(message);
+  }
+}
+
+test('each robot keeps its own telemetry and config store', () => {
+  const manager = new RobotConnectionManager();
+  const a = new FakeTransport('RoboBala-A');
+  const b = new FakeTransport('RoboBala-B');
+  const robotA = manager.addRobot(a, { active: true });
+  const robotB = manager.addRobot(b);
+
+  a.emit('set_param', { type: 'set_param', key: 'kp_b', value: 95 });
+  b.emit('set_param', { type: 'set_param', key: 'kp_b', value: 80 });
+  b.emit('set_param', { type: 'set_param', key: 'balancing', value: 1 });
+  b.emit('telemetry', { type: 'telemetry', pitch: 1.5 });
+
+  assert.equal(robotA.params.kp_b, 95);
+  assert.deepEqual(robotB.params, { kp_b: 80 });
+  assert.deepEqual(robotB.states, { balancing: 1 });
+  assert.equal(robotB.telemetry.pitch, 1.5);
+  assert.equal(robotA.telemetry, null);
+  assert.equal(manager.addRobot(a), robotA);
+
+  manager.recordOutgoing({ type: 'set_param', key: 'kd_b', value: 3 });
+  assert.equal(robotA.lastSentParams.kd_b, 3);
+  assert.equal(robotB.params.kd_b, undefined);
+});
+
+test('setActive notifies with the previous robot and ignores the current one', () => {
+  const activations = [];
+  const manager = new RobotConnectionManager({ onActivate: (robot, previous) => activations.push([robot.name, previous && previous.name]) });
+  manager.addRobot(new FakeTransport('A'));
+  const robotB = manager.addRobot(new FakeTransport('B'));
+
+  manager.setActive(robotB.id);
+  manager.setActive(robotB.id);
+  assert.deepEqual(activations, [['B', 'A']]);
+  assert.equal(manager.getActive(), robotB);
+
+  manager.removeRobot(robotB.id);
+  assert.equal(manager.getActive(), null);
+});
+
+test('broadcast reaches every connected robot and reports failures', async () => {
+  const manager = new RobotConnectionManager();
+  const a = new FakeTransport('A');
+  const b = new FakeTransport('B', { failSend: true });
+  const c = new FakeTransport('C');
+  manager.addRobot(a);
+  manager.addRobot(b);
+  const robotC = manager.addRobot(c);
+  c.emit('disconnected', { reason: 'link_lost' });
+  assert.equal(robotC.connected, false);
+
+  const summary = await manager.broadcast({ type: 'command_stop' });
+  assert.deepEqual(summary.sent, ['A']);
+  assert.deepEqual(summary.failed, [{ name: 'B', error: 'write failed' }]);
+  assert.deepEqual(a.sent, [{ type: 'command_stop' }]);
+  assert.deepEqual(c.sent, []);
+});
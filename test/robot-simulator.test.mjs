@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotSimulator, SIM_LOOP_HZ } from '../js/modules/robot-simulator.mjs';
+
+const DT = 1 / SIM_LOOP_HZ;
+
+function run(sim, seconds) {
+  const events = [];
+  const steps = Math.round(seconds / DT);
+  for (let i = 0; i < steps; i++) {
+    sim.step(DT);
+    events.push(...sim.drainEvents());
+  }
+  return events;
+}
+
+test('request_full_config replies with the firmware sync sequence', () => {
+  const sim = new RobotSimulator({ noise: false });
+  const replies = sim.handleCommand({ type: 'request_full_config' });
+
+  assert.equal(replies[0].type, 'ack');
+  assert.equal(replies[0].command, 'request_full_config');
+  assert.equal(replies[1].type, 'sync_begin');
+  assert.equal(replies.at(-1).type, 'sync_complete');
+  assert.ok(replies.some(m => m.type === 'set_param' && m.key === 'kp_b' && m.value === sim.params.kp_b));
+  assert.ok(replies.some(m => m.type === 'set_tuning_config_param' && m.key === 'safety_max_angle'));
+  assert.ok(replies.every(m => typeof m.type === 'string'));
+});
+
+test('set_param changes the controller parameters used by the simulation', () => {
+  const sim = new RobotSimulator({ noise: false });
+  sim.handleCommand({ type: 'set_param', key: 'kp_b', value: 42 });
+
+  assert.equal(sim.params.kp_b, 42);
+});
+
+test('default parameters keep the robot balancing from an initial tilt', () => {
+  const sim = new RobotSimulator({ noise: false });
+  sim.handleCommand({ type: 'balance_toggle', enabled: true });
+  sim.theta = 3 * Math.PI / 180;
+
+  const events = run(sim, 5);
+
+  assert.equal(sim.robotState, 'BALANSUJE');
+  assert.ok(Math.abs(sim.pitchDeg) < 0.5, `pitch ${sim.pitchDeg}`);
+  assert.ok(Math.abs(sim.speedImp) < 50, `speed ${sim.speedImp}`);
+  assert.equal(events.filter(e => e.level === 'error').length, 0);
+});
+
+test('robot falls over and stops balancing without a balance controller', () => {
+  const sim = new RobotSimulator({ noise: false, params: { kp_b: 0, kd_b: 0 } });
+  sim.handleCommand({ type: 'balance_toggle', enabled: true });
+  sim.theta = 2 * Math.PI / 180;
+
+  const events = run(sim, 3);
+
+  assert.equal(sim.states.balancing, false);
+  assert.equal(sim.robotState, 'IDLE');
+  assert.ok(events.some(e => e.type === 'log' && e.level === 'error'));
+});
+
+test('execute_move drives the requested distance and reports completion', () => {
+  const sim = new RobotSimulator({ noise: false });
+  sim.handleCommand({ type: 'balance_toggle', enabled: true });
+  run(sim, 1);
+  const start = sim.positionImp;
+  sim.handleCommand({ type: 'execute_move', distance_cm: 30 });
+  assert.equal(sim.robotState, 'RUCH_AUTONOMICZNY');
+
+  const events = run(sim, 12);
+  const done = events.find(e => e.type === 'status_update' && e.message === 'autonomous_move_complete');
+  const expectedImp = 30 / (Math.PI * sim.params.wheel_diameter_cm) * sim.params.encoder_ppr;
+
+  assert.ok(done);
+  assert.ok(Math.abs(done.currentPosition - start - expectedImp) < 30, `moved ${done.currentPosition - start}`);
+  assert.equal(sim.robotState, 'BALANSUJE');
+});
+
+test('execute_rotate turns to the requested heading', () => {
+  const sim = new RobotSimulator({ noise: false });
+  sim.handleCommand({ type: 'balance_toggle', enabled: true });
+  run(sim, 1);
+  sim.handleCommand({ type: 'execute_rotate', angle_deg: 90 });
+
+  const events = run(sim, 10);
+  const done = events.find(e => e.type === 'status_update' && e.message === 'autonomous_rotate_complete');
+
+  assert.ok(done);
+  assert.ok(Math.abs(done.currentYawDeg - 90) < 5, `yaw ${done.currentYawDeg}`);
+});
+
+test('telemetry frames use the firmware short keys', () => {
+  const sim = new RobotSimulator({ noise: false });
+  const frame = sim.buildTelemetry();
+
+  assert.equal(frame.type, 'telemetry');
+  for (const key of ['p', 'r', 'y', 'sp', 'ts', 'el', 'er', 'o', 'gy', 'lt', 'robot_state']) {
+    assert.ok(key in frame, `missing ${key}`);
+  }
+  assert.deepEqual(frame.states, { b: 0, hp: 0, sm: 0, es: 0 });
+});
+
+test('emergency_stop disables balancing and reports the flag', () => {
+  const sim = new RobotSimulator({ noise: false });
+  sim.handleCommand({ type: 'balance_toggle', enabled: true });
+  sim.handleCommand({ type: 'emergency_stop' });
+
+  assert.equal(sim.isActive(), false);
+  assert.equal(sim.buildTelemetry().states.es, 1);
+});
+
+test('missing heartbeat stops joystick motion after the requested timeout', () => {
+  const sim = new RobotSimulator({ noise: false });
+  sim.handleCommand({ type: 'balance_toggle', enabled: true });
+  sim.handleCommand({ type: 'heartbeat', seq: 0, interval_ms: 250, timeout_ms: 500 });
+  sim.handleCommand({ type: 'joystick', x: 0, y: 0.5 });
+
+  assert.deepEqual(run(sim, 0.4), []);
+  assert.equal(sim.joystick.y, 0.5);
+
+  const events = run(sim, 0.2);
+  assert.deepEqual(sim.joystick, { x: 0, y: 0 });
+  assert.ok(events.some(e => e.type === 'log' && /heartbeat/.test(e.message)));
+  assert.equal(sim.linkWatchdog, null);
+});
+
+test('extensions add commands and capabilities without touching the core', () => {
+  const handled = [];
+  const sim = new RobotSimulator({
+    noise: false,
+    extensions: [{
+      messages: ['blink'],
+      install: (robot) => { robot.blinks = 0; },
+      handle: (robot, msg, replies) => { robot.blinks++; handled.push(msg.type); replies.push({ type: 'ack', command: msg.type, success: true }); },
+      capabilities: () => ({ leds: 1 })
+    }]
+  });
+
+  const [capabilities] = sim.handleCommand({ type: 'hello' });
+  assert.ok(capabilities.messages.includes('blink'));
+  assert.equal(capabilities.leds, 1);
+  assert.equal(sim.handleCommand({ type: 'blink', id: 3 })[0].id, 3);
+  assert.equal(sim.blinks, 1);
+  sim.handleCommand({ type: 'unknown' });
+  assert.deepEqual(handled, ['blink']);
+});
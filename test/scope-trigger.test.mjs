@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ScopeTrigger, normalizeTrigger, describeTrigger } from '../js/modules/scope-trigger.mjs';
+import { TelemetryStore } from '../js/modules/telemetry-store.mjs';
+
+function scope(options) {
+  const store = new TelemetryStore();
+  const trigger = new ScopeTrigger({ history: (t0, t1) => store.frames(store.channelNames(), t0, t1), ...options });
+  const captures = [];
+  const feed = (frame, time) => {
+    store.push(frame, time);
+    const capture = trigger.process(frame, time);
+    if (capture) captures.push(capture);
+  };
+  return { trigger, captures, feed };
+}
+
+test('level trigger on |pitch| captures the pre-trigger history and the post window', () => {
+  const { trigger, captures, feed } = scope({ trigger: { type: 'level', channel: 'pitch', level: 20, absolute: true }, mode: 'single', preMs: 100, postMs: 50 });
+  trigger.arm();
+  for (let i = 0; i < 30; i++) {
+    // Upadek do tyłu: pitch maleje od 0 do -29
+    feed({ pitch: -i }, i * 10);
+  }
+  assert.equal(captures.length, 1);
+  const [capture] = captures;
+  assert.equal(capture.time, 200);
+  assert.deepEqual([capture.t0, capture.t1], [100, 250]);
+  assert.deepEqual(capture.frames.map(f => f.time), [100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 200, 210, 220, 230, 240, 250]);
+  assert.equal(capture.frames.find(f => f.time === 200).pitch, -20);
+  assert.equal(capture.description, '|pitch| ↑ ±20');
+  assert.equal(capture.forced, false);
+  assert.equal(trigger.state, 'stopped', 'single zatrzymuje sie po przechwyceniu');
+});
+
+test('normal mode re-arms, edges and change/estop triggers', () => {
+  const { trigger, captures, feed } = scope({ trigger: { type: 'level', channel: 'output', level: 250, edge: 'rising' }, mode: 'normal', preMs: 0, postMs: 0 });
+  trigger.arm();
+  [0, 255, 255, 0, 300, 100, 255].forEach((output, i) => feed({ output, pitch: 1 }, i * 10));
+  assert.deepEqual(captures.map(c => c.time), [10, 40, 60]);
+  assert.equal(trigger.state, 'armed');
+
+  const change = scope({ trigger: { type: 'change', channel: 'robot_state' }, postMs: 0 });
+  change.trigger.arm();
+  ['IDLE', 'IDLE', 'BALANCING', 'BALANCING', 'FALLEN'].forEach((robot_state, i) => change.feed({ robot_state, pitch: i }, i * 10));
+  assert.deepEqual(change.captures.map(c => c.time), [20, 40]);
+
+  const estop = scope({ trigger: { type: 'estop' }, postMs: 0 });
+  estop.trigger.arm();
+  [0, 0, 1, 1, 0, 1].forEach((es, i) => estop.feed({ pitch: 0, states: { b: 1, es } }, i * 10));
+  estop.feed({ pitch: 0 }, 60);
+  assert.deepEqual(estop.captures.map(c => c.time), [20, 50]);
+  assert.equal(describeTrigger(normalizeTrigger({ type: 'estop' })), 'stop awaryjny');
+});
+
+test('auto mode forces a capture when nothing triggers and expressions work', () => {
+  const { trigger, captures, feed } = scope({ trigger: { type: 'level', channel: 'pitch', level: 50 }, mode: 'auto', autoMs: 200, preMs: 100, postMs: 100 });
+  trigger.arm();
+  for (let i = 0; i <= 50; i++) feed({ pitch: 1 }, i * 10);
+  assert.deepEqual(captures.map(c => [c.forced, c.t0, c.t1]), [[true, 0, 200], [true, 210, 410]]);
+  assert.equal(captures[0].description, 'auto (bez wyzwolenia)');
+
+  const expr = scope({ trigger: { type: 'expression', expression: '|pitch| > 10 && speed > param.limit for 20 ms' }, resolve: (name) => (name === 'param.limit' ? 5 : undefined), postMs: 0 });
+  expr.trigger.arm();
+  [[12, 4], [12, 6], [12, 7], [12, 8], [0, 8], [-12, 8], [-12, 8], [-12, 8]].forEach(([pitch, speed], i) => expr.feed({ pitch, speed }, i * 10));
+  assert.deepEqual(expr.captures.map(c => c.time), [30, 70]);
+  assert.throws(() => normalizeTrigger({ type: 'expression', expression: 'pitch >' }), /Oczekiwano/);
+});
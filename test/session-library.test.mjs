@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MemorySessionBackend, SessionWriter, SessionLibrary, telemetryFrames, filterSessions, normalizeTags, sessionArchiveFileName,
+  SESSION_ARCHIVE_FORMAT
+} from '../js/modules/session-library.mjs';
+import { TelemetryStore } from '../js/modules/telemetry-store.mjs';
+import { manualTimers } from './helpers/manual-timers.mjs';
+
+test('writer stores records in chunks and the library reads the session back', async () => {
+  const backend = new MemorySessionBackend();
+  const timers = manualTimers();
+  let clock = Date.UTC(2026, 2, 1, 10, 0, 0);
+  const writer = new SessionWriter(backend, { now: () => clock, timers });
+  const meta = await writer.start({ device: 'RoboBala', transport: 'ble', tags: 'strojenie, test' });
+
+  writer.recordTelemetry({ type: 'telemetry', pitch: 1.5, speed: 10 }, clock);
+  writer.recordTelemetry({ pitch: 2.5 }, clock + 20);
+  writer.record('log', { level: 'info', message: '[UI] Polaczono' });
+  writer.record('param', { dir: 'out', type: 'set_param', key: 'kp_b', value: 95 });
+  writer.record('command', { type: 'execute_move', distance_cm: 20 });
+  assert.equal(timers.size, 1, 'jeden timer na paczke');
+  timers.fireAll();
+  await writer.writing;
+
+  clock += 1000;
+  writer.update({ firmware: '1.4.0' });
+  writer.recordTelemetry({ pitch: 3.5, roll: -1 }, clock);
+  writer.record('tuning', { idx: 1, kp: 90, ki: 0, kd: 3, fitness: 12.5 });
+  writer.record('sysid', { testType: 'balance', data: [{ time: 0, angle: 1 }] });
+  const ended = await writer.stop();
+  assert.equal(writer.active, false);
+  assert.equal(ended.endedAt, clock);
+
+  const library = new SessionLibrary(backend);
+  const session = await library.load(meta.id);
+  assert.deepEqual(session.meta.counts, { telemetry: 3, log: 1, command: 1, param: 1, tuning: 1, sysid: 1 });
+  assert.deepEqual(session.meta.tags, ['strojenie', 'test']);
+  assert.equal(session.meta.firmware, '1.4.0');
+  assert.deepEqual(session.meta.channels, ['pitch', 'speed', 'roll']);
+  assert.deepEqual(session.params, [{ t: Date.UTC(2026, 2, 1, 10, 0, 0), dir: 'out', type: 'set_param', key: 'kp_b', value: 95 }]);
+  assert.equal(session.sysid[0].data[0].angle, 1);
+  assert.deepEqual(session.commands.map(c => c.type), ['execute_move']);
+
+  // Odtworzenie telemetrii w store analizatora
+  const store = new TelemetryStore();
+  for (const { time, frame } of telemetryFrames(session.telemetry)) store.push(frame, time);
+  assert.equal(store.length, 3);
+  assert.deepEqual([...store.slice('speed').values], [10, NaN, NaN]);
+  assert.equal(store.endTime - store.startTime, 1000);
+});
+
+test('archive export flattens telemetry columns and delete removes everything', async () => {
+  const backend = new MemorySessionBackend();
+  const writer = new SessionWriter(backend, { timers: manualTimers() });
+  const meta = await writer.start({ device: 'Robo Bala #2' });
+  writer.recordTelemetry({ pitch: 1 }, 1000);
+  await writer.flush();
+  writer.recordTelemetry({ pitch: 2, speed: 5 }, 1020);
+  writer.record('log', { level: 'warn', message: 'x' });
+  await writer.stop();
+
+  const library = new SessionLibrary(backend);
+  const archive = await library.exportArchive(meta.id);
+  assert.equal(archive.format, SESSION_ARCHIVE_FORMAT);
+  assert.deepEqual(archive.telemetry, { time: [1000, 1020], channels: { pitch: [1, 2], speed: [null, 5] } });
+  assert.equal(archive.logs[0].message, 'x');
+  assert.deepEqual(JSON.parse(JSON.stringify(archive)), archive);
+  assert.match(sessionArchiveFileName({ device: 'Robo Bala #2', startedAt: Date.UTC(2026, 0, 2, 3, 4, 5) }), /^robobala-session-Robo_Bala_2-2026-01-02T03-04-05\.json$/);
+
+  await library.remove(meta.id);
+  assert.equal(await library.load(meta.id), null);
+  assert.deepEqual(await backend.getChunks(meta.id), []);
+});
+
+test('sessions are filtered by date, robot and tag, newest first', async () => {
+  const day = (d, h = 12) => Date.UTC(2026, 2, d, h);
+  const sessions = [
+    { id: 'a', startedAt: day(1), device: 'RoboBala', tags: ['strojenie'] },
+    { id: 'b', startedAt: day(3), device: 'RoboBala-2', tags: ['SysID', 'podloga'] },
+    { id: 'c', startedAt: day(5), device: 'Symulator', tags: [] }
+  ];
+  assert.deepEqual(filterSessions(sessions).map(s => s.id), ['c', 'b', 'a']);
+  assert.deepEqual(filterSessions(sessions, { from: day(2, 0), to: day(5, 0) }).map(s => s.id), ['b']);
+  assert.deepEqual(filterSessions(sessions, { robot: 'robobala' }).map(s => s.id), ['b', 'a']);
+  assert.deepEqual(filterSessions(sessions, { tag: 'sys' }).map(s => s.id), ['b']);
+
+  assert.deepEqual(normalizeTags(' a, B ,,b, c '), ['a', 'B', 'c']);
+  const library = new SessionLibrary(new MemorySessionBackend());
+  await library.backend.putSession(sessions[0]);
+  assert.deepEqual((await library.setTags('a', 'nowy, strojenie')).tags, ['nowy', 'strojenie']);
+  assert.equal(await library.setTags('zzz', 'x'), null);
+});
+
+test('write errors are reported and do not block later writes', async () => {
+  const backend = new MemorySessionBackend();
+  const errors = [];
+  let fail = true;
+  const addChunk = backend.addChunk.bind(backend);
+  backend.addChunk = async (chunk) => { if (fail) throw new Error('QuotaExceededError'); return addChunk(chunk); };
+  const writer = new SessionWriter(backend, { timers: manualTimers(), onError: (e) => errors.push(e.message) });
+  const meta = await writer.start({});
+  writer.record('log', { message: 'pierwszy' });
+  await writer.flush();
+  fail = false;
+  writer.record('log', { message: 'drugi' });
+  await writer.stop();
+
+  assert.deepEqual(errors, ['QuotaExceededError']);
+  assert.deepEqual((await new SessionLibrary(backend).load(meta.id)).logs.map(l => l.message), ['drugi']);
+});
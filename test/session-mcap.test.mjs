@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MemorySessionBackend, SessionWriter, SessionLibrary } from '../js/modules/session-library.mjs';
+import { sessionToMcap, mcapToSession, sessionMcapFileName, SESSION_MCAP_TOPICS } from '../js/modules/session-mcap.mjs';
+import { McapWriter, readMcap } from '../js/modules/mcap.mjs';
+
+const timers = { setTimeout: () => 0, clearTimeout: () => {} };
+
+async function recordSession() {
+  const backend = new MemorySessionBackend();
+  let clock = Date.UTC(2026, 2, 1, 10, 0, 0);
+  const writer = new SessionWriter(backend, { now: () => clock, timers });
+  const meta = await writer.start({ device: 'RoboBala', transport: 'ble', tags: 'strojenie' });
+  writer.update({ firmware: '1.4.0' });
+  writer.recordTelemetry({ pitch: 1.5, speed: 10 }, clock);
+  writer.record('log', { level: 'warn', message: '[UI] Niska bateria' });
+  writer.record('command', { type: 'execute_move', distance_cm: 20 });
+  clock += 20;
+  writer.recordTelemetry({ pitch: 2.5 }, clock);
+  writer.record('param', { dir: 'out', type: 'set_param', key: 'kp_b', value: 95 });
+  clock += 20;
+  writer.record('sysid', { testType: 'balance', data: [{ time: 0, angle: 1 }] });
+  await writer.stop();
+  return new SessionLibrary(backend).load(meta.id);
+}
+
+test('session exported to MCAP comes back with telemetry, logs, commands and params', async () => {
+  const session = await recordSession();
+  const bytes = sessionToMcap(session);
+  const file = readMcap(bytes);
+
+  const topics = new Map([...file.channels.values()].map(c => [c.topic, c]));
+  assert.deepEqual([...topics.keys()], ['/telemetry', '/log', '/commands', '/params', '/sysid']);
+  for (const channel of topics.values()) {
+    assert.equal(channel.messageEncoding, 'json');
+    assert.equal(file.schemas.get(channel.schemaId).encoding, 'jsonschema');
+  }
+  assert.equal(file.schemas.get(topics.get('/log').schemaId).name, 'foxglove.Log');
+  const telemetrySchema = JSON.parse(new TextDecoder().decode(file.schemas.get(topics.get('/telemetry').schemaId).data));
+  assert.deepEqual(Object.keys(telemetrySchema.properties), ['pitch', 'speed']);
+  const log = file.messages.find(m => m.channelId === topics.get('/log').id);
+  assert.deepEqual(JSON.parse(new TextDecoder().decode(log.data)).timestamp, { sec: Date.UTC(2026, 2, 1, 10, 0, 0) / 1000, nsec: 0 });
+
+  const back = mcapToSession(bytes);
+  assert.deepEqual(back.frames, [
+    { time: Date.UTC(2026, 2, 1, 10, 0, 0), frame: { pitch: 1.5, speed: 10 } },
+    { time: Date.UTC(2026, 2, 1, 10, 0, 0) + 20, frame: { pitch: 2.5 } }
+  ]);
+  assert.deepEqual(back.logs.map(l => [l.level, l.message]), [['warn', '[UI] Niska bateria']]);
+  assert.deepEqual(back.commands, session.commands);
+  assert.deepEqual(back.params, session.params);
+  assert.deepEqual(back.sysid, session.sysid);
+  assert.equal(back.meta.device, 'RoboBala');
+  assert.equal(back.meta.firmware, '1.4.0');
+  assert.deepEqual(back.meta.tags, ['strojenie']);
+  assert.equal(back.meta.startedAt, session.meta.startedAt);
+  assert.equal(back.meta.endedAt, session.meta.endedAt);
+  assert.match(sessionMcapFileName(session.meta), /^robobala-session-RoboBala-2026-03-01T10-00-00\.mcap$/);
+});
+
+test('numeric fields of foreign JSON topics become telemetry channels', () => {
+  const writer = new McapWriter();
+  writer.start();
+  const imu = writer.registerChannel({ topic: '/imu/data', messageEncoding: 'json' });
+  const image = writer.registerChannel({ topic: '/camera', messageEncoding: 'cdr' });
+  writer.addMessage({ channelId: imu, logTime: 2000000n, data: JSON.stringify({ ax: 0.5, frame_id: 'base' }) });
+  writer.addMessage({ channelId: image, logTime: 3000000n, data: new Uint8Array(4) });
+  writer.addMessage({ channelId: writer.registerChannel({ topic: SESSION_MCAP_TOPICS.telemetry, messageEncoding: 'json' }), logTime: 1000000n, data: '{"pitch":1}' });
+
+  const session = mcapToSession(writer.end());
+  assert.deepEqual(session.frames, [{ time: 1, frame: { pitch: 1 } }, { time: 2, frame: { imu_data_ax: 0.5 } }]);
+  assert.deepEqual(session.skippedTopics, ['/camera']);
+  assert.equal(session.meta.startedAt, 1);
+  assert.equal(session.meta.device, 'robobala');
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, SessionPlayer, parseSessionJsonl, SESSION_FORMAT } from '../js/modules/session-recorder.mjs';
+import { manualTimers } from './helpers/manual-timers.mjs';
+
+function fakeClock(times) {
+  let i = 0;
+  return () => times[Math.min(i++, times.length - 1)];
+}
+
+test('SessionRecorder writes a header and timestamped entries as jsonl', () => {
+  const recorder = new SessionRecorder(fakeClock([1000, 1010, 1025.6]));
+  recorder.start({ device: 'RoboBala-1' });
+  recorder.record('in', { type: 'telemetry', p: 1.5 });
+  recorder.record('out', { type: 'joystick', x: 0, y: 0.5 });
+  recorder.stop();
+  recorder.record('in', { type: 'telemetry', p: 2 });
+
+  const lines = recorder.toJsonl().trim().split('\n').map(l => JSON.parse(l));
+
+  assert.equal(lines.length, 3);
+  assert.equal(lines[0].kind, 'header');
+  assert.equal(lines[0].format, SESSION_FORMAT);
+  assert.equal(lines[0].device, 'RoboBala-1');
+  assert.deepEqual(lines[1], { t: 10, dir: 'in', msg: { type: 'telemetry', p: 1.5 } });
+  assert.equal(lines[2].dir, 'out');
+  assert.equal(lines[2].t, 25.6);
+});
+
+test('SessionRecorder stores a copy of the message', () => {
+  const recorder = new SessionRecorder(fakeClock([0]));
+  recorder.start();
+  const msg = { type: 'telemetry', p: 1 };
+  recorder.record('in', msg);
+  msg.p = 99;
+
+  assert.equal(recorder.entries[0].msg.p, 1);
+});
+
+test('parseSessionJsonl skips broken lines and rejects foreign files', () => {
+  const text = [
+    JSON.stringify({ kind: 'header', format: SESSION_FORMAT, version: 1 }),
+    JSON.stringify({ t: 20, dir: 'in', msg: { type: 'sync_complete' } }),
+    '{"t": 30, "dir": "in", "msg": {"type": "tel',
+    JSON.stringify({ t: 5, dir: 'in', msg: { type: 'sync_begin' } })
+  ].join('\n');
+
+  const session = parseSessionJsonl(text);
+
+  assert.equal(session.skipped, 1);
+  assert.deepEqual(session.entries.map(e => e.msg.type), ['sync_begin', 'sync_complete']);
+  assert.throws(() => parseSessionJsonl(JSON.stringify({ kind: 'header', format: 'other' })));
+});
+
+test('SessionPlayer delivers inbound messages with scaled delays', () => {
+  const timers = manualTimers();
+  const delivered = [];
+  const outbound = [];
+  const entries = [
+    { t: 0, dir: 'in', msg: { type: 'sync_begin' } },
+    { t: 0, dir: 'in', msg: { type: 'set_param', key: 'kp_b', value: 95 } },
+    { t: 100, dir: 'out', msg: { type: 'joystick' } },
+    { t: 300, dir: 'in', msg: { type: 'sync_complete' } }
+  ];
+  let ended = false;
+  const player = new SessionPlayer(entries, {
+    deliver: (m) => delivered.push(m.type),
+    onOutbound: (m) => outbound.push(m.type),
+    onEnd: () => { ended = true; },
+    timers
+  });
+
+  player.play(2);
+  const delays = timers.runUntilIdle();
+
+  assert.deepEqual(delivered, ['sync_begin', 'set_param', 'sync_complete']);
+  assert.deepEqual(outbound, ['joystick']);
+  assert.deepEqual(delays, [0, 50, 100]);
+  assert.equal(ended, true);
+});
+
+test('SessionPlayer step mode delivers one inbound message at a time', () => {
+  const delivered = [];
+  const entries = [
+    { t: 0, dir: 'in', msg: { type: 'a' } },
+    { t: 5, dir: 'out', msg: { type: 'cmd' } },
+    { t: 10, dir: 'in', msg: { type: 'b' } }
+  ];
+  const player = new SessionPlayer(entries, { deliver: (m) => delivered.push(m.type), timers: manualTimers() });
+
+  assert.equal(player.step().type, 'a');
+  assert.deepEqual(delivered, ['a']);
+  assert.equal(player.step().type, 'b');
+  assert.equal(player.step(), null);
+  assert.equal(player.finished, true);
+});
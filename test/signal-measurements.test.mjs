@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { measureSignal, measurementRows, formatMeasurement, MEASUREMENT_FIELDS } from '../js/modules/signal-measurements.mjs';
+import { close } from './helpers/assert-close.mjs';
+
+test('basic statistics, integral and dominant frequency of a sine', () => {
+  const time = [];
+  const values = [];
+  for (let i = 0; i <= 1000; i++) {
+    time.push(i * 10);
+    values.push(2 + 3 * Math.sin(2 * Math.PI * 2 * i / 100));
+  }
+  values[500] = NaN;
+  const m = measureSignal(time, values);
+  assert.equal(m.count, 1000);
+  assert.equal(m.duration, 10000);
+  close(m.mean, 2, 0.01, 'mean');
+  close(m.std, 3 / Math.SQRT2, 0.01, 'std');
+  close(m.rms, Math.sqrt(4 + 4.5), 0.01, 'rms');
+  close(m.peakToPeak, 6, 0.02, 'p2p');
+  close(m.integral, 20, 0.05, 'integral');
+  close(m.frequency, 2, 0.02, 'frequency');
+  assert.equal(m.riseTime, null, 'sinus to nie skok');
+  assert.equal(m.overshoot, null);
+  assert.equal(measureSignal([0, 1], [NaN, NaN]), null);
+});
+
+test('step response: rise time, overshoot and settling time', () => {
+  // Odpowiedź układu 2. rzędu na skok 0 -> 10 w t = 100 ms
+  const zeta = 0.3, wn = 20;
+  const wd = wn * Math.sqrt(1 - zeta * zeta);
+  const time = [];
+  const values = [];
+  for (let i = 0; i <= 2000; i++) {
+    const t = i;
+    const s = Math.max(0, t - 100) / 1000;
+    time.push(t);
+    values.push(t < 100 ? 0 : 10 * (1 - Math.exp(-zeta * wn * s) * (Math.cos(wd * s) + (zeta / Math.sqrt(1 - zeta * zeta)) * Math.sin(wd * s))));
+  }
+  const m = measureSignal(time, values);
+  close(m.initial, 0, 1e-9, 'initial');
+  close(m.final, 10, 0.05, 'final');
+  const expectedOvershoot = 100 * Math.exp(-zeta * Math.PI / Math.sqrt(1 - zeta * zeta));
+  close(m.overshoot, expectedOvershoot, 1, 'overshoot');
+  // Czas narastania 10-90% dla zeta = 0.3: ok. 1.2 / wn
+  close(m.riseTime, 1000 * 1.2 / wn, 8, 'rise');
+  // Pasmo 2%: ok. 4 / (zeta * wn) od skoku, liczone od początku zakresu
+  close(m.settlingTime, 100 + 1000 * 4 / (zeta * wn), 120, 'settling');
+  assert.ok(m.settlingTime < 2000);
+});
+
+test('measurement rows for CSV export', () => {
+  const rows = measurementRows([
+    { label: 'A-B', channels: { pitch: { mean: 1.23456789, rms: 2, riseTime: null } } },
+    { label: '#1', channels: { pitch: { mean: -1 }, speed: { mean: 5 } } }
+  ], name => name.toUpperCase());
+  assert.deepEqual(rows[0], ['Pomiar', 'A-B PITCH', '#1 PITCH', '#1 SPEED']);
+  assert.deepEqual(rows[1], ['Srednia', '1.234568', '-1', '5']);
+  assert.equal(rows.length, MEASUREMENT_FIELDS.length + 1);
+  assert.deepEqual(rows.find(r => r[0].startsWith('Czas narastania')), ['Czas narastania 10-90% [ms]', '', '', '']);
+  assert.equal(formatMeasurement(MEASUREMENT_FIELDS[0], null), '---');
+  assert.equal(formatMeasurement(MEASUREMENT_FIELDS[6], 4.256), '4.26');
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fft, resampleUniform, computeSpectrum, findPeaks, spectrumOf, dominantFrequency, computeSpectrogram } from '../js/modules/spectrum.mjs';
+
+function sine(n, rate, parts, jitterMs = 0) {
+  const time = [];
+  const values = [];
+  for (let i = 0; i < n; i++) {
+    // Deterministyczny "jitter" BLE
+    const t = (i * 1000) / rate + (jitterMs ? jitterMs * Math.sin(i * 7.3) : 0);
+    time.push(t);
+    values.push(parts.reduce((sum, [f, a]) => sum + a * Math.sin(2 * Math.PI * f * t / 1000), 3));
+  }
+  return { time, values };
+}
+
+test('fft matches a direct DFT', () => {
+  const input = [1, -2, 0.5, 3, 0, 1.5, -1, 2];
+  const re = Float64Array.from(input);
+  const im = new Float64Array(8);
+  fft(re, im);
+  for (let k = 0; k < 8; k++) {
+    let sr = 0, si = 0;
+    input.forEach((x, n) => { sr += x * Math.cos(-2 * Math.PI * k * n / 8); si += x * Math.sin(-2 * Math.PI * k * n / 8); });
+    assert.ok(Math.abs(re[k] - sr) < 1e-9 && Math.abs(im[k] - si) < 1e-9, `bin ${k}`);
+  }
+  assert.throws(() => fft(new Float64Array(6), new Float64Array(6)), /potega 2/);
+});
+
+test('spectrum peaks land on the signal frequencies with correct amplitudes', () => {
+  const { values } = sine(512, 100, [[4.2, 2], [17, 0.5]]);
+  const spectrum = computeSpectrum(values, 100, { window: 'hann' });
+  assert.equal(spectrum.frequencies.length, 257);
+  assert.ok(spectrum.magnitudes[0] < 0.05, 'srednia usunieta');
+  const peaks = findPeaks(spectrum, { count: 2 });
+  assert.ok(Math.abs(peaks[0].frequency - 4.2) < 0.05, `f1 ${peaks[0].frequency}`);
+  assert.ok(Math.abs(peaks[0].magnitude - 2) < 0.3, `a1 ${peaks[0].magnitude}`);
+  assert.ok(Math.abs(peaks[1].frequency - 17) < 0.05, `f2 ${peaks[1].frequency}`);
+  assert.ok(peaks[1].magnitude < peaks[0].magnitude / 2);
+});
+
+test('irregular telemetry timing is resampled before the FFT', () => {
+  const { time, values } = sine(600, 50, [[3, 5]], 4);
+  values[100] = NaN;
+  const uniform = resampleUniform(time, values);
+  assert.ok(Math.abs(uniform.sampleRate - 50) < 2, `fs ${uniform.sampleRate}`);
+  assert.ok(uniform.values.every(Number.isFinite));
+  const peak = dominantFrequency(time, values);
+  assert.ok(Math.abs(peak.frequency - 3) < 0.1, `f ${peak.frequency}`);
+  assert.equal(spectrumOf([0, 10], [1, 2]), null);
+});
+
+test('spectrogram follows a frequency change over time', () => {
+  const a = sine(400, 100, [[5, 1]]);
+  const b = sine(400, 100, [[20, 1]]);
+  const time = [...a.time, ...b.time.map(t => t + 4000)];
+  const values = [...a.values, ...b.values];
+  const result = computeSpectrogram(time, values, { segmentSize: 64, overlap: 0.5 });
+  assert.equal(result.magnitudes.length, Math.floor((800 - 64) / 32) + 1);
+  const dominant = (m) => result.frequencies[m.indexOf(Math.max(...m))];
+  assert.ok(Math.abs(dominant(result.magnitudes[0]) - 5) < 2);
+  assert.ok(Math.abs(dominant(result.magnitudes.at(-1)) - 20) < 2);
+  assert.ok(result.times[0] > 0 && result.times.at(-1) < 8000);
+  assert.equal(computeSpectrogram([0, 10, 20], [1, 2, 3]), null);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeTelemetryData, encodeTelemetryFrame, decodeTelemetryFrame, isTelemetryFrame,
+  TelemetrySequenceTracker, TELEMETRY_FRAME_SIZE
+} from '../js/modules/telemetry-codec.mjs';
+import { RobotSimulator } from '../js/modules/robot-simulator.mjs';
+
+const FIELDS = [
+  'pitch', 'roll', 'yaw', 'gyroY', 'speed', 'target_speed', 'encoder_left', 'encoder_right', 'output',
+  'loop_time', 'pitch_offset', 'roll_offset', 'calib_sys', 'calib_gyro', 'calib_accel', 'calib_mag', 'robot_state'
+];
+
+test('binary frame decodes to the same normalized object as JSON telemetry', () => {
+  const sim = new RobotSimulator({ noise: false });
+  sim.step(0.005);
+  const json = sim.buildTelemetry();
+  const frame = encodeTelemetryFrame(json, 7);
+  assert.equal(frame.length, TELEMETRY_FRAME_SIZE);
+  assert.equal(isTelemetryFrame(frame), true);
+
+  const decoded = decodeTelemetryFrame(new DataView(frame.buffer));
+  const expected = normalizeTelemetryData(structuredClone(json));
+  assert.equal(decoded.type, 'telemetry');
+  assert.equal(decoded.seq, 7);
+  for (const key of FIELDS) {
+    assert.ok(Math.abs(decoded[key] - expected[key]) < 0.06 || decoded[key] === expected[key], `${key}: ${decoded[key]} vs ${expected[key]}`);
+  }
+  for (const key of ['balancing', 'holding_pos', 'speed_mode', 'emergency_stop']) {
+    assert.equal(decoded.states[key], expected.states[key], key);
+  }
+});
+
+test('text and foreign buffers are not taken for telemetry frames', () => {
+  const text = new TextEncoder().encode(JSON.stringify({ type: 'ack', command: 'set_param', padding: '0123456' }).slice(0, TELEMETRY_FRAME_SIZE));
+  assert.equal(isTelemetryFrame(text), false);
+  assert.equal(decodeTelemetryFrame(new Uint8Array(10)), null);
+});
+
+test('sequence tracker counts dropped frames across the u16 wraparound', () => {
+  const tracker = new TelemetrySequenceTracker();
+  for (const seq of [65533, 65534, 1, 2, 2, 0, 5]) tracker.push(seq);
+  assert.deepEqual(tracker.getStats(), { received: 7, dropped: 4, duplicates: 1, reordered: 1, lossRate: 4 / 11 });
+
+  tracker.reset();
+  assert.equal(tracker.push(100), 0);
+  assert.equal(tracker.getLossRate(), 0);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RingBuffer, TelemetryStore } from '../js/modules/telemetry-store.mjs';
+
+test('ring buffer grows to capacity and then overwrites the oldest values', () => {
+  const ring = new RingBuffer(6, { initialSize: 2 });
+  for (let i = 1; i <= 5; i++) ring.push(i);
+  assert.equal(ring.data.length, 6);
+  assert.deepEqual([...ring.toArray()], [1, 2, 3, 4, 5]);
+
+  for (let i = 6; i <= 9; i++) ring.push(i);
+  assert.equal(ring.length, 6);
+  assert.deepEqual([...ring.toArray()], [4, 5, 6, 7, 8, 9]);
+  assert.deepEqual([...ring.toArray(2, 5)], [6, 7, 8]);
+  assert.equal(ring.get(0), 4);
+  assert.equal(ring.last(), 9);
+});
+
+test('channels share the time axis and missing values are NaN', () => {
+  const store = new TelemetryStore({ capacity: 4, initialSize: 2 });
+  store.push({ type: 'telemetry', pitch: 1, speed: 10 }, 0);
+  store.push({ pitch: 2 }, 20);
+  store.push({ pitch: 3, speed: 30, output: 5 }, 40);
+  assert.deepEqual(store.channelNames(), ['pitch', 'speed', 'output']);
+
+  const speed = store.slice('speed', 0, 40);
+  assert.deepEqual([...speed.time], [0, 20, 40]);
+  assert.deepEqual([...speed.values], [10, NaN, 30]);
+  assert.deepEqual([...store.slice('output').values], [NaN, NaN, 5]);
+
+  // Pełny bufor: nadpisanie najstarszej ramki we wszystkich kanałach naraz
+  store.push({ pitch: 4 }, 60);
+  store.push({ pitch: 5, speed: 50 }, 50);
+  assert.equal(store.length, 4);
+  assert.equal(store.total, 5);
+  assert.equal(store.startTime, 20);
+  assert.equal(store.endTime, 60, 'czas nie cofa sie');
+  assert.deepEqual(store.frames(['pitch', 'speed'], 40, 60), [
+    { time: 40, pitch: 3, speed: 30 },
+    { time: 60, pitch: 4, speed: NaN },
+    { time: 60, pitch: 5, speed: 50 }
+  ]);
+});
+
+test('latest, stats and subscribers read the same history', () => {
+  const store = new TelemetryStore();
+  const seen = [];
+  const unsubscribe = store.subscribe((frame, time) => seen.push([frame.pitch, time]));
+  for (let i = 0; i < 10; i++) store.push(i % 3 === 0 ? { speed: i } : { pitch: i, speed: i }, i * 100);
+  unsubscribe();
+  store.push({ pitch: 99 }, 1000);
+
+  assert.equal(seen.length, 10);
+  assert.deepEqual(seen[1], [1, 100]);
+  assert.deepEqual([...store.latest('pitch', 3)], [7, 8, 99]);
+  assert.deepEqual([...store.latest('pitch', 10, 500)], [5, 7, 8, 99]);
+  assert.deepEqual(store.stats('pitch', 100, 500), { min: 1, max: 5, avg: 3, count: 4 });
+  assert.equal(store.stats('roll'), null);
+});
+
+test('min/max decimation keeps peaks and aligns buckets across channels', () => {
+  const store = new TelemetryStore();
+  for (let i = 0; i < 1000; i++) {
+    store.push({ pitch: i === 437 ? 50 : Math.sin(i / 20), speed: i < 500 ? i : NaN }, i * 20);
+  }
+
+  const raw = store.decimate('pitch', 0, 2000, 100);
+  assert.equal(raw.decimated, false);
+  assert.equal(raw.values.length, 101);
+
+  const pitch = store.decimate('pitch', 0, 20000, 100);
+  const speed = store.decimate('speed', 0, 20000, 100);
+  assert.equal(pitch.decimated, true);
+  assert.equal(pitch.values.length, 200);
+  assert.deepEqual([...pitch.time], [...speed.time]);
+  assert.equal(Math.max(...pitch.values), 50);
+  assert.ok(Math.min(...pitch.values) < -0.99);
+
+  // Przedział 2: próbki 20..29 rosną - min przed max
+  assert.deepEqual([speed.values[4], speed.values[5]], [20, 29]);
+  // Brak danych w drugiej połowie - przerwa na wykresie
+  assert.ok(Number.isNaN(speed.values[150]));
+});
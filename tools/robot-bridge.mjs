@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+// ========================================================================
+// ROBOT BRIDGE - Lokalny most WebSocket dla RoboBala (Node, bez zależności)
+// ========================================================================
+// Udostępnia jednego robota (port szeregowy) albo symulator pod adresem
+// ws://localhost:<port>. Wiele kart przeglądarki / narzędzi zewnętrznych
+// może współdzielić jedno połączenie:
+//   - każda linia JSON od robota trafia do WSZYSTKICH klientów (fan-out),
+//   - komendy klientów są kolejkowane i wysyłane do robota po kolei,
+//   - `id` komend jest zamieniany na unikalny w moście, a ACK z tym `id`
+//     wraca tylko do nadawcy, z jego oryginalnym `id` (każda karta numeruje
+//     komendy od 1, więc bez tego ACK jednej karty rozliczałby drugą).
+// Poza `id` protokół przechodzi bez zmian (JSON + '\n', ramki chunk/chunk_stream).
+//
+// Użycie:
+//   node tools/robot-bridge.mjs --sim
+//   node tools/robot-bridge.mjs --serial /dev/ttyUSB0 --baud 115200
+//   opcje: --port 8765 --host 127.0.0.1
+// W UI wybierz "WebSocket" obok przycisku łączenia (adres: ?ws=ws://host:port).
+// ========================================================================
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { RobotSimulator, SIM_LOOP_HZ } from '../js/modules/robot-simulator.mjs';
+import { otaSimulatorExtension } from '../js/modules/firmware-update.mjs';
+import { mappingSimulatorExtension } from '../js/modules/config-backup.mjs';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+export const DEFAULT_BRIDGE_PORT = 8765;
+// Komendy bez ACK (starszy firmware, ponowienia) nie mogą zapchać mapy tras
+const MAX_PENDING_ROUTES = 1024;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// ------------------------------------------------------------------------
+// WebSocket (RFC 6455) - minimalna implementacja ramek
+// ------------------------------------------------------------------------
+
+export function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+/**
+ * Koduje pojedynczą ramkę (FIN=1). Klient musi maskować, serwer nie.
+ */
+export function encodeFrame(payload, { opcode = OPCODE_TEXT, mask = false } = {}) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+    const length = data.length;
+    let headerLength = 2;
+    if (length >= 126 && length <= 0xFFFF) headerLength += 2;
+    else if (length > 0xFFFF) headerLength += 8;
+    if (mask) headerLength += 4;
+
+    const frame = Buffer.alloc(headerLength + length);
+    frame[0] = 0x80 | opcode;
+    let offset = 2;
+    if (length < 126) {
+        frame[1] = length;
+    } else if (length <= 0xFFFF) {
+        frame[1] = 126;
+        frame.writeUInt16BE(length, 2);
+        offset = 4;
+    } else {
+        frame[1] = 127;
+        frame.writeBigUInt64BE(BigInt(length), 2);
+        offset = 10;
+    }
+    if (mask) {
+        frame[1] |= 0x80;
+        const maskKey = crypto.randomBytes(4);
+        maskKey.copy(frame, offset);
+        offset += 4;
+        for (let i = 0; i < length; i++) frame[offset + i] = data[i] ^ maskKey[i % 4];
+    } else {
+        data.copy(frame, offset);
+    }
+    return frame;
+}
+
+/**
+ * Strumieniowy dekoder ramek (obsługuje ramki podzielone między pakiety TCP
+ * i wiadomości fragmentowane FIN=0 + continuation).
+ */
+export class FrameDecoder {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+    }
+
+    /** @returns {{opcode: number, payload: Buffer}[]} kompletne wiadomości */
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const messages = [];
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                if (this.buffer.length < 4) break;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) break;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) break;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode >= OPCODE_CLOSE) {
+                // Ramki kontrolne mogą przeplatać się z fragmentami
+                messages.push({ opcode, payload });
+            } else if (!fin) {
+                if (opcode !== OPCODE_CONTINUATION) this.fragmentOpcode = opcode;
+                this.fragments.push(payload);
+            } else if (opcode === OPCODE_CONTINUATION) {
+                this.fragments.push(payload);
+                messages.push({ opcode: this.fragmentOpcode, payload: Buffer.concat(this.fragments) });
+                this.fragments = [];
+                this.fragmentOpcode = null;
+            } else {
+                messages.push({ opcode, payload });
+            }
+        }
+        return messages;
+    }
+}
+
+// ------------------------------------------------------------------------
+// Backendy: symulator i port szeregowy
+// ------------------------------------------------------------------------
+
+/**
+ * Symulator (robot-simulator.mjs) jako źródło linii JSON.
+ */
+export class SimulatorBackend {
+    constructor({ telemetryInterval = 20, simulatorOptions = {} } = {}) {
+        this.simulator = new RobotSimulator({ extensions: [otaSimulatorExtension, mappingSimulatorExtension], ...simulatorOptions });
+        this.telemetryInterval = telemetryInterval;
+        this.onLine = () => { };
+        this.timer = null;
+        this.lastTick = 0;
+        this.name = 'Symulator';
+    }
+
+    start() {
+        this.lastTick = performance.now();
+        this.timer = setInterval(() => {
+            const now = performance.now();
+            const elapsed = Math.min((now - this.lastTick) / 1000, 0.1);
+            this.lastTick = now;
+            const steps = Math.max(1, Math.round(elapsed * SIM_LOOP_HZ));
+            for (let i = 0; i < steps; i++) this.simulator.step(1 / SIM_LOOP_HZ);
+            for (const event of this.simulator.drainEvents()) this.onLine(JSON.stringify(event));
+            this.onLine(JSON.stringify(this.simulator.buildTelemetry()));
+        }, this.telemetryInterval);
+    }
+
+    write(line) {
+        let message;
+        try { message = JSON.parse(line); } catch (e) { return; }
+        for (const reply of this.simulator.handleCommand(message)) this.onLine(JSON.stringify(reply));
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * Port szeregowy jako plik urządzenia (Linux/macOS: konfiguracja przez `stty`).
+ */
+export class SerialDeviceBackend {
+    constructor(path, baudRate = 115200) {
+        this.path = path;
+        this.baudRate = baudRate;
+        this.onLine = () => { };
+        this.onClose = () => { };
+        this.buffer = '';
+        this.readStream = null;
+        this.writeStream = null;
+        this.name = path;
+    }
+
+    start() {
+        const sizeFlag = process.platform === 'darwin' ? '-f' : '-F';
+        execFileSync('stty', [sizeFlag, this.path, String(this.baudRate), 'raw', '-echo']);
+        this.readStream = fs.createReadStream(this.path, { encoding: 'utf8' });
+        this.writeStream = fs.createWriteStream(this.path);
+        this.readStream.on('data', (text) => {
+            this.buffer += text;
+            let newlineIndex;
+            while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+                const line = this.buffer.substring(0, newlineIndex).trim();
+                this.buffer = this.buffer.substring(newlineIndex + 1);
+                // Port szeregowy niesie też logi bootloadera - przepuszczamy tylko JSON
+                if (line.startsWith('{')) this.onLine(line);
+            }
+        });
+        this.readStream.on('error', (error) => this.onClose(error));
+        this.readStream.on('close', () => this.onClose(null));
+    }
+
+    write(line) {
+        if (this.writeStream) this.writeStream.write(line + '\n');
+    }
+
+    stop() {
+        this.readStream?.destroy();
+        this.writeStream?.end();
+    }
+}
+
+// ------------------------------------------------------------------------
+// Most: fan-out telemetrii + serializacja komend
+// ------------------------------------------------------------------------
+
+export class RobotBridge {
+    constructor(backend, { sendInterval = 5, log = console.log } = {}) {
+        this.backend = backend;
+        this.sendInterval = sendInterval;
+        this.log = log;
+        this.clients = new Set();
+        this.commandQueue = [];
+        this.isSending = false;
+        this.nextBridgeId = 1;
+        this.routes = new Map(); // id mostu -> { client, id }
+        this.stats = { linesIn: 0, commandsOut: 0 };
+        this.backend.onLine = (line) => this.broadcast(line);
+    }
+
+    handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const client = { socket, decoder: new FrameDecoder(), address: `${req.socket.remoteAddress}:${req.socket.remotePort}` };
+        this.clients.add(client);
+        this.log(`[BRIDGE] Klient polaczony ${client.address} (klientow: ${this.clients.size})`);
+
+        socket.on('data', (chunk) => {
+            let messages;
+            try { messages = client.decoder.push(chunk); } catch (e) { socket.destroy(); return; }
+            for (const { opcode, payload } of messages) {
+                if (opcode === OPCODE_TEXT || opcode === OPCODE_BINARY) {
+                    this.enqueueCommands(payload.toString('utf8'), client);
+                } else if (opcode === OPCODE_PING) {
+                    socket.write(encodeFrame(payload, { opcode: OPCODE_PONG }));
+                } else if (opcode === OPCODE_CLOSE) {
+                    socket.end(encodeFrame(payload.subarray(0, 2), { opcode: OPCODE_CLOSE }));
+                }
+            }
+        });
+        const drop = () => {
+            if (this.clients.delete(client)) {
+                for (const [bridgeId, route] of this.routes) {
+                    if (route.client === client) this.routes.delete(bridgeId);
+                }
+                this.log(`[BRIDGE] Klient rozlaczony ${client.address} (klientow: ${this.clients.size})`);
+            }
+        };
+        socket.on('close', drop);
+        socket.on('error', drop);
+    }
+
+    broadcast(line) {
+        this.stats.linesIn++;
+        if (this.routeAck(line)) return;
+        const frame = encodeFrame(line + '\n');
+        for (const client of this.clients) {
+            if (!client.socket.destroyed) client.socket.write(frame);
+        }
+    }
+
+    /**
+     * ACK z `id` nadanym przez most trafia tylko do klienta, który wysłał
+     * komendę, z przywróconym jego `id`.
+     * @returns {boolean} true, gdy linia została obsłużona
+     */
+    routeAck(line) {
+        // Telemetria leci co kilkanaście ms - parsujemy tylko kandydatów na ACK
+        if (!line.includes('"ack"') || !line.includes('"id"')) return false;
+        let message;
+        try { message = JSON.parse(line); } catch (e) { return false; }
+        if (message?.type !== 'ack' || !this.routes.has(message.id)) return false;
+
+        const route = this.routes.get(message.id);
+        this.routes.delete(message.id);
+        if (this.clients.has(route.client) && !route.client.socket.destroyed) {
+            route.client.socket.write(encodeFrame(JSON.stringify({ ...message, id: route.id }) + '\n'));
+        }
+        return true;
+    }
+
+    enqueueCommands(text, client = null) {
+        for (const rawLine of text.split('\n')) {
+            const line = rawLine.trim();
+            if (line) this.commandQueue.push(this.assignBridgeId(line, client));
+        }
+        this.processQueue();
+    }
+
+    assignBridgeId(line, client) {
+        if (!client || !line.includes('"id"')) return line;
+        let message;
+        try { message = JSON.parse(line); } catch (e) { return line; }
+        if (!message || typeof message !== 'object' || message.id === undefined || message.id === null) return line;
+
+        const bridgeId = this.nextBridgeId++;
+        this.routes.set(bridgeId, { client, id: message.id });
+        if (this.routes.size > MAX_PENDING_ROUTES) this.routes.delete(this.routes.keys().next().value);
+        return JSON.stringify({ ...message, id: bridgeId });
+    }
+
+    processQueue() {
+        if (this.isSending || this.commandQueue.length === 0) return;
+        this.isSending = true;
+        this.backend.write(this.commandQueue.shift());
+        this.stats.commandsOut++;
+        setTimeout(() => {
+            this.isSending = false;
+            this.processQueue();
+        }, this.sendInterval);
+    }
+
+    close() {
+        for (const client of this.clients) client.socket.destroy();
+        this.clients.clear();
+        this.backend.stop();
+    }
+}
+
+/**
+ * Uruchamia serwer HTTP z obsługą upgrade do WebSocket.
+ * @returns {Promise<{server: http.Server, bridge: RobotBridge, port: number, close: Function}>}
+ */
+export function startBridge({ backend, port = DEFAULT_BRIDGE_PORT, host = '127.0.0.1', sendInterval, log } = {}) {
+    const bridge = new RobotBridge(backend, { sendInterval, log });
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(`RoboBala bridge (${backend.name}) - klientow: ${bridge.clients.size}\n`);
+    });
+    server.on('upgrade', (req, socket) => bridge.handleUpgrade(req, socket));
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            backend.start();
+            resolve({
+                server,
+                bridge,
+                port: server.address().port,
+                close: () => new Promise(done => { bridge.close(); server.close(() => done()); })
+            });
+        });
+    });
+}
+
+function parseArgs(argv) {
+    const args = { sim: false, serial: null, baud: 115200, port: DEFAULT_BRIDGE_PORT, host: '127.0.0.1' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--sim') args.sim = true;
+        else if (arg === '--serial') args.serial = argv[++i];
+        else if (arg === '--baud') args.baud = parseInt(argv[++i], 10);
+        else if (arg === '--port') args.port = parseInt(argv[++i], 10);
+        else if (arg === '--host') args.host = argv[++i];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const backend = args.serial ? new SerialDeviceBackend(args.serial, args.baud) : new SimulatorBackend();
+    if (backend instanceof SerialDeviceBackend) {
+        backend.onClose = (error) => {
+            console.error(`[BRIDGE] Port ${args.serial} zamkniety${error ? `: ${error.message}` : ''}`);
+            process.exit(1);
+        };
+    }
+    const { port, close } = await startBridge({ backend, port: args.port, host: args.host });
+    console.log(`[BRIDGE] ${backend.name} dostepny pod ws://${args.host}:${port}`);
+    process.on('SIGINT', async () => { await close(); process.exit(0); });
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    main().catch((error) => {
+        console.error('[BRIDGE] Blad uruchomienia:', error.message);
+        process.exit(1);
+    });
+}